@@ -0,0 +1,469 @@
+#!/usr/bin/env node
+// ============================================================================
+// BIOSLURRY CLI - SIMULACIONES POR LOTES SIN INTERFAZ
+// ============================================================================
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import YAML from 'yaml';
+import {
+  BALANCE_ELEMENTS,
+  CONTAMINANTS,
+  DEFAULT_PARAMS,
+  DEFAULT_PRESET,
+  DEFAULT_SOLVER,
+  ENVIRONMENT_INPUTS,
+  GUILDS,
+  GUILD_SLOTS,
+  PRESETS,
+  PROJECT_FORMAT,
+  SOLVER_METHODS,
+  SUBSTRATES,
+  SUBSTRATE_SLOTS,
+  applyContaminant,
+  applyGuild,
+  applySubstrate,
+  buildReport,
+  checkParameters,
+  evaluateTargets,
+  eventTable,
+  exportWorkbook,
+  getPreset,
+  localRunner,
+  metricDefinitionsFor,
+  parseCSV,
+  parseProfile,
+  parseProject,
+  resampleResults,
+  seriesColumns,
+  toCSV,
+  validateParams,
+  validateTarget,
+} from '../src/engine/index.js';
+import { availableThreads, createThreadPool } from '../src/engine/threads.js';
+
+const EXIT_OK = 0;
+const EXIT_INVALID_PARAMS = 1;
+const EXIT_USAGE = 2;
+const EXIT_SIMULATION = 3;
+
+const USAGE = `Uso: bioslurry [archivo] [opciones]
+
+Ejecuta una o varias simulaciones del reactor bioslurry sin interfaz gráfica.
+
+Archivo de parámetros (opcional, por defecto la configuración predefinida):
+  .json / .yaml / .yml   Un objeto de parámetros, { name, params, solver },
+                         una lista de escenarios, { scenarios: [...] } o un
+                         proyecto guardado desde la aplicación
+  .csv                   Una fila por escenario; columna opcional "name"
+
+Opciones:
+  -p, --preset ID        Parámetros de partida: ${PRESETS.map(p => p.id).join(', ')}
+                         (por defecto ${DEFAULT_PRESET})
+  -s, --set clave=valor  Sobrescribe un parámetro en todos los escenarios (repetible)
+                         contaminant=ID cambia de contaminante con sus valores
+                         de registro: ${CONTAMINANTS.map(c => c.id).join(', ')}
+                         cosubstrate_1=ID y cosubstrate_2=ID añaden un co-sustrato
+                         con sus valores de registro: ${SUBSTRATES.map(s => s.id).join(', ')}
+                         events='[...]' programa intervenciones como lista JSON
+      --profile VAR=CSV  Perfil temporal de ${ENVIRONMENT_INPUTS.map(i => i.key).join(', ')} desde un CSV con
+                         columna de tiempo (time_h o time_days) y de valor (repetible);
+                         activa el perfil 'csv' de la variable, no su corrección
+  -t, --target OBJETIVO  Objetivo de cumplimiento (repetible): VAR<=límite con VAR en
+                         C_G_aq, C_G_s, C_total, C_A_aq, C_B_aq o C_C_aq, o removal>=%;
+                         añade al resumen el día de cumplimiento de cada uno y de todos
+  -o, --out DIR          Directorio de salida (por defecto ./bioslurry-output)
+  -f, --format FMT       Archivos por escenario, separados por comas (por defecto csv):
+                         csv (serie), json (serie y resultados), both (csv,json),
+                         xlsx (libro con parámetros, serie y métricas) o
+                         html (informe con gráficas, imprimible como PDF)
+  -r, --resolution H     Intervalo de la serie exportada en horas (por defecto todos
+                         los puntos)
+      --solver MÉTODO    ${Object.keys(SOLVER_METHODS).join(', ')} (por defecto ${DEFAULT_SOLVER.method})
+      --rtol VALOR       Tolerancia relativa de los métodos adaptativos
+      --atol VALOR       Tolerancia absoluta de los métodos adaptativos
+  -j, --jobs N           Escenarios simulados a la vez en hilos de trabajo (por defecto 1;
+                         0 usa todos los hilos de la máquina)
+  -q, --quiet            No imprime la tabla resumen ni los avisos
+  -h, --help             Muestra esta ayuda
+
+Códigos de salida: 0 éxito, 1 parámetros inválidos, 2 error de uso o de archivo,
+3 fallo del integrador.`;
+
+// Variables de respuesta que se imprimen siempre, tras los tiempos de remoción y los días de control
+const PRINTED_METRICS = ['final_removal', 'X_max', 't_X_max', 'C_A_peak', 't_A_peak', 'X_final'];
+
+// Remoción de cada co-sustrato; vacías si el hueco no tiene co-sustrato
+const SUBSTRATE_COLUMNS = SUBSTRATE_SLOTS.flatMap(s => [`final_removal_${s.token}`, `T90_${s.token}`]);
+
+// Error de cierre máximo (%) de cada balance elemental; vacío si el contaminante no lo comprueba
+const BALANCE_COLUMNS = BALANCE_ELEMENTS.map(e => `balance_${e.key}`);
+
+// Formatos de salida de cada escenario; both equivale a csv,json
+const OUTPUT_FORMATS = ['csv', 'json', 'xlsx', 'html'];
+
+class UsageError extends Error {}
+
+const toNumber = (key, value) => {
+  const number = Number(String(value).trim());
+  if (String(value).trim() === '' || !Number.isFinite(number)) {
+    throw new UsageError(`Valor no numérico para ${key}: "${value}"`);
+  }
+  return number;
+};
+
+// Los valores no numéricos se conservan como texto para que la validación los reporte
+const coerce = (value) => {
+  const text = String(value).trim();
+  const number = Number(text);
+  return text !== '' && Number.isFinite(number) ? number : text;
+};
+
+// Los parámetros de tipo lista (metric_days, metric_thresholds) se escriben separados por comas
+// o punto y coma; los eventos, que son objetos, en JSON
+const coerceParam = (key, value) => {
+  if (key === 'events') {
+    try {
+      return JSON.parse(value);
+    } catch {
+      throw new UsageError(`events debe ser una lista JSON, se recibió "${value}"`);
+    }
+  }
+  return Array.isArray(DEFAULT_PARAMS[key])
+    ? String(value).split(/[,;]/).filter(v => v.trim() !== '').map(coerce)
+    : coerce(value);
+};
+
+// Cada --target es VAR<=límite o removal>=porcentaje; la columna del resumen conserva el texto
+const parseTargets = (specs = []) => specs.map(spec => {
+  const text = spec.replace(/\s+/g, '');
+  const removal = /^removal>=(.+)$/.exec(text);
+  const limit = /^([A-Za-z_]\w*)<=(.+)$/.exec(text);
+  if (!removal && !limit) throw new UsageError(`--target espera VAR<=límite o removal>=%, se recibió "${spec}"`);
+  const target = removal
+    ? { kind: 'removal', value: toNumber('target', removal[1]) }
+    : { kind: 'limit', variable: limit[1], value: toNumber('target', limit[2]) };
+  return { spec: text, column: `day_${text}`, target };
+});
+
+const parseOverrides = (assignments = []) => Object.fromEntries(assignments.map(a => {
+  const match = /^\s*([A-Za-z_]\w*)\s*=\s*(.+)$/.exec(a);
+  if (!match) throw new UsageError(`--set espera clave=valor, se recibió "${a}"`);
+  return [match[1], coerceParam(match[1], match[2])];
+}));
+
+// Cada --profile VAR=archivo.csv fija la serie de la variable y selecciona el perfil CSV
+const loadProfiles = async (assignments = []) => {
+  const overrides = {};
+  for (const a of assignments) {
+    const match = /^\s*(\w+)\s*=\s*(.+)$/.exec(a);
+    const input = match && ENVIRONMENT_INPUTS.find(i => i.key === match[1]);
+    if (!input) {
+      throw new UsageError(`--profile espera VAR=archivo.csv con VAR en ${ENVIRONMENT_INPUTS.map(i => i.key).join(', ')}, se recibió "${a}"`);
+    }
+    let text;
+    try {
+      text = await readFile(match[2].trim(), 'utf8');
+    } catch (err) {
+      throw new UsageError(`No se pudo leer ${match[2].trim()}: ${err.message}`);
+    }
+    try {
+      overrides[input.series] = parseProfile(text);
+    } catch (err) {
+      throw new UsageError(`${match[2].trim()}: ${err.message}`);
+    }
+    overrides[input.profile] = 'csv';
+  }
+  return overrides;
+};
+
+// Un proyecto aporta sus escenarios guardados o, si no tiene, su configuración actual
+const scenariosFromProject = (doc) => {
+  let project;
+  try {
+    project = parseProject(doc);
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  return project.scenarios.length > 0
+    ? project.scenarios.map(({ name, params, solver }) => ({ name, params, solver }))
+    : [{ params: project.params, solver: project.solver }];
+};
+
+// Normaliza las distintas formas de archivo JSON/YAML a una lista de escenarios
+const scenariosFromDocument = (doc) => {
+  if (doc?.format === PROJECT_FORMAT) return scenariosFromProject(doc);
+  if (Array.isArray(doc)) return doc.map(entry => scenariosFromDocument(entry)[0]);
+  if (doc && Array.isArray(doc.scenarios)) return scenariosFromDocument(doc.scenarios);
+  if (doc && typeof doc === 'object' && doc.params) {
+    return [{ name: doc.name, params: doc.params, solver: doc.solver }];
+  }
+  if (doc && typeof doc === 'object') return [{ params: doc }];
+  throw new UsageError('El archivo de parámetros debe contener un objeto o una lista de escenarios');
+};
+
+const scenariosFromCSV = (text) => {
+  const { rows } = parseCSV(text);
+  if (rows.length === 0) throw new UsageError('El CSV de parámetros no contiene filas');
+  return rows.map(({ name, ...values }) => ({
+    name: name || undefined,
+    params: Object.fromEntries(
+      Object.entries(values)
+        .filter(([, v]) => v !== '')
+        .map(([k, v]) => [k, coerceParam(k, v)])
+    ),
+  }));
+};
+
+const loadScenarios = async (file, defaultName) => {
+  if (!file) return [{ name: defaultName, params: {} }];
+
+  let text;
+  try {
+    text = await readFile(file, 'utf8');
+  } catch (err) {
+    throw new UsageError(`No se pudo leer ${file}: ${err.message}`);
+  }
+
+  const ext = path.extname(file).toLowerCase();
+  const base = path.basename(file, ext);
+  let scenarios;
+  try {
+    if (ext === '.csv') scenarios = scenariosFromCSV(text);
+    else if (ext === '.yaml' || ext === '.yml') scenarios = scenariosFromDocument(YAML.parse(text));
+    else if (ext === '.json') scenarios = scenariosFromDocument(JSON.parse(text));
+    else throw new UsageError(`Formato no soportado: ${ext || '(sin extensión)'}; usa .json, .yaml o .csv`);
+  } catch (err) {
+    if (err instanceof UsageError) throw err;
+    throw new UsageError(`No se pudo interpretar ${file}: ${err.message}`);
+  }
+
+  return scenarios.map((s, i) => ({
+    ...s,
+    name: s.name ?? (scenarios.length === 1 ? base : `${base}_${i + 1}`),
+  }));
+};
+
+// Un escenario que elige otro contaminante, co-sustrato o gremio parte de los valores de su registro
+const scenarioBase = (baseParams, params) => {
+  const { contaminant } = params;
+  let base = contaminant && contaminant !== baseParams.contaminant && CONTAMINANTS.some(c => c.id === contaminant)
+    ? applyContaminant(baseParams, contaminant)
+    : baseParams;
+  SUBSTRATE_SLOTS.forEach((slot, i) => {
+    const id = params[slot.choice];
+    if (id && id !== base[slot.choice] && SUBSTRATES.some(s => s.id === id)) base = applySubstrate(base, i, id);
+  });
+  GUILD_SLOTS.forEach((slot, i) => {
+    const id = params[slot.choice];
+    if (id && id !== base[slot.choice] && GUILDS.some(g => g.id === id)) base = applyGuild(base, i, id);
+  });
+  return base;
+};
+
+const checkScenario = ({ name, params }, targets) => {
+  const unknown = Object.keys(params)
+    .filter(key => !(key in DEFAULT_PARAMS))
+    .map(key => ({ key, message: 'parámetro desconocido' }));
+  const { errors } = validateParams(params);
+  // El contaminante ya es válido: los objetivos se comprueban contra su cadena de metabolitos
+  const objectives = errors.length > 0 ? [] : targets
+    .map(({ spec, target }) => ({ key: spec, message: validateTarget(target, params.contaminant) }))
+    .filter(e => e.message);
+  return [...unknown, ...errors, ...objectives].map(e => `  ${name}: ${e.key} ${e.message}`);
+};
+
+const safeFileName = (name) => String(name).replace(/[^\w.-]+/g, '_');
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return 'N/A';
+  if (typeof value === 'number') return value.toFixed(2);
+  return String(value);
+};
+
+// Variables de respuesta de todos los escenarios, en el orden de sus definiciones; las de los
+// co-sustratos van aparte para que sus columnas existan aunque ningún escenario los use
+const metricColumns = (scenarios) => [...new Set(scenarios.flatMap(s => metricDefinitionsFor(s.params).map(m => m.key)))]
+  .filter(key => !SUBSTRATE_COLUMNS.includes(key));
+
+const printSummary = (rows, metrics) => {
+  const headers = ['name', ...metrics.filter(key => /^(T\d|removal_day)/.test(key)), ...PRINTED_METRICS];
+  const cells = rows.map(r => headers.map(h => formatCell(r[h])));
+  const widths = headers.map((h, i) => Math.max(h.length, ...cells.map(c => c[i].length)));
+  const line = (values) => values.map((v, i) => v.padStart(widths[i])).join('  ');
+  console.log(line(headers));
+  cells.forEach(c => console.log(line(c)));
+};
+
+const main = async (argv) => {
+  let args;
+  try {
+    args = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        preset: { type: 'string', short: 'p', default: DEFAULT_PRESET },
+        set: { type: 'string', short: 's', multiple: true },
+        profile: { type: 'string', multiple: true },
+        target: { type: 'string', short: 't', multiple: true },
+        out: { type: 'string', short: 'o', default: 'bioslurry-output' },
+        format: { type: 'string', short: 'f', default: 'csv' },
+        resolution: { type: 'string', short: 'r' },
+        solver: { type: 'string' },
+        rtol: { type: 'string' },
+        atol: { type: 'string' },
+        jobs: { type: 'string', short: 'j', default: '1' },
+        quiet: { type: 'boolean', short: 'q', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+
+  const { values, positionals } = args;
+  if (values.help) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+  if (positionals.length > 1) throw new UsageError('Solo se admite un archivo de parámetros');
+  const formats = new Set(values.format.split(',').map(f => f.trim()).flatMap(f => (f === 'both' ? ['csv', 'json'] : [f])));
+  const unknownFormat = [...formats].find(f => !OUTPUT_FORMATS.includes(f));
+  if (unknownFormat !== undefined) throw new UsageError(`Formato de salida desconocido: ${unknownFormat}`);
+  const resolution = values.resolution === undefined ? 0 : toNumber('resolution', values.resolution);
+  if (resolution < 0) throw new UsageError('--resolution debe ser un número de horas positivo');
+  if (!PRESETS.some(p => p.id === values.preset)) {
+    throw new UsageError(`Configuración predefinida desconocida: ${values.preset}`);
+  }
+  if (values.solver && !SOLVER_METHODS[values.solver]) {
+    throw new UsageError(`Método de integración desconocido: ${values.solver}`);
+  }
+  const jobs = toNumber('jobs', values.jobs);
+  if (!Number.isInteger(jobs) || jobs < 0) throw new UsageError('--jobs debe ser un número entero de hilos (0 = todos)');
+
+  const overrides = { ...parseOverrides(values.set), ...(await loadProfiles(values.profile)) };
+  const targets = parseTargets(values.target);
+  const solverOverrides = {
+    ...(values.solver && { method: values.solver }),
+    ...(values.rtol && { rtol: toNumber('rtol', values.rtol) }),
+    ...(values.atol && { atol: toNumber('atol', values.atol) }),
+  };
+
+  const baseParams = getPreset(values.preset).params;
+  const scenarios = (await loadScenarios(positionals[0], values.preset)).map(s => {
+    const explicit = { ...s.params, ...overrides };
+    return {
+      name: s.name,
+      params: { ...scenarioBase(baseParams, explicit), ...explicit },
+      solver: { ...DEFAULT_SOLVER, ...s.solver, ...solverOverrides },
+    };
+  });
+
+  const problems = scenarios.flatMap(s => checkScenario(s, targets));
+  if (problems.length > 0) {
+    console.error(`Parámetros inválidos:\n${problems.join('\n')}`);
+    return EXIT_INVALID_PARAMS;
+  }
+  // Los avisos (pasos inestables, biomasa que no puede crecer...) no impiden simular
+  const notices = values.quiet ? [] : scenarios.flatMap(s => checkParameters(s.params, s.solver).warnings
+    .map(w => `  ${s.name}: ${w.key} ${w.message}`));
+  if (notices.length > 0) console.error(`Avisos:\n${notices.join('\n')}`);
+
+  await mkdir(values.out, { recursive: true });
+
+  // Con varios hilos todos los escenarios se encolan a la vez; las salidas se escriben
+  // igualmente en el orden de los escenarios
+  const runner = jobs === 1 ? localRunner : createThreadPool(jobs || availableThreads());
+  const submit = (scenario) => runner.run({ type: 'simulate', params: scenario.params, solver: scenario.solver })
+    .then(value => ({ value }), err => ({ error: err.message }));
+  const pending = runner === localRunner ? [] : scenarios.map(submit);
+
+  const summary = [];
+  let failed = false;
+  try {
+    for (const [i, scenario] of scenarios.entries()) {
+      const outcome = await (pending[i] ?? submit(scenario));
+      if (outcome.error) {
+        console.error(`${scenario.name}: ${outcome.error}`);
+        failed = true;
+        continue;
+      }
+      const { params } = scenario;
+      const run = outcome.value;
+      if (run.mass_balance.exceeded && !values.quiet) {
+        const open = run.mass_balance.elements.filter(e => e.max_error > run.mass_balance.tolerance);
+        console.error(`${scenario.name}: el balance no cierra (${open.map(e => `${e.label} ${e.max_error.toFixed(1)} %`).join(', ')})`);
+      }
+
+      const { metrics } = run;
+      const compliance = targets.length > 0
+        ? evaluateTargets(run.results, targets.map(t => t.target), params.contaminant)
+        : null;
+      const file = path.join(values.out, safeFileName(scenario.name));
+      const columns = seriesColumns(params).map(c => c.key);
+      const results = resampleResults(run.results, resolution);
+      const exported = { ...run, params, solver: scenario.solver, metrics, compliance };
+      const exportOptions = { name: scenario.name, step_h: resolution, columns };
+      if (formats.has('csv')) {
+        await writeFile(`${file}.csv`, toCSV(columns, results) + '\n');
+      }
+      if (formats.has('xlsx')) {
+        await writeFile(`${file}.xlsx`, exportWorkbook(exported, exportOptions));
+      }
+      if (formats.has('html')) {
+        await writeFile(`${file}.html`, buildReport(exported, exportOptions));
+      }
+      if (formats.has('json')) {
+        const bundle = {
+          name: scenario.name,
+          params,
+          solver: scenario.solver,
+          stats: run.stats,
+          metrics,
+          steady_state: run.steady_state,
+          mass_balance: run.mass_balance,
+          ...(compliance && { compliance }),
+          ...(params.events.length > 0 && { events: eventTable(params, run.events) }),
+          results,
+        };
+        await writeFile(`${file}.json`, JSON.stringify(bundle, null, 2) + '\n');
+      }
+
+      summary.push({
+        name: scenario.name,
+        contaminant: params.contaminant,
+        cosubstrate_1: params.cosubstrate_1,
+        cosubstrate_2: params.cosubstrate_2,
+        ...metrics,
+        steady_state_day: run.steady_state?.time_days ?? null,
+        ...(compliance && {
+          compliance_day: compliance.time_days,
+          ...Object.fromEntries(targets.map((t, i) => [t.column, compliance.targets[i].time_days])),
+        }),
+        ...Object.fromEntries(run.mass_balance.elements.map(e => [`balance_${e.key}`, e.max_error])),
+        steps: run.stats.steps,
+        rejected_steps: run.stats.rejected_steps,
+      });
+    }
+  } finally {
+    runner.terminate();
+  }
+
+  const summaryColumns = [
+    'name', 'contaminant', 'cosubstrate_1', 'cosubstrate_2', ...metricColumns(scenarios), ...SUBSTRATE_COLUMNS,
+    'steady_state_day', ...(targets.length > 0 ? ['compliance_day', ...targets.map(t => t.column)] : []),
+    ...BALANCE_COLUMNS, 'steps', 'rejected_steps',
+  ];
+  await writeFile(path.join(values.out, 'summary.csv'), toCSV(summaryColumns, summary) + '\n');
+  await writeFile(path.join(values.out, 'summary.json'), JSON.stringify(summary, null, 2) + '\n');
+
+  if (!values.quiet && summary.length > 0) printSummary(summary, metricColumns(scenarios));
+  return failed ? EXIT_SIMULATION : EXIT_OK;
+};
+
+main(process.argv.slice(2))
+  .then(code => { process.exitCode = code; })
+  .catch(err => {
+    console.error(err instanceof UsageError ? `${err.message}\n\n${USAGE}` : err.stack);
+    process.exitCode = err instanceof UsageError ? EXIT_USAGE : EXIT_SIMULATION;
+  });
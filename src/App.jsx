@@ -1,134 +1,85 @@
 import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
 import { Canvas, useFrame } from '@react-three/fiber';
 import { OrbitControls, Text, Cylinder, Sphere, Box } from '@react-three/drei';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, AreaChart, Area } from 'recharts';
+import {
+  ComposedChart, Line, Scatter, ErrorBar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, AreaChart, Area, ReferenceLine,
+} from 'recharts';
 import * as THREE from 'three';
-
-// ============================================================================
-// CONFIGURACIÓN DE PARÁMETROS POR DEFECTO
-// ============================================================================
-const DEFAULT_PARAMS = {
-  // Condiciones iniciales
-  C_G_aq_0: 100,      // Concentración inicial de glifosato en agua (mg/L)
-  C_G_s_0: 0,         // Concentración inicial de glifosato en sólido (mg/kg)
-  C_A_aq_0: 0,        // Concentración inicial de AMPA (mg/L)
-  X_0: 10,            // Biomasa inicial (mg/L)
-  
-  // Parámetros cinéticos
-  k_max: 0.08,        // Tasa máxima de degradación (1/h)
-  K_s: 20,            // Constante de semisaturación (mg/L)
-  mu_max: 0.05,       // Tasa máxima de crecimiento microbiano (1/h)
-  k_d: 0.005,         // Tasa de muerte microbiana (1/h)
-  Y_x: 0.3,           // Rendimiento biomasa/sustrato (mg biomasa/mg glifosato)
-  
-  // Parámetros de sorción
-  K_d: 50,            // Coeficiente de distribución (L/kg)
-  k_sorp: 0.1,        // Tasa de sorción (1/h)
-  theta: 0.1,         // Relación sólido/líquido (kg/L)
-  
-  // Parámetros AMPA
-  Y_A: 0.6,           // Rendimiento AMPA/glifosato (mol/mol)
-  k_A: 0.02,          // Tasa de degradación de AMPA (1/h)
-  
-  // Tiempo de simulación
-  t_final: 336,       // Tiempo final (horas) = 14 días
-  dt: 0.5,            // Paso de tiempo (horas)
-};
-
-// ============================================================================
-// MOTOR DE SIMULACIÓN - ECUACIONES DIFERENCIALES
-// ============================================================================
-const runSimulation = (params) => {
-  const {
-    C_G_aq_0, C_G_s_0, C_A_aq_0, X_0,
-    k_max, K_s, mu_max, k_d, Y_x,
-    K_d, k_sorp, theta,
-    Y_A, k_A,
-    t_final, dt
-  } = params;
-
-  let C_G_aq = C_G_aq_0;
-  let C_G_s = C_G_s_0;
-  let C_A_aq = C_A_aq_0;
-  let X = X_0;
-
-  const results = [];
-  const C_total_0 = C_G_aq_0 + theta * C_G_s_0;
-
-  for (let t = 0; t <= t_final; t += dt) {
-    const monod = C_G_aq / (K_s + C_G_aq + 1e-10);
-    
-    const r_degradation = k_max * monod * X;
-    const r_sorption = k_sorp * (C_G_aq - C_G_s / K_d);
-    const r_growth = mu_max * monod * X;
-    const r_death = k_d * X;
-    const r_AMPA_formation = Y_A * r_degradation;
-    const r_AMPA_degradation = k_A * C_A_aq;
-
-    const dC_G_aq = -r_degradation - r_sorption;
-    const dC_G_s = r_sorption / theta;
-    const dC_A_aq = r_AMPA_formation - r_AMPA_degradation;
-    const dX = r_growth - r_death;
-
-    const C_total = C_G_aq + theta * C_G_s;
-    const removal_percent = 100 * (1 - C_total / C_total_0);
-    
-    results.push({
-      time_h: t,
-      time_days: t / 24,
-      C_G_aq: Math.max(0, C_G_aq),
-      C_G_s: Math.max(0, C_G_s),
-      C_A_aq: Math.max(0, C_A_aq),
-      X: Math.max(0, X),
-      C_total: Math.max(0, C_total),
-      removal_percent: Math.min(100, Math.max(0, removal_percent)),
-      monod_factor: monod,
-      r_degradation,
-      r_sorption
-    });
-
-    C_G_aq = Math.max(0, C_G_aq + dC_G_aq * dt);
-    C_G_s = Math.max(0, C_G_s + dC_G_s * dt);
-    C_A_aq = Math.max(0, C_A_aq + dC_A_aq * dt);
-    X = Math.max(0, X + dX * dt);
-  }
-
-  return results;
-};
-
-const calculateMetrics = (results, params) => {
-  const day3 = results.find(r => Math.abs(r.time_days - 3) < 0.1) || results[0];
-  const day7 = results.find(r => Math.abs(r.time_days - 7) < 0.1) || results[0];
-  const day14 = results.find(r => Math.abs(r.time_days - 14) < 0.1) || results[results.length - 1];
-  
-  const X_max_point = results.reduce((max, r) => r.X > max.X ? r : max, results[0]);
-  const AMPA_peak = results.reduce((max, r) => r.C_A_aq > max.C_A_aq ? r : max, results[0]);
-  
-  const T90_point = results.find(r => r.removal_percent >= 90);
-  const T90 = T90_point ? T90_point.time_days : null;
-
-  return {
-    removal_day3: day3.removal_percent,
-    removal_day7: day7.removal_percent,
-    removal_day14: day14.removal_percent,
-    C_G_aq_day3: day3.C_G_aq,
-    C_G_aq_day7: day7.C_G_aq,
-    C_G_aq_day14: day14.C_G_aq,
-    X_max: X_max_point.X,
-    t_X_max: X_max_point.time_days,
-    X_final: results[results.length - 1].X,
-    C_A_peak: AMPA_peak.C_A_aq,
-    t_A_peak: AMPA_peak.time_days,
-    T90: T90,
-    final_removal: results[results.length - 1].removal_percent
-  };
-};
+import {
+  DEFAULT_CONTAMINANT,
+  DEFAULT_PARAMS,
+  DISTRIBUTION_TYPES,
+  FIXED_PARAMS,
+  GUILD_SLOTS,
+  JobCancelledError,
+  PARAMETER_CHOICES,
+  PHASE_LABELS,
+  PRESETS,
+  PRINCIPAL_GUILD_COLOR,
+  SOLVER_METHODS,
+  SUBSTRATE_SLOTS,
+  TIME_STEP_PARAMETER,
+  WARNING_KINDS,
+  activeEnvironment,
+  activeGuilds,
+  activeSubstrates,
+  aerationIntensity,
+  appliesTo,
+  applyContaminant,
+  applyGuild,
+  applySubstrate,
+  calculateMetrics,
+  checkParameters,
+  compartmentLayout,
+  createProject,
+  decodeShareState,
+  defaultDistribution,
+  detectSteadyState,
+  encodeShareState,
+  evaluateTargets,
+  formatFormula,
+  getContaminant,
+  getPreset,
+  hydraulicRetentionTime,
+  lagEnabled,
+  metaboliteChain,
+  metricDefinitionsFor,
+  modelEquations,
+  molarMass,
+  oxygenEnabled,
+  parameterGroupsFor,
+  parameterLabel,
+  parseProject,
+  runMonteCarlo,
+  localRunner,
+  sbrCycleLength,
+  sorptionPools,
+  spatialEnabled,
+  transferCoefficient,
+  validateCheckpointDays,
+  validateRemovalThresholds,
+  validateTarget,
+} from './engine/index.js';
+import SensitivityPanel from './components/SensitivityPanel.jsx';
+import CalibrationPanel from './components/CalibrationPanel.jsx';
+import CompliancePanel from './components/CompliancePanel.jsx';
+import DatasetPanel from './components/DatasetPanel.jsx';
+import ExportDialog from './components/ExportDialog.jsx';
+import ProjectControls from './components/ProjectControls.jsx';
+import JobIndicator from './components/JobIndicator.jsx';
+import EnvironmentControls from './components/EnvironmentControls.jsx';
+import EventSchedule from './components/EventSchedule.jsx';
+import { NumericInput, ParameterIssues } from './components/ParameterInput.jsx';
+import { DistributionEditor, UncertaintySettings } from './components/UncertaintyControls.jsx';
+import { SCENARIO_COLORS, ScenarioManager, ScenarioMetricsTable, ScenarioOverlayChart } from './components/ScenarioControls.jsx';
+import { loadStored, saveStored } from './utils/storage.js';
+import { createBrowserPool, useAbortSignal } from './utils/workers.js';
 
 // ============================================================================
 // COMPONENTES 3D DEL REACTOR
 // ============================================================================
 
-const ContaminantParticles = ({ concentration, maxConcentration, phase = 'aqueous' }) => {
+const ContaminantParticles = ({ concentration, maxConcentration, color, phase = 'aqueous' }) => {
   const particlesRef = useRef();
   const count = Math.floor((concentration / maxConcentration) * 200) + 10;
   
@@ -157,8 +108,6 @@ const ContaminantParticles = ({ concentration, maxConcentration, phase = 'aqueou
     }
   });
 
-  const color = phase === 'aqueous' ? '#ff6b6b' : '#ffa502';
-
   return (
     <points ref={particlesRef}>
       <bufferGeometry>
@@ -180,7 +129,9 @@ const ContaminantParticles = ({ concentration, maxConcentration, phase = 'aqueou
   );
 };
 
-const BacteriaParticles = ({ biomass, maxBiomass }) => {
+// Una población por gremio, en el color de su registro; durante la fase de latencia el
+// brillo sigue al estado fisiológico α
+const BacteriaParticles = ({ biomass, maxBiomass, color = PRINCIPAL_GUILD_COLOR, activity = 1 }) => {
   const groupRef = useRef();
   const count = Math.floor((biomass / maxBiomass) * 50) + 5;
 
@@ -209,14 +160,14 @@ const BacteriaParticles = ({ biomass, maxBiomass }) => {
     <group ref={groupRef}>
       {positions.map((pos, i) => (
         <Sphere key={i} args={[0.06, 8, 8]} position={[pos.x, pos.y, pos.z]}>
-          <meshStandardMaterial color="#2ed573" emissive="#2ed573" emissiveIntensity={0.3} />
+          <meshStandardMaterial color={color} emissive={color} emissiveIntensity={0.05 + 0.25 * activity} />
         </Sphere>
       ))}
     </group>
   );
 };
 
-const AMPAParticles = ({ concentration, maxConcentration }) => {
+const MetaboliteParticles = ({ concentration, maxConcentration, color }) => {
   const particlesRef = useRef();
   const count = Math.floor((concentration / Math.max(maxConcentration, 1)) * 100) + 5;
 
@@ -250,7 +201,7 @@ const AMPAParticles = ({ concentration, maxConcentration }) => {
       </bufferGeometry>
       <pointsMaterial
         size={0.05}
-        color="#a55eea"
+        color={color}
         transparent
         opacity={0.7}
         sizeAttenuation
@@ -259,12 +210,14 @@ const AMPAParticles = ({ concentration, maxConcentration }) => {
   );
 };
 
-const AgitatorBlades = () => {
+// La velocidad de giro y la densidad de burbujas siguen a la agitación y a la aireación
+// (intensidad 1 = 200 rpm y 0,5 vvm o el kLa de referencia)
+const AgitatorBlades = ({ speed = 1 }) => {
   const bladesRef = useRef();
 
   useFrame(() => {
     if (bladesRef.current) {
-      bladesRef.current.rotation.y += 0.02;
+      bladesRef.current.rotation.y += 0.02 * speed;
     }
   });
 
@@ -284,31 +237,36 @@ const AgitatorBlades = () => {
   );
 };
 
-const AerationBubbles = () => {
+const AerationBubbles = ({ intensity = 1 }) => {
   const [bubbles, setBubbles] = useState([]);
+  const nextId = useRef(0);
 
   useEffect(() => {
+    // Burbujas nuevas esperadas por intervalo; con intensidad 1, una de cada tres veces
+    const rate = 0.3 * intensity;
+    const maxBubbles = Math.min(120, Math.ceil(30 * intensity));
     const interval = setInterval(() => {
       setBubbles(prev => {
         const newBubbles = prev
           .map(b => ({ ...b, y: b.y + 0.05 }))
           .filter(b => b.y < 2);
-        
-        if (Math.random() > 0.7) {
+
+        const count = Math.floor(rate) + (Math.random() < rate % 1 ? 1 : 0);
+        for (let i = 0; i < count; i++) {
           newBubbles.push({
-            id: Date.now(),
+            id: nextId.current++,
             x: (Math.random() - 0.5) * 2,
             y: -2,
             z: (Math.random() - 0.5) * 2,
             size: 0.02 + Math.random() * 0.03
           });
         }
-        return newBubbles.slice(-30);
+        return maxBubbles > 0 ? newBubbles.slice(-maxBubbles) : [];
       });
     }, 100);
 
     return () => clearInterval(interval);
-  }, []);
+  }, [intensity]);
 
   return (
     <group>
@@ -326,8 +284,102 @@ const AerationBubbles = () => {
   );
 };
 
+// Tubería de alimentación o descarga con partículas que avanzan mientras hay caudal
+const FlowPipe = ({ from, to, active, color }) => {
+  const particlesRef = useRef();
+  const length = Math.abs(to - from);
+  const direction = Math.sign(to - from);
+
+  useFrame((state) => {
+    if (!particlesRef.current) return;
+    particlesRef.current.children.forEach((child, i) => {
+      const progress = (state.clock.elapsedTime * 0.6 + i / 6) % 1;
+      child.position.x = direction * progress * length;
+    });
+  });
+
+  return (
+    <group position={[from, 0, 0]}>
+      <Cylinder args={[0.12, 0.12, length, 12]} position={[direction * length / 2, 0, 0]} rotation={[0, 0, Math.PI / 2]}>
+        <meshStandardMaterial color="#7f8c8d" metalness={0.8} roughness={0.3} transparent opacity={0.5} />
+      </Cylinder>
+      {active && (
+        <group ref={particlesRef}>
+          {Array.from({ length: 6 }, (_, i) => (
+            <Sphere key={i} args={[0.07, 8, 8]}>
+              <meshStandardMaterial color={color} emissive={color} emissiveIntensity={0.5} />
+            </Sphere>
+          ))}
+        </group>
+      )}
+    </group>
+  );
+};
+
+// Reactor por zonas: cada capa y el lecho se tiñen con su propia concentración, entre el color
+// del agua (o del lodo) y el del contaminante; la opacidad de las capas sigue a sus sólidos
+const COLUMN_BOTTOM = -2.5;
+const COLUMN_HEIGHT = 3.25;
+// Grosor mínimo del lecho en la vista, para que se vea aunque su volumen sea pequeño
+const MIN_BED_HEIGHT = 0.25;
+
+const ZoneLayers = ({ currentData, params, contaminant }) => {
+  const layout = useMemo(() => compartmentLayout(params), [params]);
+  const bed = layout.compartments.find(c => c.bed);
+  const bedHeight = bed ? Math.max(MIN_BED_HEIGHT, bed.top * COLUMN_HEIGHT) : 0;
+  const zoneHeight = (COLUMN_HEIGHT - bedHeight) / params.n_zones;
+  const sorbedScale = Math.max(params.C_G_aq_0 * 2, params.C_G_s_0);
+  const tint = (base, color, fraction) => `#${new THREE.Color(base).lerp(new THREE.Color(color), Math.min(1, Math.max(0, fraction))).getHexString()}`;
+
+  return (
+    <group>
+      {layout.compartments.map((c, k) => {
+        const height = c.bed ? bedHeight : zoneHeight;
+        const center = c.bed ? COLUMN_BOTTOM + bedHeight / 2 : COLUMN_BOTTOM + bedHeight + (params.n_zones - 1 - k + 0.5) * zoneHeight;
+        const aqueous = currentData[`C_G_aq_${c.key}`] ?? 0;
+        const value = c.bed ? `${(currentData[`C_G_s_${c.key}`] ?? 0).toFixed(1)} mg/kg` : `${aqueous.toFixed(1)} mg/L`;
+        return (
+          <group key={c.key}>
+            <Cylinder args={[2.1, 2.1, height * 0.98, 32]} position={[0, center, 0]}>
+              {c.bed ? (
+                <meshStandardMaterial color={tint('#795548', contaminant.sorbedColor, (currentData[`C_G_s_${c.key}`] ?? 0) / sorbedScale)} roughness={0.9} />
+              ) : (
+                <meshPhysicalMaterial
+                  color={tint('#74b9ff', contaminant.color, aqueous / params.C_G_aq_0)}
+                  transparent
+                  opacity={0.3 + 0.4 * Math.min(1, c.theta / params.theta_bed)}
+                  roughness={0}
+                  transmission={0.6}
+                />
+              )}
+            </Cylinder>
+            <Text position={[-2.4, center, 0]} fontSize={0.13} color="#2c3e50" anchorX="right">
+              {c.bed ? 'Lecho' : c.key}: {value}
+            </Text>
+          </group>
+        );
+      })}
+    </group>
+  );
+};
+
 const BioslurryReactor = ({ currentData, params }) => {
   const waterRef = useRef();
+  const contaminant = getContaminant(params.contaminant);
+  const chain = metaboliteChain(params.contaminant);
+  const substrates = activeSubstrates(params);
+  const guilds = activeGuilds(params);
+  const populations = guilds.length === 0
+    ? [{ key: 'X', initial: 'X_0', name: 'Biomasa', color: PRINCIPAL_GUILD_COLOR }]
+    : [
+      { key: 'X_G1', initial: 'X_0', name: 'Gremio principal', color: PRINCIPAL_GUILD_COLOR },
+      ...guilds.map(g => ({ key: g.key, initial: g.initial, name: g.guild.name, color: g.guild.color })),
+    ];
+  // Las leyendas de metabolitos y co-sustratos van debajo de las de las poblaciones
+  const legendOffset = populations.length - 1;
+  const { aeration, agitation } = aerationIntensity(params);
+  // Carga inicial por litro de slurry: escala de los metabolitos cuando el contaminante está sorbido
+  const load = params.C_G_aq_0 + params.theta * params.C_G_s_0;
 
   useFrame((state) => {
     if (waterRef.current) {
@@ -335,8 +387,11 @@ const BioslurryReactor = ({ currentData, params }) => {
     }
   });
 
-  const waterLevel = 2.5;
+  // En el SBR el nivel del líquido sigue al volumen durante el llenado y el vaciado
+  const fillFraction = currentData.V ? Math.min(1, currentData.V / params.V_r) : 1;
+  const waterLevel = 2.5 * fillFraction;
   const sedimentLevel = 0.8;
+  const zoned = spatialEnabled(params);
 
   return (
     <group>
@@ -362,70 +417,117 @@ const BioslurryReactor = ({ currentData, params }) => {
         <meshStandardMaterial color="#34495e" metalness={0.8} roughness={0.2} />
       </Cylinder>
 
-      {/* Agua/medio líquido */}
-      <group ref={waterRef}>
-        <Cylinder args={[2.1, 2.1, waterLevel, 32]} position={[0, -0.5, 0]}>
-          <meshPhysicalMaterial
-            color="#74b9ff"
-            transparent
-            opacity={0.4}
-            roughness={0}
-            transmission={0.6}
-          />
-        </Cylinder>
-      </group>
-
-      {/* Sedimento/lodo */}
-      <Cylinder args={[2.1, 2.1, sedimentLevel, 32]} position={[0, -2.1, 0]}>
-        <meshStandardMaterial color="#795548" roughness={0.9} />
-      </Cylinder>
+      {zoned ? (
+        <ZoneLayers currentData={currentData} params={params} contaminant={contaminant} />
+      ) : (
+        <>
+          {/* Agua/medio líquido */}
+          <group ref={waterRef}>
+            <Cylinder args={[2.1, 2.1, waterLevel, 32]} position={[0, -1.75 + waterLevel / 2, 0]}>
+              <meshPhysicalMaterial
+                color="#74b9ff"
+                transparent
+                opacity={0.4}
+                roughness={0}
+                transmission={0.6}
+              />
+            </Cylinder>
+          </group>
+
+          {/* Sedimento/lodo */}
+          <Cylinder args={[2.1, 2.1, sedimentLevel, 32]} position={[0, -2.1, 0]}>
+            <meshStandardMaterial color="#795548" roughness={0.9} />
+          </Cylinder>
+        </>
+      )}
 
       {/* Agitador central */}
       <Cylinder args={[0.08, 0.08, 4, 8]} position={[0, 0.5, 0]}>
         <meshStandardMaterial color="#7f8c8d" metalness={0.9} />
       </Cylinder>
 
-      <AgitatorBlades />
+      <AgitatorBlades speed={agitation} />
 
       <ContaminantParticles 
         concentration={currentData.C_G_aq} 
         maxConcentration={params.C_G_aq_0}
+        color={contaminant.color}
         phase="aqueous"
       />
 
       <ContaminantParticles 
         concentration={currentData.C_G_s} 
-        maxConcentration={params.C_G_aq_0 * 2}
+        maxConcentration={Math.max(params.C_G_aq_0 * 2, params.C_G_s_0)}
+        color={contaminant.sorbedColor}
         phase="solid"
       />
 
-      <BacteriaParticles 
-        biomass={currentData.X} 
-        maxBiomass={params.X_0 * 5}
-      />
+      {populations.map(p => (
+        <BacteriaParticles
+          key={p.key}
+          biomass={currentData[p.key] ?? 0}
+          maxBiomass={Math.max(params[p.initial], 1) * 5}
+          color={p.color}
+          activity={currentData.alpha ?? 1}
+        />
+      ))}
 
-      <AMPAParticles 
-        concentration={currentData.C_A_aq}
-        maxConcentration={params.C_G_aq_0 * 0.5}
-      />
+      {chain.map(m => (
+        <MetaboliteParticles
+          key={m.key}
+          concentration={currentData[m.key] ?? 0}
+          maxConcentration={load * 0.5}
+          color={m.color}
+        />
+      ))}
+
+      {substrates.map(s => (
+        <MetaboliteParticles
+          key={s.key}
+          concentration={currentData[s.key] ?? 0}
+          maxConcentration={Math.max(params[s.initial], params[s.feed], 1)}
+          color={s.substrate.color}
+        />
+      ))}
 
-      <AerationBubbles />
+      {/* Una intervención puede detener la aireación durante parte del tratamiento */}
+      <AerationBubbles intensity={currentData.aerated === false ? 0 : aeration} />
+
+      {params.mode !== 'batch' && (
+        <>
+          <group position={[0, 1.6, 0]}>
+            <FlowPipe from={-3.6} to={-2.2} active={currentData.Q_in > 0} color="#e74c3c" />
+          </group>
+          <group position={[0, -1.4, 0]}>
+            <FlowPipe from={2.2} to={3.6} active={currentData.Q_out > 0} color="#74b9ff" />
+          </group>
+        </>
+      )}
 
       <Text position={[0, 3.2, 0]} fontSize={0.25} color="#2c3e50">
         REACTOR BIOSLURRY
       </Text>
-      <Text position={[3, 1, 0]} fontSize={0.15} color="#e74c3c" anchorX="left">
-        ● Glifosato (aq)
-      </Text>
-      <Text position={[3, 0.6, 0]} fontSize={0.15} color="#f39c12" anchorX="left">
-        ● Glifosato (sorbido)
-      </Text>
-      <Text position={[3, 0.2, 0]} fontSize={0.15} color="#27ae60" anchorX="left">
-        ● Biomasa
+      <Text position={[3, 1, 0]} fontSize={0.15} color={contaminant.color} anchorX="left">
+        ● {contaminant.name} (aq)
       </Text>
-      <Text position={[3, -0.2, 0]} fontSize={0.15} color="#9b59b6" anchorX="left">
-        ● AMPA
+      <Text position={[3, 0.6, 0]} fontSize={0.15} color={contaminant.sorbedColor} anchorX="left">
+        ● {contaminant.name} (sorbido)
       </Text>
+      {populations.map((p, i) => (
+        <Text key={p.key} position={[3, 0.2 - 0.4 * i, 0]} fontSize={0.15} color={p.color} anchorX="left">
+          ● {p.name}
+        </Text>
+      ))}
+      {chain.map((m, i) => (
+        <Text key={m.key} position={[3, -0.2 - 0.4 * (legendOffset + i), 0]} fontSize={0.15} color={m.color} anchorX="left">
+          ● {m.name}
+        </Text>
+      ))}
+      {substrates.map((s, i) => (
+        <Text key={s.key} position={[3, -0.2 - 0.4 * (legendOffset + chain.length + i), 0]} fontSize={0.15} color={s.substrate.color} anchorX="left">
+          ● {s.substrate.name}
+        </Text>
+      ))}
     </group>
   );
 };
@@ -434,175 +536,627 @@ const BioslurryReactor = ({ currentData, params }) => {
 // COMPONENTES DE UI
 // ============================================================================
 
-const ParameterPanel = ({ params, setParams, onSimulate }) => {
-  const paramGroups = [
-    {
-      title: '🧪 Condiciones Iniciales',
-      params: [
-        { key: 'C_G_aq_0', label: 'Glifosato inicial (C_G,aq,0)', unit: 'mg/L', min: 1, max: 1000, step: 1 },
-        { key: 'X_0', label: 'Biomasa inicial (X₀)', unit: 'mg/L', min: 1, max: 100, step: 1 },
-      ]
-    },
-    {
-      title: '⚗️ Cinética de Biodegradación',
-      params: [
-        { key: 'k_max', label: 'Tasa máx. degradación (k_max)', unit: '1/h', min: 0.001, max: 1, step: 0.001 },
-        { key: 'K_s', label: 'Const. semisaturación (Ks)', unit: 'mg/L', min: 1, max: 100, step: 1 },
-        { key: 'mu_max', label: 'Tasa máx. crecimiento (μ_max)', unit: '1/h', min: 0.001, max: 0.5, step: 0.001 },
-        { key: 'k_d', label: 'Tasa muerte microbiana (k_d)', unit: '1/h', min: 0.0001, max: 0.1, step: 0.0001 },
-        { key: 'Y_x', label: 'Rendimiento biomasa (Y_x)', unit: 'mg/mg', min: 0.01, max: 1, step: 0.01 },
-      ]
-    },
-    {
-      title: '🔄 Sorción',
-      params: [
-        { key: 'K_d', label: 'Coef. distribución (Kd)', unit: 'L/kg', min: 1, max: 500, step: 1 },
-        { key: 'k_sorp', label: 'Tasa de sorción (k_sorp)', unit: '1/h', min: 0.001, max: 1, step: 0.001 },
-        { key: 'theta', label: 'Relación sólido/líquido (θ)', unit: 'kg/L', min: 0.01, max: 0.5, step: 0.01 },
-      ]
-    },
-    {
-      title: '☠️ Metabolito AMPA',
-      params: [
-        { key: 'Y_A', label: 'Rendimiento AMPA (Y_A)', unit: 'mol/mol', min: 0.1, max: 1, step: 0.01 },
-        { key: 'k_A', label: 'Degradación AMPA (k_A)', unit: '1/h', min: 0.001, max: 0.5, step: 0.001 },
-      ]
-    },
-    {
-      title: '⏱️ Simulación',
-      params: [
-        { key: 't_final', label: 'Tiempo final', unit: 'horas', min: 24, max: 720, step: 24 },
-      ]
-    }
-  ];
+const TOLERANCE_OPTIONS = [1e-3, 1e-4, 1e-5, 1e-6, 1e-8, 1e-10];
+
+const SolverSettings = ({ solver, setSolver, params, setParams, issuesFor }) => {
+  const { adaptive } = SOLVER_METHODS[solver.method];
+  const { key, label, unit, min, max, step } = TIME_STEP_PARAMETER;
+
+  return (
+    <div className="mb-6">
+      <h3 className="text-sm font-semibold text-slate-300 mb-3 border-b border-slate-700 pb-2">
+        🧮 Integrador Numérico
+      </h3>
+      <div className="space-y-3">
+        <select
+          value={solver.method}
+          onChange={(e) => setSolver({ ...solver, method: e.target.value })}
+          className="w-full bg-slate-800 text-slate-200 text-xs rounded-lg px-3 py-2 border border-slate-700"
+        >
+          {Object.entries(SOLVER_METHODS).map(([id, m]) => (
+            <option key={id} value={id}>{m.label}</option>
+          ))}
+        </select>
+        {adaptive && (
+          <div className="grid grid-cols-2 gap-2">
+            {[
+              { key: 'rtol', label: 'Tol. relativa' },
+              { key: 'atol', label: 'Tol. absoluta' },
+            ].map(({ key, label }) => (
+              <label key={key} className="text-xs text-slate-400">
+                {label}
+                <select
+                  value={solver[key]}
+                  onChange={(e) => setSolver({ ...solver, [key]: parseFloat(e.target.value) })}
+                  className="mt-1 w-full bg-slate-800 text-cyan-300 font-mono text-xs rounded-lg px-2 py-1 border border-slate-700"
+                >
+                  {TOLERANCE_OPTIONS.map(tol => (
+                    <option key={tol} value={tol}>{tol.toExponential(0)}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+        )}
+        <div>
+          <div className="flex justify-between items-center mb-1">
+            <label className="text-xs text-slate-400">{label}</label>
+            <NumericInput value={params[key]} unit={unit} onChange={(value) => setParams({ ...params, [key]: value })} />
+          </div>
+          <input
+            type="range"
+            min={min}
+            max={max}
+            step={step}
+            value={params[key]}
+            onChange={(e) => setParams({ ...params, [key]: parseFloat(e.target.value) })}
+            className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer"
+          />
+          <p className="text-[11px] text-slate-500 mt-1">
+            {adaptive ? 'Solo fija la malla de salida; el paso interno es adaptativo.' : 'Es también el paso del integrador.'}
+          </p>
+          <ParameterIssues {...issuesFor(key)} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const ParameterPanel = ({
+  params, setParams, solver, setSolver, preset, onPresetChange, onContaminantChange, uncertainty, setUncertainty,
+  progress, onSimulate, onCancel,
+}) => {
+  const { distributions } = uncertainty;
+  const presetInfo = PRESETS.find(p => p.id === preset);
+  const running = progress !== null;
+  const groups = parameterGroupsFor(params.mode, params.contaminant, params);
+  const choices = PARAMETER_CHOICES.filter(choice => !choice.section && appliesTo(choice.when, params));
+
+  // Los errores impiden simular; los avisos se muestran junto a su parámetro y, si este no
+  // está en el panel, en el resumen sobre el botón de ejecutar
+  const { errors, warnings } = useMemo(() => checkParameters(params, solver), [params, solver]);
+  const issuesFor = (key) => ({ errors: errors.filter(e => e.key === key), warnings: warnings.filter(w => w.key === key) });
+  const shownKeys = new Set([
+    ...groups.flatMap(g => g.params.map(p => p.key)),
+    ...choices.map(c => c.key),
+    TIME_STEP_PARAMETER.key,
+    'events',
+  ]);
+  const unplaced = [...errors, ...warnings].filter(issue => !shownKeys.has(issue.key));
+
+  const toggleDistribution = (key) => {
+    const next = { ...distributions };
+    if (next[key]) delete next[key];
+    else next[key] = defaultDistribution('normal', params[key]);
+    setUncertainty({ ...uncertainty, distributions: next });
+  };
+
+  // El contaminante, los co-sustratos y los gremios traen sus constantes del registro
+  const changeChoice = (key, value) => {
+    const slot = SUBSTRATE_SLOTS.findIndex(s => s.choice === key);
+    const guild = GUILD_SLOTS.findIndex(g => g.choice === key);
+    if (key === 'contaminant') onContaminantChange(value);
+    else if (slot >= 0) setParams(applySubstrate(params, slot, value));
+    else if (guild >= 0) setParams(applyGuild(params, guild, value));
+    else setParams({ ...params, [key]: value });
+  };
 
   return (
     <div className="bg-slate-900/80 backdrop-blur-xl rounded-2xl p-6 border border-slate-700/50 shadow-2xl">
       <h2 className="text-xl font-bold text-cyan-400 mb-6 flex items-center gap-2">
         <span className="text-2xl">⚙️</span> Panel de Control
       </h2>
-      
-      {paramGroups.map((group, idx) => (
+
+      <div className="mb-4">
+        <label className="text-xs text-slate-400">
+          Configuración predefinida
+          <div className="flex gap-2 mt-1">
+            <select
+              value={preset ?? ''}
+              onChange={(e) => onPresetChange(e.target.value)}
+              className="flex-1 min-w-0 bg-slate-800 text-slate-200 text-xs rounded-lg px-2 py-2 border border-slate-700"
+            >
+              {!presetInfo && <option value="">Personalizada</option>}
+              {PRESETS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+            </select>
+            {presetInfo && (
+              <button
+                onClick={() => onPresetChange(preset)}
+                className="px-3 bg-slate-800 hover:bg-slate-700 text-slate-300 rounded-lg border border-slate-700"
+                title="Restablecer los valores de la configuración"
+              >
+                ↺
+              </button>
+            )}
+          </div>
+        </label>
+        {presetInfo && <p className="text-[11px] text-slate-500 mt-1">{presetInfo.description}</p>}
+      </div>
+
+      <div className="mb-4 space-y-3">
+        {choices.map(choice => {
+          const selected = choice.options.find(o => o.value === params[choice.key]);
+          return (
+            <label key={choice.key} className="block text-xs text-slate-400">
+              {choice.label}
+              <select
+                value={params[choice.key]}
+                onChange={(e) => changeChoice(choice.key, e.target.value)}
+                className="mt-1 w-full bg-slate-800 text-slate-200 text-xs rounded-lg px-2 py-2 border border-slate-700"
+              >
+                {choice.options.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+              </select>
+              {selected?.description && <span className="block text-[11px] text-slate-500 mt-1">{selected.description}</span>}
+              {choice.key === 'mode' && params.mode === 'cstr' && (
+                <span className="block text-[11px] text-slate-500 mt-1">TRH = V_r / Q_in = {hydraulicRetentionTime(params).toFixed(1)} h</span>
+              )}
+              {choice.key === 'mode' && params.mode === 'sbr' && (
+                <span className="block text-[11px] text-slate-500 mt-1">Duración del ciclo: {sbrCycleLength(params).toFixed(1)} h</span>
+              )}
+              <ParameterIssues {...issuesFor(choice.key)} />
+            </label>
+          );
+        })}
+      </div>
+
+      <label className="flex items-center gap-2 mb-6 text-sm text-slate-300 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={uncertainty.enabled}
+          onChange={(e) => setUncertainty({ ...uncertainty, enabled: e.target.checked })}
+        />
+        🎲 Modo incertidumbre (Monte Carlo)
+      </label>
+
+      <EnvironmentControls params={params} setParams={setParams} />
+
+      {groups.map((group, idx) => (
         <div key={idx} className="mb-6">
           <h3 className="text-sm font-semibold text-slate-300 mb-3 border-b border-slate-700 pb-2">
             {group.title}
           </h3>
           <div className="space-y-4">
-            {group.params.map((p) => (
-              <div key={p.key} className="group">
-                <div className="flex justify-between items-center mb-1">
-                  <label className="text-xs text-slate-400 group-hover:text-cyan-400 transition-colors">
-                    {p.label}
-                  </label>
-                  <span className="text-xs font-mono text-cyan-300 bg-slate-800 px-2 py-0.5 rounded">
-                    {params[p.key]} {p.unit}
-                  </span>
+            {group.params.map((p) => {
+              const canBeUncertain = uncertainty.enabled && !FIXED_PARAMS.includes(p.key);
+              const distribution = canBeUncertain && distributions[p.key];
+
+              return (
+                <div key={p.key} className="group">
+                  <div className="flex justify-between items-center mb-1">
+                    <label className="text-xs text-slate-400 group-hover:text-cyan-400 transition-colors">
+                      {p.label}
+                    </label>
+                    <div className="flex items-center gap-1">
+                      {canBeUncertain && (
+                        <button
+                          onClick={() => toggleDistribution(p.key)}
+                          title={distribution ? 'Usar valor fijo' : 'Asignar distribución'}
+                          className={`text-xs px-1 rounded ${distribution ? 'bg-cyan-700/60' : 'opacity-40 hover:opacity-100'}`}
+                        >
+                          🎲
+                        </button>
+                      )}
+                      {distribution ? (
+                        <span className="text-xs font-mono text-cyan-300 bg-slate-800 px-2 py-0.5 rounded">
+                          {DISTRIBUTION_TYPES[distribution.type].label} {p.unit}
+                        </span>
+                      ) : (
+                        <NumericInput
+                          value={params[p.key]}
+                          unit={p.unit}
+                          onChange={(value) => setParams({ ...params, [p.key]: value })}
+                        />
+                      )}
+                    </div>
+                  </div>
+                  {distribution ? (
+                    <DistributionEditor
+                      distribution={distribution}
+                      nominal={params[p.key]}
+                      onChange={(d) => setUncertainty({ ...uncertainty, distributions: { ...distributions, [p.key]: d } })}
+                    />
+                  ) : (
+                    <input
+                      type="range"
+                      min={p.min}
+                      max={p.max}
+                      step={p.step}
+                      value={params[p.key]}
+                      onChange={(e) => setParams({ ...params, [p.key]: parseFloat(e.target.value) })}
+                      className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer"
+                    />
+                  )}
+                  <ParameterIssues {...issuesFor(p.key)} />
                 </div>
-                <input
-                  type="range"
-                  min={p.min}
-                  max={p.max}
-                  step={p.step}
-                  value={params[p.key]}
-                  onChange={(e) => setParams({ ...params, [p.key]: parseFloat(e.target.value) })}
-                  className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer"
-                />
-              </div>
-            ))}
+              );
+            })}
           </div>
         </div>
       ))}
 
-      <button
-        onClick={onSimulate}
-        className="w-full py-3 px-6 bg-gradient-to-r from-cyan-500 to-blue-600 
-          text-white font-bold rounded-xl shadow-lg shadow-cyan-500/30
-          hover:shadow-cyan-500/50 hover:scale-[1.02] transition-all duration-300
-          flex items-center justify-center gap-2"
-      >
-        <span className="text-xl">▶️</span> EJECUTAR SIMULACIÓN
-      </button>
+      <EventSchedule params={params} setParams={setParams} issues={issuesFor('events')} />
+
+      {uncertainty.enabled && (
+        <div className="mb-6">
+          <h3 className="text-sm font-semibold text-slate-300 mb-3 border-b border-slate-700 pb-2">
+            🎲 Monte Carlo
+          </h3>
+          <UncertaintySettings uncertainty={uncertainty} setUncertainty={setUncertainty} params={params} />
+        </div>
+      )}
+
+      <SolverSettings solver={solver} setSolver={setSolver} params={params} setParams={setParams} issuesFor={issuesFor} />
+
+      {(errors.length > 0 || warnings.length > 0) && (
+        <div className={`mb-4 p-3 rounded-lg border text-xs ${
+          errors.length > 0 ? 'bg-red-900/30 border-red-700/50 text-red-300' : 'bg-amber-900/20 border-amber-700/40 text-amber-300'
+        }`}>
+          <p className="font-semibold">
+            {errors.length > 0
+              ? `✖ ${errors.length} ${errors.length === 1 ? 'parámetro inválido' : 'parámetros inválidos'}: corríjalos para simular`
+              : `⚠ ${warnings.length} ${warnings.length === 1 ? 'aviso' : 'avisos'} (${[...new Set(warnings.map(w => WARNING_KINDS[w.kind].toLowerCase()))].join(', ')})`}
+          </p>
+          {unplaced.length > 0 && (
+            <ul className="mt-1 space-y-0.5">
+              {unplaced.map((issue, i) => <li key={i}><span className="font-mono">{issue.key}</span>: {issue.message}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <button
+          onClick={onSimulate}
+          disabled={running || errors.length > 0}
+          className="flex-1 py-3 px-6 bg-gradient-to-r from-cyan-500 to-blue-600 
+            text-white font-bold rounded-xl shadow-lg shadow-cyan-500/30
+            hover:shadow-cyan-500/50 hover:scale-[1.02] transition-all duration-300
+            disabled:opacity-60 disabled:hover:scale-100
+            flex items-center justify-center gap-2"
+        >
+          {running ? (
+            <>⏳ {progress.label} {(progress.value * 100).toFixed(0)} %</>
+          ) : (
+            <><span className="text-xl">▶️</span> {uncertainty.enabled ? 'EJECUTAR MONTE CARLO' : 'EJECUTAR SIMULACIÓN'}</>
+          )}
+        </button>
+        {running && (
+          <button
+            onClick={onCancel}
+            className="px-4 py-3 bg-red-700 hover:bg-red-600 text-white text-sm font-bold rounded-xl transition-colors"
+            title="Cancelar la ejecución"
+          >
+            ✖
+          </button>
+        )}
+      </div>
+      {running && (
+        <div className="mt-2 w-full bg-slate-700 rounded-full h-1.5 overflow-hidden">
+          <div className="h-full bg-gradient-to-r from-cyan-500 to-blue-500" style={{ width: `${progress.value * 100}%` }} />
+        </div>
+      )}
     </div>
   );
 };
 
-const ContaminantInfo = () => (
-  <div className="bg-gradient-to-br from-red-900/40 to-orange-900/40 backdrop-blur-xl rounded-2xl p-6 border border-red-700/30">
-    <h2 className="text-xl font-bold text-red-400 mb-4 flex items-center gap-2">
-      <span className="text-2xl">☣️</span> Contaminante: Glifosato
-    </h2>
-    
-    <div className="grid grid-cols-2 gap-4 text-sm">
-      <div className="bg-slate-900/50 rounded-lg p-3">
-        <p className="text-slate-400 text-xs">Fórmula molecular</p>
-        <p className="text-white font-mono font-bold">C₃H₈NO₅P</p>
-      </div>
-      <div className="bg-slate-900/50 rounded-lg p-3">
-        <p className="text-slate-400 text-xs">Peso molecular</p>
-        <p className="text-white font-mono font-bold">169.07 g/mol</p>
+const formatNumber = (value) => value.toLocaleString('es-ES', { maximumSignificantDigits: 4 });
+
+const ContaminantInfo = ({ contaminant }) => {
+  const { name, family, formula, properties, metabolites, products, limits, impact } = contaminant;
+
+  return (
+    <div className="bg-gradient-to-br from-red-900/40 to-orange-900/40 backdrop-blur-xl rounded-2xl p-6 border border-red-700/30">
+      <h2 className="text-xl font-bold text-red-400 mb-1 flex items-center gap-2">
+        <span className="text-2xl">☣️</span> Contaminante: {name}
+      </h2>
+      <p className="text-xs text-slate-400 mb-4">{family}</p>
+
+      <div className="grid grid-cols-2 gap-4 text-sm">
+        <div className="bg-slate-900/50 rounded-lg p-3">
+          <p className="text-slate-400 text-xs">Fórmula molecular</p>
+          <p className="text-white font-mono font-bold">{formatFormula(formula)}</p>
+        </div>
+        <div className="bg-slate-900/50 rounded-lg p-3">
+          <p className="text-slate-400 text-xs">Peso molecular</p>
+          <p className="text-white font-mono font-bold">{molarMass(formula).toFixed(2)} g/mol</p>
+        </div>
+        <div className="bg-slate-900/50 rounded-lg p-3">
+          <p className="text-slate-400 text-xs">Solubilidad en agua</p>
+          <p className="text-white font-mono font-bold">{formatNumber(properties.solubility)} mg/L</p>
+        </div>
+        <div className="bg-slate-900/50 rounded-lg p-3">
+          <p className="text-slate-400 text-xs">Log Kow</p>
+          <p className="text-white font-mono font-bold">{properties.log_kow}</p>
+        </div>
       </div>
-      <div className="bg-slate-900/50 rounded-lg p-3">
-        <p className="text-slate-400 text-xs">Solubilidad en agua</p>
-        <p className="text-white font-mono font-bold">10,500 mg/L</p>
+
+      <div className="mt-4 p-3 bg-slate-900/50 rounded-lg">
+        <p className="text-slate-400 text-xs mb-1">Rutas de degradación (vida media en suelo: {properties.half_life})</p>
+        <div className="flex flex-wrap items-center gap-2 text-xs">
+          {[{ name, color: contaminant.color }, ...metabolites].map(c => (
+            <React.Fragment key={c.name}>
+              <span className="px-2 py-1 rounded" style={{ backgroundColor: `${c.color}4d`, color: c.color }}>{c.name}</span>
+              <span className="text-slate-500">→</span>
+            </React.Fragment>
+          ))}
+          <span className="px-2 py-1 bg-green-600/30 text-green-300 rounded">{products}</span>
+        </div>
       </div>
-      <div className="bg-slate-900/50 rounded-lg p-3">
-        <p className="text-slate-400 text-xs">Log Kow</p>
-        <p className="text-white font-mono font-bold">-3.2</p>
+
+      <div className="mt-4 p-3 bg-slate-900/50 rounded-lg">
+        <p className="text-slate-400 text-xs mb-1">Límites de referencia</p>
+        {limits.map(l => (
+          <div key={l.label} className="flex justify-between gap-2 text-xs">
+            <span className="text-slate-300">{l.label}</span>
+            <span className="text-white font-mono whitespace-nowrap">{formatNumber(l.value)} {l.unit}</span>
+          </div>
+        ))}
       </div>
-    </div>
 
-    <div className="mt-4 p-3 bg-slate-900/50 rounded-lg">
-      <p className="text-slate-400 text-xs mb-1">Rutas de degradación</p>
-      <div className="flex items-center gap-2 text-xs">
-        <span className="px-2 py-1 bg-red-600/30 text-red-300 rounded">Glifosato</span>
-        <span className="text-slate-500">→</span>
-        <span className="px-2 py-1 bg-purple-600/30 text-purple-300 rounded">AMPA</span>
-        <span className="text-slate-500">→</span>
-        <span className="px-2 py-1 bg-green-600/30 text-green-300 rounded">CO₂ + NH₃</span>
+      <div className="mt-4 p-3 bg-amber-900/30 rounded-lg border border-amber-700/30">
+        <p className="text-amber-400 text-xs font-semibold mb-1">⚠️ Impacto Ambiental</p>
+        <p className="text-slate-300 text-xs">{impact}</p>
       </div>
     </div>
+  );
+};
+
+// Métricas cuya distribución se resume en el modo incertidumbre (las que dependen de los días
+// de control o de los umbrales se omiten si la configuración ya no las incluye)
+const UNCERTAIN_METRICS = [
+  { key: 'T90', label: 'T₉₀', unit: 'días', digits: 1 },
+  { key: 'removal_day14', label: 'Remoción día 14', unit: '%', digits: 1 },
+  { key: 'C_A_peak', label: 'Pico {A}', unit: 'mg/L', digits: 2 },
+];
+
+const UncertaintySummary = ({ uncertainty, params }) => {
+  const { metrics, target, realizations, failures } = uncertainty;
+  const targetDefinition = target && metricDefinitionsFor(params).find(m => m.key === target.metric);
 
-    <div className="mt-4 p-3 bg-amber-900/30 rounded-lg border border-amber-700/30">
-      <p className="text-amber-400 text-xs font-semibold mb-1">⚠️ Impacto Ambiental</p>
-      <p className="text-slate-300 text-xs">
-        El glifosato puede contaminar agua, suelo y aire. El metabolito AMPA 
-        es igualmente tóxico y más persistente en el ambiente.
+  return (
+    <div className="mt-4 space-y-3">
+      <p className="text-xs text-slate-400">
+        🎲 Distribución en {realizations} realizaciones{failures > 0 && ` (${failures} fallidas)`}: mediana [P5 – P95]
       </p>
+      {UNCERTAIN_METRICS.filter(({ key }) => metrics[key]).map(({ key, label, unit, digits }) => {
+        const m = metrics[key];
+        return (
+          <div key={key} className="flex justify-between items-baseline gap-2 text-sm">
+            <span className="text-slate-400">{parameterLabel(label, params)}</span>
+            <span className="text-cyan-300 font-mono text-xs text-right">
+              {m.n > 0
+                ? `${m.p50.toFixed(digits)} [${m.p5.toFixed(digits)} – ${m.p95.toFixed(digits)}] ${unit}`
+                : 'no alcanzado'}
+              {m.missing > 0 && <span className="block text-amber-400">no alcanzado en {m.missing} de {m.n + m.missing}</span>}
+            </span>
+          </div>
+        );
+      })}
+      {target && (
+        <div className="p-3 bg-emerald-900/30 rounded-lg border border-emerald-700/30">
+          <p className="text-xs text-slate-300">
+            P({parameterLabel(targetDefinition?.label ?? target.metric, params)} {target.operator === '<=' ? '≤' : '≥'} {target.value} {targetDefinition?.unit})
+          </p>
+          <p className="text-2xl font-bold text-emerald-400 font-mono">{(target.probability * 100).toFixed(1)} %</p>
+        </div>
+      )}
     </div>
+  );
+};
+
+// Lista editable de números (días de control o umbrales): se confirma al salir del campo o con
+// Enter y solo si la validación del motor la acepta
+const MetricListInput = ({ label, value, validate, onChange }) => {
+  const [draft, setDraft] = useState(null);
+  const [problem, setProblem] = useState(null);
+
+  const commit = () => {
+    if (draft === null) return;
+    const list = draft.split(/[,;\s]+/).filter(Boolean).map(Number);
+    const error = validate(list);
+    setProblem(error);
+    if (!error) {
+      setDraft(null);
+      onChange([...list].sort((a, b) => a - b));
+    }
+  };
+
+  return (
+    <label className="text-xs text-slate-400">
+      {label}
+      <input
+        type="text"
+        value={draft ?? value.join(', ')}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => e.key === 'Enter' && commit()}
+        className={`mt-1 w-full bg-slate-800 text-cyan-300 font-mono text-xs rounded px-2 py-1 border ${problem ? 'border-red-500' : 'border-slate-700'}`}
+      />
+      {problem && <span className="block text-red-400 mt-1">{problem}</span>}
+    </label>
+  );
+};
+
+// Días de control y umbrales de remoción con los que se calculan las variables de respuesta
+const MetricSettings = ({ params, onChange }) => (
+  <div className="grid grid-cols-2 gap-2 mb-4">
+    <MetricListInput
+      label="Días de control"
+      value={params.metric_days}
+      validate={validateCheckpointDays}
+      onChange={(metric_days) => onChange({ metric_days })}
+    />
+    <MetricListInput
+      label="Umbrales de remoción (%)"
+      value={params.metric_thresholds}
+      validate={validateRemovalThresholds}
+      onChange={(metric_thresholds) => onChange({ metric_thresholds })}
+    />
   </div>
 );
 
-const MetricsDisplay = ({ metrics }) => {
-  const metricCards = [
-    { label: 'Remoción día 3', value: metrics?.removal_day3?.toFixed(1) || '—', unit: '%', color: 'cyan' },
-    { label: 'Remoción día 7', value: metrics?.removal_day7?.toFixed(1) || '—', unit: '%', color: 'blue' },
-    { label: 'Remoción día 14', value: metrics?.removal_day14?.toFixed(1) || '—', unit: '%', color: 'indigo' },
-    { label: 'T₉₀', value: metrics?.T90?.toFixed(1) || 'N/A', unit: 'días', color: 'green' },
-    { label: 'Biomasa máx', value: metrics?.X_max?.toFixed(1) || '—', unit: 'mg/L', color: 'emerald' },
-    { label: 'Pico AMPA', value: metrics?.C_A_peak?.toFixed(2) || '—', unit: 'mg/L', color: 'purple' },
+// Métricas que se muestran como tarjetas; el resto queda en la lista desplegable
+const HEADLINE_METRICS = ['final_removal', 'half_life', 'X_max', 'C_A_peak', 'C_A_auc', 'mineralized_C'];
+
+// null: la métrica no se alcanza o no puede calcularse; ausente: la corrida no la calculó
+const formatMetricValue = (value, definition) => {
+  if (Number.isFinite(value)) return Number(value.toPrecision(3)).toString();
+  return value === null ? definition.missing ?? '—' : '—';
+};
+
+const MetricsDisplay = ({ metrics, params, uncertainty, scenarios, baselineId }) => {
+  const definitions = metricDefinitionsFor(params).map(m => ({ ...m, label: parameterLabel(m.label, params) }));
+  const substrateKeys = activeSubstrates(params).flatMap(s => [`final_removal_${s.token}`, `T90_${s.token}`]);
+  const headline = definitions.filter(m =>
+    /^(removal_day|T)\d/.test(m.key) || HEADLINE_METRICS.includes(m.key) || substrateKeys.includes(m.key));
+
+  if (scenarios.length > 0) {
+    return (
+      <div>
+        <ScenarioMetricsTable metrics={metrics} params={params} scenarios={scenarios} baselineId={baselineId} />
+        {uncertainty && <UncertaintySummary uncertainty={uncertainty} params={params} />}
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="grid grid-cols-3 gap-3">
+        {headline.map(m => {
+          const value = metrics?.[m.key];
+          return (
+            <div
+              key={m.key}
+              className="bg-slate-900/60 backdrop-blur rounded-xl p-4 border border-slate-600/20
+                hover:border-cyan-500/50 transition-colors"
+            >
+              <p className="text-slate-400 text-xs mb-1">{m.label}</p>
+              {value === null ? (
+                <p className="text-sm font-semibold text-amber-400 mt-2">{formatMetricValue(value, m)}</p>
+              ) : (
+                <p className="text-2xl font-bold text-cyan-400 font-mono">
+                  {formatMetricValue(value, m)}
+                  <span className="text-sm text-slate-500 ml-1">{m.unit}</span>
+                </p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      {metrics && (
+        <details className="mt-4">
+          <summary className="text-xs text-slate-400 cursor-pointer">Todas las variables ({definitions.length})</summary>
+          <table className="w-full text-xs mt-2">
+            <tbody>
+              {definitions.map(m => (
+                <tr key={m.key} className="border-b border-slate-800">
+                  <td className="py-1 pr-2 text-slate-400">{m.label}</td>
+                  <td className="py-1 text-right font-mono text-slate-200 whitespace-nowrap">
+                    {formatMetricValue(metrics[m.key], m)} {Number.isFinite(metrics[m.key]) && <span className="text-slate-500">{m.unit}</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </details>
+      )}
+      {uncertainty && <UncertaintySummary uncertainty={uncertainty} params={params} />}
+    </div>
+  );
+};
+
+// Color de las ecuaciones de cada bloque de modelEquations
+const EQUATION_COLORS = {
+  growth: 'text-blue-300',
+  degradation: 'text-red-300',
+  oxygen: 'text-sky-300',
+  environment: 'text-orange-300',
+  sorption: 'text-orange-300',
+  removal: 'text-cyan-300',
+};
+
+const BALANCE_COLORS = { mass: '#06b6d4', C: '#f59e0b', N: '#3b82f6', P: '#ec4899', Cl: '#84cc16' };
+
+// Error de cierre máximo de cada balance elemental frente a la tolerancia
+const MassBalanceSummary = ({ balance }) => {
+  if (!balance) {
+    return <p className="text-slate-500 text-sm">Ejecuta una simulación para comprobar el balance.</p>;
+  }
+
+  const open = balance.elements.filter(e => e.max_error > balance.tolerance);
+
+  return (
+    <div className="space-y-2 text-sm">
+      {balance.elements.map(e => (
+        <div key={e.key} className="flex justify-between items-center gap-4">
+          <span className="text-slate-400">{e.label}</span>
+          <span className={`font-mono text-xs ${e.max_error > balance.tolerance ? 'text-amber-400' : 'text-emerald-400'}`}>
+            {e.max_error.toFixed(2)} %
+          </span>
+        </div>
+      ))}
+      {open.length > 0 ? (
+        <p className="mt-2 p-2 bg-amber-900/30 rounded-lg border border-amber-700/30 text-xs text-amber-300">
+          ⚠️ El balance de {open.map(e => e.label.toLowerCase()).join(' y ')} no cierra (error &gt; {balance.tolerance} %):
+          los productos contienen más de lo que aporta el contaminante consumido. Usa el crecimiento acoplado
+          al consumo o reduce Y_x y los rendimientos de los metabolitos.
+        </p>
+      ) : (
+        <p className="text-[11px] text-slate-500">Error de cierre máximo por debajo del {balance.tolerance} %.</p>
+      )}
+    </div>
+  );
+};
+
+const formatStat = (value) => (Number.isFinite(value) ? value.toExponential(2) : '—');
+
+const SolverStats = ({ stats, error }) => {
+  if (error) {
+    return (
+      <div className="p-3 bg-red-900/30 rounded-lg border border-red-700/30 text-xs text-red-300">
+        ⚠️ {error}
+      </div>
+    );
+  }
+  if (!stats) {
+    return <p className="text-slate-500 text-sm">Ejecuta una simulación para ver las estadísticas.</p>;
+  }
+
+  const rows = [
+    { label: 'Método', value: SOLVER_METHODS[stats.method].label },
+    { label: 'Pasos aceptados', value: stats.steps },
+    { label: 'Pasos rechazados', value: stats.rejected_steps },
+    { label: 'Evaluaciones f(t, y)', value: stats.evaluations },
+    { label: 'Error local máx.', value: formatStat(stats.max_local_error) },
+    { label: 'Paso mín. / máx. (h)', value: `${formatStat(stats.h_min)} / ${formatStat(stats.h_max)}` },
+    { label: 'Mínimo del estado', value: formatStat(stats.min_state) },
   ];
+  if (stats.method === 'euler') {
+    rows.push({ label: 'Recortes a cero', value: stats.clamp_events });
+  }
+
+  const unreliable = !Number.isFinite(stats.max_local_error) || stats.clamp_events > 0 || stats.min_state < 0;
 
   return (
-    <div className="grid grid-cols-3 gap-3">
-      {metricCards.map((m, i) => (
-        <div 
-          key={i}
-          className="bg-slate-900/60 backdrop-blur rounded-xl p-4 border border-slate-600/20
-            hover:border-cyan-500/50 transition-colors"
-        >
-          <p className="text-slate-400 text-xs mb-1">{m.label}</p>
-          <p className="text-2xl font-bold text-cyan-400 font-mono">
-            {m.value}
-            <span className="text-sm text-slate-500 ml-1">{m.unit}</span>
-          </p>
+    <div className="space-y-2 text-sm">
+      {rows.map(r => (
+        <div key={r.label} className="flex justify-between items-center gap-4">
+          <span className="text-slate-400">{r.label}</span>
+          <span className="text-cyan-300 font-mono text-xs text-right">{r.value}</span>
         </div>
       ))}
+      {unreliable && (
+        <p className="mt-2 p-2 bg-amber-900/30 rounded-lg border border-amber-700/30 text-xs text-amber-300">
+          ⚠️ La solución presenta valores negativos o inestables; prueba un método adaptativo o rígido.
+        </p>
+      )}
     </div>
   );
 };
 
-const ResultsTable = ({ results, onExport }) => {
+const ResultsTable = ({ results, contaminant, substrates, onExport }) => {
   const displayResults = results.filter((_, i) => i % 48 === 0 || i === results.length - 1);
+  const chain = metaboliteChain(contaminant.id);
 
   return (
     <div className="bg-slate-900/80 backdrop-blur-xl rounded-2xl p-6 border border-slate-700/50">
@@ -613,7 +1167,7 @@ const ResultsTable = ({ results, onExport }) => {
           className="px-4 py-2 bg-emerald-600 hover:bg-emerald-500 text-white text-sm font-semibold
             rounded-lg transition-colors flex items-center gap-2"
         >
-          <span>📥</span> Exportar CSV
+          <span>📥</span> Exportar…
         </button>
       </div>
 
@@ -624,7 +1178,12 @@ const ResultsTable = ({ results, onExport }) => {
               <th className="text-left py-2 px-3 text-slate-400 font-medium">Día</th>
               <th className="text-right py-2 px-3 text-red-400 font-medium">C_G,aq (mg/L)</th>
               <th className="text-right py-2 px-3 text-orange-400 font-medium">C_G,s (mg/kg)</th>
-              <th className="text-right py-2 px-3 text-purple-400 font-medium">AMPA (mg/L)</th>
+              {chain.map(m => (
+                <th key={m.key} className="text-right py-2 px-3 font-medium" style={{ color: m.color }}>{m.name} (mg/L)</th>
+              ))}
+              {substrates.map(s => (
+                <th key={s.key} className="text-right py-2 px-3 font-medium" style={{ color: s.color }}>{s.name} (mg/L)</th>
+              ))}
               <th className="text-right py-2 px-3 text-green-400 font-medium">X (mg/L)</th>
               <th className="text-right py-2 px-3 text-cyan-400 font-medium">Remoción (%)</th>
             </tr>
@@ -635,7 +1194,12 @@ const ResultsTable = ({ results, onExport }) => {
                 <td className="py-2 px-3 text-slate-300 font-mono">{r.time_days.toFixed(1)}</td>
                 <td className="py-2 px-3 text-right text-red-300 font-mono">{r.C_G_aq.toFixed(2)}</td>
                 <td className="py-2 px-3 text-right text-orange-300 font-mono">{r.C_G_s.toFixed(2)}</td>
-                <td className="py-2 px-3 text-right text-purple-300 font-mono">{r.C_A_aq.toFixed(3)}</td>
+                {chain.map(m => (
+                  <td key={m.key} className="py-2 px-3 text-right font-mono" style={{ color: m.color }}>{r[m.key].toFixed(3)}</td>
+                ))}
+                {substrates.map(s => (
+                  <td key={s.key} className="py-2 px-3 text-right font-mono" style={{ color: s.color }}>{r[s.key].toFixed(2)}</td>
+                ))}
                 <td className="py-2 px-3 text-right text-green-300 font-mono">{r.X.toFixed(2)}</td>
                 <td className="py-2 px-3 text-right text-cyan-300 font-mono">{r.removal_percent.toFixed(1)}</td>
               </tr>
@@ -647,18 +1211,130 @@ const ResultsTable = ({ results, onExport }) => {
   );
 };
 
-const SimulationCharts = ({ results }) => {
-  const chartData = results.filter((_, i) => i % 4 === 0);
+// Series de la gráfica de cinética: contaminante acuoso, cadena de metabolitos y biomasa
+const kineticSeries = (contaminant) => [
+  { key: 'C_G_aq', name: contaminant.name, color: contaminant.color },
+  ...metaboliteChain(contaminant.id).map(m => ({ key: m.key, name: m.name, color: m.color })),
+  { key: 'X', name: 'Biomasa', color: '#22c55e' },
+];
+
+// Co-sustratos de una simulación, con el nombre y el color de su registro
+const substrateSeries = (params) => activeSubstrates(params).map(s => ({
+  key: s.key,
+  removal: s.removal,
+  token: s.token,
+  name: s.substrate.name,
+  color: s.substrate.color,
+}));
+
+// Biomasa de cada gremio y estado fisiológico, si la población tiene más de un gremio o
+// fase de latencia; null si solo hay la biomasa del gremio principal
+const populationSeries = (params) => {
+  const guilds = activeGuilds(params);
+  const lag = lagEnabled(params);
+  if (guilds.length === 0 && !lag) return null;
+  return {
+    lag,
+    guilds: guilds.length === 0 ? [] : [
+      { key: 'X_G1', name: 'Gremio principal', color: PRINCIPAL_GUILD_COLOR },
+      ...guilds.map(g => ({ key: g.key, name: g.guild.name, color: g.guild.color })),
+    ],
+  };
+};
+
+// Fracciones sorbidas que se apilan en la gráfica de distribución: el total si solo hay un
+// sitio reversible y, si no, cada fracción por separado
+const sorbedSeries = (params, contaminant) => {
+  const pools = sorptionPools(params);
+  if (pools.length === 0) return [{ key: 'C_G_s', name: 'Fase sorbida', color: contaminant.sorbedColor }];
+  const twoSite = pools.includes('C_G_s2');
+  return [
+    { key: 'C_G_s1', name: twoSite ? 'Sorbida: sitio de equilibrio' : 'Sorbida reversible', color: contaminant.sorbedColor },
+    ...(twoSite ? [{ key: 'C_G_s2', name: 'Sorbida: sitio cinético', color: '#a16207' }] : []),
+    ...(pools.includes('C_G_irr') ? [{ key: 'C_G_irr', name: 'Ligada (no biodisponible)', color: '#78716c' }] : []),
+  ];
+};
+
+// Mediciones importadas: el relleno es el color de la variable; la forma y el borde identifican el conjunto
+const DATASET_SHAPES = ['circle', 'diamond', 'square', 'triangle', 'star', 'cross', 'wye'];
+
+const measuredSeries = (datasets, variables) => datasets.flatMap((d, i) => (d.visible ? variables : [])
+  .map(v => ({
+    key: `${d.id}-${v.key}`,
+    dataKey: v.key,
+    name: `${d.name}: ${v.name}`,
+    color: v.color,
+    stroke: d.color,
+    shape: DATASET_SHAPES[i % DATASET_SHAPES.length],
+    data: d.points
+      .filter(p => p.variable === v.key)
+      .map(p => ({ time_days: p.time_h / 24, [v.key]: p.value, error: p.error })),
+  }))
+  .filter(m => m.data.length > 0));
+
+const measuredScatter = (m) => (
+  <Scatter key={m.key} data={m.data} dataKey={m.dataKey} name={m.name} fill={m.color} stroke={m.stroke} shape={m.shape}>
+    <ErrorBar dataKey="error" direction="y" width={4} stroke={m.stroke} />
+  </Scatter>
+);
+
+// Las bandas de Monte Carlo comparten la malla temporal de la corrida nominal
+const formatTooltipValue = (value) => (Array.isArray(value)
+  ? `${value[0].toFixed(2)} – ${value[1].toFixed(2)}`
+  : Number(value).toFixed(2));
+
+const SimulationCharts = ({ results, observations, datasets, bands, scenarios, balance, contaminant, substrates, sorbed, environment, oxygen, population, zones, compliance, events = [] }) => {
+  const series = kineticSeries(contaminant);
+  const sorbedTotal = [{ key: 'C_G_s', name: `${contaminant.name} sorbido`, color: contaminant.sorbedColor }];
+  const withBands = bands && bands.length === results.length
+    ? results.map((r, i) => ({ ...r, ...bands[i] }))
+    : results;
+  const hasBands = withBands !== results;
+  const chartData = withBands.filter((_, i) => i % 4 === 0);
+  // Las descargas del SBR duran pocas horas: la gráfica del efluente usa la malla completa
+  const hasOutflow = results.some(r => Number.isFinite(r.C_G_eff));
+  const flowData = results.length > 2000 ? results.filter((_, i) => i % 2 === 0) : results;
+  const observedFor = (variables) => variables
+    .map(v => ({
+      ...v,
+      name: `${v.name} obs.`,
+      data: (observations || [])
+        .filter(o => o.variable === v.key)
+        .map(o => ({ time_days: o.time_h / 24, [v.key]: o.value })),
+    }))
+    .filter(v => v.data.length > 0);
+  const observedSeries = observedFor(series);
+  const observedSorbed = observedFor(sorbedTotal);
+  const measured = measuredSeries(datasets, series);
+  const measuredSorbed = measuredSeries(datasets, sorbedTotal);
+  // Umbrales de cumplimiento: los límites de las especies disueltas que muestra la cinética y las remociones mínimas
+  const plotted = new Map(series.map(v => [v.key, v.color]));
+  const limitLines = (compliance?.targets ?? []).filter(t => t.target.kind === 'limit' && plotted.has(t.target.variable));
+  const removalLines = (compliance?.targets ?? []).filter(t => t.target.kind === 'removal');
+  const complianceLine = compliance?.met && compliance.targets.length > 0 && (
+    <ReferenceLine x={compliance.time_days} stroke="#10b981" strokeDasharray="4 4"
+      label={{ value: `Cumplimiento: día ${compliance.time_days.toFixed(1)}`, fill: '#10b981', fontSize: 11, position: 'insideTopLeft' }} />
+  );
+  // Intervenciones disparadas, numeradas como en el panel de parámetros
+  const eventLines = (yAxisId) => events.map((e, i) => (
+    <ReferenceLine key={`event-${i}`} x={e.time_days} yAxisId={yAxisId} stroke="#8b5cf6" strokeDasharray="3 3"
+      label={{ value: String(e.index + 1), fill: '#a78bfa', fontSize: 11, position: 'insideTopRight' }} />
+  ));
 
   return (
     <div className="space-y-6">
+      {scenarios.length > 0 && <ScenarioOverlayChart results={results} scenarios={scenarios} contaminant={contaminant.id} />}
+
       <div className="bg-slate-900/80 backdrop-blur-xl rounded-2xl p-6 border border-slate-700/50">
         <h3 className="text-lg font-bold text-slate-200 mb-4">📈 Cinética de Degradación</h3>
         <ResponsiveContainer width="100%" height={300}>
-          <LineChart data={chartData}>
+          <ComposedChart data={chartData}>
             <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
             <XAxis 
               dataKey="time_days" 
+              type="number"
+              domain={['dataMin', 'dataMax']}
+              tickFormatter={(d) => d.toFixed(0)}
               stroke="#94a3b8"
               label={{ value: 'Tiempo (días)', position: 'bottom', fill: '#94a3b8' }}
             />
@@ -666,12 +1342,37 @@ const SimulationCharts = ({ results }) => {
             <Tooltip 
               contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #475569', borderRadius: '8px' }}
               labelStyle={{ color: '#e2e8f0' }}
+              formatter={formatTooltipValue}
             />
             <Legend />
-            <Line type="monotone" dataKey="C_G_aq" name="Glifosato (aq)" stroke="#ef4444" strokeWidth={2} dot={false} />
-            <Line type="monotone" dataKey="C_A_aq" name="AMPA" stroke="#a855f7" strokeWidth={2} dot={false} />
-            <Line type="monotone" dataKey="X" name="Biomasa" stroke="#22c55e" strokeWidth={2} dot={false} />
-          </LineChart>
+            {hasBands && series.filter(v => `${v.key}_band` in chartData[0]).flatMap(v => [
+              <Area key={`${v.key}_band`} type="monotone" dataKey={`${v.key}_band`} name={`${v.name} P5–P95`}
+                stroke="none" fill={v.color} fillOpacity={0.15} />,
+              <Line key={`${v.key}_p50`} type="monotone" dataKey={`${v.key}_p50`} name={`${v.name} mediana`}
+                stroke={v.color} strokeDasharray="5 4" strokeWidth={1.5} dot={false} />,
+            ])}
+            {series.map(v => (
+              <Line key={v.key} type="monotone" dataKey={v.key} name={v.key === 'C_G_aq' ? `${v.name} (aq)` : v.name}
+                stroke={v.color} strokeWidth={2} dot={false} />
+            ))}
+            {observedSeries.map(v => (
+              <Scatter
+                key={v.key}
+                data={v.data}
+                dataKey={v.key}
+                name={v.name}
+                fill={v.color}
+                stroke="#f8fafc"
+              />
+            ))}
+            {measured.map(measuredScatter)}
+            {limitLines.map((t, i) => (
+              <ReferenceLine key={`limit-${i}`} y={t.target.value} stroke={plotted.get(t.target.variable)} strokeDasharray="6 4"
+                label={{ value: t.label, fill: plotted.get(t.target.variable), fontSize: 11, position: 'insideTopRight' }} />
+            ))}
+            {complianceLine}
+            {eventLines()}
+          </ComposedChart>
         </ResponsiveContainer>
       </div>
 
@@ -680,9 +1381,16 @@ const SimulationCharts = ({ results }) => {
         <ResponsiveContainer width="100%" height={250}>
           <AreaChart data={chartData}>
             <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
-            <XAxis dataKey="time_days" stroke="#94a3b8" />
+            <XAxis dataKey="time_days" type="number" domain={['dataMin', 'dataMax']} tickFormatter={(d) => d.toFixed(0)} stroke="#94a3b8" />
             <YAxis stroke="#94a3b8" domain={[0, 100]} />
-            <Tooltip contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #475569', borderRadius: '8px' }} />
+            <Tooltip contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #475569', borderRadius: '8px' }} formatter={formatTooltipValue} />
+            {substrates.length > 0 && <Legend />}
+            {hasBands && (
+              <Area type="monotone" dataKey="removal_percent_band" name="P5–P95" stroke="none" fill="#06b6d4" fillOpacity={0.15} />
+            )}
+            {hasBands && (
+              <Area type="monotone" dataKey="removal_percent_p50" name="Mediana" stroke="#06b6d4" strokeDasharray="5 4" fill="none" />
+            )}
             <Area 
               type="monotone" 
               dataKey="removal_percent" 
@@ -691,52 +1399,533 @@ const SimulationCharts = ({ results }) => {
               fill="url(#removalGradient)"
               strokeWidth={2}
             />
+            {substrates.map(s => (
+              <Area key={s.key} type="monotone" dataKey={s.removal} name={`% Remoción ${s.name}`} stroke={s.color} fill="none" strokeWidth={2} />
+            ))}
+            {removalLines.map((t, i) => (
+              <ReferenceLine key={`removal-${i}`} y={t.target.value} stroke="#f59e0b" strokeDasharray="6 4"
+                label={{ value: t.label, fill: '#f59e0b', fontSize: 11, position: 'insideBottomRight' }} />
+            ))}
+            {complianceLine}
             <defs>
               <linearGradient id="removalGradient" x1="0" y1="0" x2="0" y2="1">
                 <stop offset="5%" stopColor="#06b6d4" stopOpacity={0.4}/>
                 <stop offset="95%" stopColor="#06b6d4" stopOpacity={0}/>
               </linearGradient>
             </defs>
+            {eventLines()}
           </AreaChart>
         </ResponsiveContainer>
       </div>
 
+      {substrates.length > 0 && (
+        <div className="bg-slate-900/80 backdrop-blur-xl rounded-2xl p-6 border border-slate-700/50">
+          <h3 className="text-lg font-bold text-slate-200 mb-4">🍯 Sustratos</h3>
+          <ResponsiveContainer width="100%" height={250}>
+            <ComposedChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+              <XAxis dataKey="time_days" type="number" domain={['dataMin', 'dataMax']} tickFormatter={(d) => d.toFixed(0)} stroke="#94a3b8" />
+              <YAxis stroke="#94a3b8" label={{ value: 'mg/L', angle: -90, position: 'insideLeft', fill: '#94a3b8' }} />
+              <Tooltip
+                contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #475569', borderRadius: '8px' }}
+                labelStyle={{ color: '#e2e8f0' }}
+                labelFormatter={(d) => `Día ${Number(d).toFixed(1)}`}
+                formatter={formatTooltipValue}
+              />
+              <Legend />
+              <Line type="monotone" dataKey="C_G_aq" name={`${contaminant.name} (aq)`} stroke={contaminant.color} strokeWidth={2} dot={false} />
+              {substrates.map(s => (
+                <Line key={s.key} type="monotone" dataKey={s.key} name={s.name} stroke={s.color} strokeWidth={2} dot={false} />
+              ))}
+              {eventLines()}
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {environment.length > 0 && (
+        <div className="bg-slate-900/80 backdrop-blur-xl rounded-2xl p-6 border border-slate-700/50">
+          <h3 className="text-lg font-bold text-slate-200 mb-4">🌡️ Factores Ambientales</h3>
+          <p className="text-xs text-slate-500 mb-3">
+            Las constantes cinéticas se multiplican por f_total = {environment.map(e => e.factor).join(' · ')}; por debajo de 1 la biología se ralentiza.
+          </p>
+          <ResponsiveContainer width="100%" height={250}>
+            <ComposedChart data={flowData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+              <XAxis dataKey="time_days" type="number" domain={['dataMin', 'dataMax']} tickFormatter={(d) => d.toFixed(0)} stroke="#94a3b8" />
+              <YAxis yAxisId="f" stroke="#94a3b8" domain={[0, 'auto']} label={{ value: 'factor', angle: -90, position: 'insideLeft', fill: '#94a3b8' }} />
+              <YAxis yAxisId="v" orientation="right" stroke="#64748b" label={{ value: environment.map(e => e.unit).join(' / '), angle: 90, position: 'insideRight', fill: '#64748b' }} />
+              <Tooltip
+                contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #475569', borderRadius: '8px' }}
+                labelStyle={{ color: '#e2e8f0' }}
+                labelFormatter={(d) => `Día ${Number(d).toFixed(2)}`}
+                formatter={(value) => Number(value).toFixed(3)}
+              />
+              <Legend />
+              <ReferenceLine yAxisId="f" y={1} stroke="#475569" strokeDasharray="4 4" />
+              {environment.map(e => (
+                <Line key={e.value} yAxisId="v" type="monotone" dataKey={e.value} name={`${e.label} (${e.unit})`}
+                  stroke={e.color} strokeOpacity={0.5} strokeDasharray="4 3" dot={false} />
+              ))}
+              {environment.map(e => (
+                <Line key={e.factor} yAxisId="f" type="monotone" dataKey={e.factor} name={e.factor} stroke={e.color} strokeWidth={2} dot={false} />
+              ))}
+              <Line yAxisId="f" type="monotone" dataKey="f_env" name="f_total" stroke="#e2e8f0" strokeWidth={2} dot={false} />
+              {eventLines('f')}
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {oxygen && (
+        <div className="bg-slate-900/80 backdrop-blur-xl rounded-2xl p-6 border border-slate-700/50">
+          <h3 className="text-lg font-bold text-slate-200 mb-4">💨 Oxígeno Disuelto</h3>
+          <p className="text-xs text-slate-500 mb-3">
+            kLa = {transferCoefficient(oxygen).toFixed(2)} 1/h. Por debajo de K_O₂ = {oxygen.K_O2} mg/L el consumo se reduce a menos de la mitad.
+          </p>
+          <ResponsiveContainer width="100%" height={250}>
+            <ComposedChart data={flowData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+              <XAxis dataKey="time_days" type="number" domain={['dataMin', 'dataMax']} tickFormatter={(d) => d.toFixed(0)} stroke="#94a3b8" />
+              <YAxis yAxisId="c" stroke="#94a3b8" domain={[0, 'auto']} label={{ value: 'mg/L', angle: -90, position: 'insideLeft', fill: '#94a3b8' }} />
+              <YAxis yAxisId="r" orientation="right" stroke="#64748b" label={{ value: 'mg/L/h', angle: 90, position: 'insideRight', fill: '#64748b' }} />
+              <Tooltip
+                contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #475569', borderRadius: '8px' }}
+                labelStyle={{ color: '#e2e8f0' }}
+                labelFormatter={(d) => `Día ${Number(d).toFixed(2)}`}
+                formatter={(value) => Number(value).toFixed(3)}
+              />
+              <Legend />
+              <ReferenceLine yAxisId="c" y={oxygen.C_O2_sat} stroke="#38bdf8" strokeDasharray="4 4" />
+              <ReferenceLine yAxisId="c" y={oxygen.K_O2} stroke="#f59e0b" strokeDasharray="4 4" />
+              <Line yAxisId="c" type="monotone" dataKey="C_O2" name="O₂ disuelto" stroke="#38bdf8" strokeWidth={2} dot={false} />
+              <Line yAxisId="r" type="monotone" dataKey="OUR" name="Consumo (OUR)" stroke="#f43f5e" strokeWidth={1.5} dot={false} />
+              <Line yAxisId="r" type="monotone" dataKey="OTR" name="Transferencia (OTR)" stroke="#94a3b8" strokeDasharray="4 3" dot={false} />
+              {eventLines('c')}
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {population && (
+        <div className="bg-slate-900/80 backdrop-blur-xl rounded-2xl p-6 border border-slate-700/50">
+          <h3 className="text-lg font-bold text-slate-200 mb-4">🦠 Población Microbiana</h3>
+          {population.lag && (
+            <p className="text-xs text-slate-500 mb-3">
+              El estado fisiológico α multiplica el consumo y el crecimiento: la fase de latencia termina cuando se acerca a 1.
+            </p>
+          )}
+          <ResponsiveContainer width="100%" height={250}>
+            <ComposedChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+              <XAxis dataKey="time_days" type="number" domain={['dataMin', 'dataMax']} tickFormatter={(d) => d.toFixed(0)} stroke="#94a3b8" />
+              <YAxis yAxisId="x" stroke="#94a3b8" domain={[0, 'auto']} label={{ value: 'mg/L', angle: -90, position: 'insideLeft', fill: '#94a3b8' }} />
+              {population.lag && (
+                <YAxis yAxisId="a" orientation="right" stroke="#64748b" domain={[0, 1]} label={{ value: 'α', angle: 90, position: 'insideRight', fill: '#64748b' }} />
+              )}
+              <Tooltip
+                contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #475569', borderRadius: '8px' }}
+                labelStyle={{ color: '#e2e8f0' }}
+                labelFormatter={(d) => `Día ${Number(d).toFixed(1)}`}
+                formatter={formatTooltipValue}
+              />
+              <Legend />
+              <Line yAxisId="x" type="monotone" dataKey="X" name="Biomasa total" stroke="#e2e8f0" strokeWidth={2} dot={false} />
+              {population.guilds.map(g => (
+                <Line key={g.key} yAxisId="x" type="monotone" dataKey={g.key} name={g.name} stroke={g.color} strokeWidth={2} dot={false} />
+              ))}
+              {population.lag && (
+                <Line yAxisId="a" type="monotone" dataKey="alpha" name="Estado fisiológico (α)" stroke="#94a3b8" strokeDasharray="4 3" dot={false} />
+              )}
+              {eventLines('x')}
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {zones && (
+        <div className="bg-slate-900/80 backdrop-blur-xl rounded-2xl p-6 border border-slate-700/50">
+          <h3 className="text-lg font-bold text-slate-200 mb-4">🧱 Perfil por Zonas</h3>
+          <p className="text-xs text-slate-500 mb-3">
+            {contaminant.name} disuelto en cada capa de suspensión y en el agua intersticial del lecho sedimentado, que no se airea.
+          </p>
+          <ResponsiveContainer width="100%" height={250}>
+            <ComposedChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+              <XAxis dataKey="time_days" type="number" domain={['dataMin', 'dataMax']} tickFormatter={(d) => d.toFixed(0)} stroke="#94a3b8" />
+              <YAxis yAxisId="c" stroke="#94a3b8" domain={[0, 'auto']} label={{ value: 'mg/L', angle: -90, position: 'insideLeft', fill: '#94a3b8' }} />
+              <Tooltip
+                contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #475569', borderRadius: '8px' }}
+                labelStyle={{ color: '#e2e8f0' }}
+                labelFormatter={(d) => `Día ${Number(d).toFixed(1)}`}
+                formatter={formatTooltipValue}
+              />
+              <Legend />
+              {zones.map(z => (
+                <Line
+                  key={z.key}
+                  yAxisId="c"
+                  type="monotone"
+                  dataKey={`C_G_aq_${z.key}`}
+                  name={z.label}
+                  stroke={z.color}
+                  strokeWidth={2}
+                  strokeDasharray={z.bed ? '5 3' : undefined}
+                  dot={false}
+                />
+              ))}
+              {eventLines('c')}
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
       <div className="bg-slate-900/80 backdrop-blur-xl rounded-2xl p-6 border border-slate-700/50">
-        <h3 className="text-lg font-bold text-slate-200 mb-4">🔄 Distribución Glifosato</h3>
+        <h3 className="text-lg font-bold text-slate-200 mb-4">🔄 Distribución {contaminant.name}</h3>
         <ResponsiveContainer width="100%" height={250}>
           <AreaChart data={chartData}>
             <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
-            <XAxis dataKey="time_days" stroke="#94a3b8" />
+            <XAxis dataKey="time_days" type="number" domain={['dataMin', 'dataMax']} tickFormatter={(d) => d.toFixed(0)} stroke="#94a3b8" />
             <YAxis stroke="#94a3b8" />
             <Tooltip contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #475569', borderRadius: '8px' }} />
             <Legend />
-            <Area type="monotone" dataKey="C_G_aq" name="Fase acuosa" stackId="1" stroke="#ef4444" fill="#ef4444" fillOpacity={0.6} />
-            <Area type="monotone" dataKey="C_G_s" name="Fase sorbida" stackId="1" stroke="#f97316" fill="#f97316" fillOpacity={0.6} />
+            <Area type="monotone" dataKey="C_G_aq" name="Fase acuosa" stackId="1" stroke={contaminant.color} fill={contaminant.color} fillOpacity={0.6} />
+            {sorbed.map(s => (
+              <Area key={s.key} type="monotone" dataKey={s.key} name={s.name} stackId="1" stroke={s.color} fill={s.color} fillOpacity={0.6} />
+            ))}
+            {eventLines()}
           </AreaChart>
         </ResponsiveContainer>
       </div>
+
+      {(measuredSorbed.length > 0 || observedSorbed.length > 0) && (
+        <div className="bg-slate-900/80 backdrop-blur-xl rounded-2xl p-6 border border-slate-700/50">
+          <h3 className="text-lg font-bold text-slate-200 mb-4">🪨 Fase Sorbida</h3>
+          <ResponsiveContainer width="100%" height={250}>
+            <ComposedChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+              <XAxis dataKey="time_days" type="number" domain={['dataMin', 'dataMax']} tickFormatter={(d) => d.toFixed(0)} stroke="#94a3b8" />
+              <YAxis stroke="#94a3b8" label={{ value: 'mg/kg ps', angle: -90, position: 'insideLeft', fill: '#94a3b8' }} />
+              <Tooltip
+                contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #475569', borderRadius: '8px' }}
+                labelStyle={{ color: '#e2e8f0' }}
+                labelFormatter={(d) => `Día ${Number(d).toFixed(1)}`}
+                formatter={formatTooltipValue}
+              />
+              <Legend />
+              <Line type="monotone" dataKey="C_G_s" name={sorbedTotal[0].name} stroke={contaminant.sorbedColor} strokeWidth={2} dot={false} />
+              {observedSorbed.map(v => (
+                <Scatter key={v.key} data={v.data} dataKey={v.key} name={v.name} fill={v.color} stroke="#f8fafc" />
+              ))}
+              {measuredSorbed.map(measuredScatter)}
+              {eventLines()}
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {balance && (
+        <div className="bg-slate-900/80 backdrop-blur-xl rounded-2xl p-6 border border-slate-700/50">
+          <h3 className="text-lg font-bold text-slate-200 mb-4">⚖️ Error de Cierre del Balance</h3>
+          <ResponsiveContainer width="100%" height={250}>
+            <ComposedChart data={balance.series.filter((_, i) => i % 4 === 0)}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+              <XAxis dataKey="time_days" type="number" domain={['dataMin', 'dataMax']} tickFormatter={(d) => d.toFixed(0)} stroke="#94a3b8" />
+              <YAxis stroke="#94a3b8" label={{ value: '%', angle: -90, position: 'insideLeft', fill: '#94a3b8' }} />
+              <Tooltip
+                contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #475569', borderRadius: '8px' }}
+                labelStyle={{ color: '#e2e8f0' }}
+                labelFormatter={(d) => `Día ${Number(d).toFixed(1)}`}
+                formatter={(value) => `${Number(value).toFixed(2)} %`}
+              />
+              <Legend />
+              <ReferenceLine y={balance.tolerance} stroke="#f59e0b" strokeDasharray="4 4" />
+              <ReferenceLine y={-balance.tolerance} stroke="#f59e0b" strokeDasharray="4 4" />
+              {balance.elements.map(e => (
+                <Line key={e.key} type="monotone" dataKey={e.key} name={e.label} stroke={BALANCE_COLORS[e.key]} strokeWidth={2} dot={false} />
+              ))}
+              {eventLines()}
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {hasOutflow && (
+        <div className="bg-slate-900/80 backdrop-blur-xl rounded-2xl p-6 border border-slate-700/50">
+          <h3 className="text-lg font-bold text-slate-200 mb-4">🚰 Efluente</h3>
+          <ResponsiveContainer width="100%" height={250}>
+            <ComposedChart data={flowData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+              <XAxis dataKey="time_days" type="number" domain={['dataMin', 'dataMax']} tickFormatter={(d) => d.toFixed(0)} stroke="#94a3b8" />
+              <YAxis yAxisId="c" stroke="#94a3b8" label={{ value: 'mg/L', angle: -90, position: 'insideLeft', fill: '#94a3b8' }} />
+              <YAxis yAxisId="v" orientation="right" stroke="#64748b" label={{ value: 'L', angle: 90, position: 'insideRight', fill: '#64748b' }} />
+              <Tooltip
+                contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #475569', borderRadius: '8px' }}
+                labelStyle={{ color: '#e2e8f0' }}
+                labelFormatter={(d) => `Día ${Number(d).toFixed(2)}`}
+                formatter={(value) => Number(value).toFixed(2)}
+              />
+              <Legend />
+              <Line yAxisId="c" type="monotone" dataKey="C_G_eff" name={`${contaminant.name} efluente`} stroke={contaminant.color} strokeWidth={2} dot={false} connectNulls={false} />
+              <Line yAxisId="c" type="monotone" dataKey="C_A_eff" name={`${contaminant.metabolites[0].name} efluente`} stroke={contaminant.metabolites[0].color} strokeWidth={2} dot={false} connectNulls={false} />
+              <Line yAxisId="v" type="stepAfter" dataKey="V" name="Volumen" stroke="#64748b" strokeDasharray="4 3" dot={false} />
+              {eventLines('c')}
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      )}
     </div>
   );
 };
 
+// ============================================================================
+// ESTADO INICIAL Y PERSISTENCIA
+// ============================================================================
+const SHARE_KEY = 'estado';
+
+// Prioridad: enlace compartido, última sesión guardada en el navegador, configuración predefinida
+const loadInitialSetup = () => {
+  try {
+    const shared = new URLSearchParams(window.location.hash.slice(1)).get(SHARE_KEY);
+    if (shared) return { ...createProject(decodeShareState(shared)), fromUrl: true };
+  } catch (err) {
+    return { ...createProject(), notice: `No se pudo restaurar el enlace: ${err.message}` };
+  }
+
+  const session = loadStored('session', null);
+  if (session) {
+    try {
+      return parseProject(session);
+    } catch {
+      // Sesión guardada por una versión incompatible: se descarta
+    }
+  }
+  return createProject();
+};
+
 // ============================================================================
 // COMPONENTE PRINCIPAL
 // ============================================================================
 export default function App() {
-  const [params, setParams] = useState(DEFAULT_PARAMS);
+  const [initialSetup] = useState(loadInitialSetup);
+  const [preset, setPreset] = useState(initialSetup.preset);
+  const [params, setParams] = useState(initialSetup.params);
+  const [solver, setSolver] = useState(initialSetup.solver);
   const [results, setResults] = useState([]);
   const [metrics, setMetrics] = useState(null);
+  const [solverStats, setSolverStats] = useState(null);
+  const [steadyState, setSteadyState] = useState(null);
+  const [massBalance, setMassBalance] = useState(null);
+  const [firedEvents, setFiredEvents] = useState([]);
+  const [simError, setSimError] = useState(initialSetup.notice ?? null);
+  const [observations, setObservations] = useState(null);
+  const [datasets, setDatasets] = useState(() => loadStored('datasets', []));
+  const [uncertainty, setUncertainty] = useState(initialSetup.uncertainty);
+  const [targets, setTargets] = useState(initialSetup.targets);
+  const [mcResult, setMcResult] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [lastRun, setLastRun] = useState(null);
+  const [scenarios, setScenarios] = useState(() => loadStored('scenarios', []));
+  const [baselineId, setBaselineId] = useState(() => loadStored('baseline', null));
+  const [storageError, setStorageError] = useState(null);
+  const [datasetStorageError, setDatasetStorageError] = useState(null);
   const [currentTimeIndex, setCurrentTimeIndex] = useState(0);
   const [isPlaying, setIsPlaying] = useState(false);
   const [activeTab, setActiveTab] = useState('reactor');
+  const [exportOpen, setExportOpen] = useState(false);
+  const { start: startRun, cancel: cancelRun } = useAbortSignal();
+
+  // Las simulaciones se ejecutan en Web Workers; hasta que se crea el pool (y si el
+  // navegador no los admite) se usa el hilo principal
+  const [pool, setPool] = useState(() => localRunner);
+  useEffect(() => {
+    const browserPool = createBrowserPool();
+    setPool(() => browserPool);
+    return () => browserPool.terminate();
+  }, []);
+
+  const runAndShow = useCallback(async (runParams, signal = startRun()) => {
+    setProgress({ label: 'SIMULACIÓN', value: 0 });
+    try {
+      const { results: simResults, stats, steady_state, mass_balance, events, metrics: runMetrics } = await pool.run(
+        { type: 'simulate', params: runParams, solver },
+        { signal, onProgress: (value) => setProgress({ label: 'SIMULACIÓN', value }) },
+      );
+      setResults(simResults);
+      setMetrics(runMetrics);
+      setSolverStats(stats);
+      setSteadyState(steady_state);
+      setMassBalance(mass_balance);
+      setFiredEvents(events);
+      setLastRun({ params: runParams, solver });
+      setSimError(null);
+      setCurrentTimeIndex(0);
+      setIsPlaying(true);
+      return true;
+    } catch (err) {
+      if (!(err instanceof JobCancelledError)) setSimError(err.message);
+      return false;
+    } finally {
+      setProgress(null);
+    }
+  }, [pool, solver, startRun]);
+
+  const handleSimulate = useCallback(async () => {
+    setMcResult(null);
+    const signal = startRun();
+    if (!(await runAndShow(params, signal))) return;
+    if (!uncertainty.enabled || Object.keys(uncertainty.distributions).length === 0) return;
+
+    setProgress({ label: 'MONTE CARLO', value: 0 });
+    try {
+      const { distributions, realizations, seed, target } = uncertainty;
+      setMcResult(await runMonteCarlo({
+        distributions,
+        baseParams: params,
+        solver,
+        realizations,
+        seed,
+        target,
+        onProgress: (value) => setProgress({ label: 'MONTE CARLO', value }),
+        runner: pool,
+        signal,
+      }));
+    } catch (err) {
+      if (!(err instanceof JobCancelledError)) setSimError(err.message);
+    } finally {
+      setProgress(null);
+    }
+  }, [runAndShow, startRun, pool, params, solver, uncertainty]);
+
+  const applyOptimization = useCallback((decisions) => {
+    const next = { ...params, ...decisions };
+    setParams(next);
+    runAndShow(next);
+    setActiveTab('charts');
+  }, [params, runAndShow]);
+
+  const applyCalibration = useCallback((fitted) => {
+    const next = { ...params, ...fitted };
+    setParams(next);
+    runAndShow(next);
+    setActiveTab('charts');
+  }, [params, runAndShow]);
+
+  // Los días de control y umbrales solo afectan al post-proceso: se recalculan las métricas de
+  // la última corrida sin volver a integrar
+  const changeMetricConfig = useCallback((changes) => {
+    const next = { ...params, ...changes };
+    setParams(next);
+    if (lastRun) {
+      const runParams = { ...lastRun.params, ...changes };
+      setLastRun({ ...lastRun, params: runParams });
+      setMetrics(calculateMetrics(results, runParams));
+    }
+    if (uncertainty.target && !metricDefinitionsFor(next).some(m => m.key === uncertainty.target.metric)) {
+      setUncertainty({ ...uncertainty, target: { ...uncertainty.target, metric: 'final_removal' } });
+    }
+  }, [params, lastRun, results, uncertainty]);
+
+  const saveScenario = useCallback((name) => {
+    const used = new Set(scenarios.map(s => s.color));
+    const color = SCENARIO_COLORS.find(c => !used.has(c)) ?? SCENARIO_COLORS[scenarios.length % SCENARIO_COLORS.length];
+    setScenarios([...scenarios, {
+      id: `${Date.now().toString(36)}-${scenarios.length}`,
+      name,
+      color,
+      visible: true,
+      params: lastRun.params,
+      solver: lastRun.solver,
+      results,
+      metrics,
+      stats: solverStats,
+      events: firedEvents,
+    }]);
+  }, [scenarios, lastRun, results, metrics, solverStats, firedEvents]);
+
+  const loadScenario = useCallback((scenario) => {
+    cancelRun();
+    setParams({ ...DEFAULT_PARAMS, ...scenario.params });
+    setSolver(scenario.solver);
+    setResults(scenario.results);
+    setMetrics(scenario.metrics);
+    setSolverStats(scenario.stats);
+    setSteadyState(detectSteadyState(scenario.results, { ...DEFAULT_PARAMS, ...scenario.params }));
+    setMassBalance(null);
+    setFiredEvents(scenario.events ?? []);
+    setLastRun({ params: { ...DEFAULT_PARAMS, ...scenario.params }, solver: scenario.solver });
+    setMcResult(null);
+    setSimError(null);
+    setCurrentTimeIndex(0);
+  }, [cancelRun]);
 
-  const handleSimulate = useCallback(() => {
-    const simResults = runSimulation(params);
-    setResults(simResults);
-    setMetrics(calculateMetrics(simResults, params));
+  const changePreset = useCallback((id) => {
+    setPreset(id);
+    setParams(getPreset(id).params);
+  }, []);
+
+  // Las configuraciones predefinidas son de glifosato: otro contaminante deja la configuración personalizada
+  const changeContaminant = useCallback((id) => {
+    setPreset(null);
+    setParams(prev => applyContaminant(prev, id));
+  }, []);
+
+  // Los objetivos a medio editar (sin valor o de otro contaminante) no se guardan
+  const savedTargets = useMemo(
+    () => targets.filter(t => validateTarget(t, params.contaminant) === null),
+    [targets, params.contaminant],
+  );
+
+  const buildProject = useCallback(() => createProject({
+    preset, params, solver, uncertainty, scenarios, baseline: baselineId, targets: savedTargets, datasets,
+  }), [preset, params, solver, uncertainty, scenarios, baselineId, savedTargets, datasets]);
+
+  const buildShareUrl = useCallback(() => {
+    const { origin, pathname, search } = window.location;
+    return `${origin}${pathname}${search}#${SHARE_KEY}=${encodeShareState({ preset, params, solver })}`;
+  }, [preset, params, solver]);
+
+  const loadProject = useCallback((project) => {
+    cancelRun();
+    setPreset(project.preset);
+    setParams(project.params);
+    setSolver(project.solver);
+    setUncertainty(project.uncertainty);
+    setScenarios(project.scenarios);
+    setBaselineId(project.baseline);
+    setTargets(project.targets);
+    setDatasets(project.datasets);
+    setResults([]);
+    setMetrics(null);
+    setSolverStats(null);
+    setSteadyState(null);
+    setMassBalance(null);
+    setFiredEvents([]);
+    setLastRun(null);
+    setMcResult(null);
+    setSimError(null);
     setCurrentTimeIndex(0);
-    setIsPlaying(true);
-  }, [params]);
+  }, [cancelRun]);
+
+  // Un enlace compartido se simula al abrirlo y se retira de la barra de direcciones
+  useEffect(() => {
+    if (!initialSetup.fromUrl) return;
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    runAndShow(initialSetup.params);
+  }, []);
+
+  useEffect(() => {
+    saveStored('session', createProject({ preset, params, solver, uncertainty, targets: savedTargets }));
+  }, [preset, params, solver, uncertainty, savedTargets]);
+
+  useEffect(() => {
+    const saved = saveStored('scenarios', scenarios) && saveStored('baseline', baselineId);
+    setStorageError(saved ? null : 'No se pudieron guardar los escenarios en el navegador; se perderán al recargar.');
+  }, [scenarios, baselineId]);
+
+  useEffect(() => {
+    setDatasetStorageError(saveStored('datasets', datasets) ? null : 'No se pudieron guardar las mediciones en el navegador; se perderán al recargar.');
+  }, [datasets]);
 
   useEffect(() => {
     if (!isPlaying || results.length === 0) return;
@@ -754,36 +1943,43 @@ export default function App() {
     return () => clearInterval(interval);
   }, [isPlaying, results.length]);
 
-  const exportToCSV = () => {
-    if (results.length === 0) return;
-
-    const headers = ['Tiempo (h)', 'Tiempo (días)', 'C_G_aq (mg/L)', 'C_G_s (mg/kg)', 'C_A_aq (mg/L)', 'X (mg/L)', 'Remoción (%)'];
-    const rows = results.map(r => [
-      r.time_h.toFixed(2),
-      r.time_days.toFixed(3),
-      r.C_G_aq.toFixed(4),
-      r.C_G_s.toFixed(4),
-      r.C_A_aq.toFixed(4),
-      r.X.toFixed(4),
-      r.removal_percent.toFixed(2)
-    ]);
-
-    const csvContent = [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `bioslurry_simulation_${new Date().toISOString().slice(0,10)}.csv`;
-    link.click();
-  };
+  // Los resultados mostrados pueden ser de otro contaminante que el seleccionado en el panel
+  const runParams = lastRun?.params ?? params;
+  const runContaminant = getContaminant(runParams.contaminant ?? DEFAULT_CONTAMINANT);
+  const runSubstrates = substrateSeries(runParams);
+  const runEnvironment = activeEnvironment(runParams);
+  const runOxygen = oxygenEnabled(runParams);
+  const selectedContaminant = getContaminant(params.contaminant);
+  const compliance = useMemo(() => {
+    const applicable = targets.filter(t => validateTarget(t, runContaminant.id) === null);
+    return results.length > 0 && applicable.length > 0 ? evaluateTargets(results, applicable, runContaminant.id) : null;
+  }, [results, targets, runContaminant.id]);
+
+  // Corrida que recibe el diálogo de exportación: la última simulada con sus resultados
+  const exportRun = lastRun && results.length > 0 ? {
+    params: lastRun.params,
+    solver: lastRun.solver,
+    results,
+    stats: solverStats,
+    metrics,
+    steady_state: steadyState,
+    mass_balance: massBalance,
+    compliance,
+    events: firedEvents,
+  } : null;
 
   const currentData = results[currentTimeIndex] || {
     C_G_aq: params.C_G_aq_0,
-    C_G_s: 0,
+    C_G_s: params.C_G_s_0,
     C_A_aq: 0,
     X: params.X_0,
     time_days: 0,
-    removal_percent: 0
+    removal_percent: 0,
+    phase: null,
+    V: params.V_r,
+    Q_in: 0,
+    Q_out: 0,
+    C_G_eff: null,
   };
 
   return (
@@ -803,11 +1999,15 @@ export default function App() {
                   BioSlurry Simulator
                 </h1>
                 <p className="text-sm text-slate-400">
-                  Modelación de Biorremediación de Glifosato
+                  Modelación de Biorremediación de {selectedContaminant.name}
                 </p>
               </div>
             </div>
 
+            <ProjectControls buildProject={buildProject} buildShareUrl={buildShareUrl} onLoad={loadProject} />
+
+            <JobIndicator runner={pool} />
+
             {results.length > 0 && (
               <div className="flex items-center gap-4">
                 <button
@@ -822,17 +2022,39 @@ export default function App() {
                     {currentData.time_days.toFixed(1)}
                   </span>
                 </div>
-                <input
-                  type="range"
-                  min={0}
-                  max={results.length - 1}
-                  value={currentTimeIndex}
-                  onChange={(e) => {
-                    setCurrentTimeIndex(parseInt(e.target.value));
-                    setIsPlaying(false);
-                  }}
-                  className="w-48 h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer"
-                />
+                {/* Las intervenciones disparadas se marcan sobre la línea de tiempo; al pulsarlas se salta a ellas */}
+                <div className="relative w-48">
+                  <input
+                    type="range"
+                    min={0}
+                    max={results.length - 1}
+                    value={currentTimeIndex}
+                    onChange={(e) => {
+                      setCurrentTimeIndex(parseInt(e.target.value));
+                      setIsPlaying(false);
+                    }}
+                    className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer"
+                  />
+                  {firedEvents.map((e, i) => (
+                    <button
+                      key={i}
+                      onClick={() => {
+                        setCurrentTimeIndex(Math.max(0, results.findIndex(r => r.time_h >= e.time_h - 1e-9)));
+                        setIsPlaying(false);
+                      }}
+                      title={`Día ${e.time_days.toFixed(2)}: ${e.description}`}
+                      className="absolute -top-3 w-2 h-2.5 -ml-1 bg-violet-400 hover:bg-violet-300 rounded-sm"
+                      style={{ left: `${(100 * e.time_h) / results[results.length - 1].time_h}%` }}
+                    />
+                  ))}
+                </div>
+                <button
+                  onClick={() => setExportOpen(true)}
+                  className="px-3 py-2 bg-emerald-700 hover:bg-emerald-600 text-sm rounded-lg transition-colors"
+                  title="Serie temporal, libro XLSX, paquete JSON o informe"
+                >
+                  📥 Exportar
+                </button>
               </div>
             )}
           </div>
@@ -847,18 +2069,41 @@ export default function App() {
             <ParameterPanel 
               params={params} 
               setParams={setParams} 
+              solver={solver}
+              setSolver={setSolver}
+              preset={preset}
+              onPresetChange={changePreset}
+              onContaminantChange={changeContaminant}
+              uncertainty={uncertainty}
+              setUncertainty={setUncertainty}
+              progress={progress}
               onSimulate={handleSimulate}
+              onCancel={cancelRun}
             />
-            <ContaminantInfo />
+            <ScenarioManager
+              scenarios={scenarios}
+              setScenarios={setScenarios}
+              baselineId={baselineId}
+              setBaselineId={setBaselineId}
+              canSave={lastRun !== null && results.length > 0}
+              storageError={storageError}
+              onSave={saveScenario}
+              onLoad={loadScenario}
+            />
+            <ContaminantInfo contaminant={selectedContaminant} />
           </div>
 
           {/* Center */}
           <div className="lg:col-span-6 space-y-6">
-            <div className="flex gap-2 bg-slate-900/50 p-1 rounded-xl">
+            <div className="flex flex-wrap gap-2 bg-slate-900/50 p-1 rounded-xl">
               {[
                 { id: 'reactor', label: '🏭 Reactor 3D' },
                 { id: 'charts', label: '📈 Gráficas' },
-                { id: 'table', label: '📊 Datos' }
+                { id: 'table', label: '📊 Datos' },
+                { id: 'sensitivity', label: '🔍 Sensibilidad' },
+                { id: 'datasets', label: '🧪 Mediciones' },
+                { id: 'calibration', label: '🎛️ Calibración' },
+                { id: 'compliance', label: '🎯 Cumplimiento' }
               ].map(tab => (
                 <button
                   key={tab.id}
@@ -882,7 +2127,7 @@ export default function App() {
                   <ambientLight intensity={0.4} />
                   <pointLight position={[10, 10, 10]} intensity={1} />
                   <pointLight position={[-10, 5, -10]} intensity={0.5} color="#06b6d4" />
-                  <BioslurryReactor currentData={currentData} params={params} />
+                  <BioslurryReactor currentData={currentData} params={runParams} />
                   <OrbitControls enablePan={true} enableZoom={true} enableRotate={true} minDistance={5} maxDistance={20} />
                   <gridHelper args={[20, 20, '#1e3a5f', '#1e3a5f']} position={[0, -3, 0]} />
                 </Canvas>
@@ -890,32 +2135,106 @@ export default function App() {
                 <div className="absolute bottom-4 left-4 bg-slate-900/90 backdrop-blur rounded-xl p-4 border border-slate-700/50">
                   <div className="grid grid-cols-2 gap-x-6 gap-y-2 text-sm">
                     <div className="flex justify-between gap-4">
-                      <span className="text-red-400">● Glifosato (aq):</span>
+                      <span style={{ color: runContaminant.color }}>● {runContaminant.name} (aq):</span>
                       <span className="text-white font-mono">{currentData.C_G_aq.toFixed(1)} mg/L</span>
                     </div>
                     <div className="flex justify-between gap-4">
-                      <span className="text-orange-400">● Glifosato (s):</span>
+                      <span style={{ color: runContaminant.sorbedColor }}>● {runContaminant.name} (s):</span>
                       <span className="text-white font-mono">{currentData.C_G_s.toFixed(1)} mg/kg</span>
                     </div>
+                    {currentData.C_G_irr !== undefined && (
+                      <div className="flex justify-between gap-4">
+                        <span className="text-stone-400">● Ligada:</span>
+                        <span className="text-white font-mono">{currentData.C_G_irr.toFixed(1)} mg/kg</span>
+                      </div>
+                    )}
                     <div className="flex justify-between gap-4">
                       <span className="text-green-400">● Biomasa:</span>
                       <span className="text-white font-mono">{currentData.X.toFixed(1)} mg/L</span>
                     </div>
-                    <div className="flex justify-between gap-4">
-                      <span className="text-purple-400">● AMPA:</span>
-                      <span className="text-white font-mono">{currentData.C_A_aq.toFixed(2)} mg/L</span>
-                    </div>
+                    {(populationSeries(runParams)?.guilds ?? []).map(g => (
+                      <div key={g.key} className="flex justify-between gap-4 pl-3">
+                        <span style={{ color: g.color }}>● {g.name}:</span>
+                        <span className="text-white font-mono">{(currentData[g.key] ?? 0).toFixed(1)} mg/L</span>
+                      </div>
+                    ))}
+                    {metaboliteChain(runContaminant.id).map(m => (
+                      <div key={m.key} className="flex justify-between gap-4">
+                        <span style={{ color: m.color }}>● {m.name}:</span>
+                        <span className="text-white font-mono">{(currentData[m.key] ?? 0).toFixed(2)} mg/L</span>
+                      </div>
+                    ))}
+                    {runSubstrates.map(s => (
+                      <div key={s.key} className="flex justify-between gap-4">
+                        <span style={{ color: s.color }}>● {s.name}:</span>
+                        <span className="text-white font-mono">{(currentData[s.key] ?? 0).toFixed(1)} mg/L</span>
+                      </div>
+                    ))}
                   </div>
                 </div>
               </div>
             )}
 
             {activeTab === 'charts' && results.length > 0 && (
-              <SimulationCharts results={results} />
+              <SimulationCharts
+                results={results}
+                observations={observations}
+                datasets={datasets}
+                bands={mcResult?.bands}
+                scenarios={scenarios.filter(s => s.visible)}
+                balance={massBalance}
+                contaminant={runContaminant}
+                substrates={runSubstrates}
+                sorbed={sorbedSeries(runParams, runContaminant)}
+                environment={runEnvironment}
+                oxygen={runOxygen ? runParams : null}
+                population={populationSeries(runParams)}
+                zones={spatialEnabled(runParams) ? compartmentLayout(runParams).compartments : null}
+                compliance={compliance}
+                events={firedEvents}
+              />
             )}
 
             {activeTab === 'table' && results.length > 0 && (
-              <ResultsTable results={results} onExport={exportToCSV} />
+              <ResultsTable results={results} contaminant={runContaminant} substrates={runSubstrates} onExport={() => setExportOpen(true)} />
+            )}
+
+            {activeTab === 'sensitivity' && (
+              <SensitivityPanel params={params} solver={solver} runner={pool} />
+            )}
+
+            {activeTab === 'datasets' && (
+              <DatasetPanel
+                datasets={datasets}
+                setDatasets={setDatasets}
+                results={results}
+                contaminant={runContaminant.id}
+                storageError={datasetStorageError}
+              />
+            )}
+
+            {activeTab === 'calibration' && (
+              <CalibrationPanel
+                params={params}
+                solver={solver}
+                runner={pool}
+                observations={observations}
+                setObservations={setObservations}
+                onApply={applyCalibration}
+              />
+            )}
+
+            {activeTab === 'compliance' && (
+              <CompliancePanel
+                params={params}
+                solver={solver}
+                runner={pool}
+                targets={targets}
+                setTargets={setTargets}
+                results={results}
+                compliance={compliance}
+                onApply={applyOptimization}
+              />
             )}
 
             {(activeTab === 'charts' || activeTab === 'table') && results.length === 0 && (
@@ -936,32 +2255,42 @@ export default function App() {
               <h2 className="text-xl font-bold text-emerald-400 mb-4 flex items-center gap-2">
                 <span className="text-2xl">📊</span> Variables de Respuesta
               </h2>
-              <MetricsDisplay metrics={metrics} />
+              <MetricSettings params={params} onChange={changeMetricConfig} />
+              <MetricsDisplay
+                metrics={metrics}
+                params={runParams}
+                uncertainty={mcResult}
+                scenarios={scenarios}
+                baselineId={baselineId}
+              />
             </div>
 
             <div className="bg-gradient-to-br from-blue-900/30 to-indigo-900/30 backdrop-blur-xl 
               rounded-2xl p-6 border border-blue-700/30">
               <h3 className="text-lg font-bold text-blue-400 mb-4">📐 Modelo Matemático</h3>
               <div className="space-y-3 text-sm font-mono">
-                <div className="bg-slate-900/50 rounded-lg p-3">
-                  <p className="text-slate-400 text-xs mb-1">Cinética de Monod</p>
-                  <p className="text-blue-300">μ = μ_max · S / (K_s + S)</p>
-                </div>
-                <div className="bg-slate-900/50 rounded-lg p-3">
-                  <p className="text-slate-400 text-xs mb-1">Degradación</p>
-                  <p className="text-red-300">dC_G/dt = -k_max · (C_G/(K_s+C_G)) · X</p>
-                </div>
-                <div className="bg-slate-900/50 rounded-lg p-3">
-                  <p className="text-slate-400 text-xs mb-1">Sorción</p>
-                  <p className="text-orange-300">r_sorp = k_sorp · (C_aq - C_s/K_d)</p>
-                </div>
-                <div className="bg-slate-900/50 rounded-lg p-3">
-                  <p className="text-slate-400 text-xs mb-1">Remoción total</p>
-                  <p className="text-cyan-300">%R = 100 · (1 - C_tot(t)/C_tot(0))</p>
-                </div>
+                {modelEquations(params).map(block => (
+                  <div key={block.key} className="bg-slate-900/50 rounded-lg p-3">
+                    <p className="text-slate-400 text-xs mb-1">{block.title}</p>
+                    {block.equations.map(eq => <p key={eq} className={EQUATION_COLORS[block.key]}>{eq}</p>)}
+                    {block.notes.map(note => (
+                      <p key={note} className={`${block.key === 'sorption' ? 'text-stone-400' : 'text-amber-300'} text-xs mt-1`}>{note}</p>
+                    ))}
+                  </div>
+                ))}
               </div>
             </div>
 
+            <div className="bg-slate-900/80 backdrop-blur-xl rounded-2xl p-6 border border-slate-700/50">
+              <h3 className="text-lg font-bold text-slate-200 mb-4">⚖️ Balance de Masa</h3>
+              <MassBalanceSummary balance={massBalance} />
+            </div>
+
+            <div className="bg-slate-900/80 backdrop-blur-xl rounded-2xl p-6 border border-slate-700/50">
+              <h3 className="text-lg font-bold text-slate-200 mb-4">🧮 Estadísticas del Integrador</h3>
+              <SolverStats stats={solverStats} error={simError} />
+            </div>
+
             <div className="bg-slate-900/80 backdrop-blur-xl rounded-2xl p-6 border border-slate-700/50">
               <h3 className="text-lg font-bold text-slate-200 mb-4">⏱️ Estado Actual</h3>
               <div className="space-y-3">
@@ -983,6 +2312,51 @@ export default function App() {
                     style={{ width: `${currentData.removal_percent}%` }}
                   />
                 </div>
+                {Number.isFinite(currentData.C_O2) && (
+                  <div className="flex justify-between items-center">
+                    <span className="text-slate-400">O₂ disuelto</span>
+                    <span className={`font-mono ${currentData.C_O2 < runParams.K_O2 ? 'text-amber-400' : 'text-cyan-400'}`}>
+                      {currentData.C_O2.toFixed(2)} mg/L
+                    </span>
+                  </div>
+                )}
+                {Number.isFinite(currentData.f_env) && (
+                  <div className="flex justify-between items-center">
+                    <span className="text-slate-400">Actividad ambiental</span>
+                    <span className={`font-mono ${currentData.f_env < 0.5 ? 'text-amber-400' : 'text-cyan-400'}`}>
+                      {(currentData.f_env * 100).toFixed(0)} %
+                    </span>
+                  </div>
+                )}
+                {currentData.phase && currentData.phase !== 'batch' && (
+                  <>
+                    <div className="flex justify-between items-center">
+                      <span className="text-slate-400">Fase</span>
+                      <span className="text-cyan-400 font-mono">{PHASE_LABELS[currentData.phase]}</span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span className="text-slate-400">Volumen</span>
+                      <span className="text-cyan-400 font-mono">{currentData.V.toFixed(1)} L</span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span className="text-slate-400">{runContaminant.name} efluente</span>
+                      <span className="text-cyan-400 font-mono">
+                        {currentData.C_G_eff === null ? 'sin descarga' : `${currentData.C_G_eff.toFixed(2)} mg/L`}
+                      </span>
+                    </div>
+                  </>
+                )}
+                {steadyState && (
+                  <p className={`text-xs p-2 rounded-lg border ${
+                    steadyState.reached
+                      ? 'bg-emerald-900/30 border-emerald-700/30 text-emerald-300'
+                      : 'bg-amber-900/30 border-amber-700/30 text-amber-300'
+                  }`}>
+                    {steadyState.reached
+                      ? `Estado estacionario desde el día ${steadyState.time_days.toFixed(1)}`
+                      : 'No se alcanza el estado estacionario en el horizonte simulado'}
+                  </p>
+                )}
               </div>
             </div>
           </div>
@@ -993,11 +2367,13 @@ export default function App() {
       <footer className="border-t border-slate-800/50 bg-slate-900/30 mt-8">
         <div className="max-w-[1800px] mx-auto px-6 py-4">
           <div className="flex justify-between items-center text-sm text-slate-500 flex-wrap gap-2">
-            <p>BioSlurry Simulator v1.0 — Biorremediación de Glifosato</p>
+            <p>BioSlurry Simulator v1.0 — Biorremediación de {selectedContaminant.name}</p>
             <p>Biotecnología Ambiental | Simulación Computacional</p>
           </div>
         </div>
       </footer>
+
+      {exportOpen && exportRun && <ExportDialog run={exportRun} onClose={() => setExportOpen(false)} />}
     </div>
   );
 }
@@ -0,0 +1,306 @@
+import React, { useState } from 'react';
+import { ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import {
+  CALIBRATION_METHODS,
+  DEFAULT_CALIBRATION_KEYS,
+  OBSERVABLE_VARIABLES,
+  PARAMETER_GROUPS,
+  calibrate,
+  parameterGroupsFor,
+  parseObservations,
+  JobCancelledError,
+} from '../engine/index.js';
+import { useAbortSignal } from '../utils/workers.js';
+
+// Candidatos a parámetro libre: todo el panel salvo el horizonte de simulación
+const CANDIDATES = PARAMETER_GROUPS.flatMap(g => g.params).filter(p => p.key !== 't_final');
+
+const VARIABLE_COLORS = {
+  C_G_aq: '#ef4444', C_G_s: '#f97316', C_A_aq: '#a855f7', C_B_aq: '#ec4899', C_C_aq: '#eab308', X: '#22c55e',
+};
+
+const tooltipStyle = { backgroundColor: '#1e293b', border: '1px solid #475569', borderRadius: '8px' };
+
+const formatValue = (value, digits = 4) => (Number.isFinite(value) ? value.toPrecision(digits) : '—');
+
+const variableLabel = (key) => OBSERVABLE_VARIABLES.find(v => v.key === key)?.label ?? key;
+
+const CalibrationPanel = ({ params, solver, runner, observations, setObservations, onApply }) => {
+  const [fileName, setFileName] = useState(null);
+  const [free, setFree] = useState(() => CANDIDATES.map(p => ({
+    key: p.key,
+    label: p.label,
+    unit: p.unit,
+    min: p.min,
+    max: p.max,
+    enabled: DEFAULT_CALIBRATION_KEYS.includes(p.key),
+  })));
+  const [method, setMethod] = useState('lm');
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [residualVariable, setResidualVariable] = useState(null);
+
+  const running = progress !== null;
+  const { start, cancel } = useAbortSignal();
+
+  // Sólo los parámetros que intervienen en el modo de operación y el contaminante actuales,
+  // con los nombres de sus compuestos
+  const labels = new Map(parameterGroupsFor(params.mode, params.contaminant, params).flatMap(g => g.params).map(p => [p.key, p.label]));
+  const shown = free.filter(f => labels.has(f.key)).map(f => ({ ...f, label: labels.get(f.key) }));
+  const enabled = shown.filter(f => f.enabled);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const parsed = parseObservations(await file.text());
+      setObservations(parsed);
+      setFileName(file.name);
+      setResult(null);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const updateFree = (key, changes) => {
+    setFree(prev => prev.map(f => f.key === key ? { ...f, ...changes } : f));
+  };
+
+  const handleRun = async () => {
+    setError(null);
+    setProgress({ iteration: 0, ssr: NaN });
+    try {
+      const fit = await calibrate(observations, {
+        free: enabled,
+        baseParams: params,
+        solver: { ...solver, rtol: Math.min(solver.rtol, 1e-8), atol: Math.min(solver.atol, 1e-10) },
+        method,
+        onProgress: setProgress,
+        runner,
+        signal: start(),
+      });
+      setResult(fit);
+      setResidualVariable(Object.keys(fit.statistics)[0]);
+    } catch (err) {
+      if (!(err instanceof JobCancelledError)) setError(err.message);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const observedCounts = OBSERVABLE_VARIABLES
+    .map(v => ({ ...v, n: (observations || []).filter(o => o.variable === v.key).length }))
+    .filter(v => v.n > 0);
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-slate-900/80 backdrop-blur-xl rounded-2xl p-6 border border-slate-700/50">
+        <h3 className="text-lg font-bold text-slate-200 mb-4">🎛️ Calibración con Datos Experimentales</h3>
+
+        <label className="block mb-4">
+          <span className="text-xs text-slate-400">
+            CSV de mediciones: columna de tiempo (time_h / time_days) y columnas C_G_aq, C_G_s, C_A_aq, C_B_aq, C_C_aq o X
+          </span>
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleFile}
+            disabled={running}
+            className="mt-1 block w-full text-xs text-slate-300 file:mr-3 file:py-2 file:px-3 file:rounded-lg
+              file:border-0 file:bg-slate-700 file:text-slate-200 hover:file:bg-slate-600"
+          />
+        </label>
+
+        {observations && (
+          <div className="flex flex-wrap gap-2 mb-4 text-xs">
+            {fileName && <span className="text-slate-400">{fileName}:</span>}
+            {observedCounts.map(v => (
+              <span key={v.key} className="px-2 py-1 bg-slate-800 rounded" style={{ color: VARIABLE_COLORS[v.key] }}>
+                {v.label} · {v.n} puntos
+              </span>
+            ))}
+            <button onClick={() => { setObservations(null); setFileName(null); setResult(null); }} className="text-slate-500 hover:text-red-400">
+              ✕ Quitar
+            </button>
+          </div>
+        )}
+
+        <p className="text-xs text-slate-400 mb-2">Parámetros libres y límites (el resto se fija en los valores del panel)</p>
+        <div className="space-y-1 mb-4">
+          {shown.map(f => (
+            <div key={f.key} className="grid grid-cols-12 gap-2 items-center text-xs">
+              <label className="col-span-6 flex items-center gap-2 text-slate-300">
+                <input type="checkbox" checked={f.enabled} onChange={() => updateFree(f.key, { enabled: !f.enabled })} disabled={running} />
+                {f.label}
+              </label>
+              {['min', 'max'].map(bound => (
+                <input
+                  key={bound}
+                  type="number"
+                  value={f[bound]}
+                  step="any"
+                  onChange={(e) => updateFree(f.key, { [bound]: parseFloat(e.target.value) })}
+                  disabled={running || !f.enabled}
+                  className="col-span-2 bg-slate-800 text-cyan-300 font-mono rounded px-2 py-1 border border-slate-700 disabled:opacity-40"
+                />
+              ))}
+              <span className="col-span-2 text-slate-500">{f.unit}</span>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex gap-3">
+          <select
+            value={method}
+            onChange={(e) => setMethod(e.target.value)}
+            disabled={running}
+            className="bg-slate-800 text-slate-200 text-xs rounded-lg px-3 py-2 border border-slate-700"
+          >
+            {Object.entries(CALIBRATION_METHODS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+          </select>
+          <button
+            onClick={handleRun}
+            disabled={running || !observations || enabled.length === 0}
+            className="flex-1 py-3 px-6 bg-gradient-to-r from-cyan-500 to-blue-600 text-white font-bold rounded-xl
+              shadow-lg shadow-cyan-500/30 disabled:opacity-50 transition-all duration-300"
+          >
+            {running
+              ? `Ajustando… iteración ${progress.iteration}${Number.isFinite(progress.ssr) ? ` · SSR ${progress.ssr.toExponential(3)}` : ''}`
+              : '▶️ Ajustar parámetros'}
+          </button>
+          {running && (
+            <button
+            onClick={cancel}
+            className="px-4 py-3 bg-red-700 hover:bg-red-600 text-white text-sm font-bold rounded-xl transition-colors"
+          >
+            ✖ Cancelar
+          </button>
+          )}
+        </div>
+
+        {error && (
+          <div className="mt-3 p-3 bg-red-900/30 rounded-lg border border-red-700/30 text-xs text-red-300">
+            ⚠️ {error}
+          </div>
+        )}
+      </div>
+
+      {result && (
+        <div className="bg-slate-900/80 backdrop-blur-xl rounded-2xl p-6 border border-slate-700/50 space-y-6">
+          <div className="flex justify-between items-center flex-wrap gap-2">
+            <h3 className="text-lg font-bold text-slate-200">📐 Parámetros Ajustados</h3>
+            <button
+              onClick={() => onApply(Object.fromEntries(result.estimates.map(e => [e.key, e.value])))}
+              className="px-4 py-2 bg-emerald-600 hover:bg-emerald-500 text-white text-sm font-semibold rounded-lg transition-colors"
+            >
+              ✔️ Aplicar al panel
+            </button>
+          </div>
+
+          <p className="text-xs text-slate-500">
+            {CALIBRATION_METHODS[result.method]} · {result.iterations} iteraciones · {result.evaluations} simulaciones ·
+            SSR ponderada {result.ssr.toExponential(3)} · {result.converged ? 'convergió' : 'sin convergencia'}
+          </p>
+
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-slate-700 text-slate-400">
+                <th className="text-left py-2 px-2 font-medium">Parámetro</th>
+                <th className="text-right py-2 px-2 font-medium">Inicial</th>
+                <th className="text-right py-2 px-2 font-medium">Ajustado</th>
+                <th className="text-right py-2 px-2 font-medium">Error est.</th>
+                <th className="text-right py-2 px-2 font-medium">IC 95 %</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.estimates.map(e => (
+                <tr key={e.key} className="border-b border-slate-800">
+                  <td className="py-2 px-2 text-slate-300 font-mono">{e.key}{e.at_bound && <span className="text-amber-400" title="En el límite"> ⚠️</span>}</td>
+                  <td className="py-2 px-2 text-right text-slate-400 font-mono">{formatValue(e.initial)}</td>
+                  <td className="py-2 px-2 text-right text-cyan-300 font-mono">{formatValue(e.value)}</td>
+                  <td className="py-2 px-2 text-right text-slate-300 font-mono">{formatValue(e.std_error, 2)}</td>
+                  <td className="py-2 px-2 text-right text-slate-300 font-mono">[{formatValue(e.ci_low)}, {formatValue(e.ci_high)}]</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div>
+            <h4 className="text-sm font-semibold text-slate-300 mb-2">Bondad de ajuste</h4>
+            <div className="grid grid-cols-2 gap-3">
+              {Object.entries(result.statistics).map(([variable, s]) => (
+                <div key={variable} className="bg-slate-800/60 rounded-lg p-3 text-xs">
+                  <p style={{ color: VARIABLE_COLORS[variable] }} className="font-semibold mb-1">{variableLabel(variable)} (n = {s.n})</p>
+                  <p className="text-slate-300 font-mono">R² = {s.r2 === null ? '—' : s.r2.toFixed(4)}</p>
+                  <p className="text-slate-300 font-mono">RMSE = {formatValue(s.rmse, 3)}</p>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <h4 className="text-sm font-semibold text-slate-300 mb-2">Matriz de correlación</h4>
+            <div className="overflow-x-auto">
+              <table className="text-xs font-mono">
+                <thead>
+                  <tr>
+                    <th />
+                    {result.estimates.map(e => <th key={e.key} className="px-2 py-1 text-slate-400">{e.key}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.correlation.map((row, a) => (
+                    <tr key={a}>
+                      <td className="px-2 py-1 text-slate-400">{result.estimates[a].key}</td>
+                      {row.map((v, b) => (
+                        <td
+                          key={b}
+                          className={`px-2 py-1 text-right ${a !== b && Math.abs(v) > 0.9 ? 'text-amber-400' : 'text-slate-300'}`}
+                        >
+                          {Number.isFinite(v) ? v.toFixed(2) : '—'}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-slate-500 mt-1">|ρ| &gt; 0.9 indica parámetros difíciles de identificar por separado.</p>
+          </div>
+
+          <div>
+            <div className="flex justify-between items-center mb-2">
+              <h4 className="text-sm font-semibold text-slate-300">Residuos (observado − modelo)</h4>
+              <select
+                value={residualVariable}
+                onChange={(e) => setResidualVariable(e.target.value)}
+                className="bg-slate-800 text-slate-200 text-xs rounded-lg px-2 py-1 border border-slate-700"
+              >
+                {Object.keys(result.statistics).map(v => <option key={v} value={v}>{variableLabel(v)}</option>)}
+              </select>
+            </div>
+            <ResponsiveContainer width="100%" height={220}>
+              <ScatterChart>
+                <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                <XAxis type="number" dataKey="time_days" name="Día" stroke="#94a3b8" />
+                <YAxis type="number" dataKey="residual" name="Residuo" stroke="#94a3b8" />
+                <Tooltip contentStyle={tooltipStyle} />
+                <ReferenceLine y={0} stroke="#64748b" />
+                <Scatter
+                  data={result.residuals
+                    .filter(r => r.variable === residualVariable)
+                    .map(r => ({ time_days: r.time_h / 24, residual: r.residual }))}
+                  fill={VARIABLE_COLORS[residualVariable]}
+                />
+              </ScatterChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CalibrationPanel;
@@ -0,0 +1,378 @@
+import React, { useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import {
+  DEFAULT_COSTS,
+  OPTIMIZATION_OBJECTIVES,
+  TARGET_KINDS,
+  defaultDecisionVariables,
+  getContaminant,
+  optimizeTreatment,
+  targetVariablesFor,
+  targetsFromLimits,
+  validateTarget,
+  JobCancelledError,
+} from '../engine/index.js';
+import { useAbortSignal } from '../utils/workers.js';
+
+const COST_FIELDS = [
+  { key: 'operation', label: 'Operación', unit: '€/día' },
+  { key: 'aeration', label: 'Aireación de referencia', unit: '€/día' },
+  { key: 'inoculum', label: 'Inóculo', unit: '€/g' },
+];
+
+const tooltipStyle = { backgroundColor: '#1e293b', border: '1px solid #475569', borderRadius: '8px' };
+
+const formatValue = (value, digits = 4) => (Number.isFinite(value) ? value.toPrecision(digits) : '—');
+
+const formatDay = (days) => (days === null ? 'no se alcanza' : `día ${days.toFixed(2)}`);
+
+const CompliancePanel = ({ params, solver, runner, targets, setTargets, results, compliance, onApply }) => {
+  const [selected, setSelected] = useState(0);
+  const [objective, setObjective] = useState('time');
+  const [costs, setCosts] = useState(DEFAULT_COSTS);
+  const [bounds, setBounds] = useState({});
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const running = progress !== null;
+  const { start, cancel } = useAbortSignal();
+
+  const contaminant = getContaminant(params.contaminant);
+  const variables = targetVariablesFor(params.contaminant);
+  const problems = targets.map(t => validateTarget(t, params.contaminant));
+  const valid = targets.filter((_, i) => problems[i] === null);
+  // Los límites de cada variable se conservan aunque cambie el parámetro de aireación
+  const decisions = defaultDecisionVariables(params).map(v => ({ enabled: true, ...v, ...bounds[v.key] }));
+  const enabled = decisions.filter(v => v.enabled);
+
+  const updateTarget = (index, changes) => {
+    setTargets(targets.map((t, i) => (i === index ? { ...t, ...changes } : t)));
+  };
+
+  const updateBounds = (key, changes) => {
+    setBounds(prev => ({ ...prev, [key]: { ...prev[key], ...changes } }));
+  };
+
+  const handleRun = async () => {
+    setError(null);
+    setResult(null);
+    setProgress({ phase: 'screening', evaluations: 0, best: Infinity });
+    try {
+      setResult(await optimizeTreatment({
+        targets: valid,
+        baseParams: params,
+        variables: enabled,
+        objective,
+        costs,
+        solver,
+        onProgress: setProgress,
+        runner,
+        signal: start(),
+      }));
+    } catch (err) {
+      if (!(err instanceof JobCancelledError)) setError(err.message);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const applyResult = () => {
+    const values = Object.fromEntries(result.decisions.map(d => [d.param, d.value]));
+    onApply(enabled.some(v => v.key === 't_final') ? { ...values, t_final: result.params.t_final } : values);
+  };
+
+  const shown = compliance?.targets[Math.min(selected, compliance.targets.length - 1)];
+  const shownKey = shown && (shown.target.kind === 'removal' ? 'removal_percent' : shown.target.variable);
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-slate-900/80 backdrop-blur-xl rounded-2xl p-6 border border-slate-700/50">
+        <h3 className="text-lg font-bold text-slate-200 mb-4">🎯 Objetivos de Cumplimiento</h3>
+        <p className="text-xs text-slate-400 mb-3">
+          Un objetivo se cumple desde el instante en que la variable queda por debajo del límite (o la remoción por
+          encima del mínimo) sin volver a superarlo hasta el final de la simulación.
+        </p>
+
+        <div className="space-y-2 mb-4">
+          {targets.map((t, i) => (
+            <div key={i} className="grid grid-cols-12 gap-2 items-center text-xs">
+              <select
+                value={t.kind}
+                onChange={(e) => updateTarget(i, e.target.value === 'removal'
+                  ? { kind: 'removal', variable: undefined, value: 90 }
+                  : { kind: 'limit', variable: variables[0].key })}
+                disabled={running}
+                className="col-span-3 bg-slate-800 text-slate-200 rounded px-2 py-1 border border-slate-700"
+              >
+                {TARGET_KINDS.map(k => <option key={k.value} value={k.value}>{k.label}</option>)}
+              </select>
+              {t.kind === 'limit' ? (
+                <select
+                  value={t.variable}
+                  onChange={(e) => updateTarget(i, { variable: e.target.value })}
+                  disabled={running}
+                  className="col-span-3 bg-slate-800 text-slate-200 rounded px-2 py-1 border border-slate-700"
+                >
+                  {variables.map(v => <option key={v.key} value={v.key}>{v.label}</option>)}
+                  {!variables.some(v => v.key === t.variable) && <option value={t.variable}>{t.variable}</option>}
+                </select>
+              ) : (
+                <span className="col-span-3 text-slate-400 px-2">{contaminant.name}</span>
+              )}
+              <input
+                type="number"
+                value={Number.isFinite(t.value) ? t.value : ''}
+                min="0"
+                step="any"
+                onChange={(e) => updateTarget(i, { value: parseFloat(e.target.value) })}
+                disabled={running}
+                className="col-span-2 bg-slate-800 text-cyan-300 font-mono rounded px-2 py-1 border border-slate-700"
+              />
+              <span className="col-span-1 text-slate-500">
+                {t.kind === 'removal' ? '%' : variables.find(v => v.key === t.variable)?.unit}
+              </span>
+              <input
+                type="text"
+                value={t.label ?? ''}
+                placeholder="Referencia"
+                onChange={(e) => updateTarget(i, { label: e.target.value || undefined })}
+                disabled={running}
+                className="col-span-2 bg-slate-800 text-slate-300 rounded px-2 py-1 border border-slate-700"
+              />
+              <button
+                onClick={() => setTargets(targets.filter((_, j) => j !== i))}
+                disabled={running}
+                className="col-span-1 text-slate-500 hover:text-red-400"
+              >
+                ✕
+              </button>
+              {problems[i] && <p className="col-span-12 text-amber-400">⚠️ {problems[i]}</p>}
+            </div>
+          ))}
+        </div>
+
+        <div className="flex flex-wrap gap-2 text-xs">
+          <button
+            onClick={() => setTargets([...targets, { kind: 'limit', variable: 'C_G_aq', value: 1 }])}
+            disabled={running}
+            className="px-3 py-2 bg-slate-800 hover:bg-slate-700 text-slate-200 rounded-lg"
+          >
+            + Concentración máxima
+          </button>
+          <button
+            onClick={() => setTargets([...targets, { kind: 'removal', value: 90 }])}
+            disabled={running}
+            className="px-3 py-2 bg-slate-800 hover:bg-slate-700 text-slate-200 rounded-lg"
+          >
+            + Remoción mínima
+          </button>
+          <button
+            onClick={() => setTargets([...targets, ...targetsFromLimits(params.contaminant)])}
+            disabled={running || contaminant.limits.length === 0}
+            className="px-3 py-2 bg-slate-800 hover:bg-slate-700 text-slate-200 rounded-lg disabled:opacity-40"
+          >
+            📋 Límites normativos de {contaminant.name}
+          </button>
+        </div>
+      </div>
+
+      {compliance && (
+        <div className="bg-slate-900/80 backdrop-blur-xl rounded-2xl p-6 border border-slate-700/50 space-y-4">
+          <h3 className="text-lg font-bold text-slate-200">⏱️ Tiempo hasta el Cumplimiento</h3>
+          <div className={`p-3 rounded-lg border text-sm ${compliance.met
+            ? 'bg-emerald-900/30 border-emerald-700/30 text-emerald-300'
+            : 'bg-red-900/30 border-red-700/30 text-red-300'}`}>
+            {compliance.met
+              ? `✅ Todos los objetivos se cumplen a partir del ${formatDay(compliance.time_days)}`
+              : '❌ Al menos un objetivo no se cumple al final de la simulación'}
+          </div>
+
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-slate-700 text-slate-400">
+                <th className="text-left py-2 px-2 font-medium">Objetivo</th>
+                <th className="text-right py-2 px-2 font-medium">Valor final</th>
+                <th className="text-right py-2 px-2 font-medium">Cumplimiento</th>
+              </tr>
+            </thead>
+            <tbody>
+              {compliance.targets.map((t, i) => (
+                <tr
+                  key={i}
+                  onClick={() => setSelected(i)}
+                  className={`border-b border-slate-800 cursor-pointer ${t === shown ? 'bg-slate-800/60' : ''}`}
+                >
+                  <td className="py-2 px-2 text-slate-300">
+                    {t.met ? '✅' : '❌'} {t.label}
+                    {t.target.label && <span className="text-slate-500"> · {t.target.label}</span>}
+                  </td>
+                  <td className="py-2 px-2 text-right text-slate-300 font-mono">{formatValue(t.final, 3)}</td>
+                  <td className={`py-2 px-2 text-right font-mono ${t.met ? 'text-emerald-300' : 'text-red-300'}`}>
+                    {formatDay(t.time_days)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {shown && (
+            <ResponsiveContainer width="100%" height={220}>
+              <LineChart data={results.filter((_, i) => i % 4 === 0)}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                <XAxis dataKey="time_days" type="number" domain={['dataMin', 'dataMax']} tickFormatter={(d) => d.toFixed(0)} stroke="#94a3b8" />
+                <YAxis stroke="#94a3b8" />
+                <Tooltip contentStyle={tooltipStyle} labelFormatter={(d) => `Día ${Number(d).toFixed(1)}`} formatter={(v) => formatValue(v, 3)} />
+                <ReferenceLine y={shown.target.value} stroke="#f59e0b" strokeDasharray="6 4"
+                  label={{ value: shown.label, fill: '#f59e0b', fontSize: 11, position: 'insideTopRight' }} />
+                {shown.met && <ReferenceLine x={shown.time_days} stroke="#10b981" strokeDasharray="4 4" />}
+                <Line type="monotone" dataKey={shownKey} name={shown.label} stroke="#06b6d4" strokeWidth={2} dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          )}
+        </div>
+      )}
+
+      <div className="bg-slate-900/80 backdrop-blur-xl rounded-2xl p-6 border border-slate-700/50">
+        <h3 className="text-lg font-bold text-slate-200 mb-4">🧮 Optimización del Tratamiento</h3>
+        <p className="text-xs text-slate-400 mb-3">
+          Busca la combinación de variables de operación que cumple todos los objetivos en el menor tiempo o con el
+          menor coste por kg de suelo. La duración recomendada es el tiempo de cumplimiento de la mejor combinación.
+        </p>
+
+        <div className="space-y-1 mb-4">
+          {decisions.map(v => (
+            <div key={v.key} className="grid grid-cols-12 gap-2 items-center text-xs">
+              <label className="col-span-6 flex items-center gap-2 text-slate-300">
+                <input type="checkbox" checked={v.enabled} onChange={() => updateBounds(v.key, { enabled: !v.enabled })} disabled={running} />
+                {v.label} <span className="text-slate-500 font-mono">({v.param})</span>
+              </label>
+              {['min', 'max'].map(bound => (
+                <input
+                  key={bound}
+                  type="number"
+                  value={v[bound]}
+                  step="any"
+                  onChange={(e) => updateBounds(v.key, { [bound]: parseFloat(e.target.value) })}
+                  disabled={running || !v.enabled}
+                  className="col-span-2 bg-slate-800 text-cyan-300 font-mono rounded px-2 py-1 border border-slate-700 disabled:opacity-40"
+                />
+              ))}
+              <span className="col-span-2 text-slate-500">{v.unit}</span>
+            </div>
+          ))}
+        </div>
+
+        {objective === 'cost' && (
+          <div className="grid grid-cols-3 gap-2 mb-4 text-xs">
+            {COST_FIELDS.map(f => (
+              <label key={f.key} className="text-slate-400">
+                {f.label} ({f.unit})
+                <input
+                  type="number"
+                  value={costs[f.key]}
+                  min="0"
+                  step="any"
+                  onChange={(e) => setCosts({ ...costs, [f.key]: parseFloat(e.target.value) })}
+                  disabled={running}
+                  className="mt-1 w-full bg-slate-800 text-cyan-300 font-mono rounded px-2 py-1 border border-slate-700"
+                />
+              </label>
+            ))}
+          </div>
+        )}
+
+        <div className="flex gap-3">
+          <select
+            value={objective}
+            onChange={(e) => setObjective(e.target.value)}
+            disabled={running}
+            className="bg-slate-800 text-slate-200 text-xs rounded-lg px-3 py-2 border border-slate-700"
+          >
+            {OPTIMIZATION_OBJECTIVES.map(o => <option key={o.value} value={o.value}>Minimizar: {o.label}</option>)}
+          </select>
+          <button
+            onClick={handleRun}
+            disabled={running || valid.length === 0 || enabled.length === 0}
+            className="flex-1 py-3 px-6 bg-gradient-to-r from-cyan-500 to-blue-600 text-white font-bold rounded-xl
+              shadow-lg shadow-cyan-500/30 disabled:opacity-50 transition-all duration-300"
+          >
+            {running
+              ? `${progress.phase === 'screening' ? 'Explorando' : 'Refinando'}… ${progress.evaluations} simulaciones`
+              : '▶️ Optimizar'}
+          </button>
+          {running && (
+            <button
+            onClick={cancel}
+            className="px-4 py-3 bg-red-700 hover:bg-red-600 text-white text-sm font-bold rounded-xl transition-colors"
+          >
+            ✖ Cancelar
+          </button>
+          )}
+        </div>
+
+        {error && (
+          <div className="mt-3 p-3 bg-red-900/30 rounded-lg border border-red-700/30 text-xs text-red-300">
+            ⚠️ {error}
+          </div>
+        )}
+      </div>
+
+      {result && (
+        <div className="bg-slate-900/80 backdrop-blur-xl rounded-2xl p-6 border border-slate-700/50 space-y-4">
+          <div className="flex justify-between items-center flex-wrap gap-2">
+            <h3 className="text-lg font-bold text-slate-200">📐 Operación Recomendada</h3>
+            <button
+              onClick={applyResult}
+              className="px-4 py-2 bg-emerald-600 hover:bg-emerald-500 text-white text-sm font-semibold rounded-lg transition-colors"
+            >
+              ✔️ Aplicar al panel
+            </button>
+          </div>
+
+          {result.feasible ? (
+            <p className="text-sm text-emerald-300">
+              ✅ Cumplimiento el {formatDay(result.days)} · coste {formatValue(result.cost, 3)} €/kg de suelo
+            </p>
+          ) : (
+            <p className="text-sm text-red-300">
+              ❌ Ninguna combinación dentro de los límites cumple todos los objetivos; se muestra la más cercana.
+            </p>
+          )}
+          <p className="text-xs text-slate-500">
+            {result.evaluations} simulaciones · {result.iterations} iteraciones de Nelder-Mead · {result.converged ? 'convergió' : 'sin convergencia'}
+          </p>
+
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-slate-700 text-slate-400">
+                <th className="text-left py-2 px-2 font-medium">Variable</th>
+                <th className="text-right py-2 px-2 font-medium">Panel</th>
+                <th className="text-right py-2 px-2 font-medium">Recomendado</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.decisions.map(d => (
+                <tr key={d.key} className="border-b border-slate-800">
+                  <td className="py-2 px-2 text-slate-300 font-mono">{d.param}{d.at_bound && <span className="text-amber-400" title="En el límite"> ⚠️</span>}</td>
+                  <td className="py-2 px-2 text-right text-slate-400 font-mono">{formatValue(params[d.param])}</td>
+                  <td className="py-2 px-2 text-right text-cyan-300 font-mono">{formatValue(d.value)}</td>
+                </tr>
+              ))}
+              {enabled.some(v => v.key === 't_final') && (
+                <tr className="border-b border-slate-800">
+                  <td className="py-2 px-2 text-slate-300 font-mono">t_final</td>
+                  <td className="py-2 px-2 text-right text-slate-400 font-mono">{formatValue(params.t_final)}</td>
+                  <td className="py-2 px-2 text-right text-cyan-300 font-mono">{formatValue(result.params.t_final)}</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+          <p className="text-xs text-slate-500">⚠️ indica que el óptimo está en el límite de búsqueda: ampliarlo puede mejorar el resultado.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CompliancePanel;
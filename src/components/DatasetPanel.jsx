@@ -0,0 +1,319 @@
+import React, { useMemo, useState } from 'react';
+import {
+  DATASET_TIME_UNITS,
+  datasetVariablesFor,
+  goodnessOfFit,
+  guessMapping,
+  parseCSV,
+  parseDataset,
+  readWorkbook,
+  tableFromRows,
+  unitsFor,
+} from '../engine/index.js';
+
+export const DATASET_COLORS = ['#f8fafc', '#facc15', '#fb7185', '#38bdf8', '#a3e635', '#c084fc', '#fb923c', '#2dd4bf'];
+
+const selectClass = 'bg-slate-800 text-slate-200 text-xs rounded px-2 py-1 border border-slate-700';
+
+const formatStat = (value, digits = 3) => (value === null || !Number.isFinite(value) ? '—' : value.toPrecision(digits));
+
+// Hojas de un archivo como tablas { headers, rows }; un CSV es una única hoja
+const readTables = async (file) => {
+  if (/\.xlsx$/i.test(file.name)) {
+    const sheets = await readWorkbook(new Uint8Array(await file.arrayBuffer()));
+    return sheets.map(s => ({ name: s.name, table: tableFromRows(s.rows) })).filter(s => s.table.headers.length > 0);
+  }
+  return [{ name: file.name, table: parseCSV(await file.text()) }];
+};
+
+// Importación: hoja, columna de tiempo y asignación de cada columna a una variable con su unidad
+const DatasetImport = ({ pending, setPending, variables, onAdd }) => {
+  const { table } = pending.sheets[pending.sheet];
+  const { mapping } = pending;
+  const parsed = useMemo(() => {
+    try {
+      return { points: parseDataset(table, mapping), error: null };
+    } catch (err) {
+      return { points: [], error: err.message };
+    }
+  }, [table, mapping]);
+
+  const setMapping = (changes) => setPending({ ...pending, mapping: { ...mapping, ...changes } });
+  const updateColumn = (header, changes) => setMapping({
+    columns: mapping.columns.map(c => (c.header === header ? { ...c, ...changes } : c)),
+  });
+  // Cambiar la columna de tiempo vuelve a proponer la asignación del resto
+  const changeTime = (time) => {
+    const guess = guessMapping(table.headers, pending.contaminant, time);
+    setMapping({ time, time_unit: guess.time_unit, columns: guess.columns });
+  };
+  const changeSheet = (sheet) => setPending({
+    ...pending,
+    sheet,
+    mapping: guessMapping(pending.sheets[sheet].table.headers, pending.contaminant),
+  });
+
+  return (
+    <div className="space-y-3">
+      <div className="grid sm:grid-cols-2 gap-3">
+        <label className="text-xs text-slate-400">
+          Nombre
+          <input
+            value={pending.name}
+            onChange={(e) => setPending({ ...pending, name: e.target.value })}
+            className="mt-1 w-full bg-slate-800 text-slate-200 text-sm rounded px-2 py-1 border border-slate-700"
+          />
+        </label>
+        {pending.sheets.length > 1 && (
+          <label className="text-xs text-slate-400">
+            Hoja
+            <select value={pending.sheet} onChange={(e) => changeSheet(Number(e.target.value))} className={`mt-1 w-full ${selectClass}`}>
+              {pending.sheets.map((s, i) => <option key={i} value={i}>{s.name}</option>)}
+            </select>
+          </label>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-end gap-3">
+        <label className="text-xs text-slate-400">
+          Columna de tiempo
+          <select value={mapping.time ?? ''} onChange={(e) => changeTime(e.target.value || null)} className={`mt-1 block ${selectClass}`}>
+            <option value="">—</option>
+            {table.headers.map(h => <option key={h} value={h}>{h}</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-slate-400">
+          Unidad
+          <select value={mapping.time_unit} onChange={(e) => setMapping({ time_unit: e.target.value })} className={`mt-1 block ${selectClass}`}>
+            {DATASET_TIME_UNITS.map(u => <option key={u.value} value={u.value}>{u.label}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="border-b border-slate-700 text-slate-400">
+            <th className="text-left py-1 px-2 font-medium">Columna</th>
+            <th className="text-left py-1 px-2 font-medium">Variable</th>
+            <th className="text-left py-1 px-2 font-medium">Unidad</th>
+            <th className="text-left py-1 px-2 font-medium">Desviación (±)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {mapping.columns.map(c => (
+            <tr key={c.header} className="border-b border-slate-800">
+              <td className="py-1 px-2 text-slate-300 font-mono">{c.header}</td>
+              <td className="py-1 px-2">
+                <select
+                  value={c.variable ?? ''}
+                  onChange={(e) => {
+                    const variable = e.target.value || null;
+                    updateColumn(c.header, { variable, unit: variable ? unitsFor(variable)[0].value : c.unit, error: variable ? c.error : null });
+                  }}
+                  className={selectClass}
+                >
+                  <option value="">No importar</option>
+                  {variables.map(v => <option key={v.key} value={v.key}>{v.label}</option>)}
+                </select>
+              </td>
+              <td className="py-1 px-2">
+                {c.variable && (
+                  <select value={c.unit} onChange={(e) => updateColumn(c.header, { unit: e.target.value })} className={selectClass}>
+                    {unitsFor(c.variable).map(u => <option key={u.value} value={u.value}>{u.label}</option>)}
+                  </select>
+                )}
+              </td>
+              <td className="py-1 px-2">
+                {c.variable && (
+                  <select value={c.error ?? ''} onChange={(e) => updateColumn(c.header, { error: e.target.value || null })} className={selectClass}>
+                    <option value="">Sin barras</option>
+                    {mapping.columns.filter(o => o.header !== c.header).map(o => <option key={o.header} value={o.header}>{o.header}</option>)}
+                  </select>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="flex justify-between items-center gap-3">
+        <p className={`text-xs ${parsed.error ? 'text-amber-400' : 'text-slate-500'}`}>
+          {parsed.error ? `⚠️ ${parsed.error}` : `${parsed.points.length} mediciones en ${table.rows.length} filas`}
+        </p>
+        <div className="flex gap-2">
+          <button onClick={() => setPending(null)} className="px-3 py-1.5 bg-slate-800 hover:bg-slate-700 text-xs rounded-lg transition-colors">
+            Cancelar
+          </button>
+          <button
+            onClick={() => onAdd(pending.name.trim() || pending.source, pending.source, parsed.points)}
+            disabled={parsed.error !== null}
+            className="px-3 py-1.5 bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50 text-white text-xs font-semibold rounded-lg transition-colors"
+          >
+            ➕ Añadir conjunto
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Conjuntos de mediciones importados: asignación de columnas, visibilidad en las gráficas y
+// bondad de ajuste frente a la última simulación
+const DatasetPanel = ({ datasets, setDatasets, results, contaminant, storageError }) => {
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState(null);
+  const variables = datasetVariablesFor(contaminant);
+  const variableLabel = (key) => variables.find(v => v.key === key)?.label ?? key;
+  const variableUnit = (key) => variables.find(v => v.key === key)?.unit ?? '';
+
+  const fits = useMemo(
+    () => datasets.map(d => ({ dataset: d, statistics: goodnessOfFit(results, d.points) })),
+    [datasets, results],
+  );
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const sheets = await readTables(file);
+      if (sheets.length === 0 || sheets[0].table.headers.length === 0) throw new Error('El archivo no contiene datos');
+      setPending({
+        source: file.name,
+        name: file.name.replace(/\.[^.]+$/, ''),
+        contaminant,
+        sheets,
+        sheet: 0,
+        mapping: guessMapping(sheets[0].table.headers, contaminant),
+      });
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const addDataset = (name, source, points) => {
+    const used = new Set(datasets.map(d => d.color));
+    const color = DATASET_COLORS.find(c => !used.has(c)) ?? DATASET_COLORS[datasets.length % DATASET_COLORS.length];
+    setDatasets([...datasets, { id: `${Date.now().toString(36)}-${datasets.length}`, name, color, visible: true, source, points }]);
+    setPending(null);
+  };
+
+  const updateDataset = (id, changes) => setDatasets(datasets.map(d => (d.id === id ? { ...d, ...changes } : d)));
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-slate-900/80 backdrop-blur-xl rounded-2xl p-6 border border-slate-700/50">
+        <h3 className="text-lg font-bold text-slate-200 mb-4">🧪 Mediciones Experimentales</h3>
+
+        {pending ? (
+          <DatasetImport pending={pending} setPending={setPending} variables={variables} onAdd={addDataset} />
+        ) : (
+          <label className="block">
+            <span className="text-xs text-slate-400">
+              CSV o XLSX con una columna de tiempo (horas o días) y una columna por variable medida; las columnas
+              de desviación estándar se dibujan como barras de error
+            </span>
+            <input
+              type="file"
+              accept=".csv,.txt,.xlsx,text/csv"
+              onChange={handleFile}
+              className="mt-1 block w-full text-xs text-slate-300 file:mr-3 file:py-2 file:px-3 file:rounded-lg
+                file:border-0 file:bg-slate-700 file:text-slate-200 hover:file:bg-slate-600"
+            />
+          </label>
+        )}
+
+        {error && (
+          <div className="mt-3 p-3 bg-red-900/30 rounded-lg border border-red-700/30 text-xs text-red-300">
+            ⚠️ {error}
+          </div>
+        )}
+
+        {storageError && <p className="mt-3 text-xs text-amber-400">⚠️ {storageError}</p>}
+
+        {datasets.length > 0 && (
+          <div className="mt-4 space-y-2">
+            {datasets.map(d => {
+              const counts = variables
+                .map(v => ({ ...v, n: d.points.filter(p => p.variable === v.key).length }))
+                .filter(v => v.n > 0);
+              return (
+                <div key={d.id} className="flex items-center gap-3 bg-slate-800/50 rounded-lg px-3 py-2 text-xs">
+                  <input
+                    type="checkbox"
+                    checked={d.visible}
+                    onChange={() => updateDataset(d.id, { visible: !d.visible })}
+                    title="Mostrar en las gráficas"
+                  />
+                  <input
+                    type="color"
+                    value={d.color}
+                    onChange={(e) => updateDataset(d.id, { color: e.target.value })}
+                    className="w-5 h-5 bg-transparent border-0 p-0 cursor-pointer"
+                  />
+                  <div className="flex-1 min-w-0">
+                    <p className="text-slate-200 truncate" title={d.source}>{d.name}</p>
+                    <p className="text-slate-500">{counts.map(v => `${v.label} · ${v.n}`).join(' · ') || 'Sin variables de este contaminante'}</p>
+                  </div>
+                  <button
+                    onClick={() => setDatasets(datasets.filter(o => o.id !== d.id))}
+                    className="text-slate-500 hover:text-red-400"
+                    title="Eliminar"
+                  >
+                    ✕
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {datasets.length > 0 && (
+        <div className="bg-slate-900/80 backdrop-blur-xl rounded-2xl p-6 border border-slate-700/50">
+          <h3 className="text-lg font-bold text-slate-200 mb-2">📐 Bondad de Ajuste</h3>
+          {results.length === 0 ? (
+            <p className="text-sm text-slate-400">Ejecuta una simulación para compararla con las mediciones.</p>
+          ) : (
+            <>
+              <p className="text-xs text-slate-500 mb-3">
+                Simulación actual frente a cada conjunto. NSE = 1 − Σ(obs − mod)²/Σ(obs − media)²; R² es el cuadrado de la
+                correlación de Pearson. Las mediciones fuera del horizonte simulado no se comparan.
+              </p>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b border-slate-700 text-slate-400">
+                    <th className="text-left py-2 px-2 font-medium">Conjunto</th>
+                    <th className="text-left py-2 px-2 font-medium">Variable</th>
+                    <th className="text-right py-2 px-2 font-medium">n</th>
+                    <th className="text-right py-2 px-2 font-medium">RMSE</th>
+                    <th className="text-right py-2 px-2 font-medium">NSE</th>
+                    <th className="text-right py-2 px-2 font-medium">R²</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {fits.flatMap(({ dataset, statistics }) => Object.entries(statistics).map(([variable, s]) => (
+                    <tr key={`${dataset.id}-${variable}`} className="border-b border-slate-800">
+                      <td className="py-2 px-2 text-slate-300" style={{ color: dataset.color }}>{dataset.name}</td>
+                      <td className="py-2 px-2 text-slate-300">{variableLabel(variable)}</td>
+                      <td className="py-2 px-2 text-right text-slate-400 font-mono">{s.n}</td>
+                      <td className="py-2 px-2 text-right text-slate-300 font-mono">{formatStat(s.rmse)} <span className="text-slate-500">{variableUnit(variable)}</span></td>
+                      <td className={`py-2 px-2 text-right font-mono ${s.nse !== null && s.nse < 0 ? 'text-amber-400' : 'text-cyan-300'}`}>{formatStat(s.nse)}</td>
+                      <td className="py-2 px-2 text-right text-cyan-300 font-mono">{formatStat(s.r2)}</td>
+                    </tr>
+                  )))}
+                </tbody>
+              </table>
+              {fits.every(f => Object.keys(f.statistics).length === 0) && (
+                <p className="text-xs text-slate-500 mt-2">Ninguna medición cae dentro del horizonte simulado.</p>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DatasetPanel;
@@ -0,0 +1,127 @@
+import React, { useMemo, useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { ENVIRONMENT_INPUTS, PARAMETER_CHOICES, activeEnvironment, environmentAt, parseProfile } from '../engine/index.js';
+
+const tooltipStyle = { backgroundColor: '#1e293b', border: '1px solid #475569', borderRadius: '8px' };
+
+const choiceFor = (key) => PARAMETER_CHOICES.find(c => c.key === key);
+
+// Puntos de la vista previa de los factores sobre el horizonte de simulación
+const PREVIEW_POINTS = 120;
+
+const ChoiceSelect = ({ choiceKey, params, setParams }) => {
+  const choice = choiceFor(choiceKey);
+  const selected = choice.options.find(o => o.value === params[choiceKey]);
+  return (
+    <label className="block text-xs text-slate-400">
+      {choice.label}
+      <select
+        value={params[choiceKey]}
+        onChange={(e) => setParams({ ...params, [choiceKey]: e.target.value })}
+        className="mt-1 w-full bg-slate-800 text-slate-200 text-xs rounded-lg px-2 py-2 border border-slate-700"
+      >
+        {choice.options.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+      </select>
+      {selected?.description && <span className="block text-[11px] text-slate-500 mt-1">{selected.description}</span>}
+    </label>
+  );
+};
+
+const ProfileUpload = ({ input, params, setParams }) => {
+  const [fileName, setFileName] = useState(null);
+  const [error, setError] = useState(null);
+  const series = params[input.series];
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      setParams({ ...params, [input.series]: parseProfile(await file.text()) });
+      setFileName(file.name);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <label className="block text-xs text-slate-400">
+      <span className="text-[11px] text-slate-500">
+        CSV con columna de tiempo (time_h / time_days) y una columna de {input.label.toLowerCase()} ({input.unit})
+      </span>
+      <input
+        type="file"
+        accept=".csv,text/csv"
+        onChange={handleFile}
+        className="mt-1 block w-full text-xs text-slate-300 file:mr-3 file:py-2 file:px-3 file:rounded-lg
+          file:border-0 file:bg-slate-700 file:text-slate-200 hover:file:bg-slate-600"
+      />
+      {series.length > 0 ? (
+        <span className="block text-[11px] text-slate-500 mt-1">
+          {fileName ?? 'Perfil cargado'}: {series.length} puntos entre {series[0][0]} h y {series[series.length - 1][0]} h
+        </span>
+      ) : (
+        <span className="block text-[11px] text-amber-400 mt-1">Sin perfil: carga un CSV para simular</span>
+      )}
+      {error && <span className="block text-[11px] text-red-400 mt-1">{error}</span>}
+    </label>
+  );
+};
+
+// Factores de las variables activas y su producto a lo largo de la simulación
+const FactorPreview = ({ params }) => {
+  const inputs = activeEnvironment(params);
+  const data = useMemo(() => {
+    const ready = inputs.every(i => params[i.profile] !== 'csv' || params[i.series].length > 0);
+    if (inputs.length === 0 || !ready) return [];
+    return Array.from({ length: PREVIEW_POINTS + 1 }, (_, j) => {
+      const t = (j / PREVIEW_POINTS) * params.t_final;
+      const { activity, factors } = environmentAt(t, params);
+      return { time_days: t / 24, ...factors, f_env: activity };
+    });
+  }, [params]);
+
+  if (data.length === 0) return null;
+  return (
+    <div className="h-32">
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart data={data} margin={{ top: 5, right: 5, left: -25, bottom: 0 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+          <XAxis dataKey="time_days" stroke="#64748b" fontSize={10} tickFormatter={(v) => v.toFixed(0)} />
+          <YAxis stroke="#64748b" fontSize={10} domain={[0, 'auto']} />
+          <Tooltip
+            contentStyle={tooltipStyle}
+            labelFormatter={(v) => `Día ${Number(v).toFixed(2)}`}
+            formatter={(v) => v.toFixed(3)}
+          />
+          {inputs.map(i => <Line key={i.key} type="monotone" dataKey={i.factor} stroke={i.color} strokeWidth={1.5} dot={false} />)}
+          <Line type="monotone" dataKey="f_env" name="f_total" stroke="#e2e8f0" strokeWidth={2} strokeDasharray="4 2" dot={false} />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+const EnvironmentControls = ({ params, setParams }) => (
+  <div className="mb-6">
+    <h3 className="text-sm font-semibold text-slate-300 mb-3 border-b border-slate-700 pb-2">
+      🌡️ Condiciones Ambientales
+    </h3>
+    <div className="space-y-3">
+      {ENVIRONMENT_INPUTS.map(input => (
+        <div key={input.key} className="space-y-2">
+          <ChoiceSelect choiceKey={input.model} params={params} setParams={setParams} />
+          {params[input.model] !== 'none' && (
+            <>
+              <ChoiceSelect choiceKey={input.profile} params={params} setParams={setParams} />
+              {params[input.profile] === 'csv' && <ProfileUpload input={input} params={params} setParams={setParams} />}
+            </>
+          )}
+        </div>
+      ))}
+      <FactorPreview params={params} />
+    </div>
+  </div>
+);
+
+export default EnvironmentControls;
@@ -0,0 +1,127 @@
+import React from 'react';
+import { EVENT_OPERATORS, EVENT_TRIGGERS, MAX_EVENTS, describeEvent, eventOptionsFor } from '../engine/index.js';
+import { NumericInput, ParameterIssues } from './ParameterInput.jsx';
+
+const selectClass = 'bg-slate-800 text-slate-200 text-xs rounded px-1.5 py-1 border border-slate-700';
+
+// Intervención nueva: bioaumentación a mitad del horizonte
+const newEvent = (params) => ({
+  trigger: 'time',
+  time_h: Math.round(params.t_final / 2),
+  action: 'dose_biomass',
+  amount: 20,
+});
+
+// Un evento guardado puede usar una acción o una variable que ya no existe en la
+// configuración; se conserva en el selector para que el error sea visible
+const withCurrent = (options, value) => (options.some(o => o.value === value) ? options : [...options, { value, label: value }]);
+
+const EventRow = ({ event, index, params, actions, variables, onChange, onRemove }) => {
+  const action = actions.find(a => a.value === event.action);
+  const variable = variables.find(v => v.key === event.variable);
+  const update = (changes) => onChange({ ...event, ...changes });
+
+  const changeTrigger = (trigger) => {
+    const { action: current, amount } = event;
+    const what = { action: current, ...(amount !== undefined && { amount }) };
+    onChange(trigger === 'time'
+      ? { trigger, time_h: Math.round(params.t_final / 2), ...what }
+      : { trigger, variable: variables[0].key, operator: '<', value: 5, ...what });
+  };
+  const changeAction = (value) => {
+    const { amount, ...rest } = event;
+    const next = actions.find(a => a.value === value);
+    onChange(next?.state ? { ...rest, action: value, amount: amount ?? 20 } : { ...rest, action: value });
+  };
+
+  return (
+    <div className="p-2 rounded-lg bg-slate-800/50 border border-slate-700 space-y-1.5">
+      <div className="flex items-center gap-1.5">
+        <span className="text-[11px] font-mono text-violet-300 w-5">{index + 1}</span>
+        <select value={event.trigger} onChange={(e) => changeTrigger(e.target.value)} className={`${selectClass} flex-1 min-w-0`}>
+          {EVENT_TRIGGERS.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+        </select>
+        <button onClick={onRemove} className="text-xs text-slate-500 hover:text-red-400 px-1" title="Quitar la intervención">✖</button>
+      </div>
+
+      {event.trigger === 'time' ? (
+        <div className="flex items-center gap-1.5 pl-6">
+          <span className="text-[11px] text-slate-400">t =</span>
+          <NumericInput value={event.time_h} unit="h" onChange={(time_h) => update({ time_h })} />
+        </div>
+      ) : (
+        <div className="flex items-center gap-1.5 pl-6 flex-wrap">
+          <select
+            value={event.variable}
+            onChange={(e) => update({ variable: e.target.value })}
+            className={`${selectClass} min-w-0 max-w-[9rem]`}
+          >
+            {withCurrent(variables.map(v => ({ value: v.key, label: v.label })), event.variable)
+              .map(v => <option key={v.value} value={v.value}>{v.label}</option>)}
+          </select>
+          <select value={event.operator} onChange={(e) => update({ operator: e.target.value })} className={selectClass}>
+            {EVENT_OPERATORS.map(op => <option key={op} value={op}>{op}</option>)}
+          </select>
+          <NumericInput value={event.value} unit={variable?.unit ?? 'mg/L'} onChange={(value) => update({ value })} />
+        </div>
+      )}
+
+      <div className="flex items-center gap-1.5 pl-6 flex-wrap">
+        <select value={event.action} onChange={(e) => changeAction(e.target.value)} className={`${selectClass} flex-1 min-w-0`}>
+          {withCurrent(actions, event.action).map(a => <option key={a.value} value={a.value}>{a.label}</option>)}
+        </select>
+        {action?.state && <NumericInput value={event.amount} unit="mg/L" onChange={(amount) => update({ amount })} />}
+      </div>
+    </div>
+  );
+};
+
+// Intervenciones del operador durante el tratamiento: dosis de contaminante, bioaumentación,
+// pulsos de co-sustrato y paradas de la aireación, en un instante o al cruzar un umbral
+const EventSchedule = ({ params, setParams, issues }) => {
+  const { actions, variables } = eventOptionsFor(params);
+  const { events } = params;
+  const setEvents = (next) => setParams({ ...params, events: next });
+
+  return (
+    <div className="mb-6">
+      <h3 className="text-sm font-semibold text-slate-300 mb-3 border-b border-slate-700 pb-2">
+        📅 Intervenciones Programadas
+      </h3>
+      <div className="space-y-2">
+        {events.length === 0 && (
+          <p className="text-[11px] text-slate-500">
+            Sin intervenciones: el tratamiento evoluciona desde las condiciones iniciales.
+          </p>
+        )}
+        {events.map((event, i) => (
+          <EventRow
+            key={i}
+            event={event}
+            index={i}
+            params={params}
+            actions={actions}
+            variables={variables}
+            onChange={(next) => setEvents(events.map((e, j) => (j === i ? next : e)))}
+            onRemove={() => setEvents(events.filter((_, j) => j !== i))}
+          />
+        ))}
+        <ParameterIssues {...issues} />
+        {events.length > 0 && issues.errors.length === 0 && (
+          <ol className="text-[11px] text-slate-500 list-decimal pl-5">
+            {events.map((event, i) => <li key={i}>{describeEvent(event, params)}</li>)}
+          </ol>
+        )}
+        <button
+          onClick={() => setEvents([...events, newEvent(params)])}
+          disabled={events.length >= MAX_EVENTS}
+          className="w-full py-1.5 text-xs text-violet-300 bg-slate-800 hover:bg-slate-700 rounded-lg border border-slate-700 disabled:opacity-50"
+        >
+          + Añadir intervención
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default EventSchedule;
@@ -0,0 +1,173 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  EXPORT_RESOLUTIONS,
+  SERIES_COLUMN_GROUPS,
+  buildReport,
+  defaultExportColumns,
+  exportBundle,
+  exportCSV,
+  exportWorkbook,
+  resampleResults,
+  seriesColumns,
+} from '../engine/index.js';
+import { downloadFile, dateStamp } from '../utils/download.js';
+
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Formatos de salida; los informes no dependen de las columnas ni del intervalo elegidos
+const FORMATS = [
+  { value: 'xlsx', label: 'Excel (XLSX)', description: 'Hojas de parámetros, serie temporal, métricas, integrador y cumplimiento' },
+  { value: 'csv', label: 'CSV', description: 'Solo la serie temporal' },
+  { value: 'json', label: 'JSON', description: 'Parámetros, integrador, métricas, balance y serie en un archivo' },
+  { value: 'html', label: 'Informe HTML', description: 'Gráficas, ecuaciones, parámetros y métricas en un único archivo', report: true },
+  { value: 'pdf', label: 'Informe PDF', description: 'Abre el informe en una pestaña nueva con el diálogo de impresión', report: true },
+];
+
+const inputClass = 'w-full bg-slate-800 text-slate-200 text-sm rounded px-2 py-1 border border-slate-700';
+
+// Exportación de la última corrida: formato, título, columnas de la serie e intervalo de salida
+const ExportDialog = ({ run, onClose }) => {
+  const columns = useMemo(() => seriesColumns(run.params), [run.params]);
+  const [format, setFormat] = useState('xlsx');
+  const [name, setName] = useState('Simulación bioslurry');
+  const [selected, setSelected] = useState(() => new Set(defaultExportColumns(run.params)));
+  const [step, setStep] = useState(0);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const onKey = (e) => e.key === 'Escape' && onClose();
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [onClose]);
+
+  const { report } = FORMATS.find(f => f.value === format);
+  const rowCount = useMemo(() => resampleResults(run.results, step).length, [run.results, step]);
+  const groups = SERIES_COLUMN_GROUPS
+    .map(g => ({ ...g, columns: columns.filter(c => c.group === g.key) }))
+    .filter(g => g.columns.length > 0);
+
+  const toggle = (keys, on) => {
+    const next = new Set(selected);
+    keys.forEach(key => (on ? next.add(key) : next.delete(key)));
+    setSelected(next);
+  };
+
+  const handleExport = () => {
+    const options = { name, columns: columns.filter(c => selected.has(c.key)).map(c => c.key), step_h: step };
+    const stamp = dateStamp();
+    setError(null);
+    if (format === 'csv') {
+      downloadFile(exportCSV(run, options), `bioslurry_simulation_${stamp}.csv`, 'text/csv;charset=utf-8;');
+    } else if (format === 'xlsx') {
+      downloadFile(new Blob([exportWorkbook(run, options)], { type: XLSX_TYPE }), `bioslurry_simulation_${stamp}.xlsx`);
+    } else if (format === 'json') {
+      downloadFile(JSON.stringify(exportBundle(run, options), null, 2), `bioslurry_simulation_${stamp}.json`, 'application/json');
+    } else if (format === 'html') {
+      downloadFile(buildReport(run, options), `bioslurry_informe_${stamp}.html`, 'text/html;charset=utf-8;');
+    } else {
+      const win = window.open('', '_blank');
+      if (!win) {
+        setError('El navegador bloqueó la ventana del informe. Permite las ventanas emergentes o descarga el informe HTML.');
+        return;
+      }
+      win.document.write(buildReport(run, { ...options, print: true }));
+      win.document.close();
+    }
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-slate-950/80 backdrop-blur-sm flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        className="bg-slate-900 rounded-2xl border border-slate-700 w-full max-w-2xl max-h-[90vh] overflow-y-auto p-6 space-y-4"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center">
+          <h3 className="text-lg font-bold text-slate-200">📥 Exportar resultados</h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-white">✕</button>
+        </div>
+
+        <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+          {FORMATS.map(f => (
+            <button
+              key={f.value}
+              onClick={() => setFormat(f.value)}
+              title={f.description}
+              className={`text-left p-2 rounded-lg border text-sm transition-colors ${
+                format === f.value ? 'border-emerald-500 bg-emerald-900/30 text-emerald-300' : 'border-slate-700 bg-slate-800/50 text-slate-300 hover:border-slate-500'
+              }`}
+            >
+              {f.label}
+              <span className="block text-[10px] text-slate-500">{f.description}</span>
+            </button>
+          ))}
+        </div>
+
+        <label className="block text-xs text-slate-400">
+          Título
+          <input value={name} onChange={(e) => setName(e.target.value)} className={`mt-1 ${inputClass}`} />
+        </label>
+
+        {!report && (
+          <>
+            <div className="flex items-end gap-3">
+              <label className="text-xs text-slate-400 flex-1">
+                Resolución temporal
+                <select value={step} onChange={(e) => setStep(Number(e.target.value))} className={`mt-1 ${inputClass}`}>
+                  {EXPORT_RESOLUTIONS.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+                </select>
+              </label>
+              <p className="text-xs text-slate-500 pb-1.5">{rowCount} filas · {selected.size} columnas</p>
+            </div>
+
+            <div>
+              <div className="flex justify-between items-center mb-2">
+                <p className="text-xs text-slate-400">Columnas de la serie temporal</p>
+                <div className="flex gap-2 text-xs">
+                  <button onClick={() => setSelected(new Set(columns.map(c => c.key)))} className="text-cyan-400 hover:text-cyan-300">Todas</button>
+                  <button onClick={() => setSelected(new Set(defaultExportColumns(run.params)))} className="text-cyan-400 hover:text-cyan-300">Predeterminadas</button>
+                </div>
+              </div>
+              <div className="grid sm:grid-cols-2 gap-3">
+                {groups.map(g => {
+                  const keys = g.columns.map(c => c.key);
+                  const all = keys.every(key => selected.has(key));
+                  return (
+                    <div key={g.key} className="bg-slate-800/40 rounded-lg p-2">
+                      <label className="flex items-center gap-2 text-xs font-semibold text-slate-300 mb-1">
+                        <input type="checkbox" checked={all} onChange={() => toggle(keys, !all)} />
+                        {g.label}
+                      </label>
+                      {g.columns.map(c => (
+                        <label key={c.key} className="flex items-center gap-2 text-xs text-slate-400 pl-4">
+                          <input type="checkbox" checked={selected.has(c.key)} onChange={(e) => toggle([c.key], e.target.checked)} />
+                          {c.label}
+                          <span className="text-slate-600 font-mono">{c.key}</span>
+                        </label>
+                      ))}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          </>
+        )}
+
+        {error && <p className="text-xs text-red-400">⚠️ {error}</p>}
+
+        <div className="flex justify-end gap-2">
+          <button onClick={onClose} className="px-4 py-2 bg-slate-800 hover:bg-slate-700 text-sm rounded-lg transition-colors">Cancelar</button>
+          <button
+            onClick={handleExport}
+            disabled={!report && selected.size === 0}
+            className="px-4 py-2 bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50 text-white text-sm font-semibold rounded-lg transition-colors"
+          >
+            Exportar
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportDialog;
@@ -0,0 +1,24 @@
+import React, { useEffect, useState } from 'react';
+
+// Actividad del pool de simulación: hilos ocupados y trabajos en cola. Solo se muestra
+// mientras hay trabajo.
+const JobIndicator = ({ runner }) => {
+  const [activity, setActivity] = useState({ size: runner.size, busy: 0, queued: 0 });
+
+  useEffect(() => runner.subscribe(setActivity), [runner]);
+
+  if (activity.busy === 0 && activity.queued === 0) return null;
+
+  return (
+    <div
+      className="flex items-center gap-2 px-3 py-2 bg-slate-800 rounded-lg text-xs text-slate-300"
+      title="Simulaciones en ejecución en segundo plano"
+    >
+      <span className="w-2 h-2 rounded-full bg-cyan-400 animate-pulse" />
+      <span className="font-mono">{activity.busy}/{activity.size}</span> hilos
+      {activity.queued > 0 && <span className="text-slate-500">· {activity.queued} en cola</span>}
+    </div>
+  );
+};
+
+export default JobIndicator;
@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { fromUnit, parseNumberInput, toUnit, unitOptions } from '../engine/index.js';
+
+// Campo numérico junto al deslizador: admite valores fuera del rango del deslizador y
+// unidades equivalentes (1/d, µg/L...). El parámetro se guarda siempre en la unidad del
+// motor; un texto que no es un número se señala y no llega a los parámetros.
+export const NumericInput = ({ value, unit, onChange }) => {
+  const options = unitOptions(unit);
+  const [display, setDisplay] = useState(unit);
+  const [draft, setDraft] = useState(null);
+  const invalid = draft !== null && !Number.isFinite(parseNumberInput(draft));
+
+  const edit = (text) => {
+    setDraft(text);
+    const parsed = parseNumberInput(text);
+    if (Number.isFinite(parsed)) onChange(fromUnit(parsed, unit, display));
+  };
+
+  return (
+    <div className="flex items-center gap-1">
+      <input
+        type="text"
+        inputMode="decimal"
+        value={draft ?? String(toUnit(value, unit, display))}
+        onChange={(e) => edit(e.target.value)}
+        onBlur={() => !invalid && setDraft(null)}
+        onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+        title={invalid ? 'No es un número' : undefined}
+        className={`w-20 bg-slate-800 text-cyan-300 font-mono text-xs text-right rounded px-1.5 py-0.5 border ${
+          invalid ? 'border-red-500' : 'border-slate-700 focus:border-cyan-600'
+        } outline-none`}
+      />
+      {options.length > 1 ? (
+        <select
+          value={display}
+          onChange={(e) => {
+            setDisplay(e.target.value);
+            setDraft(null);
+          }}
+          className="bg-slate-800 text-slate-400 text-[11px] rounded px-1 py-0.5 border border-slate-700"
+        >
+          {options.map(o => <option key={o.unit} value={o.unit}>{o.unit}</option>)}
+        </select>
+      ) : (
+        <span className="text-[11px] text-slate-500">{unit}</span>
+      )}
+    </div>
+  );
+};
+
+// Errores (impiden simular) y avisos de checkParameters de un parámetro
+export const ParameterIssues = ({ errors = [], warnings = [] }) => {
+  if (errors.length === 0 && warnings.length === 0) return null;
+
+  // Con spans, porque los selectores de opciones van dentro de un <label>
+  return (
+    <span className="block mt-1 space-y-0.5">
+      {errors.map((e, i) => (
+        <span key={`e${i}`} className="block text-[11px] text-red-400">✖ {e.message}</span>
+      ))}
+      {warnings.map((w, i) => (
+        <span key={`w${i}`} className="block text-[11px] text-amber-400">⚠ {w.message}</span>
+      ))}
+    </span>
+  );
+};
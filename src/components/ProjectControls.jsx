@@ -0,0 +1,78 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { parseProject } from '../engine/index.js';
+import { downloadFile, dateStamp } from '../utils/download.js';
+
+const buttonClass = 'px-3 py-2 bg-slate-800 hover:bg-slate-700 text-sm rounded-lg transition-colors';
+
+// Guardar y abrir archivos de proyecto y copiar un enlace con la configuración actual
+const ProjectControls = ({ buildProject, buildShareUrl, onLoad }) => {
+  const fileInput = useRef(null);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    if (!notice || notice.error) return undefined;
+    const timeout = setTimeout(() => setNotice(null), 4000);
+    return () => clearTimeout(timeout);
+  }, [notice]);
+
+  const handleSave = () => {
+    downloadFile(JSON.stringify(buildProject(), null, 2), `bioslurry_proyecto_${dateStamp()}.json`, 'application/json');
+  };
+
+  const handleOpen = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      onLoad(parseProject(await file.text()));
+      setNotice({ text: `Proyecto cargado: ${file.name}` });
+    } catch (err) {
+      setNotice({ text: err.message, error: true });
+    }
+  };
+
+  const handleShare = async () => {
+    const url = buildShareUrl();
+    try {
+      await navigator.clipboard.writeText(url);
+      setNotice({ text: 'Enlace copiado al portapapeles' });
+    } catch {
+      setNotice({ text: url, url: true });
+    }
+  };
+
+  return (
+    <div className="relative flex items-center gap-2">
+      <button onClick={() => fileInput.current.click()} className={buttonClass} title="Abrir un proyecto .json">
+        📂 Abrir
+      </button>
+      <input ref={fileInput} type="file" accept=".json,application/json" onChange={handleOpen} className="hidden" />
+      <button onClick={handleSave} className={buttonClass} title="Descargar parámetros, integrador y escenarios">
+        💾 Guardar proyecto
+      </button>
+      <button onClick={handleShare} className={buttonClass} title="Copiar un enlace que restaura esta configuración">
+        🔗 Compartir
+      </button>
+
+      {notice && (
+        <div
+          className={`absolute top-full right-0 mt-2 w-80 p-3 rounded-lg border text-xs z-10 ${
+            notice.error ? 'bg-red-900/90 border-red-700/50 text-red-200' : 'bg-slate-800/95 border-slate-600 text-slate-200'
+          }`}
+        >
+          {notice.url ? (
+            <>
+              <p className="mb-1 text-slate-400">Copia este enlace:</p>
+              <input readOnly value={notice.text} onFocus={(e) => e.target.select()} className="w-full bg-slate-900 rounded px-2 py-1 font-mono" />
+            </>
+          ) : (
+            <p>{notice.error && '⚠️ '}{notice.text}</p>
+          )}
+          <button onClick={() => setNotice(null)} className="absolute top-1 right-2 text-slate-400 hover:text-white">✕</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProjectControls;
@@ -0,0 +1,223 @@
+import React, { useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { DEFAULT_PARAMS, contaminantLabel, metricDefinitionsFor, parameterLabel } from '../engine/index.js';
+
+// Colores asignados a los escenarios guardados, en orden de creación
+export const SCENARIO_COLORS = ['#f59e0b', '#3b82f6', '#ec4899', '#14b8a6', '#84cc16', '#f43f5e', '#8b5cf6', '#0ea5e9'];
+
+// Las etiquetas usan los nombres del contaminante de la simulación actual
+const OVERLAY_VARIABLES = [
+  { key: 'C_G_aq', label: '{parent} (aq)', unit: 'mg/L' },
+  { key: 'C_G_s', label: '{parent} (s)', unit: 'mg/kg' },
+  { key: 'C_A_aq', label: '{A}', unit: 'mg/L' },
+  { key: 'X', label: 'Biomasa', unit: 'mg/L' },
+  { key: 'removal_percent', label: 'Remoción', unit: '%' },
+];
+
+const CURRENT_COLOR = '#e2e8f0';
+
+// Un valor nulo significa que la métrica está definida pero no se alcanzó (p. ej. T₉₉ o un día
+// de control más allá del horizonte); una clave ausente, que el escenario no la calculó.
+const formatMetric = (value, missing) => {
+  if (Number.isFinite(value)) return value.toFixed(2);
+  return value === null && missing ? missing : '—';
+};
+
+// Lista de escenarios guardados: visibilidad en las gráficas, línea base, carga y borrado
+export const ScenarioManager = ({ scenarios, setScenarios, baselineId, setBaselineId, canSave, storageError, onSave, onLoad }) => {
+  const [name, setName] = useState('');
+
+  const update = (id, changes) => {
+    setScenarios(scenarios.map(s => s.id === id ? { ...s, ...changes } : s));
+  };
+
+  const remove = (id) => {
+    setScenarios(scenarios.filter(s => s.id !== id));
+    if (baselineId === id) setBaselineId(null);
+  };
+
+  const handleSave = () => {
+    onSave(name.trim() || `Escenario ${scenarios.length + 1}`);
+    setName('');
+  };
+
+  return (
+    <div className="bg-slate-900/80 backdrop-blur-xl rounded-2xl p-6 border border-slate-700/50">
+      <h3 className="text-lg font-bold text-slate-200 mb-4">🗂️ Escenarios</h3>
+
+      <div className="flex gap-2 mb-4">
+        <input
+          type="text"
+          value={name}
+          placeholder={`Escenario ${scenarios.length + 1}`}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && canSave && handleSave()}
+          className="flex-1 min-w-0 bg-slate-800 text-slate-200 text-xs rounded-lg px-3 py-2 border border-slate-700"
+        />
+        <button
+          onClick={handleSave}
+          disabled={!canSave}
+          className="px-3 py-2 bg-emerald-600 hover:bg-emerald-500 text-white text-xs font-semibold rounded-lg
+            disabled:opacity-40 transition-colors"
+        >
+          💾 Guardar
+        </button>
+      </div>
+
+      {scenarios.length === 0 ? (
+        <p className="text-xs text-slate-500">Ejecuta una simulación y guárdala para compararla con otras.</p>
+      ) : (
+        <div className="space-y-2">
+          {scenarios.map(s => (
+            <div key={s.id} className="flex items-center gap-2 text-xs">
+              <input
+                type="checkbox"
+                checked={s.visible}
+                onChange={() => update(s.id, { visible: !s.visible })}
+                title="Mostrar en las gráficas"
+              />
+              <span className="w-3 h-3 rounded-full flex-shrink-0" style={{ backgroundColor: s.color }} />
+              <input
+                type="text"
+                value={s.name}
+                onChange={(e) => update(s.id, { name: e.target.value })}
+                className="flex-1 min-w-0 bg-transparent text-slate-200 border-b border-transparent focus:border-slate-600 outline-none"
+              />
+              <label className="flex items-center gap-1 text-slate-400" title="Línea base para las diferencias">
+                <input
+                  type="radio"
+                  name="baseline"
+                  checked={baselineId === s.id}
+                  onChange={() => setBaselineId(s.id)}
+                />
+                base
+              </label>
+              <button onClick={() => onLoad(s)} className="text-slate-400 hover:text-cyan-400" title="Cargar parámetros en el panel">⤴</button>
+              <button onClick={() => remove(s.id)} className="text-slate-500 hover:text-red-400" title="Eliminar">✕</button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {storageError && (
+        <p className="mt-3 text-xs text-amber-400">⚠️ {storageError}</p>
+      )}
+    </div>
+  );
+};
+
+// Tabla de métricas lado a lado con la diferencia respecto a la línea base. Las filas reúnen
+// los días de control y umbrales de todas las columnas; cada etiqueta usa los nombres de la
+// primera columna que la define.
+export const ScenarioMetricsTable = ({ metrics, params, scenarios, baselineId }) => {
+  const baseline = scenarios.find(s => s.id === baselineId);
+  const columns = [
+    ...(metrics ? [{ id: 'current', name: 'Actual', color: CURRENT_COLOR, metrics, params }] : []),
+    ...scenarios,
+  ];
+  const union = (key) => [...new Set(columns.flatMap(c => c.params?.[key] ?? DEFAULT_PARAMS[key]))].sort((a, b) => a - b);
+  const definitions = new Map();
+  columns.forEach(c => {
+    const merged = { ...c.params, metric_days: union('metric_days'), metric_thresholds: union('metric_thresholds') };
+    metricDefinitionsFor(merged).forEach(m => {
+      if (!definitions.has(m.key)) definitions.set(m.key, { ...m, label: parameterLabel(m.label, c.params ?? {}) });
+    });
+  });
+
+  const delta = (key, column) => {
+    if (!baseline || column.id === baseline.id) return null;
+    const a = column.metrics[key];
+    const b = baseline.metrics[key];
+    if (!Number.isFinite(a) || !Number.isFinite(b)) return null;
+    return a - b;
+  };
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="border-b border-slate-700">
+            <th className="text-left py-2 pr-2 text-slate-400 font-medium">Variable</th>
+            {columns.map(c => (
+              <th key={c.id} className="text-right py-2 px-2 font-medium whitespace-nowrap" style={{ color: c.color }}>
+                {c.name}{baseline?.id === c.id && ' (base)'}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {[...definitions.values()].map(m => (
+            <tr key={m.key} className="border-b border-slate-800">
+              <td className="py-1 pr-2 text-slate-400 whitespace-nowrap">{m.label} <span className="text-slate-600">{m.unit}</span></td>
+              {columns.map(c => {
+                const d = delta(m.key, c);
+                return (
+                  <td key={c.id} className="py-1 px-2 text-right font-mono text-slate-200 whitespace-nowrap">
+                    {formatMetric(c.metrics[m.key], m.missing)}
+                    {d !== null && (
+                      <span className={`block text-[10px] ${d > 0 ? 'text-emerald-400' : d < 0 ? 'text-red-400' : 'text-slate-500'}`}>
+                        {d > 0 ? '+' : ''}{d.toFixed(2)}
+                      </span>
+                    )}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {!baseline && <p className="text-[10px] text-slate-500 mt-2">Marca un escenario como base para ver las diferencias.</p>}
+    </div>
+  );
+};
+
+// Superposición de una variable de la corrida actual y de los escenarios visibles
+export const ScenarioOverlayChart = ({ results, scenarios, contaminant }) => {
+  const [variable, setVariable] = useState('C_G_aq');
+  const { unit } = OVERLAY_VARIABLES.find(v => v.key === variable);
+  const thin = (series) => series.filter((_, i) => i % 4 === 0);
+
+  return (
+    <div className="bg-slate-900/80 backdrop-blur-xl rounded-2xl p-6 border border-slate-700/50">
+      <div className="flex justify-between items-center mb-4 flex-wrap gap-2">
+        <h3 className="text-lg font-bold text-slate-200">🗂️ Comparación de Escenarios</h3>
+        <select
+          value={variable}
+          onChange={(e) => setVariable(e.target.value)}
+          className="bg-slate-800 text-slate-200 text-xs rounded-lg px-2 py-1 border border-slate-700"
+        >
+          {OVERLAY_VARIABLES.map(v => <option key={v.key} value={v.key}>{contaminantLabel(v.label, contaminant)}</option>)}
+        </select>
+      </div>
+      <ResponsiveContainer width="100%" height={300}>
+        <LineChart>
+          <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+          <XAxis
+            dataKey="time_days"
+            type="number"
+            domain={['dataMin', 'dataMax']}
+            tickFormatter={(d) => d.toFixed(0)}
+            stroke="#94a3b8"
+            allowDuplicatedCategory={false}
+          />
+          <YAxis stroke="#94a3b8" label={{ value: unit, angle: -90, position: 'insideLeft', fill: '#94a3b8' }} />
+          <Tooltip
+            contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #475569', borderRadius: '8px' }}
+            labelStyle={{ color: '#e2e8f0' }}
+            labelFormatter={(d) => `Día ${Number(d).toFixed(1)}`}
+            formatter={(value) => Number(value).toFixed(2)}
+          />
+          <Legend />
+          {results.length > 0 && (
+            <Line data={thin(results)} type="monotone" dataKey={variable} name="Actual"
+              stroke={CURRENT_COLOR} strokeDasharray="5 4" strokeWidth={2} dot={false} />
+          )}
+          {scenarios.map(s => (
+            <Line key={s.id} data={thin(s.results)} type="monotone" dataKey={variable} name={s.name}
+              stroke={s.color} strokeWidth={2} dot={false} />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
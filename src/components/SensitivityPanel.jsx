@@ -0,0 +1,270 @@
+import React, { useState, useMemo } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ErrorBar } from 'recharts';
+import {
+  DEFAULT_SENSITIVITY_FACTORS,
+  metricDefinitionsFor,
+  parameterGroupsFor,
+  parameterLabel,
+  flattenSensitivity,
+  runSensitivity,
+  toCSV,
+  JobCancelledError,
+} from '../engine/index.js';
+import { downloadFile, dateStamp } from '../utils/download.js';
+import { useAbortSignal } from '../utils/workers.js';
+
+const METHODS = {
+  morris: { label: 'Morris (efectos elementales)', sizeKey: 'trajectories', sizeLabel: 'Trayectorias (r)', runs: (size, k) => size * (k + 1) },
+  sobol: { label: 'Sobol / Saltelli', sizeKey: 'samples', sizeLabel: 'Muestras base (N)', runs: (size, k) => size * (k + 2) },
+};
+
+const tooltipStyle = { backgroundColor: '#1e293b', border: '1px solid #475569', borderRadius: '8px' };
+
+const SensitivityChart = ({ result, output }) => {
+  const labels = Object.fromEntries(result.factors.map(f => [f.key, f.label]));
+  const data = [...result.indices[output]]
+    .sort((a, b) => result.method === 'morris' ? b.mu_star - a.mu_star : b.ST - a.ST);
+  const height = Math.max(250, data.length * 32 + 60);
+
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <BarChart data={data} layout="vertical" margin={{ left: 20 }}>
+        <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+        <XAxis type="number" stroke="#94a3b8" />
+        <YAxis type="category" dataKey="key" stroke="#94a3b8" width={80} />
+        <Tooltip
+          contentStyle={tooltipStyle}
+          labelStyle={{ color: '#e2e8f0' }}
+          labelFormatter={(key) => labels[key]}
+          formatter={(value) => value.toFixed(4)}
+        />
+        <Legend />
+        {result.method === 'morris' ? (
+          <>
+            <Bar dataKey="mu_star" name="μ*" fill="#06b6d4" />
+            <Bar dataKey="sigma" name="σ" fill="#a855f7" />
+          </>
+        ) : (
+          <>
+            <Bar dataKey="S1" name="Primer orden (S1)" fill="#06b6d4">
+              <ErrorBar dataKey="S1_conf" width={4} stroke="#e2e8f0" direction="x" />
+            </Bar>
+            <Bar dataKey="ST" name="Total (ST)" fill="#f97316">
+              <ErrorBar dataKey="ST_conf" width={4} stroke="#e2e8f0" direction="x" />
+            </Bar>
+          </>
+        )}
+      </BarChart>
+    </ResponsiveContainer>
+  );
+};
+
+const SensitivityPanel = ({ params, solver, runner }) => {
+  const [method, setMethod] = useState('morris');
+  const [factors, setFactors] = useState(DEFAULT_SENSITIVITY_FACTORS);
+  const [sizes, setSizes] = useState({ trajectories: 10, samples: 64 });
+  const [seed, setSeed] = useState(1);
+  const [output, setOutput] = useState('T90');
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const { start, cancel } = useAbortSignal();
+
+  // Sólo se ofrecen los parámetros que intervienen en la configuración actual: los grupos
+  // dependen del modo, el contaminante y de los selectores de modelo
+  const candidates = useMemo(
+    () => parameterGroupsFor(params.mode, params.contaminant, params).flatMap(g => g.params),
+    [params]
+  );
+  const selected = candidates.map(p => p.key).filter(k => factors.includes(k));
+
+  const { sizeKey, sizeLabel, runs } = METHODS[method];
+  const totalRuns = runs(sizes[sizeKey], selected.length);
+  const running = progress !== null;
+
+  const toggleFactor = (key) => {
+    setFactors(prev => prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]);
+  };
+
+  const handleRun = async () => {
+    setError(null);
+    setProgress(0);
+    try {
+      const analysis = await runSensitivity({
+        method,
+        factors: selected,
+        baseParams: params,
+        solver,
+        trajectories: sizes.trajectories,
+        samples: sizes.samples,
+        seed,
+        onProgress: setProgress,
+        runner,
+        signal: start(),
+      });
+      setResult(analysis);
+    } catch (err) {
+      if (!(err instanceof JobCancelledError)) setError(err.message);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const exportCSV = () => {
+    const { columns, rows } = flattenSensitivity(result);
+    downloadFile(toCSV(columns, rows), `bioslurry_sensibilidad_${result.method}_${dateStamp()}.csv`, 'text/csv;charset=utf-8;');
+  };
+
+  const exportJSON = () => {
+    downloadFile(JSON.stringify(result, null, 2), `bioslurry_sensibilidad_${result.method}_${dateStamp()}.json`, 'application/json');
+  };
+
+  // Variables de respuesta calculadas en el análisis, con los nombres del contaminante y de
+  // los co-sustratos de la selección actual
+  const outputs = useMemo(
+    () => metricDefinitionsFor(params)
+      .filter(m => !result || m.key in result.indices)
+      .map(m => ({ ...m, label: parameterLabel(m.label, params) })),
+    [result, params]
+  );
+  const shownOutput = outputs.some(m => m.key === output) ? output : 'T90';
+  const outputDefinition = outputs.find(m => m.key === shownOutput);
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-slate-900/80 backdrop-blur-xl rounded-2xl p-6 border border-slate-700/50">
+        <h3 className="text-lg font-bold text-slate-200 mb-4">🔍 Análisis de Sensibilidad Global</h3>
+
+        <div className="grid grid-cols-3 gap-3 mb-4">
+          <label className="text-xs text-slate-400">
+            Método
+            <select
+              value={method}
+              onChange={(e) => setMethod(e.target.value)}
+              disabled={running}
+              className="mt-1 w-full bg-slate-800 text-slate-200 text-xs rounded-lg px-2 py-2 border border-slate-700"
+            >
+              {Object.entries(METHODS).map(([id, m]) => <option key={id} value={id}>{m.label}</option>)}
+            </select>
+          </label>
+          <label className="text-xs text-slate-400">
+            {sizeLabel}
+            <input
+              type="number"
+              min={method === 'morris' ? 2 : 8}
+              max={method === 'morris' ? 100 : 2048}
+              value={sizes[sizeKey]}
+              onChange={(e) => setSizes({ ...sizes, [sizeKey]: Math.max(1, parseInt(e.target.value) || 1) })}
+              disabled={running}
+              className="mt-1 w-full bg-slate-800 text-cyan-300 font-mono text-xs rounded-lg px-2 py-2 border border-slate-700"
+            />
+          </label>
+          <label className="text-xs text-slate-400">
+            Semilla
+            <input
+              type="number"
+              value={seed}
+              onChange={(e) => setSeed(parseInt(e.target.value) || 0)}
+              disabled={running}
+              className="mt-1 w-full bg-slate-800 text-cyan-300 font-mono text-xs rounded-lg px-2 py-2 border border-slate-700"
+            />
+          </label>
+        </div>
+
+        <p className="text-xs text-slate-400 mb-2">Parámetros variados dentro de los rangos del panel</p>
+        <div className="grid grid-cols-2 gap-x-4 gap-y-1 mb-4">
+          {candidates.map(p => (
+            <label key={p.key} className="flex items-center gap-2 text-xs text-slate-300">
+              <input
+                type="checkbox"
+                checked={factors.includes(p.key)}
+                onChange={() => toggleFactor(p.key)}
+                disabled={running}
+              />
+              {p.label}
+              <span className="text-slate-500 font-mono">[{p.min}–{p.max}]</span>
+            </label>
+          ))}
+        </div>
+
+        <button
+          onClick={handleRun}
+          disabled={running || selected.length === 0}
+          className="w-full py-3 px-6 bg-gradient-to-r from-cyan-500 to-blue-600 text-white font-bold rounded-xl
+            shadow-lg shadow-cyan-500/30 disabled:opacity-50 transition-all duration-300"
+        >
+          {running
+            ? `Ejecutando… ${(progress * 100).toFixed(0)} %`
+            : `▶️ Ejecutar análisis (${totalRuns} simulaciones)`}
+        </button>
+
+        {running && (
+          <div className="mt-3 flex items-center gap-3">
+            <div className="flex-1 bg-slate-700 rounded-full h-2 overflow-hidden">
+              <div className="h-full bg-gradient-to-r from-cyan-500 to-emerald-500" style={{ width: `${progress * 100}%` }} />
+            </div>
+            <button
+              onClick={cancel}
+              className="px-3 py-1 bg-red-700 hover:bg-red-600 text-white text-xs font-bold rounded-lg transition-colors"
+            >
+              ✖ Cancelar
+            </button>
+          </div>
+        )}
+
+        {error && (
+          <div className="mt-3 p-3 bg-red-900/30 rounded-lg border border-red-700/30 text-xs text-red-300">
+            ⚠️ {error}
+          </div>
+        )}
+      </div>
+
+      {result && (
+        <div className="bg-slate-900/80 backdrop-blur-xl rounded-2xl p-6 border border-slate-700/50">
+          <div className="flex justify-between items-center mb-4 flex-wrap gap-2">
+            <h3 className="text-lg font-bold text-slate-200">
+              {result.method === 'morris' ? '📊 Efectos elementales' : '📊 Índices de Sobol'}
+            </h3>
+            <div className="flex gap-2">
+              <button
+                onClick={exportCSV}
+                className="px-4 py-2 bg-emerald-600 hover:bg-emerald-500 text-white text-sm font-semibold rounded-lg transition-colors"
+              >
+                📥 CSV
+              </button>
+              <button
+                onClick={exportJSON}
+                className="px-4 py-2 bg-slate-700 hover:bg-slate-600 text-white text-sm font-semibold rounded-lg transition-colors"
+              >
+                📥 JSON
+              </button>
+            </div>
+          </div>
+
+          <label className="text-xs text-slate-400 block mb-4">
+            Variable de respuesta
+            <select
+              value={shownOutput}
+              onChange={(e) => setOutput(e.target.value)}
+              className="mt-1 w-full bg-slate-800 text-slate-200 text-xs rounded-lg px-2 py-2 border border-slate-700"
+            >
+              {outputs.map(m => <option key={m.key} value={m.key}>{m.label} ({m.unit})</option>)}
+            </select>
+          </label>
+
+          <SensitivityChart result={result} output={shownOutput} />
+
+          <p className="text-xs text-slate-500 mt-3">
+            {result.runs} simulaciones · semilla {result.seed} ·{' '}
+            {result.method === 'morris'
+              ? `μ* y σ en ${outputDefinition?.unit} por rango completo del parámetro`
+              : 'barras de error: IC 95 % por bootstrap'}
+            {outputDefinition?.censored && ` · ${outputDefinition.label} no alcanzado se cuenta como el horizonte de simulación`}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SensitivityPanel;
@@ -0,0 +1,95 @@
+import React from 'react';
+import { DISTRIBUTION_TYPES, defaultDistribution, metricDefinitionsFor, parameterLabel, validateDistribution } from '../engine/index.js';
+
+const inputClass = 'w-full bg-slate-800 text-cyan-300 font-mono text-xs rounded px-2 py-1 border border-slate-700';
+
+// Editor de la distribución de un parámetro incierto (reemplaza al slider)
+export const DistributionEditor = ({ distribution, nominal, onChange }) => {
+  const { fields } = DISTRIBUTION_TYPES[distribution.type];
+  const problem = validateDistribution(distribution);
+
+  return (
+    <div className="space-y-1">
+      <select
+        value={distribution.type}
+        onChange={(e) => onChange(defaultDistribution(e.target.value, nominal))}
+        className="w-full bg-slate-800 text-slate-200 text-xs rounded px-2 py-1 border border-slate-700"
+      >
+        {Object.entries(DISTRIBUTION_TYPES).map(([id, d]) => <option key={id} value={id}>{d.label}</option>)}
+      </select>
+      <div className={`grid gap-1 ${fields.length === 3 ? 'grid-cols-3' : 'grid-cols-2'}`}>
+        {fields.map(f => (
+          <label key={f.key} className="text-[10px] text-slate-500">
+            {f.label}
+            <input
+              type="number"
+              step="any"
+              value={distribution[f.key]}
+              onChange={(e) => onChange({ ...distribution, [f.key]: parseFloat(e.target.value) })}
+              className={inputClass}
+            />
+          </label>
+        ))}
+      </div>
+      {problem && <p className="text-[10px] text-amber-400">⚠️ {problem}</p>}
+    </div>
+  );
+};
+
+// Número de realizaciones, semilla y objetivo de tratamiento del modo Monte Carlo
+export const UncertaintySettings = ({ uncertainty, setUncertainty, params }) => {
+  const { target } = uncertainty;
+  const setTarget = (changes) => setUncertainty({ ...uncertainty, target: { ...target, ...changes } });
+
+  return (
+    <div className="space-y-2 p-3 bg-slate-800/50 rounded-lg border border-slate-700">
+      <div className="grid grid-cols-2 gap-2">
+        <label className="text-xs text-slate-400">
+          Realizaciones (N)
+          <input
+            type="number"
+            min={10}
+            max={5000}
+            value={uncertainty.realizations}
+            onChange={(e) => setUncertainty({ ...uncertainty, realizations: Math.max(10, parseInt(e.target.value) || 10) })}
+            className={`mt-1 ${inputClass}`}
+          />
+        </label>
+        <label className="text-xs text-slate-400">
+          Semilla
+          <input
+            type="number"
+            value={uncertainty.seed}
+            onChange={(e) => setUncertainty({ ...uncertainty, seed: parseInt(e.target.value) || 0 })}
+            className={`mt-1 ${inputClass}`}
+          />
+        </label>
+      </div>
+      <p className="text-xs text-slate-400">Objetivo de tratamiento</p>
+      <div className="grid grid-cols-5 gap-1">
+        <select
+          value={target.metric}
+          onChange={(e) => setTarget({ metric: e.target.value })}
+          className="col-span-3 bg-slate-800 text-slate-200 text-xs rounded px-1 py-1 border border-slate-700"
+        >
+          {metricDefinitionsFor(params).map(m => <option key={m.key} value={m.key}>{parameterLabel(m.label, params)}</option>)}
+        </select>
+        <select
+          value={target.operator}
+          onChange={(e) => setTarget({ operator: e.target.value })}
+          className="bg-slate-800 text-slate-200 text-xs rounded px-1 py-1 border border-slate-700"
+        >
+          <option value=">=">≥</option>
+          <option value="<=">≤</option>
+        </select>
+        <input
+          type="number"
+          step="any"
+          value={target.value}
+          onChange={(e) => setTarget({ value: parseFloat(e.target.value) })}
+          className={inputClass}
+        />
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,210 @@
+// ============================================================================
+// BALANCE DE MASA Y DE ELEMENTOS
+// ============================================================================
+import { BIOMASS_FORMULA, getContaminant, massFraction, metaboliteStates } from './contaminants.js';
+import { sorptionPools, sorptionStates } from './sorption.js';
+import { activeSubstrates, getSubstrate, substrateStates } from './substrates.js';
+import { activeGuilds, guildBiomass, lagEnabled } from './microbes.js';
+
+// Balances posibles; cada contaminante comprueba la masa y los elementos de su registro
+export const BALANCE_ELEMENTS = [
+  { key: 'mass', label: 'Masa' },
+  { key: 'C', label: 'Carbono' },
+  { key: 'N', label: 'Nitrógeno' },
+  { key: 'P', label: 'Fósforo' },
+  { key: 'Cl', label: 'Cloro' },
+];
+
+const elementCache = new Map();
+
+/**
+ * Balances que se comprueban para un contaminante, con la fracción másica del elemento en
+ * el contaminante (G), en cada metabolito de la cadena (M), en cada co-sustrato (S) y en la
+ * biomasa (X), calculadas a partir de las fórmulas. El balance de masa cuenta cada especie
+ * con su masa completa.
+ *
+ * @param {string} contaminant
+ * @param {string[]} [substrates] - Ids de los co-sustratos, en el orden del vector de estado
+ * @returns {{ key: string, label: string, fractions: { G: number, M: number[], S: number[], X: number } }[]}
+ */
+export const balanceElements = (contaminant, substrates = []) => {
+  const cacheKey = [contaminant, ...substrates].join('|');
+  if (!elementCache.has(cacheKey)) {
+    const { formula, metabolites, balance } = getContaminant(contaminant);
+    const fraction = (f, key) => (key === 'mass' ? 1 : massFraction(f, key));
+    elementCache.set(cacheKey, BALANCE_ELEMENTS
+      .filter(e => e.key === 'mass' || balance.includes(e.key))
+      .map(({ key, label }) => ({
+        key,
+        label,
+        fractions: {
+          G: fraction(formula, key),
+          M: metabolites.map(m => fraction(m.formula, key)),
+          S: substrates.map(id => fraction(getSubstrate(id).formula, key)),
+          X: fraction(BIOMASS_FORMULA, key),
+        },
+      })));
+  }
+  return elementCache.get(cacheKey);
+};
+
+// Error de cierre admitido (% del inventario máximo del elemento)
+export const BALANCE_TOLERANCE = 5;
+
+/**
+ * @typedef {Object} BalanceTotals
+ * @property {Object<string, number>} exchanged - Entrada neta acumulada por alimentación y descarga (mg)
+ * @property {Object<string, number>} mineralized - Salida acumulada a productos inorgánicos (CO₂, NH₃, fosfato, cloruro), neta de la asimilación desde el medio (mg)
+ */
+
+/**
+ * @typedef {Object} MassBalance
+ * @property {number} tolerance - Error de cierre admitido (%)
+ * @property {boolean} exceeded - Algún elemento supera la tolerancia
+ * @property {{ key: string, label: string, max_error: number, time_h: number }[]} elements - Máximo |error| (%) y su instante
+ * @property {Object[]} series - { time_h, time_days, mass, ...elementos } con el error de cierre (%) en cada instante
+ */
+
+const byElement = (params, fn) => Object.fromEntries(
+  balanceElements(params.contaminant, activeSubstrates(params).map(s => s.substrate.id)).map(e => [e.key, fn(e.fractions)])
+);
+
+/** @param {import('./params.js').ModelParams} params */
+export const emptyBalanceTotals = (params) => ({ exchanged: byElement(params, () => 0), mineralized: byElement(params, () => 0) });
+
+/**
+ * Inventario de cada elemento en el reactor (mg): especies disueltas (contaminante, metabolitos
+ * y co-sustratos), contaminante sorbido en todas sus fracciones y biomasa de todos los gremios.
+ *
+ * @param {number[]} y
+ * @param {number} V - Volumen de líquido (L)
+ * @param {import('./params.js').ModelParams} params
+ */
+export const elementInventory = (y, V, params) => {
+  const [C_G_aq, C_G_s] = y;
+  const X = guildBiomass(y, params).reduce((sum, X) => sum + X, 0);
+  const metabolites = metaboliteStates(y, params.contaminant);
+  const substrates = substrateStates(y, params);
+  const { C_G_s2, C_G_irr } = sorptionStates(y, params);
+  return byElement(params, f => V * (
+    f.G * (C_G_aq + params.theta * (C_G_s + C_G_s2 + C_G_irr))
+    + metabolites.reduce((sum, C, i) => sum + f.M[i] * C, 0)
+    + substrates.reduce((sum, C, i) => sum + f.S[i] * C, 0)
+    + f.X * X
+  ));
+};
+
+/**
+ * Velocidad de mineralización (mg/L/h) de una propiedad que se reparte entre las especies
+ * con los pesos `f` (fracción de un elemento o demanda de oxígeno por mg). Incluye la de la
+ * biomasa que muere y, en cada eslabón de la cadena, la parte del compuesto degradado que
+ * no pasa al siguiente metabolito (ni a biomasa, en el caso del contaminante); el último
+ * metabolito se mineraliza por completo. Si los productos de un eslabón contienen más que
+ * el compuesto consumido no se mineraliza nada y el exceso aparece como error de cierre.
+ * Los co-sustratos se mineralizan salvo la parte que pasa a biomasa; el nitrógeno y el
+ * fósforo que la biomasa no obtiene de ellos se toman del medio (mineralización negativa).
+ *
+ * @param {{ G: number, M: number[], S: number[], X: number }} f
+ * @param {ReturnType<import('./model.js').computeRates>} r
+ * @returns {number}
+ */
+export const mineralizationRate = (f, r) => {
+  const formation = r.r_metabolite_formation;
+  const degradation = r.r_metabolite_degradation;
+  const last = degradation.length - 1;
+  return Math.max(0, f.G * r.r_degradation - f.M[0] * formation[0] - f.X * r.r_growth_contaminant)
+    + degradation.slice(0, last).reduce((sum, d, i) =>
+      sum + Math.max(0, f.M[i] * d - f.M[i + 1] * formation[i + 1]), 0)
+    + f.M[last] * degradation[last]
+    + r.r_substrate.reduce((sum, c, i) => sum + f.S[i] * c - f.X * r.r_substrate_growth[i], 0)
+    + f.X * r.r_death;
+};
+
+/**
+ * Flujos de cada elemento (mg/h) en un instante: intercambio con la alimentación y la
+ * descarga y mineralización (ver mineralizationRate).
+ *
+ * @param {number[]} y
+ * @param {ReturnType<import('./model.js').computeRates>} r - Velocidades de reacción en `y`
+ * @param {import('./operation.js').TransportTerms} transport
+ * @param {import('./params.js').ModelParams} params
+ */
+export const elementFluxes = (y, r, { dy, V, Q_in, Q_out }, params) => {
+  // Pesos en el orden del vector de estado: [C_G_aq, C_G_s, C_A_aq, X, C_B_aq, C_C_aq, C_S1_aq,
+  // C_S2_aq, C_G_s2, C_G_irr, X_G2, X_G3, alpha]; el estado fisiológico no tiene masa
+  const pools = sorptionPools(params).length;
+  const guilds = activeGuilds(params).length;
+  const weights = (f) => [
+    f.G, params.theta * f.G, f.M[0], f.X, ...f.M.slice(1), ...f.S, ...Array(pools).fill(params.theta * f.G),
+    ...Array(guilds).fill(f.X), ...(lagEnabled(params) ? [0] : []),
+  ];
+
+  return {
+    // d(V·c)/dt de transporte = V·dc/dt + c·dV/dt
+    exchanged: byElement(params, f => weights(f)
+      .reduce((sum, w, i) => sum + w * (V * dy[i] + y[i] * (Q_in - Q_out)), 0)),
+    mineralized: byElement(params, f => V * mineralizationRate(f, r)),
+  };
+};
+
+/**
+ * Acumula los flujos por la regla del trapecio sobre los nodos de un tramo de operación.
+ * Devuelve los totales en cada nodo, empezando por `totals`.
+ *
+ * @param {BalanceTotals} totals
+ * @param {number[]} grid
+ * @param {ReturnType<typeof elementFluxes>[]} fluxes
+ * @returns {BalanceTotals[]}
+ */
+export const accumulateFluxes = (totals, grid, fluxes) => {
+  const cumulative = [totals];
+  for (let j = 1; j < grid.length; j++) {
+    const h = grid[j] - grid[j - 1];
+    const prev = cumulative[j - 1];
+    const step = (kind, key) => prev[kind][key] + 0.5 * h * (fluxes[j - 1][kind][key] + fluxes[j][kind][key]);
+    const keys = Object.keys(prev.exchanged);
+    cumulative.push({
+      exchanged: Object.fromEntries(keys.map(key => [key, step('exchanged', key)])),
+      mineralized: Object.fromEntries(keys.map(key => [key, step('mineralized', key)])),
+    });
+  }
+  return cumulative;
+};
+
+/**
+ * Error de cierre de cada balance: inventario actual + mineralizado − entrada neta −
+ * inventario inicial, relativo al inventario máximo del elemento. Un error positivo
+ * significa que el modelo creó el elemento de la nada.
+ *
+ * @param {{ time_h: number, inventory: Object<string, number>, totals: BalanceTotals }[]} points
+ * @param {number} [tolerance] - Error admitido (%)
+ * @returns {MassBalance}
+ */
+export const checkMassBalance = (points, tolerance = BALANCE_TOLERANCE) => {
+  const initial = points[0].inventory;
+  const checked = BALANCE_ELEMENTS.filter(({ key }) => key in initial);
+  const scales = Object.fromEntries(checked.map(({ key }) => [
+    key, Math.max(1e-12, ...points.map(p => Math.abs(p.inventory[key]))),
+  ]));
+
+  const series = points.map(({ time_h, inventory, totals }) => ({
+    time_h,
+    time_days: time_h / 24,
+    ...Object.fromEntries(checked.map(({ key }) => [
+      key,
+      100 * (inventory[key] + totals.mineralized[key] - totals.exchanged[key] - initial[key]) / scales[key],
+    ])),
+  }));
+
+  const elements = checked.map(({ key, label }) => {
+    const worst = series.reduce((max, p) => Math.abs(p[key]) > Math.abs(max[key]) ? p : max, series[0]);
+    return { key, label, max_error: Math.abs(worst[key]), time_h: worst.time_h };
+  });
+
+  return {
+    tolerance,
+    exceeded: elements.some(e => e.max_error > tolerance),
+    elements,
+    series,
+  };
+};
@@ -0,0 +1,354 @@
+// ============================================================================
+// ESTIMACIÓN DE PARÁMETROS (CALIBRACIÓN CON DATOS DE LABORATORIO)
+// ============================================================================
+import { DEFAULT_PARAMS, PARAMETER_GROUPS } from './params.js';
+import { contaminantLabel } from './contaminants.js';
+import { DEFAULT_SOLVER } from './solvers.js';
+import { stateVariables } from './model.js';
+import { interpolateSeries } from './series.js';
+import { parseCSV, timeColumn } from './csv.js';
+import { invertMatrix, luDecompose, luSolve } from './linalg.js';
+import { nelderMead } from './simplex.js';
+import { JobCancelledError, localRunner } from './jobs.js';
+
+// Variables de estado que pueden compararse con mediciones. C_B_aq y C_C_aq solo existen
+// en los contaminantes con cadenas de dos o tres metabolitos.
+export const OBSERVABLE_VARIABLES = [
+  { key: 'C_G_aq', label: 'Contaminante (aq)', unit: 'mg/L', aliases: ['glifosato', 'glyphosate', 'c_g'] },
+  { key: 'C_G_s', label: 'Contaminante (sorbido)', unit: 'mg/kg', aliases: ['glifosato_s', 'sorbido'] },
+  { key: 'C_A_aq', label: 'Metabolito A', unit: 'mg/L', aliases: ['ampa', 'c_a'] },
+  { key: 'C_B_aq', label: 'Metabolito B', unit: 'mg/L', aliases: ['c_b'] },
+  { key: 'C_C_aq', label: 'Metabolito C', unit: 'mg/L', aliases: ['c_c'] },
+  { key: 'X', label: 'Biomasa', unit: 'mg/L', aliases: ['biomasa', 'biomass'] },
+];
+
+// Parámetros cinéticos y de sorción que se ajustan por defecto
+export const DEFAULT_CALIBRATION_KEYS = ['k_max', 'K_s', 'mu_max', 'k_d', 'k_sorp', 'K_d'];
+
+export const CALIBRATION_METHODS = {
+  lm: 'Levenberg-Marquardt',
+  'nelder-mead': 'Nelder-Mead',
+};
+
+/**
+ * @typedef {Object} Observation
+ * @property {number} time_h
+ * @property {string} variable - Clave de OBSERVABLE_VARIABLES
+ * @property {number} value
+ */
+
+/**
+ * Lee un CSV de mediciones: una columna de tiempo (horas o días) y una columna por
+ * variable observada (C_G_aq, C_G_s, C_A_aq, C_B_aq, C_C_aq, X o sus alias). Las celdas vacías se omiten.
+ *
+ * @param {string} text
+ * @returns {Observation[]}
+ */
+export const parseObservations = (text) => {
+  const { headers, rows } = parseCSV(text);
+  const normalized = headers.map(h => h.trim().toLowerCase());
+
+  const timeInfo = timeColumn(headers);
+  if (!timeInfo) {
+    throw new Error('El CSV debe tener una columna de tiempo (time_h u horas, o time_days o días)');
+  }
+  const { header: timeHeader, factor: timeFactor } = timeInfo;
+
+  const columns = OBSERVABLE_VARIABLES.flatMap(v => {
+    const index = normalized.findIndex(h => h === v.key.toLowerCase() || v.aliases.includes(h));
+    return index >= 0 ? [{ variable: v.key, header: headers[index] }] : [];
+  });
+  if (columns.length === 0) {
+    throw new Error(`No se encontró ninguna variable observada (${OBSERVABLE_VARIABLES.map(v => v.key).join(', ')})`);
+  }
+
+  const observations = [];
+  rows.forEach(row => {
+    const time = parseFloat(String(row[timeHeader]).replace(',', '.'));
+    if (!Number.isFinite(time)) return;
+    columns.forEach(({ variable, header }) => {
+      const value = parseFloat(String(row[header]).replace(',', '.'));
+      if (Number.isFinite(value)) observations.push({ time_h: time * timeFactor, variable, value });
+    });
+  });
+
+  if (observations.length === 0) throw new Error('El CSV no contiene mediciones numéricas');
+  return observations;
+};
+
+/**
+ * Parámetros libres por defecto con los límites de los sliders del panel.
+ *
+ * @param {string[]} [keys]
+ * @param {string} [contaminant] - Para los nombres de los compuestos en las etiquetas
+ * @returns {{ key: string, label: string, unit: string, min: number, max: number }[]}
+ */
+export const defaultFreeParameters = (keys = DEFAULT_CALIBRATION_KEYS, contaminant = DEFAULT_PARAMS.contaminant) => {
+  const all = PARAMETER_GROUPS.flatMap(g => g.params);
+  return keys.map(key => {
+    const { label, unit, min, max } = all.find(p => p.key === key);
+    return { key, label: contaminantLabel(label, contaminant), unit, min, max };
+  });
+};
+
+// Cuantil 0.975 de la t de Student (expansión de Cornish-Fisher)
+const tQuantile975 = (dof) => {
+  const z = 1.959963984540054;
+  if (!(dof > 0)) return NaN;
+  const z3 = z ** 3;
+  const z5 = z ** 5;
+  const z7 = z ** 7;
+  return z
+    + (z3 + z) / (4 * dof)
+    + (5 * z5 + 16 * z3 + 3 * z) / (96 * dof ** 2)
+    + (3 * z7 + 19 * z5 + 17 * z3 - 15 * z) / (384 * dof ** 3);
+};
+
+const sumSquares = (values) => values.reduce((acc, v) => acc + v * v, 0);
+
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Estadísticos de ajuste por variable y globales (en unidades originales)
+const fitStatistics = (residuals) => {
+  const groups = {};
+  residuals.forEach(r => {
+    (groups[r.variable] = groups[r.variable] || []).push(r);
+  });
+
+  const byVariable = Object.fromEntries(Object.entries(groups).map(([variable, list]) => {
+    const mean = list.reduce((acc, r) => acc + r.observed, 0) / list.length;
+    const ssRes = sumSquares(list.map(r => r.residual));
+    const ssTot = sumSquares(list.map(r => r.observed - mean));
+    return [variable, {
+      n: list.length,
+      rmse: Math.sqrt(ssRes / list.length),
+      r2: ssTot > 0 ? 1 - ssRes / ssTot : null,
+    }];
+  }));
+
+  return byVariable;
+};
+
+/**
+ * @typedef {Object} CalibrationResult
+ * @property {string} method
+ * @property {Object<string, number>} params - Parámetros completos con los valores ajustados
+ * @property {{ key: string, initial: number, value: number, std_error: number, ci_low: number, ci_high: number, at_bound: boolean }[]} estimates
+ * @property {number[][]} covariance - Matriz de covarianza de los parámetros libres
+ * @property {number[][]} correlation
+ * @property {number} ssr - Suma de cuadrados de residuos ponderados
+ * @property {number} iterations
+ * @property {number} evaluations - Simulaciones ejecutadas
+ * @property {boolean} converged
+ * @property {Object<string, { n: number, rmse: number, r2: number|null }>} statistics
+ * @property {{ time_h: number, variable: string, observed: number, predicted: number, residual: number }[]} residuals
+ */
+
+/**
+ * Ajusta los parámetros libres por mínimos cuadrados contra las mediciones.
+ * Los residuos de cada variable se dividen por el máximo observado de esa variable
+ * para que concentraciones y biomasa pesen de forma comparable.
+ *
+ * @param {Observation[]} observations
+ * @param {Object} options
+ * @param {{ key: string, min: number, max: number }[]} [options.free] - Parámetros libres y límites
+ * @param {Partial<import('./params.js').ModelParams>} [options.baseParams] - Valores iniciales y fijos
+ * @param {import('./solvers.js').SolverOptions} [options.solver]
+ * @param {'lm'|'nelder-mead'} [options.method]
+ * @param {number} [options.maxIterations]
+ * @param {(info: { iteration: number, ssr: number }) => void} [options.onProgress]
+ * @param {import('./jobs.js').Runner} [options.runner] - Ejecutor de las simulaciones; las
+ *   columnas del jacobiano se calculan a la vez
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<CalibrationResult>}
+ */
+export const calibrate = async (observations, {
+  free = defaultFreeParameters(),
+  baseParams = DEFAULT_PARAMS,
+  solver = { ...DEFAULT_SOLVER, rtol: 1e-8, atol: 1e-10 },
+  method = 'lm',
+  maxIterations = 100,
+  onProgress,
+  runner = localRunner,
+  signal,
+} = {}) => {
+  if (observations.length === 0) throw new Error('No hay mediciones para calibrar');
+  if (free.length === 0) throw new Error('Selecciona al menos un parámetro libre');
+  if (!CALIBRATION_METHODS[method]) throw new Error(`Método de calibración desconocido: ${method}`);
+  free.forEach(f => {
+    if (!(f.max > f.min)) throw new Error(`Límites inválidos para ${f.key}`);
+  });
+
+  const base = { ...DEFAULT_PARAMS, ...baseParams };
+  const simulated = stateVariables(base);
+  const missing = [...new Set(observations.map(o => o.variable))].filter(v => !simulated.includes(v));
+  if (missing.length > 0) {
+    throw new Error(`El contaminante seleccionado no tiene las variables observadas: ${missing.join(', ')}`);
+  }
+  // El horizonte debe cubrir la última medición
+  const lastTime = Math.max(...observations.map(o => o.time_h));
+  base.t_final = Math.max(base.t_final, Math.ceil(lastTime / base.dt) * base.dt);
+
+  const scales = {};
+  observations.forEach(o => {
+    scales[o.variable] = Math.max(scales[o.variable] || 0, Math.abs(o.value));
+  });
+  Object.keys(scales).forEach(k => { if (!(scales[k] > 0)) scales[k] = 1; });
+
+  // Se trabaja en coordenadas normalizadas u ∈ [0, 1] dentro de los límites
+  const clip = (u) => u.map(v => Math.min(1, Math.max(0, v)));
+  const toParams = (u) => {
+    const params = { ...base };
+    free.forEach((f, j) => { params[f.key] = f.min + u[j] * (f.max - f.min); });
+    return params;
+  };
+
+  let evaluations = 0;
+  const observed = Object.keys(scales);
+  const predict = async (u) => {
+    evaluations++;
+    try {
+      const { results } = await runner.run(
+        { type: 'evaluate', params: toParams(u), solver, columns: observed, metrics: false },
+        { signal },
+      );
+      return observations.map(o => interpolateSeries(results, o.variable, o.time_h));
+    } catch (err) {
+      if (err instanceof JobCancelledError) throw err;
+      return null;
+    }
+  };
+  const weightedResiduals = (predicted) =>
+    observations.map((o, i) => (predicted[i] - o.value) / scales[o.variable]);
+  const cost = async (u) => {
+    const predicted = await predict(u);
+    return predicted ? sumSquares(weightedResiduals(predicted)) : Infinity;
+  };
+
+  const jacobian = async (u, r0) => {
+    const columns = await Promise.all(u.map(async (_, j) => {
+      const h = 1e-4 * Math.max(Math.abs(u[j]), 0.05);
+      const step = u[j] + h > 1 ? -h : h;
+      const uPert = [...u];
+      uPert[j] += step;
+      const predicted = await predict(uPert);
+      if (!predicted) return r0.map(() => 0);
+      return weightedResiduals(predicted).map((r, i) => (r - r0[i]) / step);
+    }));
+    return r0.map((_, i) => columns.map(col => col[i]));
+  };
+
+  const u0 = clip(free.map(f => (base[f.key] - f.min) / (f.max - f.min)));
+  let u = u0;
+  let iterations = 0;
+  let converged = false;
+
+  if (method === 'lm') {
+    let predicted = await predict(u);
+    if (!predicted) throw new Error('La simulación falla con los valores iniciales');
+    let r = weightedResiduals(predicted);
+    let ssr = sumSquares(r);
+    let lambda = 1e-3;
+
+    while (iterations < maxIterations && !converged) {
+      iterations++;
+      const J = await jacobian(u, r);
+      const JtJ = u.map((_, a) => u.map((_, b) => J.reduce((acc, row) => acc + row[a] * row[b], 0)));
+      const Jtr = u.map((_, a) => J.reduce((acc, row, i) => acc + row[a] * r[i], 0));
+
+      let improved = false;
+      while (lambda < 1e12) {
+        const A = JtJ.map((row, a) => row.map((v, b) => v + (a === b ? lambda * Math.max(v, 1e-12) : 0)));
+        let delta;
+        try {
+          delta = luSolve(luDecompose(A), Jtr.map(v => -v));
+        } catch {
+          lambda *= 10;
+          continue;
+        }
+        const uNew = clip(u.map((v, j) => v + delta[j]));
+        const predictedNew = await predict(uNew);
+        const rNew = predictedNew && weightedResiduals(predictedNew);
+        const ssrNew = rNew ? sumSquares(rNew) : Infinity;
+
+        if (ssrNew < ssr) {
+          converged = (ssr - ssrNew) <= 1e-10 * (ssr + 1e-30)
+            || Math.max(...uNew.map((v, j) => Math.abs(v - u[j]))) < 1e-9;
+          u = uNew;
+          r = rNew;
+          ssr = ssrNew;
+          lambda = Math.max(lambda / 10, 1e-12);
+          improved = true;
+          break;
+        }
+        lambda *= 10;
+      }
+      if (!improved) converged = true;
+
+      onProgress?.({ iteration: iterations, ssr });
+      await yieldToEventLoop();
+    }
+  } else {
+    // Nelder-Mead sobre las coordenadas normalizadas (los vértices se recortan a los límites)
+    const fit = await nelderMead(cost, u, {
+      maxIterations: maxIterations * 10,
+      onProgress: ({ iteration, value }) => onProgress?.({ iteration, ssr: value }),
+    });
+    ({ iterations, converged } = fit);
+    u = fit.point;
+  }
+
+  // Covarianza asintótica: s² (JᵀJ)⁻¹ en coordenadas normalizadas, reescalada a unidades físicas
+  const predicted = await predict(u);
+  if (!predicted) throw new Error('La simulación falla con los parámetros ajustados');
+  const r = weightedResiduals(predicted);
+  const ssr = sumSquares(r);
+  const J = await jacobian(u, r);
+  const dof = observations.length - free.length;
+  const s2 = dof > 0 ? ssr / dof : NaN;
+  const ranges = free.map(f => f.max - f.min);
+
+  let covariance;
+  try {
+    const JtJ = u.map((_, a) => u.map((_, b) => J.reduce((acc, row) => acc + row[a] * row[b], 0)));
+    covariance = invertMatrix(JtJ).map((row, a) => row.map((v, b) => s2 * v * ranges[a] * ranges[b]));
+  } catch {
+    covariance = free.map(() => free.map(() => NaN));
+  }
+  const stdErrors = covariance.map((row, j) => Math.sqrt(Math.max(row[j], 0)));
+  const correlation = covariance.map((row, a) => row.map((v, b) => v / (stdErrors[a] * stdErrors[b])));
+  const t = tQuantile975(dof);
+
+  const params = toParams(u);
+  const estimates = free.map((f, j) => ({
+    key: f.key,
+    initial: f.min + u0[j] * (f.max - f.min),
+    value: params[f.key],
+    std_error: stdErrors[j],
+    ci_low: params[f.key] - t * stdErrors[j],
+    ci_high: params[f.key] + t * stdErrors[j],
+    at_bound: u[j] <= 1e-6 || u[j] >= 1 - 1e-6,
+  }));
+
+  const residuals = observations.map((o, i) => ({
+    time_h: o.time_h,
+    variable: o.variable,
+    observed: o.value,
+    predicted: predicted[i],
+    residual: o.value - predicted[i],
+  }));
+
+  return {
+    method,
+    params,
+    estimates,
+    covariance,
+    correlation,
+    ssr,
+    iterations,
+    evaluations,
+    converged,
+    statistics: fitStatistics(residuals),
+    residuals,
+  };
+};
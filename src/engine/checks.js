@@ -0,0 +1,280 @@
+// ============================================================================
+// COMPROBACIONES PREVIAS A LA SIMULACIÓN
+// ============================================================================
+// validateParams rechaza lo que el modelo no puede calcular. Estas comprobaciones señalan lo
+// que sí puede calcular pero probablemente no es lo que se quiere: valores fuera de los
+// rangos habituales, pasos que hacen inestable un integrador de paso fijo, problemas
+// rígidos y configuraciones biológicamente inverosímiles. No impiden ejecutar.
+import { DEFAULT_PARAMS, parameterGroupsFor, validateParams } from './params.js';
+import { DEFAULT_SOLVER, SOLVER_METHODS } from './solvers.js';
+import { METABOLITE_SLOTS, getContaminant } from './contaminants.js';
+import { activeSubstrates, saturationFactors } from './substrates.js';
+import { oxygenEnabled, transferCoefficient } from './oxygen.js';
+import { isothermSlope } from './sorption.js';
+import { hydraulicRetentionTime } from './operation.js';
+import { activeGuilds, guildsOf, lagEnabled } from './microbes.js';
+import { compartmentLayout, spatialEnabled } from './spatial.js';
+
+/**
+ * @typedef {Object} ParameterWarning
+ * @property {string} key - Parámetro al que se refiere (el que conviene cambiar)
+ * @property {'range'|'stability'|'stiffness'|'biology'|'grid'} kind
+ * @property {string} message
+ */
+
+export const WARNING_KINDS = {
+  range: 'Fuera del rango habitual',
+  stability: 'Inestabilidad numérica',
+  stiffness: 'Problema rígido',
+  biology: 'Configuración inverosímil',
+  grid: 'Malla de salida',
+};
+
+// El paso de salida no está en PARAMETER_GROUPS (no es un parámetro del proceso), pero el
+// panel lo muestra junto al integrador con este rango
+export const TIME_STEP_PARAMETER = { key: 'dt', label: 'Paso de salida (dt)', unit: 'h', min: 0.05, max: 24, step: 0.05 };
+
+// Rendimiento máximo verosímil de biomasa heterótrofa sobre sustrato orgánico (mg/mg)
+const MAX_PLAUSIBLE_YIELD = 0.8;
+
+// Límite de estabilidad de Dormand-Prince sobre el eje real negativo, h·λ ≈ 3,3: un RK45
+// necesita al menos λ·t_final / 3,3 pasos aunque la solución ya sea lisa
+const RK45_STABILITY = 3.3;
+
+const format = (value) => Number(value.toPrecision(3)).toLocaleString('es-ES');
+
+/**
+ * Constantes de velocidad de primer orden del sistema linealizado al inicio (1/h), cada una
+ * con el parámetro que la controla y su expresión. `process` distingue las que marcan la
+ * dinámica visible (degradación, metabolitos, dilución) de las de equilibrios rápidos.
+ *
+ * @param {import('./params.js').ModelParams} params
+ * @returns {{ key: string, expression: string, rate: number, process: boolean }[]}
+ */
+export const characteristicRates = (params) => {
+  const { k_sorp } = params;
+  // Por zonas, la sorción es más rápida en la capa con menos sólidos
+  const layout = spatialEnabled(params) ? compartmentLayout(params) : null;
+  const theta = layout ? Math.min(...layout.compartments.map(c => c.theta)) : params.theta;
+  // Con isotermas no lineales, la pendiente en la concentración inicial hace de K_d
+  const C_0 = Math.max(params.C_G_aq_0, params.mode === 'batch' ? 0 : params.C_G_aq_in);
+  const K_eff = isothermSlope(C_0, params);
+  const K_label = (params.sorption_isotherm ?? 'linear') === 'linear' ? 'K_d' : 'dq/dC';
+  const twoSite = params.sorption_sites === 'two';
+  const rates = [];
+
+  if (twoSite) {
+    rates.push({
+      key: 'k_sorp_eq',
+      expression: `k_sorp,eq · (1 + 1/(θ·f_eq·${K_label}))`,
+      rate: params.k_sorp_eq * (1 + 1 / (theta * params.f_eq * K_eff)),
+      process: false,
+    });
+  }
+  rates.push({
+    key: 'k_sorp',
+    expression: twoSite ? `k_sorp · (1 + 1/(θ·(1 − f_eq)·${K_label}))` : `k_sorp · (1 + 1/(θ·${K_label}))`,
+    rate: k_sorp * (1 + 1 / (theta * (twoSite ? 1 - params.f_eq : 1) * K_eff)),
+    process: false,
+  });
+  rates.push({ key: 'k_max', expression: 'k_max · X₀ / K_s', rate: params.k_max * params.X_0 / params.K_s, process: true });
+  activeGuilds(params).forEach(g => {
+    rates.push({
+      key: g.k_max,
+      expression: `k_max,${g.token} · X${g.token},0 / K_s,${g.token}`,
+      rate: params[g.k_max] * params[g.initial] / params[g.K_s],
+      process: true,
+    });
+  });
+  if (lagEnabled(params)) {
+    rates.push({ key: 'nu_lag', expression: 'ν', rate: params.nu_lag, process: true });
+  }
+  METABOLITE_SLOTS.slice(0, getContaminant(params.contaminant).metabolites.length).forEach(slot => {
+    rates.push({ key: slot.rate, expression: slot.rate, rate: params[slot.rate], process: true });
+  });
+  if (oxygenEnabled(params)) {
+    const kLa = transferCoefficient(params);
+    rates.push({ key: params.aeration_input === 'airflow' ? 'Q_air' : 'kLa', expression: 'kLa', rate: kLa, process: false });
+  }
+  if (layout) {
+    // Renovación más rápida de un compartimento por el intercambio con sus vecinos
+    const renewal = (exchange) => Math.max(...layout.compartments.map((c, k) => layout.links
+      .filter(link => link.upper === k || link.lower === k)
+      .reduce((sum, link) => sum + exchange(link, c), 0)));
+    rates.push({ key: 'k_mix', expression: 'k_mix · N/200', rate: renewal((link, c) => link.liquid / c.volume), process: false });
+    rates.push({
+      key: 'v_settle',
+      expression: 'v_s/Δz · θ/θ_capa',
+      rate: renewal((link, c) => link.solids / (c.theta * c.volume)),
+      process: false,
+    });
+  }
+  if (params.mode === 'cstr') {
+    rates.push({ key: 'Q_in', expression: 'Q_in / V_r', rate: 1 / hydraulicRetentionTime(params), process: true });
+  }
+  return rates.filter(r => Number.isFinite(r.rate) && r.rate > 0);
+};
+
+/**
+ * Velocidad específica de crecimiento máxima (1/h), con todos los sustratos saturantes, y
+ * la inicial, con las concentraciones iniciales. No incluye la mortalidad.
+ *
+ * @param {import('./params.js').ModelParams} params
+ * @returns {{ max: number, initial: number }}
+ */
+export const growthCapacity = (params) => {
+  const substrates = activeSubstrates(params);
+  const contaminantGrowth = params.substrate_interaction === 'cometabolic' ? 0
+    : params.growth_model === 'yield' ? params.Y_x * params.k_max : params.mu_max;
+  const specific = [contaminantGrowth, ...substrates.map(s => params[s.yield] * params[s.k_max])];
+  const saturation = saturationFactors(
+    [params.C_G_aq_0, ...substrates.map(s => params[s.initial])],
+    [params.K_s, ...substrates.map(s => params[s.K_s])],
+    [params.K_i, ...substrates.map(s => params[s.K_i])],
+    params.substrate_interaction
+  );
+  return {
+    max: specific.reduce((sum, mu) => sum + mu, 0),
+    initial: specific.reduce((sum, mu, i) => sum + mu * saturation[i], 0),
+  };
+};
+
+const rangeWarnings = (params) => [
+  ...parameterGroupsFor(params.mode, params.contaminant, params).flatMap(g => g.params),
+  TIME_STEP_PARAMETER,
+]
+  .filter(p => params[p.key] < p.min || params[p.key] > p.max)
+  .map(p => ({
+    key: p.key,
+    kind: 'range',
+    message: `fuera del rango habitual (${format(p.min)}–${format(p.max)} ${p.unit})`,
+  }));
+
+const numericalWarnings = (params, solver) => {
+  const { method, max_steps } = solver;
+  const { dt, t_final } = params;
+  const rates = characteristicRates(params);
+  const warnings = [];
+
+  if (!SOLVER_METHODS[method]?.adaptive) {
+    // Por encima de dt·λ = 1 Euler oscila y acaba divergiendo; RK4 aguanta algo más, pero a
+    // partir de ahí pierde la precisión de su orden
+    for (const r of rates.filter(r => dt * r.rate > 1)) {
+      warnings.push({
+        key: r.key,
+        kind: 'stability',
+        message: `dt · ${r.expression} = ${format(dt * r.rate)} > 1: el paso fijo de ${format(dt)} h es probablemente inestable; reduzca dt o use un método adaptativo`,
+      });
+    }
+  } else {
+    const fastest = rates.reduce((a, b) => (b.rate > a.rate ? b : a), { rate: 0 });
+    if (method === 'rk45' && fastest.rate * t_final / RK45_STABILITY > max_steps / 10) {
+      warnings.push({
+        key: fastest.key,
+        kind: 'stiffness',
+        message: `${fastest.expression} = ${format(fastest.rate)} 1/h hace rígido el problema: RK45 necesitará unos ${format(fastest.rate * t_final / RK45_STABILITY)} pasos; use Rosenbrock`,
+      });
+    }
+    // Con un método adaptativo dt solo fija la malla de salida, pero las métricas se
+    // interpolan en ella
+    const process = rates.filter(r => r.process).reduce((a, b) => (b.rate > a.rate ? b : a), { rate: 0 });
+    if (dt * process.rate > 1) {
+      warnings.push({
+        key: 'dt',
+        kind: 'grid',
+        message: `es mayor que la escala de tiempo de ${process.expression} (${format(1 / process.rate)} h): la serie y las métricas interpoladas no resuelven esa dinámica`,
+      });
+    }
+  }
+
+  const last = Math.floor(t_final / dt + 1e-9) * dt;
+  if (t_final - last > 1e-9 * t_final) {
+    warnings.push({
+      key: 'dt',
+      kind: 'grid',
+      message: `t_final no es múltiplo de dt: la serie termina en ${format(last)} h`,
+    });
+  }
+  return warnings;
+};
+
+const biologicalWarnings = (params) => {
+  const { k_d } = params;
+  const growth = growthCapacity(params);
+  const warnings = [];
+
+  if (growth.max <= k_d) {
+    warnings.push({
+      key: 'k_d',
+      kind: 'biology',
+      message: `no es menor que el crecimiento máximo (${format(growth.max)} 1/h): la biomasa nunca puede crecer`,
+    });
+  } else if (growth.initial <= k_d) {
+    warnings.push({
+      key: 'k_d',
+      kind: 'biology',
+      message: `no es menor que el crecimiento con las concentraciones iniciales (${format(growth.initial)} 1/h): la biomasa decrece desde el inicio`,
+    });
+  } else if (params.mode === 'cstr' && growth.max - k_d <= 1 / params.SRT) {
+    warnings.push({
+      key: 'SRT',
+      kind: 'biology',
+      message: `1/SRT (${format(1 / params.SRT)} 1/h) supera el crecimiento neto máximo (${format(growth.max - k_d)} 1/h): la biomasa se lava del reactor`,
+    });
+  }
+  // Y_x solo interviene con crecimiento acoplado al consumo; los co-sustratos, siempre
+  const yields = [...(params.growth_model === 'yield' ? ['Y_x'] : []), ...activeSubstrates(params).map(s => s.yield)];
+  for (const key of yields.filter(key => params[key] > MAX_PLAUSIBLE_YIELD)) {
+    warnings.push({
+      key,
+      kind: 'biology',
+      message: `un rendimiento mayor que ${format(MAX_PLAUSIBLE_YIELD)} mg/mg es inverosímil para biomasa heterótrofa`,
+    });
+  }
+  const X_0 = guildsOf(params).reduce((sum, g) => sum + params[g.initial], 0);
+  if (params.capacity_model === 'logistic' && X_0 >= params.X_cap) {
+    warnings.push({
+      key: 'X_cap',
+      kind: 'biology',
+      message: `la biomasa inicial (${format(X_0)} mg/L) ya alcanza la capacidad de carga: no hay crecimiento`,
+    });
+  }
+  if (oxygenEnabled(params) && params.C_O2_0 > params.C_O2_sat) {
+    warnings.push({
+      key: 'C_O2_0',
+      kind: 'biology',
+      message: `supera la saturación (${format(params.C_O2_sat)} mg/L)`,
+    });
+  }
+  return warnings;
+};
+
+// Un evento programado en t_final o después no llega a dispararse
+const eventWarnings = (params) => params.events
+  .map((event, i) => ({ event, i }))
+  .filter(({ event }) => event.trigger === 'time' && event.time_h >= params.t_final)
+  .map(({ event, i }) => ({
+    key: 'events',
+    kind: 'range',
+    message: `evento ${i + 1}: programado en ${format(event.time_h)} h, no antes de t_final (${format(params.t_final)} h); no se disparará`,
+  }));
+
+/**
+ * Comprueba un conjunto de parámetros antes de simular: `errors` son los de validateParams
+ * (impiden simular) y `warnings`, los avisos de rango, estabilidad numérica y verosimilitud
+ * biológica, que solo se calculan si no hay errores.
+ *
+ * @param {Partial<import('./params.js').ModelParams>} params
+ * @param {Partial<import('./solvers.js').SolverOptions>} [solver]
+ * @returns {{ errors: { key: string, message: string }[], warnings: ParameterWarning[] }}
+ */
+export const checkParameters = (params, solver = {}) => {
+  const full = { ...DEFAULT_PARAMS, ...params };
+  const { errors } = validateParams(full);
+  if (errors.length > 0) return { errors, warnings: [] };
+  const options = { ...DEFAULT_SOLVER, ...solver };
+  return {
+    errors,
+    warnings: [...rangeWarnings(full), ...numericalWarnings(full, options), ...biologicalWarnings(full), ...eventWarnings(full)],
+  };
+};
@@ -0,0 +1,158 @@
+// ============================================================================
+// OBJETIVOS DE CUMPLIMIENTO (LÍMITES DE VERTIDO Y DE SUELO)
+// ============================================================================
+import { contaminantLabel, getContaminant } from './contaminants.js';
+
+// Variables que pueden limitarse, con la fase a la que se refieren; {parent}, {A}, {B} y {C}
+// se sustituyen por los nombres del contaminante y de sus metabolitos
+export const TARGET_VARIABLES = [
+  { key: 'C_G_aq', label: '{parent} (aq)', unit: 'mg/L' },
+  { key: 'C_G_s', label: '{parent} sorbido', unit: 'mg/kg' },
+  { key: 'C_total', label: '{parent} total', unit: 'mg/L' },
+  { key: 'C_A_aq', label: '{A} (aq)', unit: 'mg/L', metabolite: 1 },
+  { key: 'C_B_aq', label: '{B} (aq)', unit: 'mg/L', metabolite: 2 },
+  { key: 'C_C_aq', label: '{C} (aq)', unit: 'mg/L', metabolite: 3 },
+];
+
+// Tipos de objetivo: concentración por debajo de un límite o remoción por encima de un porcentaje
+export const TARGET_KINDS = [
+  { value: 'limit', label: 'Concentración máxima' },
+  { value: 'removal', label: 'Remoción mínima', unit: '%' },
+];
+
+/**
+ * @typedef {Object} ComplianceTarget
+ * @property {'limit'|'removal'} kind
+ * @property {string} [variable] - Clave de TARGET_VARIABLES, con kind 'limit'
+ * @property {number} value - Límite (mg/L o mg/kg) o remoción mínima (%)
+ * @property {string} [label] - Referencia normativa
+ */
+
+/**
+ * @typedef {Object} TargetResult
+ * @property {ComplianceTarget} target
+ * @property {string} label - Descripción legible del objetivo
+ * @property {boolean} met - Se cumple al final de la simulación
+ * @property {number|null} time_h - Inicio del cumplimiento sostenido hasta el final (null si no se cumple)
+ * @property {number|null} time_days
+ * @property {number} final - Valor de la variable al final de la simulación
+ */
+
+/**
+ * Variables limitables en un contaminante (solo los metabolitos de su cadena), con las
+ * etiquetas ya sustituidas.
+ *
+ * @param {string} contaminant
+ */
+export const targetVariablesFor = (contaminant) => {
+  const chain = getContaminant(contaminant).metabolites.length;
+  return TARGET_VARIABLES
+    .filter(v => !v.metabolite || v.metabolite <= chain)
+    .map(v => ({ ...v, label: contaminantLabel(v.label, contaminant) }));
+};
+
+/**
+ * Objetivos a partir de los límites normativos del registro del contaminante.
+ *
+ * @param {string} contaminant
+ * @returns {ComplianceTarget[]}
+ */
+export const targetsFromLimits = (contaminant) =>
+  getContaminant(contaminant).limits.map(l => ({ kind: 'limit', variable: l.variable, value: l.value, label: l.label }));
+
+/**
+ * Devuelve un mensaje de error si el objetivo no es válido para el contaminante, o null.
+ *
+ * @param {ComplianceTarget} target
+ * @param {string} contaminant
+ * @returns {string|null}
+ */
+export const validateTarget = (target, contaminant) => {
+  if (target === null || typeof target !== 'object') return 'debe ser un objeto';
+  if (!TARGET_KINDS.some(k => k.value === target.kind)) return `tipo desconocido: ${target.kind}`;
+  if (!Number.isFinite(target.value) || target.value < 0) return 'el valor debe ser un número no negativo';
+  if (target.kind === 'removal') return target.value > 100 ? 'la remoción no puede superar el 100 %' : null;
+  if (!targetVariablesFor(contaminant).some(v => v.key === target.variable)) {
+    return `variable no disponible para este contaminante: ${target.variable}`;
+  }
+  return null;
+};
+
+/**
+ * Descripción de un objetivo, p. ej. "AMPA (aq) ≤ 0.1 mg/L" o "Remoción ≥ 90 %".
+ *
+ * @param {ComplianceTarget} target
+ * @param {string} contaminant
+ */
+export const targetLabel = (target, contaminant) => {
+  if (target.kind === 'removal') return `Remoción ≥ ${target.value} %`;
+  const variable = targetVariablesFor(contaminant).find(v => v.key === target.variable);
+  return `${variable?.label ?? target.variable} ≤ ${target.value} ${variable?.unit ?? ''}`.trim();
+};
+
+// Variable de la serie temporal que compara cada objetivo y sentido del cumplimiento
+export const targetSeriesKey = (target) => (target.kind === 'removal' ? 'removal_percent' : target.variable);
+const complies = (target, value) => (target.kind === 'removal' ? value >= target.value : value <= target.value);
+
+/**
+ * Tiempo de cumplimiento de un objetivo: el instante a partir del cual se cumple sin
+ * interrupción hasta el final de la serie. Un metabolito que supera el límite después de
+ * que el contaminante lo cumpla retrasa su propio cumplimiento, no el del resto. El
+ * cruce se interpola linealmente entre los puntos de la malla.
+ *
+ * @param {import('./model.js').SimulationPoint[]} results
+ * @param {ComplianceTarget} target
+ * @returns {number|null} Horas, o null si no se cumple al final
+ */
+export const complianceTime = (results, target) => {
+  const key = targetSeriesKey(target);
+  let last = -1;
+  for (let i = results.length - 1; i >= 0; i--) {
+    if (!complies(target, results[i][key])) {
+      last = i;
+      break;
+    }
+  }
+  if (last === results.length - 1) return null;
+  if (last < 0) return results[0].time_h;
+
+  const a = results[last];
+  const b = results[last + 1];
+  const span = b[key] - a[key];
+  const fraction = span !== 0 ? Math.min(1, Math.max(0, (target.value - a[key]) / span)) : 1;
+  return a.time_h + fraction * (b.time_h - a.time_h);
+};
+
+/**
+ * @typedef {Object} ComplianceSummary
+ * @property {TargetResult[]} targets
+ * @property {boolean} met - Se cumplen todos los objetivos
+ * @property {number|null} time_h - Cumplimiento de todos (el más tardío), null si alguno no se cumple
+ * @property {number|null} time_days
+ */
+
+/**
+ * Evalúa los objetivos sobre una serie temporal.
+ *
+ * @param {import('./model.js').SimulationPoint[]} results
+ * @param {ComplianceTarget[]} targets
+ * @param {string} contaminant
+ * @returns {ComplianceSummary}
+ */
+export const evaluateTargets = (results, targets, contaminant) => {
+  const last = results[results.length - 1];
+  const evaluated = targets.map(target => {
+    const time_h = complianceTime(results, target);
+    return {
+      target,
+      label: targetLabel(target, contaminant),
+      met: time_h !== null,
+      time_h,
+      time_days: time_h === null ? null : time_h / 24,
+      final: last[targetSeriesKey(target)],
+    };
+  });
+  const met = evaluated.every(t => t.met);
+  const time_h = met ? Math.max(0, ...evaluated.map(t => t.time_h)) : null;
+  return { targets: evaluated, met, time_h, time_days: time_h === null ? null : time_h / 24 };
+};
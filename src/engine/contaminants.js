@@ -0,0 +1,230 @@
+// ============================================================================
+// REGISTRO DE CONTAMINANTES
+// ============================================================================
+
+/**
+ * @typedef {Object} Metabolite
+ * @property {string} name
+ * @property {Object<string, number>} formula - Átomos por molécula, p. ej. { C: 1, H: 6, N: 1, O: 3, P: 1 }
+ * @property {string} color
+ */
+
+/**
+ * @typedef {Object} RegulatoryLimit
+ * @property {string} label
+ * @property {number} value
+ * @property {'mg/L'|'mg/kg'} unit
+ * @property {'C_G_aq'|'C_G_s'} variable - Variable del modelo con la que se compara
+ */
+
+/**
+ * @typedef {Object} Contaminant
+ * @property {string} id
+ * @property {string} name
+ * @property {string} family
+ * @property {Object<string, number>} formula
+ * @property {{ solubility: number, log_kow: number, half_life: string }} properties - Solubilidad en agua (mg/L), log Kow y vida media en suelo
+ * @property {string} color - Fase acuosa en gráficas y partículas
+ * @property {string} sorbedColor - Fase sorbida
+ * @property {Metabolite[]} metabolites - Cadena de degradación, en orden (1 a 3 metabolitos)
+ * @property {string} products - Productos finales de la mineralización
+ * @property {string[]} balance - Elementos cuyo balance se comprueba además de la masa
+ * @property {RegulatoryLimit[]} limits
+ * @property {string} impact
+ * @property {Object<string, number>} defaults - Constantes que sustituyen a las de DEFAULT_PARAMS
+ */
+
+// Variables de estado, rendimientos y tasas de cada eslabón de la cadena de metabolitos
+export const METABOLITE_SLOTS = [
+  { key: 'C_A_aq', yield: 'Y_A', rate: 'k_A' },
+  { key: 'C_B_aq', yield: 'Y_B', rate: 'k_B' },
+  { key: 'C_C_aq', yield: 'Y_C', rate: 'k_C' },
+];
+
+// Concentraciones de la cadena en el vector de estado [C_G_aq, C_G_s, C_A_aq, X, C_B_aq, C_C_aq, ...]
+export const metaboliteStates = (y, contaminant) =>
+  [y[2], ...y.slice(4, 3 + getContaminant(contaminant).metabolites.length)];
+
+// Masas atómicas (g/mol)
+const ATOMIC_MASS = { C: 12.011, H: 1.008, Cl: 35.45, N: 14.007, O: 15.999, P: 30.974, S: 32.06 };
+
+// Biomasa con fósforo (C₆₀H₈₇O₂₃N₁₂P)
+export const BIOMASS_FORMULA = { C: 60, H: 87, N: 12, O: 23, P: 1 };
+
+/** @type {Contaminant[]} */
+export const CONTAMINANTS = [
+  {
+    id: 'glyphosate',
+    name: 'Glifosato',
+    family: 'Herbicida organofosforado',
+    formula: { C: 3, H: 8, N: 1, O: 5, P: 1 },
+    properties: { solubility: 10500, log_kow: -3.2, half_life: '2–197 días' },
+    color: '#ef4444',
+    sorbedColor: '#f97316',
+    metabolites: [
+      { name: 'AMPA', formula: { C: 1, H: 6, N: 1, O: 3, P: 1 }, color: '#a855f7' },
+    ],
+    products: 'CO₂ + NH₃',
+    balance: ['C', 'P'],
+    limits: [
+      { label: 'Agua potable (EPA, MCL)', value: 0.7, unit: 'mg/L', variable: 'C_G_aq' },
+      { label: 'Agua potable (UE, plaguicida individual)', value: 0.0001, unit: 'mg/L', variable: 'C_G_aq' },
+    ],
+    impact: 'El glifosato puede contaminar agua, suelo y aire. El metabolito AMPA es igualmente tóxico y más persistente en el ambiente.',
+    defaults: {},
+  },
+  {
+    id: 'atrazine',
+    name: 'Atrazina',
+    family: 'Herbicida triazínico',
+    formula: { C: 8, H: 14, Cl: 1, N: 5 },
+    properties: { solubility: 33, log_kow: 2.61, half_life: '13–261 días' },
+    color: '#3b82f6',
+    sorbedColor: '#6366f1',
+    metabolites: [
+      { name: 'Desetilatrazina', formula: { C: 6, H: 10, Cl: 1, N: 5 }, color: '#a855f7' },
+      { name: 'Desetil-desisopropilatrazina', formula: { C: 3, H: 4, Cl: 1, N: 5 }, color: '#ec4899' },
+      { name: 'Ácido cianúrico', formula: { C: 3, H: 3, N: 3, O: 3 }, color: '#eab308' },
+    ],
+    products: 'CO₂ + NH₃ + Cl⁻',
+    balance: ['C', 'N'],
+    limits: [
+      { label: 'Agua potable (EPA, MCL)', value: 0.003, unit: 'mg/L', variable: 'C_G_aq' },
+      { label: 'Agua potable (UE, plaguicida individual)', value: 0.0001, unit: 'mg/L', variable: 'C_G_aq' },
+    ],
+    impact: 'Muy móvil y persistente en aguas subterráneas; actúa como disruptor endocrino en anfibios. Sus metabolitos desalquilados conservan el anillo clorado.',
+    defaults: {
+      C_G_aq_0: 20, k_max: 0.02, K_s: 5, mu_max: 0.015, k_d: 0.003, Y_x: 0.15,
+      K_d: 3, k_sorp: 0.2, Y_A: 0.6, k_A: 0.01, Y_B: 0.5, k_B: 0.008, Y_C: 0.6, k_C: 0.02,
+      C_G_aq_in: 20, t_final: 720,
+    },
+  },
+  {
+    id: '24d',
+    name: '2,4-D',
+    family: 'Herbicida fenoxiacético',
+    formula: { C: 8, H: 6, Cl: 2, O: 3 },
+    properties: { solubility: 677, log_kow: 2.81, half_life: '4–30 días' },
+    color: '#f59e0b',
+    sorbedColor: '#d97706',
+    metabolites: [
+      { name: '2,4-Diclorofenol', formula: { C: 6, H: 4, Cl: 2, O: 1 }, color: '#a855f7' },
+      { name: '3,5-Diclorocatecol', formula: { C: 6, H: 4, Cl: 2, O: 2 }, color: '#ec4899' },
+    ],
+    products: 'CO₂ + Cl⁻',
+    balance: ['C', 'Cl'],
+    limits: [
+      { label: 'Agua potable (EPA, MCL)', value: 0.07, unit: 'mg/L', variable: 'C_G_aq' },
+      { label: 'Agua potable (OMS, valor guía)', value: 0.03, unit: 'mg/L', variable: 'C_G_aq' },
+    ],
+    impact: 'Se degrada con rapidez en suelos aerobios, pero el 2,4-diclorofenol es más tóxico para organismos acuáticos que el herbicida original.',
+    defaults: {
+      C_G_aq_0: 50, k_max: 0.12, K_s: 10, mu_max: 0.06, k_d: 0.005, Y_x: 0.3,
+      K_d: 1, k_sorp: 0.3, Y_A: 0.6, k_A: 0.06, Y_B: 0.8, k_B: 0.05,
+      C_G_aq_in: 50,
+    },
+  },
+  {
+    id: 'chlorpyrifos',
+    name: 'Clorpirifós',
+    family: 'Insecticida organofosforado',
+    formula: { C: 9, H: 11, Cl: 3, N: 1, O: 3, P: 1, S: 1 },
+    properties: { solubility: 1.4, log_kow: 4.96, half_life: '10–120 días' },
+    color: '#0ea5e9',
+    sorbedColor: '#38bdf8',
+    metabolites: [
+      { name: 'TCP (3,5,6-tricloro-2-piridinol)', formula: { C: 5, H: 2, Cl: 3, N: 1, O: 1 }, color: '#a855f7' },
+    ],
+    products: 'CO₂ + Cl⁻ + PO₄³⁻',
+    balance: ['C', 'Cl', 'P'],
+    limits: [
+      { label: 'Agua potable (OMS, valor guía)', value: 0.03, unit: 'mg/L', variable: 'C_G_aq' },
+      { label: 'Agua potable (UE, plaguicida individual)', value: 0.0001, unit: 'mg/L', variable: 'C_G_aq' },
+    ],
+    impact: 'Neurotóxico (inhibidor de la acetilcolinesterasa) y muy tóxico para peces e invertebrados. Se sorbe con fuerza a la materia orgánica; el TCP es móvil y antimicrobiano.',
+    defaults: {
+      C_G_aq_0: 1, C_G_s_0: 100, k_max: 0.03, K_s: 2, mu_max: 0.02, k_d: 0.004, Y_x: 0.2,
+      K_d: 120, k_sorp: 0.05, Y_A: 0.5, k_A: 0.01,
+      C_G_aq_in: 1, C_G_s_in: 100, t_final: 720,
+    },
+  },
+  {
+    id: 'phenanthrene',
+    name: 'HAP (fenantreno)',
+    family: 'Hidrocarburo aromático policíclico',
+    formula: { C: 14, H: 10 },
+    properties: { solubility: 1.1, log_kow: 4.46, half_life: '16–200 días' },
+    color: '#e11d48',
+    sorbedColor: '#fb923c',
+    metabolites: [
+      { name: 'Ácido 1-hidroxi-2-naftoico', formula: { C: 11, H: 8, O: 3 }, color: '#a855f7' },
+      { name: 'Ácido salicílico', formula: { C: 7, H: 6, O: 3 }, color: '#ec4899' },
+    ],
+    products: 'CO₂ + H₂O',
+    balance: ['C'],
+    limits: [
+      { label: 'Suelo, valor de intervención (Países Bajos, HAP totales)', value: 40, unit: 'mg/kg', variable: 'C_G_s' },
+      { label: 'Agua potable (UE, suma de HAP)', value: 0.0001, unit: 'mg/L', variable: 'C_G_aq' },
+    ],
+    impact: 'Representa a los HAP de tres anillos de suelos con hidrocarburos. Su baja solubilidad hace que la biodisponibilidad, y no la cinética, limite la degradación.',
+    defaults: {
+      C_G_aq_0: 1, C_G_s_0: 200, k_max: 0.05, K_s: 1, mu_max: 0.03, k_d: 0.004, Y_x: 0.4,
+      K_d: 400, k_sorp: 0.02, Y_A: 0.5, k_A: 0.05, Y_B: 0.6, k_B: 0.08,
+      C_G_aq_in: 1, C_G_s_in: 200, t_final: 720,
+    },
+  },
+];
+
+export const DEFAULT_CONTAMINANT = 'glyphosate';
+
+/**
+ * @param {string} id
+ * @returns {Contaminant}
+ */
+export const getContaminant = (id) => {
+  const contaminant = CONTAMINANTS.find(c => c.id === id);
+  if (!contaminant) throw new Error(`Contaminante desconocido: ${id}`);
+  return contaminant;
+};
+
+/** Masa molar (g/mol) a partir de la fórmula. */
+export const molarMass = (formula) =>
+  Object.entries(formula).reduce((sum, [element, n]) => sum + n * ATOMIC_MASS[element], 0);
+
+/** Fracción másica de un elemento en un compuesto (0 si no lo contiene). */
+export const massFraction = (formula, element) => ((formula[element] ?? 0) * ATOMIC_MASS[element]) / molarMass(formula);
+
+const SUBSCRIPTS = '₀₁₂₃₄₅₆₇₈₉';
+
+/** Fórmula en notación de Hill con subíndices, p. ej. C₃H₈NO₅P. */
+export const formatFormula = (formula) => {
+  const elements = Object.keys(formula).sort((a, b) => {
+    const rank = (e) => (e === 'C' ? 0 : e === 'H' ? 1 : 2);
+    return rank(a) - rank(b) || a.localeCompare(b);
+  });
+  return elements
+    .map(e => e + (formula[e] > 1 ? String(formula[e]).replace(/\d/g, d => SUBSCRIPTS[d]) : ''))
+    .join('');
+};
+
+/**
+ * Eslabones activos de la cadena de metabolitos del contaminante: variable de estado,
+ * parámetros y datos del compuesto.
+ *
+ * @param {string} id
+ */
+export const metaboliteChain = (id) =>
+  getContaminant(id).metabolites.map((m, i) => ({ ...METABOLITE_SLOTS[i], ...m }));
+
+/**
+ * Sustituye en un texto {parent} por el nombre del contaminante y {A}, {B} y {C} por los
+ * de sus metabolitos, p. ej. 'Rendimiento {A} (Y_A)' → 'Rendimiento AMPA (Y_A)'.
+ *
+ * @param {string} text
+ * @param {string} [id]
+ */
+export const contaminantLabel = (text, id = DEFAULT_CONTAMINANT) => {
+  const { name, metabolites } = getContaminant(id);
+  return text.replace(/\{(parent|A|B|C)\}/g, (token, slot) =>
+    slot === 'parent' ? name : metabolites['ABC'.indexOf(slot)]?.name ?? token);
+};
@@ -0,0 +1,98 @@
+// ============================================================================
+// LECTURA Y ESCRITURA CSV
+// ============================================================================
+
+// Encabezados reconocidos como columna de tiempo, en horas o en días
+const HOUR_COLUMNS = ['time_h', 'tiempo_h', 't_h', 'horas', 'hours', 'hora', 'h'];
+const DAY_COLUMNS = ['time_days', 'tiempo_dias', 'tiempo_días', 'dias', 'días', 'days', 'dia', 'día', 'd'];
+
+/**
+ * Busca la columna de tiempo de un CSV. Se prefiere una columna en horas; `factor`
+ * convierte sus valores a horas.
+ *
+ * @param {string[]} headers
+ * @returns {{ header: string, factor: number }|null}
+ */
+export const timeColumn = (headers) => {
+  const normalized = headers.map(h => h.trim().toLowerCase());
+  const hourIndex = normalized.findIndex(h => HOUR_COLUMNS.includes(h));
+  if (hourIndex >= 0) return { header: headers[hourIndex], factor: 1 };
+  const dayIndex = normalized.findIndex(h => DAY_COLUMNS.includes(h));
+  return dayIndex >= 0 ? { header: headers[dayIndex], factor: 24 } : null;
+};
+
+const detectDelimiter = (headerLine) => {
+  const candidates = [',', ';', '\t'];
+  return candidates.reduce((best, d) =>
+    headerLine.split(d).length > headerLine.split(best).length ? d : best, ',');
+};
+
+// Divide una línea respetando campos entre comillas ("a,b" y comillas escapadas "")
+const splitLine = (line, delimiter) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+};
+
+/**
+ * Convierte texto CSV en una lista de objetos indexados por encabezado.
+ * Detecta automáticamente el separador (coma, punto y coma o tabulador)
+ * e ignora líneas vacías y comentarios que empiezan con '#'.
+ *
+ * @param {string} text
+ * @returns {{ headers: string[], rows: Object<string, string>[] }}
+ */
+export const parseCSV = (text) => {
+  const lines = text
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .filter(line => line.trim() !== '' && !line.trim().startsWith('#'));
+  if (lines.length === 0) return { headers: [], rows: [] };
+
+  const delimiter = detectDelimiter(lines[0]);
+  const headers = splitLine(lines[0], delimiter);
+  const rows = lines.slice(1).map(line => {
+    const fields = splitLine(line, delimiter);
+    return Object.fromEntries(headers.map((h, i) => [h, fields[i] ?? '']));
+  });
+  return { headers, rows };
+};
+
+const quoteField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializa filas (arreglos u objetos) a CSV con los encabezados dados.
+ *
+ * @param {string[]} headers
+ * @param {(Array|Object)[]} rows - Si son objetos se leen las columnas por nombre de encabezado
+ * @returns {string}
+ */
+export const toCSV = (headers, rows) => [
+  headers.map(quoteField).join(','),
+  ...rows.map(row => (Array.isArray(row) ? row : headers.map(h => row[h])).map(quoteField).join(',')),
+].join('\n');
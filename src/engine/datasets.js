@@ -0,0 +1,283 @@
+// ============================================================================
+// CONJUNTOS DE DATOS MEDIDOS (IMPORTACIÓN Y BONDAD DE AJUSTE)
+// ============================================================================
+import { OBSERVABLE_VARIABLES } from './calibration.js';
+import { contaminantLabel, getContaminant } from './contaminants.js';
+import { timeColumn } from './csv.js';
+import { interpolateSeries } from './series.js';
+
+export const DATASET_TIME_UNITS = [
+  { value: 'h', label: 'horas', factor: 1 },
+  { value: 'd', label: 'días', factor: 24 },
+];
+
+// Unidades de concentración por fase; `factor` convierte a la unidad del modelo (mg/L o mg/kg).
+// Las concentraciones en el sólido se expresan sobre peso seco (ps).
+export const DATASET_UNITS = [
+  { value: 'mg/L', label: 'mg/L', phase: 'aq', factor: 1, aliases: ['mg/l', 'ppm'] },
+  { value: 'ug/L', label: 'µg/L', phase: 'aq', factor: 1e-3, aliases: ['µg/l', 'ug/l', 'μg/l', 'ppb'] },
+  { value: 'mg/kg', label: 'mg/kg ps', phase: 's', factor: 1, aliases: ['mg/kg', 'mg/kg ps', 'mg/kg dw'] },
+  { value: 'ug/kg', label: 'µg/kg ps', phase: 's', factor: 1e-3, aliases: ['µg/kg', 'ug/kg', 'μg/kg', 'µg/kg ps', 'ug/kg ps', 'µg/kg dw'] },
+];
+
+// Nombres de las variables medibles con los del contaminante y sus metabolitos
+const VARIABLE_LABELS = {
+  C_G_aq: '{parent} (aq)',
+  C_G_s: '{parent} sorbido',
+  C_A_aq: '{A} (aq)',
+  C_B_aq: '{B} (aq)',
+  C_C_aq: '{C} (aq)',
+  X: 'Biomasa',
+};
+const METABOLITE_VARIABLES = ['C_A_aq', 'C_B_aq', 'C_C_aq'];
+
+// Encabezados de tiempo sin unidad en el nombre
+const TIME_NAMES = ['tiempo', 'time', 't'];
+
+// Palabras que marcan una columna de desviación o error de la medición de otra columna
+const ERROR_TOKENS = ['sd', 'de', 'ds', 'std', 'desv', 'desviación', 'err', 'error', 'se', 'ee', '±', '+/-'];
+
+/**
+ * @typedef {Object} DatasetPoint
+ * @property {number} time_h
+ * @property {string} variable - Clave de OBSERVABLE_VARIABLES
+ * @property {number} value - En mg/L (fase acuosa y biomasa) o mg/kg ps (fase sorbida)
+ * @property {number|null} error - Desviación de la medición, en las mismas unidades
+ */
+
+/**
+ * @typedef {Object} Dataset
+ * @property {string} id
+ * @property {string} name
+ * @property {string} color
+ * @property {boolean} visible
+ * @property {string} source - Archivo de origen
+ * @property {DatasetPoint[]} points
+ */
+
+/**
+ * @typedef {Object} DatasetColumn
+ * @property {string} header
+ * @property {string|null} variable - null si la columna no se importa
+ * @property {string} unit - Clave de DATASET_UNITS
+ * @property {string|null} error - Encabezado de la columna de desviación
+ */
+
+/**
+ * @typedef {Object} DatasetMapping
+ * @property {string|null} time - Encabezado de la columna de tiempo
+ * @property {'h'|'d'} time_unit
+ * @property {DatasetColumn[]} columns - Una entrada por cada columna que no es el tiempo
+ */
+
+/**
+ * Variables medibles en un contaminante (solo los metabolitos de su cadena), con la
+ * unidad del modelo y las etiquetas ya sustituidas.
+ *
+ * @param {string} contaminant
+ */
+export const datasetVariablesFor = (contaminant) => {
+  const chain = getContaminant(contaminant).metabolites.length;
+  return OBSERVABLE_VARIABLES
+    .filter(v => !METABOLITE_VARIABLES.includes(v.key) || METABOLITE_VARIABLES.indexOf(v.key) < chain)
+    .map(v => ({ key: v.key, unit: v.unit, label: contaminantLabel(VARIABLE_LABELS[v.key], contaminant) }));
+};
+
+const variablePhase = (variable) => (OBSERVABLE_VARIABLES.find(v => v.key === variable)?.unit === 'mg/kg' ? 's' : 'aq');
+
+/** Unidades admitidas para una variable según su fase. */
+export const unitsFor = (variable) => DATASET_UNITS.filter(u => u.phase === variablePhase(variable));
+
+// Separa "AMPA (µg/L)" o "t [d]" en nombre y unidad, ambos en minúsculas
+const splitHeader = (header) => {
+  const match = String(header).trim().match(/^(.*?)\s*[([]\s*([^)\]]*?)\s*[)\]]$/);
+  const [name, unit] = match ? [match[1], match[2]] : [String(header).trim(), ''];
+  return { name: name.toLowerCase(), unit: unit.toLowerCase() };
+};
+
+const unitFromHeader = (unit, variable) =>
+  unitsFor(variable).find(u => u.aliases.includes(unit) || u.value.toLowerCase() === unit)?.value ?? unitsFor(variable)[0].value;
+
+/**
+ * Propone la asignación de columnas de una tabla: la columna de tiempo, la variable de cada
+ * columna por su nombre o alias (incluidos los nombres del contaminante), la unidad indicada
+ * entre paréntesis y las columnas de desviación (p. ej. "AMPA sd" o "sd_C_A_aq").
+ *
+ * @param {string[]} headers
+ * @param {string} [contaminant]
+ * @param {string|null} [time] - Columna de tiempo ya elegida; si se omite se detecta por su nombre
+ * @returns {DatasetMapping}
+ */
+export const guessMapping = (headers, contaminant, time) => {
+  const parts = headers.map(splitHeader);
+  const names = contaminant
+    ? Object.fromEntries(datasetVariablesFor(contaminant).map(v => [v.key, splitHeader(v.label).name]))
+    : {};
+  const matchVariable = (name) => OBSERVABLE_VARIABLES
+    .find(v => name === v.key.toLowerCase() || v.aliases.includes(name) || name === names[v.key])?.key ?? null;
+
+  // Un "(h)" o "(d)" en el encabezado decide la unidad, también con un nombre genérico ("Tiempo (d)")
+  const timeInfo = timeColumn(parts.map(p => p.name));
+  const detected = timeInfo
+    ? parts.findIndex(p => p.name === timeInfo.header)
+    : parts.findIndex(p => TIME_NAMES.includes(p.name));
+  const timeIndex = time === undefined ? detected : headers.indexOf(time);
+  const timeUnit = timeIndex >= 0 && ['h', 'd'].includes(parts[timeIndex].unit[0])
+    ? parts[timeIndex].unit[0]
+    : timeIndex === detected && timeInfo?.factor === 24 ? 'd' : 'h';
+
+  const columns = headers
+    .map((header, i) => ({ header, i, variable: matchVariable(parts[i].name) }))
+    .filter(c => c.i !== timeIndex);
+  // Columna de desviación: su nombre sin las palabras de error coincide con una variable;
+  // se asigna a la primera columna de esa variable
+  const errors = new Map();
+  columns.filter(c => !c.variable).forEach(c => {
+    const tokens = parts[c.i].name.split(/[\s_]+/).filter(Boolean);
+    const rest = tokens.filter(t => !ERROR_TOKENS.includes(t));
+    const variable = rest.length < tokens.length ? matchVariable(rest.join('_')) ?? matchVariable(rest.join(' ')) : null;
+    if (variable && !errors.has(variable)) errors.set(variable, c.header);
+  });
+  const first = new Set(OBSERVABLE_VARIABLES.map(v => columns.find(c => c.variable === v.key)?.header));
+
+  return {
+    time: timeIndex >= 0 ? headers[timeIndex] : null,
+    time_unit: timeUnit,
+    columns: columns.map(c => ({
+      header: c.header,
+      variable: c.variable,
+      unit: c.variable ? unitFromHeader(parts[c.i].unit, c.variable) : 'mg/L',
+      error: c.variable && first.has(c.header) ? errors.get(c.variable) ?? null : null,
+    })),
+  };
+};
+
+/**
+ * Convierte las filas de una hoja (la primera fila no vacía es el encabezado) en una
+ * tabla con el mismo formato que parseCSV.
+ *
+ * @param {(string|number|boolean|null)[][]} rows
+ * @returns {{ headers: string[], rows: Object<string, string|number|null>[] }}
+ */
+export const tableFromRows = (rows) => {
+  const filled = rows.filter(row => row.some(v => v !== null && v !== ''));
+  if (filled.length === 0) return { headers: [], rows: [] };
+  const width = Math.max(...filled.map(row => row.length));
+  const headers = Array.from({ length: width }, (_, i) => {
+    const value = filled[0][i];
+    return value === null || value === undefined || value === '' ? `Columna ${i + 1}` : String(value).trim();
+  });
+  return {
+    headers,
+    rows: filled.slice(1).map(row => Object.fromEntries(headers.map((h, i) => [h, row[i] ?? null]))),
+  };
+};
+
+const parseNumber = (value) => (typeof value === 'number' ? value : parseFloat(String(value ?? '').replace(',', '.')));
+
+/**
+ * Lee las mediciones de una tabla con la asignación de columnas dada y las convierte a
+ * horas y a las unidades del modelo. Las celdas vacías o no numéricas se omiten.
+ *
+ * @param {{ headers: string[], rows: Object<string, string|number|null>[] }} table
+ * @param {DatasetMapping} mapping
+ * @returns {DatasetPoint[]}
+ */
+export const parseDataset = (table, mapping) => {
+  if (!mapping.time || !table.headers.includes(mapping.time)) throw new Error('Elige la columna de tiempo');
+  const columns = mapping.columns.filter(c => c.variable);
+  if (columns.length === 0) throw new Error('Asigna al menos una columna a una variable medida');
+
+  const timeFactor = DATASET_TIME_UNITS.find(u => u.value === mapping.time_unit)?.factor ?? 1;
+  const points = [];
+  table.rows.forEach(row => {
+    const time = parseNumber(row[mapping.time]);
+    if (!Number.isFinite(time)) return;
+    columns.forEach(c => {
+      const value = parseNumber(row[c.header]);
+      if (!Number.isFinite(value)) return;
+      const factor = DATASET_UNITS.find(u => u.value === c.unit)?.factor ?? 1;
+      const error = c.error ? parseNumber(row[c.error]) : NaN;
+      points.push({
+        time_h: time * timeFactor,
+        variable: c.variable,
+        value: value * factor,
+        error: Number.isFinite(error) ? Math.abs(error) * factor : null,
+      });
+    });
+  });
+
+  if (points.length === 0) throw new Error('Las columnas elegidas no contienen mediciones numéricas');
+  return points;
+};
+
+/**
+ * Devuelve un mensaje de error si el conjunto de datos no es válido, o null.
+ *
+ * @param {Dataset} dataset
+ * @returns {string|null}
+ */
+export const validateDataset = (dataset) => {
+  if (dataset === null || typeof dataset !== 'object') return 'debe ser un objeto';
+  if (typeof dataset.id !== 'string' || dataset.id === '') return 'el id debe ser un texto no vacío';
+  if (typeof dataset.name !== 'string') return 'el nombre debe ser un texto';
+  if (!Array.isArray(dataset.points)) return 'los puntos deben ser una lista';
+  const bad = dataset.points.findIndex(p => p === null || typeof p !== 'object'
+    || !Number.isFinite(p.time_h) || !Number.isFinite(p.value)
+    || !OBSERVABLE_VARIABLES.some(v => v.key === p.variable)
+    || (p.error !== null && p.error !== undefined && !Number.isFinite(p.error)));
+  return bad >= 0 ? `punto ${bad} inválido` : null;
+};
+
+/**
+ * @typedef {Object} FitStatistics
+ * @property {number} n - Mediciones dentro del horizonte simulado
+ * @property {number} rmse - Raíz del error cuadrático medio, en las unidades de la variable
+ * @property {number|null} nse - Eficiencia de Nash-Sutcliffe, 1 - SS_res/SS_tot (null si las mediciones no varían)
+ * @property {number|null} r2 - Cuadrado del coeficiente de correlación de Pearson entre medición y modelo
+ * @property {number} bias - Media de (modelo - medición)
+ */
+
+/**
+ * Bondad de ajuste de una simulación frente a mediciones, por variable. El modelo se
+ * interpola linealmente en el instante de cada medición; las mediciones fuera del horizonte
+ * simulado y las de variables que la simulación no calcula no se comparan.
+ *
+ * @param {import('./model.js').SimulationPoint[]} results
+ * @param {DatasetPoint[]} points
+ * @returns {Object<string, FitStatistics>}
+ */
+export const goodnessOfFit = (results, points) => {
+  if (results.length === 0) return {};
+  const start = results[0].time_h;
+  const end = results[results.length - 1].time_h;
+  const groups = {};
+  points
+    .filter(p => p.time_h >= start && p.time_h <= end && Number.isFinite(results[0][p.variable]))
+    .forEach(p => {
+      (groups[p.variable] = groups[p.variable] || []).push({ observed: p.value, model: interpolateSeries(results, p.variable, p.time_h) });
+    });
+
+  return Object.fromEntries(Object.entries(groups).map(([variable, pairs]) => {
+    const n = pairs.length;
+    const meanObserved = pairs.reduce((acc, p) => acc + p.observed, 0) / n;
+    const meanModel = pairs.reduce((acc, p) => acc + p.model, 0) / n;
+    let ssRes = 0;
+    let ssTot = 0;
+    let ssModel = 0;
+    let cross = 0;
+    pairs.forEach(({ observed, model }) => {
+      ssRes += (model - observed) ** 2;
+      ssTot += (observed - meanObserved) ** 2;
+      ssModel += (model - meanModel) ** 2;
+      cross += (observed - meanObserved) * (model - meanModel);
+    });
+    return [variable, {
+      n,
+      rmse: Math.sqrt(ssRes / n),
+      nse: ssTot > 0 ? 1 - ssRes / ssTot : null,
+      r2: ssTot > 0 && ssModel > 0 ? Math.min(1, cross ** 2 / (ssTot * ssModel)) : null,
+      bias: meanModel - meanObserved,
+    }];
+  }));
+};
@@ -0,0 +1,222 @@
+// ============================================================================
+// FACTORES AMBIENTALES: TEMPERATURA, pH Y SALINIDAD
+// ============================================================================
+import { parseCSV, timeColumn } from './csv.js';
+
+// Formas de la variación temporal de cada variable ambiental
+export const PROFILE_TYPES = [
+  { value: 'constant', label: 'Constante' },
+  { value: 'sinusoid', label: 'Ciclo diario (sinusoide)', description: 'valor(t) = media + amplitud · cos(2π · (t − hora del máximo)/24 h)' },
+  { value: 'csv', label: 'Perfil CSV', description: 'Interpolación lineal entre los puntos; fuera de ellos se mantiene el extremo más cercano.' },
+];
+
+// Variables ambientales, con los parámetros que describen su perfil en el tiempo y las
+// claves de su valor y de su factor en la serie temporal
+export const ENVIRONMENT_INPUTS = [
+  {
+    key: 'T',
+    label: 'Temperatura',
+    unit: '°C',
+    model: 'T_model',
+    profile: 'T_profile',
+    mean: 'T_mean',
+    amplitude: 'T_amplitude',
+    peak: 'T_peak_hour',
+    series: 'T_series',
+    value: 'temperature',
+    factor: 'f_T',
+    color: '#f97316',
+    models: [
+      { value: 'none', label: 'Sin corrección' },
+      { value: 'arrhenius', label: 'Arrhenius (factor θ)', description: 'f_T = θ^(T − T_ref)' },
+      {
+        value: 'ctmi',
+        label: 'Temperaturas cardinales (CTMI)',
+        description: 'f_T = (T − T_max)(T − T_min)² / ((T_opt − T_min)·[(T_opt − T_min)(T − T_opt) − (T_opt − T_max)(T_opt + T_min − 2T)]); 0 fuera de (T_min, T_max)',
+      },
+    ],
+  },
+  {
+    key: 'pH',
+    label: 'pH',
+    unit: '–',
+    model: 'pH_model',
+    profile: 'pH_profile',
+    mean: 'pH_mean',
+    amplitude: 'pH_amplitude',
+    peak: 'pH_peak_hour',
+    series: 'pH_series',
+    value: 'pH',
+    factor: 'f_pH',
+    color: '#8b5cf6',
+    models: [
+      { value: 'none', label: 'Sin corrección' },
+      {
+        value: 'cardinal',
+        label: 'pH cardinal (CPM)',
+        description: 'f_pH = (pH − pH_min)(pH − pH_max) / ((pH − pH_min)(pH − pH_max) − (pH − pH_opt)²); 0 fuera de (pH_min, pH_max)',
+      },
+    ],
+  },
+  {
+    key: 'sal',
+    label: 'Salinidad',
+    unit: 'g/L',
+    model: 'sal_model',
+    profile: 'sal_profile',
+    mean: 'sal_mean',
+    amplitude: 'sal_amplitude',
+    peak: 'sal_peak_hour',
+    series: 'sal_series',
+    value: 'salinity',
+    factor: 'f_sal',
+    color: '#14b8a6',
+    models: [
+      { value: 'none', label: 'Sin corrección' },
+      { value: 'inhibition', label: 'Inhibición salina', description: 'f_sal = K_sal/(K_sal + salinidad)' },
+    ],
+  },
+];
+
+/**
+ * Entradas ambientales con un modelo de corrección activo.
+ *
+ * @param {import('./params.js').ModelParams} params
+ */
+export const activeEnvironment = (params) => ENVIRONMENT_INPUTS.filter(input => (params[input.model] ?? 'none') !== 'none');
+
+// Interpolación lineal en una serie [[t_h, valor], ...] ordenada; fuera, el extremo más cercano
+const interpolatePoints = (points, t) => {
+  if (t <= points[0][0]) return points[0][1];
+  const last = points[points.length - 1];
+  if (t >= last[0]) return last[1];
+  let lo = 0;
+  let hi = points.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid][0] <= t) lo = mid;
+    else hi = mid;
+  }
+  const [t0, v0] = points[lo];
+  const [t1, v1] = points[hi];
+  return v0 + ((t - t0) / (t1 - t0)) * (v1 - v0);
+};
+
+/**
+ * Valor de una variable ambiental en el instante t (h) según su perfil.
+ *
+ * @param {typeof ENVIRONMENT_INPUTS[number]} input
+ * @param {number} t
+ * @param {import('./params.js').ModelParams} params
+ */
+export const profileValue = (input, t, params) => {
+  switch (params[input.profile]) {
+    case 'sinusoid':
+      return params[input.mean] + params[input.amplitude] * Math.cos(2 * Math.PI * (t - params[input.peak]) / 24);
+    case 'csv':
+      return interpolatePoints(params[input.series], t);
+    default:
+      return params[input.mean];
+  }
+};
+
+/** Factor de temperatura θ^(T − T_ref). */
+export const arrheniusFactor = (T, { theta_T, T_ref }) => Math.pow(theta_T, T - T_ref);
+
+/** Modelo de temperaturas cardinales con inflexión (Rosso et al., 1993). */
+export const ctmiFactor = (T, { T_min, T_opt, T_max }) => {
+  if (T <= T_min || T >= T_max) return 0;
+  const num = (T - T_max) * (T - T_min) ** 2;
+  const den = (T_opt - T_min) * ((T_opt - T_min) * (T - T_opt) - (T_opt - T_max) * (T_opt + T_min - 2 * T));
+  return Math.max(0, num / den);
+};
+
+/** Modelo de pH cardinal (Rosso et al., 1995). */
+export const cardinalPHFactor = (pH, { pH_min, pH_opt, pH_max }) => {
+  if (pH <= pH_min || pH >= pH_max) return 0;
+  const a = (pH - pH_min) * (pH - pH_max);
+  return Math.max(0, a / (a - (pH - pH_opt) ** 2));
+};
+
+const FACTOR_MODELS = {
+  arrhenius: arrheniusFactor,
+  ctmi: ctmiFactor,
+  cardinal: cardinalPHFactor,
+  inhibition: (salinity, { K_sal }) => K_sal / (K_sal + Math.max(0, salinity)),
+};
+
+/**
+ * @typedef {Object} EnvironmentState
+ * @property {number} activity - Producto de los factores; escala k_max, μ_max, k_A, k_B, k_C y los k_max de los co-sustratos
+ * @property {number} decay - Factor de la mortalidad k_d: θ^(T − T_ref) si hay corrección de temperatura
+ * @property {Object<string, number>} values - Valor de cada variable activa, por su clave en la serie temporal
+ * @property {Object<string, number>} factors - Factor de cada variable activa (f_T, f_pH, f_sal)
+ */
+
+/**
+ * Factores ambientales en el instante t (h). Sin modelos activos todos valen 1.
+ * La mortalidad solo se corrige por temperatura y siempre con Arrhenius: el CTMI y los
+ * factores de pH y salinidad describen la actividad, no el decaimiento endógeno.
+ *
+ * @param {number} t
+ * @param {import('./params.js').ModelParams} params
+ * @returns {EnvironmentState}
+ */
+export const environmentAt = (t, params) => {
+  const values = {};
+  const factors = {};
+  let activity = 1;
+  let decay = 1;
+  for (const input of activeEnvironment(params)) {
+    const value = profileValue(input, t, params);
+    const factor = FACTOR_MODELS[params[input.model]](value, params);
+    values[input.value] = value;
+    factors[input.factor] = factor;
+    activity *= factor;
+    if (input.key === 'T') decay = arrheniusFactor(value, params);
+  }
+  return { activity, decay, values, factors };
+};
+
+/**
+ * Lee un perfil ambiental desde CSV: una columna de tiempo (horas o días) y, como valor,
+ * la primera columna numérica restante. Devuelve los puntos ordenados por tiempo.
+ *
+ * @param {string} text
+ * @returns {[number, number][]}
+ * @throws {Error} Si falta la columna de tiempo o no hay valores numéricos
+ */
+export const parseProfile = (text) => {
+  const { headers, rows } = parseCSV(text);
+  const time = timeColumn(headers);
+  if (!time) throw new Error('El CSV debe tener una columna de tiempo (time_h u horas, o time_days o días)');
+
+  const number = (cell) => parseFloat(String(cell ?? '').replace(',', '.'));
+  const valueHeader = headers.find(h => h !== time.header && rows.some(r => Number.isFinite(number(r[h]))));
+  if (!valueHeader) throw new Error('El CSV no tiene una columna de valores numéricos');
+
+  const points = rows
+    .map(r => [number(r[time.header]) * time.factor, number(r[valueHeader])])
+    .filter(([t, v]) => Number.isFinite(t) && Number.isFinite(v))
+    .sort((a, b) => a[0] - b[0]);
+  if (points.length === 0) throw new Error('El CSV no contiene puntos numéricos');
+  return points;
+};
+
+/**
+ * Comprueba una serie [[t_h, valor], ...]: pares numéricos con tiempos crecientes.
+ *
+ * @param {unknown} series
+ * @returns {string|null} Descripción del problema, o null si es válida
+ */
+export const validateProfile = (series) => {
+  if (!Array.isArray(series)) return 'debe ser una lista de pares [tiempo_h, valor]';
+  for (let i = 0; i < series.length; i++) {
+    const point = series[i];
+    if (!Array.isArray(point) || point.length !== 2 || !point.every(Number.isFinite)) {
+      return `el punto ${i + 1} debe ser un par [tiempo_h, valor] numérico`;
+    }
+    if (i > 0 && point[0] <= series[i - 1][0]) return 'los tiempos deben ser crecientes';
+  }
+  return null;
+};
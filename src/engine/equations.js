@@ -0,0 +1,122 @@
+// ============================================================================
+// ECUACIONES DEL MODELO (TEXTO PARA LA INTERFAZ Y LOS INFORMES)
+// ============================================================================
+import { activeEnvironment } from './environment.js';
+import { oxygenEnabled } from './oxygen.js';
+import { SORPTION_ISOTHERMS, SORPTION_SITE_MODELS } from './sorption.js';
+import { INTERACTION_MODELS, activeSubstrates } from './substrates.js';
+import { activeGuilds, lagEnabled } from './microbes.js';
+import { compartmentLayout, spatialEnabled } from './spatial.js';
+
+/**
+ * @typedef {Object} EquationBlock
+ * @property {string} key - growth, population, degradation, oxygen, environment, interaction, sorption, spatial o removal
+ * @property {string} title
+ * @property {string[]} equations
+ * @property {string[]} notes - Aclaraciones en texto más pequeño
+ */
+
+const growthEquation = (params) => {
+  if (params.substrate_interaction === 'cometabolic') return 'dX/dt = Σ Y_S · r_S - k_d · X';
+  const base = params.growth_model === 'yield'
+    ? 'dX/dt = Y_x · r_deg - k_d · X'
+    : 'dX/dt = μ_max · S/(K_s+S) · X - k_d · X';
+  return activeSubstrates(params).length > 0 ? `${base} + Σ Y_S · r_S` : base;
+};
+
+// Gremios, latencia, inhibición por el primer metabolito y capacidad de carga, si alguno interviene
+const populationBlock = (params) => {
+  const guilds = activeGuilds(params);
+  const lag = lagEnabled(params);
+  const inhibition = params.product_inhibition !== 'none';
+  const capacity = params.capacity_model !== 'none';
+  if (guilds.length === 0 && !lag && !inhibition && !capacity) return [];
+  const factors = [
+    ...(lag ? ['α'] : []),
+    ...(inhibition ? ['K_I,A/(K_I,A + C_A)'] : []),
+  ];
+  return [{
+    key: 'population',
+    title: 'Población microbiana',
+    equations: [
+      ...(guilds.length > 0 ? [`X = X_G1 + ${guilds.map(g => `X_${g.token}`).join(' + ')}; r_deg = Σ k_max,g · S/(K_s,g+S) · X_g`] : []),
+      ...(factors.length > 0 ? [`k → k · ${factors.join(' · ')}`] : []),
+      ...(lag ? ['dα/dt = ν · α · (1 − α)'] : []),
+      ...(capacity ? ['dX_g/dt = (crecimiento) · (1 − X/X_cap) − k_d,g · X_g'] : []),
+    ],
+    notes: guilds.length > 0 ? [
+      'Cada gremio tiene sus constantes y su rendimiento del primer metabolito: r_A = Σ Y_A,g · r_deg,g',
+      ...guilds.map(g => `${g.token}: ${g.guild.name} (Y_A = ${params[g.Y_A]})`),
+    ] : [],
+  }];
+};
+
+// Intercambio entre capas de suspensión y con el lecho sedimentado
+const spatialBlock = (params) => {
+  if (!spatialEnabled(params)) return [];
+  const { compartments, suspended } = compartmentLayout(params);
+  const bed = compartments.some(c => c.bed);
+  return [{
+    key: 'spatial',
+    title: 'Zonas y lecho sedimentado',
+    equations: [
+      'dC_i/dt = (reacciones)_i + Σ_j q_ij · (C_j − C_i) / V_i',
+      'q_líquido = k_mix · N/200 · V_capa; q_sólidos = k_mix · N/200 · θ_j · V_capa',
+      ...(bed ? ['lecho: q_sólidos = v_s/Δz · θ_fondo · V_capa; q_líquido = k_pore · V_lecho'] : []),
+    ],
+    notes: [
+      `Sólidos en suspensión: min(1, N/N_js) = ${Number((suspended * 100).toPrecision(3))} %`,
+      'Las fracciones sorbidas siguen a los sólidos; el resto de variables, al líquido',
+      ...(bed ? ['El lecho no se airea'] : []),
+    ],
+  }];
+};
+
+/**
+ * Ecuaciones que describen la configuración elegida, en el orden en que se muestran.
+ *
+ * @param {import('./params.js').ModelParams} params
+ * @returns {EquationBlock[]}
+ */
+export const modelEquations = (params) => {
+  const environment = activeEnvironment(params);
+  const interaction = INTERACTION_MODELS.find(m => m.value === params.substrate_interaction);
+  const isotherm = SORPTION_ISOTHERMS.find(m => m.value === params.sorption_isotherm);
+  const sites = SORPTION_SITE_MODELS.find(m => m.value === params.sorption_sites);
+
+  return [
+    { key: 'growth', title: 'Crecimiento microbiano', equations: [growthEquation(params)], notes: [] },
+    ...populationBlock(params),
+    { key: 'degradation', title: 'Degradación', equations: ['dC_G/dt = -k_max · (C_G/(K_s+C_G)) · X'], notes: [] },
+    ...(oxygenEnabled(params) ? [{
+      key: 'oxygen',
+      title: 'Oxígeno disuelto (doble Monod)',
+      equations: ['dO₂/dt = kLa · (O₂,sat − O₂) − OUR'],
+      notes: ['r = k · S/(K_s+S) · O₂/(K_O₂+O₂) · X; OUR = demanda teórica de O₂ de lo mineralizado'],
+    }] : []),
+    ...(environment.length > 0 ? [{
+      key: 'environment',
+      title: 'Factores ambientales',
+      equations: [
+        `k(t) = k · ${environment.map(e => e.factor).join(' · ')}${params.T_model !== 'none' ? '; k_d(t) = k_d · θ^(T−T_ref)' : ''}`,
+      ],
+      notes: environment.map(e => e.models.find(m => m.value === params[e.model])?.description).filter(Boolean),
+    }] : []),
+    ...(params.substrate_interaction !== 'none' && interaction ? [{
+      key: 'interaction',
+      title: `Interacción entre sustratos: ${interaction.label}`,
+      equations: [],
+      notes: [interaction.description],
+    }] : []),
+    {
+      key: 'sorption',
+      title: `Sorción: ${isotherm?.label}`,
+      equations: [isotherm?.description, sites?.description].filter(Boolean),
+      notes: params.bound_residue === 'irreversible'
+        ? ['dC_irr/dt = k_irr · C_s; la fracción ligada no se desorbe ni se degrada']
+        : [],
+    },
+    ...spatialBlock(params),
+    { key: 'removal', title: 'Remoción total', equations: ['%R = 100 · (1 - C_tot(t)/C_tot(0))'], notes: [] },
+  ];
+};
@@ -0,0 +1,190 @@
+// ============================================================================
+// INTERVENCIONES PROGRAMADAS (EVENTOS)
+// ============================================================================
+// Un evento es una acción instantánea del operador: una dosis que se suma a una variable de
+// estado (contaminante, biomasa de un gremio, co-sustrato) o un cambio de la aireación. Se
+// dispara en un instante fijo o la primera vez que una variable cruza un umbral; cada evento
+// se dispara una sola vez. La integración se detiene en cada evento (ver simulate en model.js).
+import { contaminantLabel } from './contaminants.js';
+import { SUBSTRATE_SLOTS, activeSubstrates, substrateLabel } from './substrates.js';
+import { oxygenEnabled } from './oxygen.js';
+import { GUILD_SLOTS, activeGuilds, guildLabel } from './microbes.js';
+
+/**
+ * @typedef {Object} ScheduledEvent
+ * @property {'time'|'condition'} trigger
+ * @property {number} [time_h] - Instante del evento (disparo 'time')
+ * @property {string} [variable] - Variable vigilada (disparo 'condition'), ver EVENT_VARIABLES
+ * @property {'<'|'>'} [operator]
+ * @property {number} [value] - Umbral, en las unidades de la variable
+ * @property {string} action - Ver EVENT_ACTIONS
+ * @property {number} [amount] - Cantidad añadida (mg/L) en las dosificaciones
+ */
+
+/**
+ * @typedef {Object} FiredEvent
+ * @property {number} index - Posición del evento en params.events
+ * @property {number} time_h - Instante en que se disparó
+ * @property {number} time_days
+ * @property {string} description
+ */
+
+export const EVENT_TRIGGERS = [
+  { value: 'time', label: 'En un instante' },
+  { value: 'condition', label: 'Al cruzar un umbral' },
+];
+
+// Las dosificaciones suman `amount` a la variable `state`; `aerated` activa o detiene la
+// transferencia de oxígeno hasta el siguiente cambio
+export const EVENT_ACTIONS = [
+  { value: 'dose_contaminant', label: 'Dosis de {parent}', state: 'C_G_aq' },
+  { value: 'dose_biomass', label: 'Bioaumentación', state: 'X' },
+  ...GUILD_SLOTS.map(slot => ({ value: `dose_${slot.token}`, label: `Bioaumentación: {${slot.token}}`, state: slot.key, guild: slot })),
+  ...SUBSTRATE_SLOTS.map(slot => ({ value: `dose_${slot.token}`, label: `Pulso de {${slot.token}}`, state: slot.key, slot })),
+  { value: 'aeration_off', label: 'Detener la aireación', aerated: false },
+  { value: 'aeration_on', label: 'Reanudar la aireación', aerated: true },
+];
+
+export const EVENT_VARIABLES = [
+  { key: 'C_G_aq', label: '{parent} acuoso', unit: 'mg/L' },
+  { key: 'C_A_aq', label: '{A} acuoso', unit: 'mg/L' },
+  { key: 'X', label: 'Biomasa', unit: 'mg/L' },
+  ...SUBSTRATE_SLOTS.map(slot => ({ key: slot.key, label: `{${slot.token}}`, unit: 'mg/L', slot })),
+  { key: 'C_O2', label: 'O₂ disuelto', unit: 'mg/L', oxygen: true },
+  { key: 'removal_percent', label: 'Remoción de {parent}', unit: '%' },
+];
+
+export const EVENT_OPERATORS = ['<', '>'];
+
+// Límite de eventos por simulación: cada uno reinicia el integrador
+export const MAX_EVENTS = 50;
+
+const compoundLabel = (text, params) => guildLabel(substrateLabel(contaminantLabel(text, params.contaminant), params), params);
+
+// Una acción o variable puede usarse si el modelo tiene lo que necesita: un co-sustrato o un
+// gremio en su hueco u oxígeno disuelto
+const available = (item, params) => {
+  if (item.slot) return activeSubstrates(params).some(s => s.key === item.slot.key);
+  if (item.guild) return activeGuilds(params).some(g => g.key === item.guild.key);
+  if (item.oxygen || item.aerated !== undefined) return oxygenEnabled(params);
+  return true;
+};
+
+/**
+ * Acciones y variables que admite una configuración, con los nombres de los compuestos.
+ *
+ * @param {import('./params.js').ModelParams} params
+ */
+export const eventOptionsFor = (params) => ({
+  actions: EVENT_ACTIONS.filter(a => available(a, params)).map(a => ({ ...a, label: compoundLabel(a.label, params) })),
+  variables: EVENT_VARIABLES.filter(v => available(v, params)).map(v => ({ ...v, label: compoundLabel(v.label, params) })),
+});
+
+/**
+ * Comprueba la estructura de una lista de eventos. Devuelve un mensaje de error o null.
+ *
+ * @param {ScheduledEvent[]} events
+ * @returns {string|null}
+ */
+export const validateEvents = (events) => {
+  if (!Array.isArray(events)) return 'debe ser una lista de eventos';
+  if (events.length > MAX_EVENTS) return `admite como máximo ${MAX_EVENTS} eventos`;
+  for (let i = 0; i < events.length; i++) {
+    const e = events[i];
+    const where = `evento ${i + 1}`;
+    if (e === null || typeof e !== 'object') return `${where}: debe ser un objeto`;
+    const action = EVENT_ACTIONS.find(a => a.value === e.action);
+    if (!action) return `${where}: acción desconocida (${EVENT_ACTIONS.map(a => a.value).join(', ')})`;
+    if (action.state && !(Number.isFinite(e.amount) && e.amount > 0)) return `${where}: la cantidad debe ser mayor que cero`;
+    if (e.trigger === 'time') {
+      if (!(Number.isFinite(e.time_h) && e.time_h >= 0)) return `${where}: el instante debe ser un número no negativo`;
+    } else if (e.trigger === 'condition') {
+      if (!EVENT_VARIABLES.some(v => v.key === e.variable)) return `${where}: variable desconocida: ${e.variable}`;
+      if (!EVENT_OPERATORS.includes(e.operator)) return `${where}: el operador debe ser < o >`;
+      if (!Number.isFinite(e.value)) return `${where}: el umbral debe ser un número`;
+    } else {
+      return `${where}: el disparo debe ser "time" o "condition"`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Comprueba que las acciones y variables de los eventos existen en la configuración (un
+ * co-sustrato o un gremio en el hueco dosificado, oxígeno para la aireación). Devuelve un mensaje o null.
+ *
+ * @param {ScheduledEvent[]} events - Ya validados con validateEvents
+ * @param {import('./params.js').ModelParams} params
+ * @returns {string|null}
+ */
+export const eventConflicts = (events, params) => {
+  for (let i = 0; i < events.length; i++) {
+    const e = events[i];
+    const action = EVENT_ACTIONS.find(a => a.value === e.action);
+    if (!available(action, params)) {
+      const missing = action.slot ? 'el hueco no tiene co-sustrato'
+        : action.guild ? 'el hueco no tiene gremio' : 'la aireación requiere el modelo de oxígeno';
+      return `evento ${i + 1}: ${missing}`;
+    }
+    const variable = e.trigger === 'condition' && EVENT_VARIABLES.find(v => v.key === e.variable);
+    if (variable && !available(variable, params)) {
+      return `evento ${i + 1}: la variable ${e.variable} no existe en esta configuración`;
+    }
+  }
+  return null;
+};
+
+const formatAmount = (value) => Number(value.toPrecision(4)).toLocaleString('es-ES');
+
+/**
+ * Descripción de un evento para leyendas, tablas e informes, p. ej. «t = 120 h: Bioaumentación
+ * +20 mg/L» o «Glifosato acuoso < 5 mg/L: Detener la aireación».
+ *
+ * @param {ScheduledEvent} event
+ * @param {import('./params.js').ModelParams} params
+ */
+export const describeEvent = (event, params) => {
+  const action = EVENT_ACTIONS.find(a => a.value === event.action);
+  const what = `${compoundLabel(action.label, params)}${action.state ? ` +${formatAmount(event.amount)} mg/L` : ''}`;
+  if (event.trigger === 'time') return `t = ${formatAmount(event.time_h)} h: ${what}`;
+  const variable = EVENT_VARIABLES.find(v => v.key === event.variable);
+  return `${compoundLabel(variable.label, params)} ${event.operator} ${formatAmount(event.value)} ${variable.unit}: ${what}`;
+};
+
+/**
+ * Comprueba si se cumple la condición de un evento con disparo por umbral.
+ *
+ * @param {ScheduledEvent} event
+ * @param {number} value - Valor actual de la variable vigilada
+ */
+export const conditionHolds = (event, value) => (event.operator === '<' ? value < event.value : value > event.value);
+
+/**
+ * Aplica una acción al vector de estado. Devuelve el nuevo estado y, si la acción cambia
+ * la aireación, si queda activa.
+ *
+ * @param {ScheduledEvent} event
+ * @param {number[]} y
+ * @param {string[]} variables - Variables de estado (stateVariables)
+ * @returns {{ y: number[], aerated?: boolean }}
+ */
+export const applyEventAction = (event, y, variables) => {
+  const action = EVENT_ACTIONS.find(a => a.value === event.action);
+  if (!action.state) return { y, aerated: action.aerated };
+  const index = variables.indexOf(action.state);
+  return { y: y.map((v, i) => (i === index ? v + event.amount : v)) };
+};
+
+/**
+ * Indica si un evento activa o detiene la aireación.
+ *
+ * @param {ScheduledEvent} event
+ */
+export const changesAeration = (event) => EVENT_ACTIONS.find(a => a.value === event.action)?.aerated !== undefined;
+
+/**
+ * Parámetros en vigor con la aireación detenida: sin transferencia de oxígeno.
+ *
+ * @param {import('./params.js').ModelParams} params
+ */
+export const withoutAeration = (params) => ({ ...params, aeration_input: 'kla', kLa: 0 });
@@ -0,0 +1,448 @@
+// ============================================================================
+// EXPORTACIÓN DE RESULTADOS (CSV, XLSX Y JSON)
+// ============================================================================
+import { metaboliteChain } from './contaminants.js';
+import { ENVIRONMENT_INPUTS, activeEnvironment } from './environment.js';
+import { metricDefinitionsFor } from './metrics.js';
+import { changesAeration, describeEvent } from './events.js';
+import { oxygenEnabled } from './oxygen.js';
+import {
+  DEFAULT_PARAMS,
+  PARAMETER_CHOICES,
+  PARAMETER_GROUPS,
+  appliesTo,
+  parameterGroupsFor,
+  parameterLabel,
+} from './params.js';
+import { sorptionPools } from './sorption.js';
+import { activeSubstrates } from './substrates.js';
+import { activeGuilds, lagEnabled } from './microbes.js';
+import { compartmentLayout, spatialEnabled } from './spatial.js';
+import { toCSV } from './csv.js';
+import { createWorkbook } from './xlsx.js';
+
+export const EXPORT_FORMAT = 'bioslurry-export';
+export const EXPORT_VERSION = 1;
+
+// Intervalos de salida (h); 0 conserva todos los puntos de la serie
+export const EXPORT_RESOLUTIONS = [
+  { value: 0, label: 'Todos los puntos' },
+  { value: 1, label: 'Cada hora' },
+  { value: 6, label: 'Cada 6 h' },
+  { value: 12, label: 'Cada 12 h' },
+  { value: 24, label: 'Cada día' },
+];
+
+// Grupos de columnas de la serie temporal, en el orden del diálogo de exportación
+export const SERIES_COLUMN_GROUPS = [
+  { key: 'time', label: 'Tiempo' },
+  { key: 'contaminant', label: 'Contaminante' },
+  { key: 'metabolites', label: 'Metabolitos' },
+  { key: 'substrates', label: 'Co-sustratos' },
+  { key: 'biomass', label: 'Biomasa y oxígeno' },
+  { key: 'removal', label: 'Remoción y mineralización' },
+  { key: 'rates', label: 'Velocidades' },
+  { key: 'environment', label: 'Ambiente' },
+  { key: 'spatial', label: 'Zonas' },
+  { key: 'operation', label: 'Operación' },
+];
+
+/**
+ * @typedef {Object} SeriesColumn
+ * @property {string} key - Clave en SimulationPoint
+ * @property {string} label - Con los nombres del contaminante y los co-sustratos sustituidos
+ * @property {string} unit
+ * @property {string} group - Clave de SERIES_COLUMN_GROUPS
+ */
+
+const SORBED_LABELS = {
+  C_G_s2: 'Sorbido: sitio cinético',
+  C_G_irr: 'Ligado (no biodisponible)',
+};
+
+/**
+ * Columnas de la serie temporal para unos parámetros. Los metabolitos posteriores dependen
+ * del contaminante, los co-sustratos, de los huecos ocupados, las variables ambientales, de
+ * las correcciones activas, el oxígeno, del modelo de oxígeno, las fracciones sorbidas
+ * (C_G_s1, C_G_s2, C_G_irr), de los sitios y de la fracción ligada, la biomasa de cada
+ * gremio, de los gremios adicionales, el estado fisiológico, de la fase de latencia, y las de
+ * cada compartimento, del reactor por zonas. Las de operación están siempre, aunque en lote
+ * sean constantes.
+ *
+ * @param {import('./params.js').ModelParams} params
+ * @returns {SeriesColumn[]}
+ */
+export const seriesColumns = (params) => {
+  const pools = sorptionPools(params);
+  const substrates = activeSubstrates(params);
+  const environment = activeEnvironment(params);
+  const guilds = activeGuilds(params);
+  const compartments = spatialEnabled(params) ? compartmentLayout(params).compartments : [];
+  const columns = [
+    { key: 'time_h', label: 'Tiempo', unit: 'h', group: 'time' },
+    { key: 'time_days', label: 'Tiempo', unit: 'días', group: 'time' },
+    { key: 'C_G_aq', label: '{parent} (aq)', unit: 'mg/L', group: 'contaminant' },
+    { key: 'C_G_s', label: '{parent} sorbido', unit: 'mg/kg', group: 'contaminant' },
+    ...(pools.length > 0 ? [
+      { key: 'C_G_s1', label: pools.includes('C_G_s2') ? 'Sorbido: sitio de equilibrio' : 'Sorbido reversible', unit: 'mg/kg', group: 'contaminant' },
+      ...pools.map(key => ({ key, label: SORBED_LABELS[key], unit: 'mg/kg', group: 'contaminant' })),
+    ] : []),
+    ...metaboliteChain(params.contaminant).map(m => ({ key: m.key, label: `${m.name} (aq)`, unit: 'mg/L', group: 'metabolites' })),
+    ...substrates.map(s => ({ key: s.key, label: `{${s.token}} (aq)`, unit: 'mg/L', group: 'substrates' })),
+    ...(oxygenEnabled(params) ? [{ key: 'C_O2', label: 'O₂ disuelto', unit: 'mg/L', group: 'biomass' }] : []),
+    { key: 'X', label: 'Biomasa', unit: 'mg/L', group: 'biomass' },
+    ...(guilds.length > 0 ? [
+      { key: 'X_G1', label: 'Biomasa: gremio principal', unit: 'mg/L', group: 'biomass' },
+      ...guilds.map(g => ({ key: g.key, label: `Biomasa: {${g.token}}`, unit: 'mg/L', group: 'biomass' })),
+    ] : []),
+    ...(lagEnabled(params) ? [{ key: 'alpha', label: 'Estado fisiológico (α)', unit: '–', group: 'biomass' }] : []),
+    { key: 'C_total', label: '{parent} total', unit: 'mg/L', group: 'contaminant' },
+    { key: 'removal_percent', label: 'Remoción', unit: '%', group: 'removal' },
+    ...substrates.map(s => ({ key: s.removal, label: `Remoción {${s.token}}`, unit: '%', group: 'substrates' })),
+    { key: 'mineralized_mass', label: 'Masa mineralizada', unit: 'mg', group: 'removal' },
+    { key: 'mineralized_C', label: 'Carbono mineralizado', unit: 'mg C', group: 'removal' },
+    { key: 'monod_factor', label: 'Factor de saturación', unit: '–', group: 'rates' },
+    { key: 'r_degradation', label: 'Velocidad de degradación', unit: 'mg/L/h', group: 'rates' },
+    { key: 'r_sorption', label: 'Velocidad neta de sorción', unit: 'mg/L/h', group: 'rates' },
+    ...environment.flatMap(e => [
+      { key: e.value, label: e.label, unit: e.unit, group: 'environment' },
+      { key: e.factor, label: `Factor ${e.label.toLowerCase()}`, unit: '–', group: 'environment' },
+    ]),
+    ...(environment.length > 0 ? [{ key: 'f_env', label: 'Factor ambiental total', unit: '–', group: 'environment' }] : []),
+    ...compartments.flatMap(c => [
+      { key: `C_G_aq_${c.key}`, label: `{parent} (aq): ${c.label}`, unit: 'mg/L', group: 'spatial' },
+      { key: `C_G_s_${c.key}`, label: `{parent} sorbido: ${c.label}`, unit: 'mg/kg', group: 'spatial' },
+      { key: `X_${c.key}`, label: `Biomasa: ${c.label}`, unit: 'mg/L', group: 'spatial' },
+      ...(oxygenEnabled(params) ? [{ key: `C_O2_${c.key}`, label: `O₂ disuelto: ${c.label}`, unit: 'mg/L', group: 'spatial' }] : []),
+    ]),
+    ...(oxygenEnabled(params) ? [
+      { key: 'OUR', label: 'Consumo de O₂ (OUR)', unit: 'mg/L/h', group: 'biomass' },
+      { key: 'OTR', label: 'Transferencia de O₂ (OTR)', unit: 'mg/L/h', group: 'biomass' },
+      { key: 'f_O2', label: 'Factor de oxígeno', unit: '–', group: 'biomass' },
+    ] : []),
+    ...((params.events ?? []).some(changesAeration) ? [{ key: 'aerated', label: 'Aireación en marcha', unit: '', group: 'biomass' }] : []),
+    { key: 'phase', label: 'Fase', unit: '', group: 'operation' },
+    { key: 'V', label: 'Volumen', unit: 'L', group: 'operation' },
+    { key: 'Q_in', label: 'Caudal de entrada', unit: 'L/h', group: 'operation' },
+    { key: 'Q_out', label: 'Caudal de salida', unit: 'L/h', group: 'operation' },
+    { key: 'C_G_eff', label: '{parent} en el efluente', unit: 'mg/L', group: 'operation' },
+    { key: 'C_A_eff', label: '{A} en el efluente', unit: 'mg/L', group: 'operation' },
+  ];
+  return columns.map(c => ({ ...c, label: parameterLabel(c.label, params) }));
+};
+
+/**
+ * Columnas marcadas por defecto: todas, salvo las de operación en lote.
+ *
+ * @param {import('./params.js').ModelParams} params
+ * @returns {string[]}
+ */
+export const defaultExportColumns = (params) => seriesColumns(params)
+  .filter(c => params.mode !== 'batch' || c.group !== 'operation')
+  .map(c => c.key);
+
+// Encabezado de una columna en CSV y XLSX: clave y unidad, p. ej. "C_G_aq (mg/L)"
+export const columnHeader = (column) => (column.unit && column.unit !== '–' ? `${column.key} (${column.unit})` : column.key);
+
+/**
+ * Reduce la serie al primer punto en o después de cada múltiplo del intervalo, más el
+ * último. Los valores no se interpolan, de modo que la fase y el efluente siguen siendo
+ * los calculados.
+ *
+ * @param {import('./model.js').SimulationPoint[]} results
+ * @param {number} step_h - Intervalo de salida (h); 0 o negativo conserva todos los puntos
+ * @returns {import('./model.js').SimulationPoint[]}
+ */
+export const resampleResults = (results, step_h) => {
+  if (!(step_h > 0) || results.length === 0) return results;
+  const sampled = [];
+  let next = results[0].time_h;
+  results.forEach(row => {
+    if (row.time_h >= next - 1e-9) {
+      sampled.push(row);
+      next = (Math.floor(row.time_h / step_h + 1e-9) + 1) * step_h;
+    }
+  });
+  const last = results[results.length - 1];
+  if (sampled[sampled.length - 1] !== last) sampled.push(last);
+  return sampled;
+};
+
+// Parámetros que no tienen slider ni selector en el panel
+const OTHER_PARAMS = [
+  { key: 'C_G_s_0', label: '{parent} sorbido inicial', unit: 'mg/kg' },
+  { key: 'C_A_aq_0', label: '{A} inicial', unit: 'mg/L' },
+  { key: 'dt', label: 'Intervalo de salida (dt)', unit: 'h' },
+  { key: 'metric_days', label: 'Días de control', unit: 'días' },
+  { key: 'metric_thresholds', label: 'Umbrales de remoción', unit: '%' },
+];
+
+/**
+ * @typedef {Object} ParameterRow
+ * @property {string} section
+ * @property {string} key
+ * @property {string} label
+ * @property {string|number} value - Los selectores se muestran con su etiqueta y las listas, separadas por comas
+ * @property {string} unit
+ */
+
+/**
+ * Tabla de parámetros de una corrida: los selectores que aplican, los sliders visibles en
+ * el panel para el modo y la selección, los perfiles CSV en uso y el resto de valores.
+ *
+ * @param {import('./params.js').ModelParams} params
+ * @returns {ParameterRow[]}
+ */
+export const parameterTable = (params) => {
+  const full = { ...DEFAULT_PARAMS, ...params };
+  const choices = PARAMETER_CHOICES
+    .filter(choice => appliesTo(choice.when, full))
+    .map(choice => ({
+      section: 'Configuración',
+      key: choice.key,
+      label: choice.label,
+      value: choice.options.find(o => o.value === full[choice.key])?.label ?? full[choice.key],
+      unit: '',
+    }));
+  const groups = parameterGroupsFor(full.mode, full.contaminant, full).flatMap(g => g.params.map(p => ({
+    section: g.title.replace(/^\P{L}+/u, ''),
+    key: p.key,
+    label: p.label,
+    value: full[p.key],
+    unit: p.unit,
+  })));
+  const profiles = ENVIRONMENT_INPUTS
+    .filter(input => full[input.profile] === 'csv' && full[input.series].length > 0)
+    .map(input => ({
+      section: 'Otros',
+      key: input.series,
+      label: `${input.label} (perfil CSV)`,
+      value: `${full[input.series].length} puntos`,
+      unit: input.unit,
+    }));
+  const events = full.events.length > 0 ? [{
+    section: 'Otros',
+    key: 'events',
+    label: 'Intervenciones programadas',
+    value: `${full.events.length} eventos`,
+    unit: '',
+  }] : [];
+  const covered = new Set(PARAMETER_GROUPS.flatMap(g => g.params.map(p => p.key)));
+  const others = OTHER_PARAMS.filter(p => !covered.has(p.key)).map(p => ({
+    section: 'Otros',
+    key: p.key,
+    label: parameterLabel(p.label, full),
+    value: Array.isArray(full[p.key]) ? full[p.key].join(', ') : full[p.key],
+    unit: p.unit,
+  }));
+  return [...choices, ...groups, ...profiles, ...events, ...others];
+};
+
+/**
+ * @typedef {Object} EventRow
+ * @property {number} index - Posición en params.events
+ * @property {string} description - Ver describeEvent
+ * @property {number|null} time_h - Instante en que se disparó; null si no llegó a dispararse
+ * @property {number|null} time_days
+ */
+
+/**
+ * Intervenciones programadas de una corrida con el instante en que se dispararon. Un evento
+ * no se dispara si su umbral no se alcanza o si está programado en t_final o después.
+ *
+ * @param {import('./params.js').ModelParams} params
+ * @param {import('./events.js').FiredEvent[]} [fired]
+ * @returns {EventRow[]}
+ */
+export const eventTable = (params, fired = []) => (params.events ?? []).map((event, index) => {
+  const firing = fired.find(f => f.index === index);
+  return {
+    index,
+    description: describeEvent(event, params),
+    time_h: firing?.time_h ?? null,
+    time_days: firing?.time_days ?? null,
+  };
+});
+
+// Tres cifras significativas, como en el panel de variables de respuesta
+export const formatMetricValue = (value) => Number(value.toPrecision(3)).toString();
+
+/**
+ * Variables de respuesta con su etiqueta, unidad y texto mostrado; `value` es null cuando
+ * no se alcanza o no puede calcularse y `text` indica entonces el motivo.
+ *
+ * @param {import('./metrics.js').Metrics} metrics
+ * @param {import('./params.js').ModelParams} params
+ * @returns {{ key: string, label: string, unit: string, value: number|null, text: string }[]}
+ */
+export const metricTable = (metrics, params) => metricDefinitionsFor(params).map(m => {
+  const value = Number.isFinite(metrics[m.key]) ? metrics[m.key] : null;
+  return {
+    key: m.key,
+    label: parameterLabel(m.label, params),
+    unit: m.unit,
+    value,
+    text: value === null ? m.missing ?? '—' : formatMetricValue(value),
+  };
+});
+
+/**
+ * @typedef {Object} ExportRun
+ * @property {import('./params.js').ModelParams} params
+ * @property {import('./solvers.js').SolverOptions} solver
+ * @property {import('./model.js').SimulationPoint[]} results
+ * @property {import('./solvers.js').SolverStats} stats
+ * @property {import('./metrics.js').Metrics} metrics
+ * @property {import('./model.js').SteadyState|null} steady_state
+ * @property {import('./balance.js').MassBalance|null} mass_balance - null si no se calculó (escenario guardado)
+ * @property {import('./compliance.js').ComplianceSummary|null} [compliance]
+ * @property {import('./events.js').FiredEvent[]} [events] - Intervenciones disparadas
+ */
+
+/**
+ * @typedef {Object} ExportOptions
+ * @property {string} [name] - Nombre de la simulación o título del informe
+ * @property {string[]} [columns] - Claves de seriesColumns, por defecto defaultExportColumns
+ * @property {number} [step_h=0] - Intervalo de salida (h), ver resampleResults
+ * @property {string} [created] - Fecha ISO de creación, por defecto la actual
+ */
+
+// Columnas pedidas que existen para estos parámetros, en el orden de seriesColumns
+const selectedColumns = (params, columns = defaultExportColumns(params)) =>
+  seriesColumns(params).filter(c => columns.includes(c.key));
+
+const seriesRows = (run, options) => {
+  const columns = selectedColumns(run.params, options.columns);
+  const rows = resampleResults(run.results, options.step_h ?? 0);
+  return { columns, rows };
+};
+
+/**
+ * Serie temporal en CSV con las columnas y el intervalo elegidos.
+ *
+ * @param {ExportRun} run
+ * @param {ExportOptions} [options]
+ * @returns {string}
+ */
+export const exportCSV = (run, options = {}) => {
+  const { columns, rows } = seriesRows(run, options);
+  return toCSV(columns.map(columnHeader), rows.map(r => columns.map(c => r[c.key] ?? null)));
+};
+
+/**
+ * Paquete JSON con todo lo necesario para reproducir y documentar una corrida. El balance
+ * de masa se reduce al error máximo de cada elemento; la serie, a las columnas elegidas.
+ *
+ * @param {ExportRun} run
+ * @param {ExportOptions} [options]
+ */
+export const exportBundle = (run, options = {}) => {
+  const { columns, rows } = seriesRows(run, options);
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    created: options.created ?? new Date().toISOString(),
+    name: options.name ?? null,
+    params: run.params,
+    solver: run.solver,
+    stats: run.stats,
+    metrics: run.metrics,
+    metric_definitions: metricTable(run.metrics, run.params).map(({ key, label, unit }) => ({ key, label, unit })),
+    steady_state: run.steady_state,
+    mass_balance: run.mass_balance && {
+      tolerance: run.mass_balance.tolerance,
+      exceeded: run.mass_balance.exceeded,
+      elements: run.mass_balance.elements,
+    },
+    ...(run.compliance && { compliance: run.compliance }),
+    ...(run.params.events?.length > 0 && { events: eventTable(run.params, run.events) }),
+    resolution_h: options.step_h ?? 0,
+    columns: columns.map(({ key, label, unit }) => ({ key, label, unit })),
+    results: rows.map(r => Object.fromEntries(columns.map(c => [c.key, r[c.key] ?? null]))),
+  };
+};
+
+// Estadísticas del integrador en el orden de SolverStats
+const STAT_LABELS = [
+  ['method', 'Método'],
+  ['steps', 'Pasos aceptados'],
+  ['rejected_steps', 'Pasos rechazados'],
+  ['evaluations', 'Evaluaciones de f(t, y)'],
+  ['max_local_error', 'Error local máximo'],
+  ['h_min', 'Paso mínimo (h)'],
+  ['h_max', 'Paso máximo (h)'],
+  ['min_state', 'Mínimo del estado'],
+];
+
+/**
+ * Resumen del integrador, del estado estacionario y del balance de cada elemento como filas
+ * [etiqueta, valor, unidad], para el libro XLSX y el informe.
+ *
+ * @param {ExportRun} run
+ * @returns {(string|number|null)[][]}
+ */
+export const runSummaryRows = (run) => [
+  ...STAT_LABELS.map(([key, label]) => [label, run.stats?.[key] ?? null, '']),
+  ['Estado estacionario', run.steady_state?.reached ? run.steady_state.time_days : null, run.steady_state?.reached ? 'días' : ''],
+  ...(run.mass_balance?.elements ?? []).map(e => [`Error de cierre ${e.label}`, e.max_error, '%']),
+];
+
+/**
+ * Libro XLSX con hojas de parámetros, serie temporal, variables de respuesta, integrador y
+ * balance y, si los hay, objetivos de cumplimiento e intervenciones programadas.
+ *
+ * @param {ExportRun} run
+ * @param {ExportOptions} [options]
+ * @returns {Uint8Array}
+ */
+export const exportWorkbook = (run, options = {}) => {
+  const { columns, rows } = seriesRows(run, options);
+  return createWorkbook([
+    {
+      name: 'Parámetros',
+      rows: [
+        ['Sección', 'Clave', 'Parámetro', 'Valor', 'Unidad'],
+        ...parameterTable(run.params).map(p => [p.section, p.key, p.label, p.value, p.unit]),
+        [],
+        ['Integrador', 'method', 'Método', run.solver.method, ''],
+        ...Object.entries(run.solver).filter(([key]) => key !== 'method').map(([key, value]) => ['Integrador', key, key, value, '']),
+      ],
+      widths: [28, 18, 36, 14, 10],
+    },
+    {
+      name: 'Serie temporal',
+      rows: [columns.map(columnHeader), ...rows.map(r => columns.map(c => r[c.key] ?? null))],
+      widths: columns.map(c => Math.max(10, columnHeader(c).length + 2)),
+    },
+    {
+      name: 'Métricas',
+      rows: [
+        ['Clave', 'Variable', 'Valor', 'Unidad', 'Observación'],
+        ...metricTable(run.metrics, run.params).map(m => [m.key, m.label, m.value, m.unit, m.value === null ? m.text : '']),
+      ],
+      widths: [18, 30, 12, 12, 22],
+    },
+    {
+      name: 'Integrador y balance',
+      rows: [['Variable', 'Valor', 'Unidad'], ...runSummaryRows(run)],
+      widths: [28, 16, 8],
+    },
+    ...(run.compliance ? [{
+      name: 'Cumplimiento',
+      rows: [
+        ['Objetivo', 'Referencia', 'Se cumple', 'Día de cumplimiento', 'Valor final'],
+        ...run.compliance.targets.map(t => [t.label, t.target.label ?? '', t.met, t.time_days, t.final]),
+        ['Todos', '', run.compliance.met, run.compliance.time_days, null],
+      ],
+      widths: [30, 24, 10, 18, 12],
+    }] : []),
+    ...(run.params.events?.length > 0 ? [{
+      name: 'Eventos',
+      rows: [
+        ['Evento', 'Descripción', 'Tiempo (h)', 'Tiempo (días)'],
+        ...eventTable(run.params, run.events).map(e => [e.index + 1, e.description, e.time_h, e.time_days]),
+      ],
+      widths: [8, 52, 12, 14],
+    }] : []),
+  ]);
+};
@@ -0,0 +1,305 @@
+// ============================================================================
+// BIOSLURRY ENGINE - API PÚBLICA
+// ============================================================================
+// Motor de simulación sin dependencias de React, three.js ni del DOM.
+// Puede importarse tanto desde la aplicación como desde scripts de Node.
+import { DEFAULT_PARAMS, validateParams } from './params.js';
+import { DEFAULT_SOLVER } from './solvers.js';
+import { simulate } from './model.js';
+import { calculateMetrics } from './metrics.js';
+import { checkParameters } from './checks.js';
+
+export {
+  DEFAULT_PARAMS,
+  PARAMETER_GROUPS,
+  PARAMETER_CHOICES,
+  parameterGroupsFor,
+  applyContaminant,
+  applySubstrate,
+  applyGuild,
+  appliesTo,
+  parameterLabel,
+  ParameterError,
+  validateParams,
+  resolveParams,
+} from './params.js';
+export { DEFAULT_SOLVER, SOLVER_METHODS, integrateODE, combineStats } from './solvers.js';
+export {
+  WARNING_KINDS,
+  TIME_STEP_PARAMETER,
+  characteristicRates,
+  growthCapacity,
+  checkParameters,
+} from './checks.js';
+export { UNIT_ALTERNATIVES, unitOptions, toUnit, fromUnit, parseNumberInput } from './units.js';
+export { stateVariables, computeRates, modelDerivatives, buildTimeGrid, simulate, runSimulation } from './model.js';
+export {
+  EVENT_TRIGGERS,
+  EVENT_ACTIONS,
+  EVENT_VARIABLES,
+  EVENT_OPERATORS,
+  MAX_EVENTS,
+  eventOptionsFor,
+  validateEvents,
+  describeEvent,
+} from './events.js';
+export {
+  CONTAMINANTS,
+  DEFAULT_CONTAMINANT,
+  METABOLITE_SLOTS,
+  getContaminant,
+  metaboliteChain,
+  contaminantLabel,
+  molarMass,
+  formatFormula,
+} from './contaminants.js';
+export {
+  SUBSTRATES,
+  SUBSTRATE_SLOTS,
+  NO_SUBSTRATE,
+  INTERACTION_MODELS,
+  getSubstrate,
+  activeSubstrates,
+  substrateLabel,
+  saturationFactors,
+} from './substrates.js';
+export {
+  GUILDS,
+  GUILD_SLOTS,
+  NO_GUILD,
+  PRINCIPAL_GUILD,
+  PRINCIPAL_GUILD_COLOR,
+  LAG_MODELS,
+  PRODUCT_INHIBITION_MODELS,
+  CAPACITY_MODELS,
+  getGuild,
+  activeGuilds,
+  guildLabel,
+  lagEnabled,
+  initialPhysiologicalState,
+  populationFactors,
+} from './microbes.js';
+export {
+  SPATIAL_MODELS,
+  MAX_ZONES,
+  spatialEnabled,
+  compartmentLayout,
+} from './spatial.js';
+export {
+  ENVIRONMENT_INPUTS,
+  PROFILE_TYPES,
+  activeEnvironment,
+  profileValue,
+  arrheniusFactor,
+  ctmiFactor,
+  cardinalPHFactor,
+  environmentAt,
+  parseProfile,
+  validateProfile,
+} from './environment.js';
+export {
+  OXYGEN_MODELS,
+  AERATION_INPUTS,
+  oxygenEnabled,
+  transferCoefficient,
+  aerationIntensity,
+  oxygenDemand,
+  oxygenDemands,
+  oxygenFactor,
+} from './oxygen.js';
+export {
+  SORPTION_ISOTHERMS,
+  SORPTION_SITE_MODELS,
+  BOUND_RESIDUE_MODELS,
+  sorptionPools,
+  sorptionStates,
+  isothermLoading,
+  isothermSlope,
+  equilibriumConcentration,
+  sorptionRates,
+} from './sorption.js';
+export {
+  METRIC_DEFINITIONS,
+  DEFAULT_CHECKPOINT_DAYS,
+  DEFAULT_REMOVAL_THRESHOLDS,
+  metricDefinitionsFor,
+  validateCheckpointDays,
+  validateRemovalThresholds,
+  calculateMetrics,
+} from './metrics.js';
+export {
+  SBR_PHASES,
+  PHASE_LABELS,
+  hydraulicRetentionTime,
+  sbrCycleLength,
+  operationSegments,
+  transportTerms,
+  removalPercent,
+  substrateRemovalPercent,
+  detectSteadyState,
+} from './operation.js';
+export {
+  BALANCE_ELEMENTS,
+  BALANCE_TOLERANCE,
+  balanceElements,
+  elementInventory,
+  elementFluxes,
+  mineralizationRate,
+  checkMassBalance,
+} from './balance.js';
+export { parseCSV, toCSV, timeColumn } from './csv.js';
+export { createWorkbook, readWorkbook } from './xlsx.js';
+export {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  EXPORT_RESOLUTIONS,
+  SERIES_COLUMN_GROUPS,
+  seriesColumns,
+  defaultExportColumns,
+  columnHeader,
+  resampleResults,
+  parameterTable,
+  metricTable,
+  eventTable,
+  exportCSV,
+  exportBundle,
+  exportWorkbook,
+} from './export.js';
+export { PRESETS, DEFAULT_PRESET, getPreset } from './presets.js';
+export {
+  PROJECT_FORMAT,
+  PROJECT_VERSION,
+  ProjectError,
+  createProject,
+  migrateProject,
+  validateProject,
+  parseProject,
+  encodeShareState,
+  decodeShareState,
+} from './project.js';
+export { lineChartSVG, reportCharts, buildReport } from './report.js';
+export { modelEquations } from './equations.js';
+export { interpolateSeries, crossingTime } from './series.js';
+export { createRandom } from './random.js';
+export { mean, variance, quantile } from './statistics.js';
+export {
+  SENSITIVITY_PARAMETERS,
+  DEFAULT_SENSITIVITY_FACTORS,
+  morrisDesign,
+  analyzeMorris,
+  saltelliDesign,
+  analyzeSobol,
+  runSensitivity,
+  flattenSensitivity,
+} from './sensitivity.js';
+export {
+  DISTRIBUTION_TYPES,
+  FIXED_PARAMS,
+  BAND_VARIABLES,
+  DEFAULT_MONTE_CARLO,
+  defaultDistribution,
+  validateDistribution,
+  sampleDistribution,
+  runMonteCarlo,
+} from './uncertainty.js';
+export {
+  OBSERVABLE_VARIABLES,
+  DEFAULT_CALIBRATION_KEYS,
+  CALIBRATION_METHODS,
+  parseObservations,
+  defaultFreeParameters,
+  calibrate,
+} from './calibration.js';
+export {
+  DATASET_TIME_UNITS,
+  DATASET_UNITS,
+  datasetVariablesFor,
+  unitsFor,
+  guessMapping,
+  tableFromRows,
+  parseDataset,
+  validateDataset,
+  goodnessOfFit,
+} from './datasets.js';
+export { nelderMead } from './simplex.js';
+export {
+  TARGET_VARIABLES,
+  TARGET_KINDS,
+  targetVariablesFor,
+  targetsFromLimits,
+  validateTarget,
+  targetLabel,
+  targetSeriesKey,
+  complianceTime,
+  evaluateTargets,
+} from './compliance.js';
+export {
+  OPTIMIZATION_OBJECTIVES,
+  DEFAULT_COSTS,
+  DECISION_VARIABLES,
+  decisionParameter,
+  defaultDecisionVariables,
+  treatmentCost,
+  optimizeTreatment,
+} from './optimization.js';
+export { JobCancelledError, JOB_TYPES, runJob, localRunner } from './jobs.js';
+export { createPool } from './pool.js';
+export { serveJobs } from './worker.js';
+
+/**
+ * @typedef {Object} SimulationRun
+ * @property {import('./params.js').ModelParams} params
+ * @property {import('./solvers.js').SolverOptions} solver
+ * @property {import('./model.js').SimulationPoint[]} results
+ * @property {import('./solvers.js').SolverStats} stats
+ * @property {import('./metrics.js').Metrics} metrics
+ * @property {import('./model.js').SteadyState|null} steady_state
+ * @property {import('./balance.js').MassBalance} mass_balance
+ * @property {import('./events.js').FiredEvent[]} events - Intervenciones disparadas
+ */
+
+/**
+ * @typedef {Object} Model
+ * @property {import('./params.js').ModelParams} params
+ * @property {import('./solvers.js').SolverOptions} solver
+ * @property {() => { valid: boolean, errors: { key: string, message: string }[] }} validate
+ * @property {() => { errors: { key: string, message: string }[], warnings: import('./checks.js').ParameterWarning[] }} check
+ * @property {(params?: Partial<import('./params.js').ModelParams>, solver?: Partial<import('./solvers.js').SolverOptions>) => Model} with
+ * @property {() => SimulationRun} run
+ */
+
+/**
+ * Crea un modelo inmutable a partir de parámetros parciales (el resto se toma de DEFAULT_PARAMS).
+ *
+ * @example
+ * const run = createModel({ k_max: 0.1 }, { method: 'rosenbrock' }).run();
+ * console.log(run.metrics.T90);
+ *
+ * @param {Partial<import('./params.js').ModelParams>} [params]
+ * @param {Partial<import('./solvers.js').SolverOptions>} [solver]
+ * @returns {Model}
+ */
+export const createModel = (params = {}, solver = {}) => {
+  const model = {
+    params: { ...DEFAULT_PARAMS, ...params },
+    solver: { ...DEFAULT_SOLVER, ...solver },
+    validate: () => validateParams(model.params),
+    check: () => checkParameters(model.params, model.solver),
+    with: (paramOverrides = {}, solverOverrides = {}) =>
+      createModel({ ...model.params, ...paramOverrides }, { ...model.solver, ...solverOverrides }),
+    run: () => {
+      const { results, stats, steady_state, mass_balance, events } = simulate(model.params, model.solver);
+      return {
+        params: model.params,
+        solver: model.solver,
+        results,
+        stats,
+        metrics: calculateMetrics(results, model.params),
+        steady_state,
+        mass_balance,
+        events,
+      };
+    },
+  };
+  return Object.freeze(model);
+};
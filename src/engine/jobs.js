@@ -0,0 +1,128 @@
+// ============================================================================
+// TRABAJOS DE SIMULACIÓN (MISMA INTERFAZ EN EL HILO PRINCIPAL Y EN HILOS DE TRABAJO)
+// ============================================================================
+// Un trabajo es un objeto serializable { type, ...datos }. `runJob` lo ejecuta donde se
+// llame; los ejecutores (`localRunner` y los de pool.js) reparten listas de trabajos y
+// ofrecen progreso y cancelación con la misma interfaz.
+import { simulate } from './model.js';
+import { calculateMetrics } from './metrics.js';
+
+/**
+ * Error con el que se rechaza un trabajo cancelado mediante su AbortSignal.
+ */
+export class JobCancelledError extends Error {
+  constructor(message = 'Ejecución cancelada') {
+    super(message);
+    this.name = 'JobCancelledError';
+  }
+}
+
+/**
+ * @typedef {Object} SimulateJob - Corrida completa, como `simulate` más las métricas
+ * @property {'simulate'} type
+ * @property {import('./params.js').ModelParams} params
+ * @property {import('./solvers.js').SolverOptions} [solver]
+ */
+
+/**
+ * @typedef {Object} EvaluateJob - Corrida reducida para lotes: solo lo que se pide
+ * @property {'evaluate'} type
+ * @property {import('./params.js').ModelParams} params
+ * @property {import('./solvers.js').SolverOptions} [solver]
+ * @property {string[]} [columns] - Columnas de la serie que se devuelven junto a time_h y time_days
+ * @property {boolean} [metrics=true] - Calcular las variables de respuesta
+ */
+
+/** @typedef {SimulateJob|EvaluateJob} Job */
+
+/**
+ * @typedef {{ value: Object }|{ error: string }} JobOutcome - Resultado de un trabajo de un lote
+ */
+
+/**
+ * @typedef {Object} RunOptions
+ * @property {(fraction: number) => void} [onProgress] - Fracción completada, de 0 a 1
+ * @property {AbortSignal} [signal] - Al abortarse se rechaza con JobCancelledError
+ */
+
+/**
+ * @typedef {Object} Runner
+ * @property {number} size - Trabajos que pueden ejecutarse a la vez
+ * @property {(job: Job, options?: RunOptions) => Promise<Object>} run
+ * @property {(jobs: Job[], options?: RunOptions) => Promise<JobOutcome[]>} map - Un resultado
+ *   por trabajo y en el mismo orden; el fallo de uno no detiene el resto
+ * @property {(listener: (activity: { size: number, busy: number, queued: number }) => void) => () => void} subscribe
+ * @property {() => void} terminate
+ */
+
+export const JOB_TYPES = {
+  simulate: 'Serie completa, estadísticas del integrador, estado estacionario, balance de masa y métricas',
+  evaluate: 'Métricas y las columnas pedidas de la serie',
+};
+
+/**
+ * Ejecuta un trabajo en el hilo actual.
+ *
+ * @param {Job} job
+ * @param {{ onProgress?: (fraction: number) => void }} [options]
+ * @returns {Object}
+ */
+export const runJob = (job, { onProgress } = {}) => {
+  if (job.type === 'simulate') {
+    const run = simulate(job.params, job.solver, { onProgress });
+    return { ...run, metrics: calculateMetrics(run.results, job.params) };
+  }
+  if (job.type === 'evaluate') {
+    const { results } = simulate(job.params, job.solver, { onProgress });
+    const columns = job.columns ?? [];
+    return {
+      metrics: job.metrics === false ? null : calculateMetrics(results, job.params),
+      results: columns.length > 0
+        ? results.map(r => Object.fromEntries(['time_h', 'time_days', ...columns].map(key => [key, r[key]])))
+        : [],
+    };
+  }
+  throw new Error(`Tipo de trabajo desconocido: ${job.type}`);
+};
+
+const throwIfAborted = (signal) => {
+  if (signal?.aborted) throw new JobCancelledError();
+};
+
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Ejecutor en el hilo actual, uno tras otro. Cede el control entre trabajos para que la
+ * interfaz responda y la cancelación surta efecto, pero no puede interrumpir una corrida
+ * en curso. Es el ejecutor por defecto del motor y la alternativa sin hilos de trabajo.
+ *
+ * @type {Runner}
+ */
+export const localRunner = {
+  size: 1,
+  run: async (job, { onProgress, signal } = {}) => {
+    throwIfAborted(signal);
+    await yieldToEventLoop();
+    throwIfAborted(signal);
+    return runJob(job, { onProgress });
+  },
+  map: async (jobs, { onProgress, signal } = {}) => {
+    const outcomes = [];
+    for (let n = 0; n < jobs.length; n++) {
+      throwIfAborted(signal);
+      try {
+        outcomes.push({ value: runJob(jobs[n]) });
+      } catch (err) {
+        outcomes.push({ error: err.message });
+      }
+      if ((n + 1) % 10 === 0 || n === jobs.length - 1) {
+        onProgress?.((n + 1) / jobs.length);
+        await yieldToEventLoop();
+      }
+    }
+    throwIfAborted(signal);
+    return outcomes;
+  },
+  subscribe: () => () => {},
+  terminate: () => {},
+};
@@ -0,0 +1,46 @@
+// ============================================================================
+// ÁLGEBRA LINEAL PARA SISTEMAS PEQUEÑOS
+// ============================================================================
+
+// Factorización LU con pivoteo parcial (sistemas pequeños)
+export const luDecompose = (A) => {
+  const n = A.length;
+  const LU = A.map(row => [...row]);
+  const perm = Array.from({ length: n }, (_, i) => i);
+  for (let k = 0; k < n; k++) {
+    let pivot = k;
+    for (let i = k + 1; i < n; i++) {
+      if (Math.abs(LU[i][k]) > Math.abs(LU[pivot][k])) pivot = i;
+    }
+    if (Math.abs(LU[pivot][k]) < 1e-300) throw new Error('Matriz singular');
+    [LU[k], LU[pivot]] = [LU[pivot], LU[k]];
+    [perm[k], perm[pivot]] = [perm[pivot], perm[k]];
+    for (let i = k + 1; i < n; i++) {
+      LU[i][k] /= LU[k][k];
+      for (let j = k + 1; j < n; j++) LU[i][j] -= LU[i][k] * LU[k][j];
+    }
+  }
+  return { LU, perm };
+};
+
+export const luSolve = ({ LU, perm }, b) => {
+  const n = LU.length;
+  const x = perm.map(p => b[p]);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < i; j++) x[i] -= LU[i][j] * x[j];
+  }
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = i + 1; j < n; j++) x[i] -= LU[i][j] * x[j];
+    x[i] /= LU[i][i];
+  }
+  return x;
+};
+
+// Inversa de una matriz cuadrada resolviendo columna a columna con la factorización LU
+export const invertMatrix = (A) => {
+  const lu = luDecompose(A);
+  const n = A.length;
+  const columns = Array.from({ length: n }, (_, j) =>
+    luSolve(lu, Array.from({ length: n }, (_, i) => (i === j ? 1 : 0))));
+  return Array.from({ length: n }, (_, i) => columns.map(col => col[i]));
+};
@@ -0,0 +1,233 @@
+// ============================================================================
+// VARIABLES DE RESPUESTA
+// ============================================================================
+import { SUBSTRATE_SLOTS, activeSubstrates } from './substrates.js';
+import { crossingTime, interpolateSeries } from './series.js';
+
+/**
+ * Las claves de los días de control y de los umbrales dependen de metric_days y
+ * metric_thresholds; con la configuración por defecto son las siguientes. null indica que
+ * el valor no se alcanza dentro del horizonte de simulación o que no puede calcularse.
+ *
+ * @typedef {Object} Metrics
+ * @property {number|null} removal_day3 - Remoción total al día 3 (%), interpolada
+ * @property {number|null} removal_day7
+ * @property {number|null} removal_day14
+ * @property {number|null} C_G_aq_day3 - Contaminante acuoso al día 3 (mg/L)
+ * @property {number|null} C_G_aq_day7
+ * @property {number|null} C_G_aq_day14
+ * @property {number|null} T50 - Día en que se alcanza 50 % de remoción, interpolado
+ * @property {number|null} T90
+ * @property {number|null} T99
+ * @property {number} final_removal
+ * @property {number|null} k_obs - Constante de primer orden ajustada a ln(C_total) (1/día)
+ * @property {number|null} half_life - Vida media de primer orden, ln 2 / k_obs (días)
+ * @property {number|null} k_obs_r2 - Coeficiente de determinación del ajuste de primer orden
+ * @property {number} X_max - Biomasa máxima (mg/L)
+ * @property {number} t_X_max - Día de biomasa máxima
+ * @property {number} X_final
+ * @property {number|null} mu_obs_max - Velocidad específica de crecimiento observada máxima, d ln X/dt (1/h)
+ * @property {number|null} t_mu_max - Día de la velocidad específica máxima
+ * @property {number|null} mu_net - Velocidad específica neta media hasta X_max, ln(X_max/X₀)/t (1/h)
+ * @property {number} C_A_peak - Pico del primer metabolito (mg/L)
+ * @property {number} t_A_peak - Día del pico del primer metabolito
+ * @property {number} C_A_auc - Área bajo la curva del primer metabolito (mg·día/L)
+ * @property {number|null} mineralized_mass - Masa mineralizada acumulada en el reactor (mg)
+ * @property {number|null} mineralized_C - Carbono mineralizado acumulado (mg C)
+ * @property {number|null} [final_removal_S1] - Remoción final del primer co-sustrato (%), si está seleccionado
+ * @property {number|null} [T90_S1] - Día en que el primer co-sustrato alcanza 90 % de remoción
+ * @property {number|null} [final_removal_S2]
+ * @property {number|null} [T90_S2]
+ */
+
+// Días de control y remociones (%) cuyo tiempo se informa, salvo que los parámetros digan otra cosa
+export const DEFAULT_CHECKPOINT_DAYS = [3, 7, 14];
+export const DEFAULT_REMOVAL_THRESHOLDS = [50, 90, 99];
+
+// Límite de entradas de cada lista, para que las tablas y el resumen de la CLI sigan siendo legibles
+const MAX_ENTRIES = 10;
+
+// Textos de los valores null según el motivo
+const BEYOND_HORIZON = 'fuera del horizonte';
+const NOT_REACHED = 'no se alcanza';
+const NOT_FITTED = 'sin ajuste';
+const NOT_AVAILABLE = 'no disponible';
+
+const SUBSCRIPTS = '₀₁₂₃₄₅₆₇₈₉';
+const subscript = (value) => String(value).replace(/\d/g, d => SUBSCRIPTS[d]);
+
+// Comprobación común de metric_days y metric_thresholds: lista corta de números distintos en un rango
+const validateList = (list, accepts, range) => {
+  if (!Array.isArray(list)) return 'debe ser una lista de números';
+  if (list.length > MAX_ENTRIES) return `admite como máximo ${MAX_ENTRIES} valores`;
+  if (!list.every(v => typeof v === 'number' && Number.isFinite(v) && accepts(v))) return `los valores deben estar en ${range}`;
+  if (new Set(list).size !== list.length) return 'los valores no pueden repetirse';
+  return null;
+};
+
+/**
+ * Devuelve un mensaje de error si la lista de días de control no es válida, o null.
+ * @param {unknown} days
+ */
+export const validateCheckpointDays = (days) => validateList(days, v => v > 0, '(0, ∞) días');
+
+/**
+ * Devuelve un mensaje de error si la lista de remociones (%) no es válida, o null.
+ * @param {unknown} thresholds
+ */
+export const validateRemovalThresholds = (thresholds) => validateList(thresholds, v => v > 0 && v < 100, '(0, 100) %');
+
+// Variables de respuesta que no dependen de la configuración; {A} se sustituye por el primer metabolito
+const FIXED_METRICS = [
+  { key: 'k_obs', label: 'k_obs (1er orden)', unit: '1/día', missing: NOT_FITTED },
+  { key: 'half_life', label: 't½ (1er orden)', unit: 'días', missing: NOT_FITTED },
+  { key: 'k_obs_r2', label: 'R² ajuste 1er orden', unit: '–', missing: NOT_FITTED },
+  { key: 'X_max', label: 'Biomasa máx', unit: 'mg/L' },
+  { key: 't_X_max', label: 'Día biomasa máx', unit: 'días' },
+  { key: 'X_final', label: 'Biomasa final', unit: 'mg/L' },
+  { key: 'mu_obs_max', label: 'μ observada máx', unit: '1/h', missing: NOT_AVAILABLE },
+  { key: 't_mu_max', label: 'Día μ observada máx', unit: 'días', missing: NOT_AVAILABLE },
+  { key: 'mu_net', label: 'μ neta hasta X_max', unit: '1/h', missing: NOT_AVAILABLE },
+  { key: 'C_A_peak', label: 'Pico {A}', unit: 'mg/L' },
+  { key: 't_A_peak', label: 'Día pico {A}', unit: 'días' },
+  { key: 'C_A_auc', label: 'AUC {A}', unit: 'mg·día/L' },
+  { key: 'mineralized_mass', label: 'Masa mineralizada', unit: 'mg', missing: NOT_AVAILABLE },
+  { key: 'mineralized_C', label: 'Carbono mineralizado', unit: 'mg C', missing: NOT_AVAILABLE },
+];
+
+// Variables de respuesta de cada co-sustrato; {S1} y {S2} se sustituyen por su nombre
+const SUBSTRATE_METRICS = SUBSTRATE_SLOTS.map(slot => [
+  { key: `final_removal_${slot.token}`, label: `Remoción final {${slot.token}}`, unit: '%' },
+  { key: `T90_${slot.token}`, label: `T₉₀ {${slot.token}}`, unit: 'días', missing: NOT_REACHED, censored: true },
+]);
+
+const checkpointDays = (params) => params.metric_days ?? DEFAULT_CHECKPOINT_DAYS;
+const removalThresholds = (params) => params.metric_thresholds ?? DEFAULT_REMOVAL_THRESHOLDS;
+
+/**
+ * Variables de respuesta de una simulación, en el orden en que se presentan: remoción en
+ * los días de control, remoción final, tiempos de remoción, concentración en los días de
+ * control, las variables fijas y las de los co-sustratos seleccionados (con los marcadores
+ * de nombre sin sustituir). `missing` es el texto que sustituye a un valor null y
+ * `censored` marca los tiempos que no se alcanzan dentro del horizonte.
+ *
+ * @param {Partial<import('./params.js').ModelParams>} params
+ * @returns {{ key: string, label: string, unit: string, missing?: string, censored?: boolean }[]}
+ */
+export const metricDefinitionsFor = (params) => {
+  const days = checkpointDays(params);
+  const active = activeSubstrates(params).map(s => s.key);
+  return [
+    ...days.map(d => ({ key: `removal_day${d}`, label: `Remoción día ${d}`, unit: '%', missing: BEYOND_HORIZON })),
+    { key: 'final_removal', label: 'Remoción final', unit: '%' },
+    ...removalThresholds(params).map(x => ({
+      key: `T${x}`, label: `T${subscript(x)}`, unit: 'días', missing: NOT_REACHED, censored: true,
+    })),
+    ...days.map(d => ({ key: `C_G_aq_day${d}`, label: `Contaminante (aq) día ${d}`, unit: 'mg/L', missing: BEYOND_HORIZON })),
+    ...FIXED_METRICS,
+    ...SUBSTRATE_SLOTS.flatMap((slot, i) => (active.includes(slot.key) ? SUBSTRATE_METRICS[i] : [])),
+  ];
+};
+
+// Variables de respuesta con la configuración por defecto y sin co-sustratos
+export const METRIC_DEFINITIONS = metricDefinitionsFor({});
+
+// El ajuste de primer orden usa los puntos hasta que el contaminante cae por debajo de esta fracción
+const FIT_FLOOR = 1e-3;
+
+/**
+ * Ajuste por mínimos cuadrados de ln(C_total) frente al tiempo (días). Solo tiene sentido
+ * en lote: con alimentación la concentración no decae exponencialmente.
+ *
+ * @param {import('./model.js').SimulationPoint[]} results
+ * @returns {{ k: number, r2: number|null }|null}
+ */
+const firstOrderFit = (results) => {
+  const C0 = results[0].C_total;
+  if (!(C0 > 0) || results.some(r => r.Q_in > 0)) return null;
+  const end = results.findIndex(r => !(r.C_total >= FIT_FLOOR * C0));
+  const points = (end < 0 ? results : results.slice(0, end)).map(r => [r.time_days, Math.log(r.C_total)]);
+  if (points.length < 3) return null;
+
+  const n = points.length;
+  const tMean = points.reduce((sum, [t]) => sum + t, 0) / n;
+  const yMean = points.reduce((sum, [, y]) => sum + y, 0) / n;
+  const stt = points.reduce((sum, [t]) => sum + (t - tMean) ** 2, 0);
+  const sty = points.reduce((sum, [t, y]) => sum + (t - tMean) * (y - yMean), 0);
+  const slope = sty / stt;
+  const syy = points.reduce((sum, [, y]) => sum + (y - yMean) ** 2, 0);
+  const sse = points.reduce((sum, [t, y]) => sum + (y - yMean - slope * (t - tMean)) ** 2, 0);
+  return { k: -slope, r2: syy > 0 ? 1 - sse / syy : null };
+};
+
+// Máximo de μ = d ln X / dt (1/h) por diferencias centradas en la malla
+const maxSpecificGrowth = (results) => {
+  let best = null;
+  for (let i = 1; i < results.length - 1; i++) {
+    const a = results[i - 1];
+    const b = results[i + 1];
+    if (!(a.X > 0 && b.X > 0)) continue;
+    const mu = (Math.log(b.X) - Math.log(a.X)) / (b.time_h - a.time_h);
+    if (!best || mu > best.mu) best = { mu, time_days: results[i].time_days };
+  }
+  return best;
+};
+
+// Integral por trapecios de una columna frente al tiempo en días
+const areaUnderCurve = (results, key) => results.slice(1).reduce((sum, r, i) =>
+  sum + 0.5 * (r[key] + results[i][key]) * (r.time_days - results[i].time_days), 0);
+
+const toDays = (time_h) => (time_h === null ? null : time_h / 24);
+
+/**
+ * Calcula las variables de respuesta a partir de una serie temporal. Los valores en los días
+ * de control y los tiempos de remoción se interpolan entre los puntos de la malla; un día
+ * posterior al horizonte o una remoción que no se alcanza dan null.
+ *
+ * @param {import('./model.js').SimulationPoint[]} results
+ * @param {Partial<import('./params.js').ModelParams>} [params]
+ * @returns {Metrics}
+ */
+export const calculateMetrics = (results, params = {}) => {
+  const first = results[0];
+  const last = results[results.length - 1];
+  const at = (key, day) => (day * 24 <= last.time_h + 1e-9 ? interpolateSeries(results, key, day * 24) : null);
+  const days = checkpointDays(params);
+
+  const X_max_point = results.reduce((max, r) => r.X > max.X ? r : max, first);
+  const metabolite_peak = results.reduce((max, r) => r.C_A_aq > max.C_A_aq ? r : max, first);
+  const fit = firstOrderFit(results);
+  const growth = maxSpecificGrowth(results);
+
+  // Remoción de cada co-sustrato presente en la serie
+  const substrates = Object.fromEntries(SUBSTRATE_SLOTS
+    .filter(slot => slot.key in first)
+    .flatMap(slot => [
+      [`final_removal_${slot.token}`, last[slot.removal]],
+      [`T90_${slot.token}`, toDays(crossingTime(results, slot.removal, 90))],
+    ]));
+
+  return {
+    ...Object.fromEntries(days.map(d => [`removal_day${d}`, at('removal_percent', d)])),
+    final_removal: last.removal_percent,
+    ...Object.fromEntries(removalThresholds(params).map(x => [`T${x}`, toDays(crossingTime(results, 'removal_percent', x))])),
+    ...Object.fromEntries(days.map(d => [`C_G_aq_day${d}`, at('C_G_aq', d)])),
+    k_obs: fit ? fit.k : null,
+    half_life: fit && fit.k > 0 ? Math.LN2 / fit.k : null,
+    k_obs_r2: fit ? fit.r2 : null,
+    X_max: X_max_point.X,
+    t_X_max: X_max_point.time_days,
+    X_final: last.X,
+    mu_obs_max: growth ? growth.mu : null,
+    t_mu_max: growth ? growth.time_days : null,
+    mu_net: first.X > 0 && X_max_point.time_h > first.time_h
+      ? Math.log(X_max_point.X / first.X) / (X_max_point.time_h - first.time_h)
+      : null,
+    C_A_peak: metabolite_peak.C_A_aq,
+    t_A_peak: metabolite_peak.time_days,
+    C_A_auc: areaUnderCurve(results, 'C_A_aq'),
+    mineralized_mass: last.mineralized_mass ?? null,
+    mineralized_C: last.mineralized_C ?? null,
+    ...substrates,
+  };
+};
@@ -0,0 +1,201 @@
+// ============================================================================
+// POBLACIÓN MICROBIANA: GREMIOS, FASE DE LATENCIA E INHIBICIÓN
+// ============================================================================
+// La biomasa X del modelo es el gremio principal, con la cinética de k_max, K_s, μ_max, Y_x,
+// k_d e Y_A. Cada hueco de gremio añade otra población con sus propias constantes y su
+// propio rendimiento del primer metabolito; en el glifosato, la vía C-P liasa (sin AMPA) y
+// la vía oxidorreductasa (GOX, que forma AMPA) compiten por el mismo sustrato.
+//
+// La fase de latencia sigue a Baranyi y Roberts con el estado fisiológico de la comunidad
+// α = q/(1 + q), que evoluciona como dα/dt = ν · α · (1 − α) desde α₀ = exp(−ν · λ). La
+// latencia y la inhibición por el primer metabolito multiplican la actividad (consumo y
+// crecimiento); la capacidad de carga solo limita el crecimiento, de modo que cerca de
+// X_cap la biomasa sigue consumiendo sin crecer.
+import { getContaminant } from './contaminants.js';
+import { activeSubstrates } from './substrates.js';
+import { sorptionPools } from './sorption.js';
+
+/**
+ * @typedef {Object} Guild
+ * @property {string} id
+ * @property {string} name
+ * @property {string} description
+ * @property {string} color
+ * @property {{ X_0: number, k_max: number, K_s: number, mu_max: number, Y_x: number, k_d: number, Y_A: number }} defaults -
+ *   Biomasa inicial (mg/L), k_max, μ_max y k_d (1/h), K_s (mg/L), Y_x (mg/mg) e Y_A (mol/mol)
+ */
+
+/** @type {Guild[]} */
+export const GUILDS = [
+  {
+    id: 'cp_lyase',
+    name: 'Vía C-P liasa',
+    description: 'Rompe el enlace C-P y forma sarcosina: no produce el primer metabolito (Y_A = 0)',
+    color: '#a855f7',
+    defaults: { X_0: 5, k_max: 0.05, K_s: 30, mu_max: 0.03, Y_x: 0.35, k_d: 0.005, Y_A: 0 },
+  },
+  {
+    id: 'gox',
+    name: 'Vía oxidorreductasa (GOX)',
+    description: 'Oxida el contaminante a AMPA y glioxilato: casi todo lo degradado pasa al primer metabolito',
+    color: '#f97316',
+    defaults: { X_0: 5, k_max: 0.1, K_s: 15, mu_max: 0.06, Y_x: 0.25, k_d: 0.005, Y_A: 0.6 },
+  },
+  {
+    id: 'oligotroph',
+    name: 'Oligótrofos',
+    description: 'Crecimiento lento con afinidad alta (K_s bajo); útiles a concentraciones residuales',
+    color: '#14b8a6',
+    defaults: { X_0: 5, k_max: 0.02, K_s: 2, mu_max: 0.015, Y_x: 0.4, k_d: 0.002, Y_A: 0.3 },
+  },
+];
+
+// Valor de la selección de un hueco sin gremio
+export const NO_GUILD = 'none';
+
+// Parámetros del gremio principal: los de la cinética de biodegradación
+export const PRINCIPAL_GUILD = {
+  key: 'X', token: 'G1', initial: 'X_0',
+  k_max: 'k_max', K_s: 'K_s', mu_max: 'mu_max', Y_x: 'Y_x', k_d: 'k_d', Y_A: 'Y_A',
+};
+
+// Color de la biomasa del gremio principal
+export const PRINCIPAL_GUILD_COLOR = '#22c55e';
+
+// Variable de estado y parámetros de cada hueco de gremio adicional
+export const GUILD_SLOTS = [
+  {
+    key: 'X_G2', choice: 'guild_2', token: 'G2', initial: 'X_G2_0',
+    k_max: 'k_max_G2', K_s: 'K_s_G2', mu_max: 'mu_max_G2', Y_x: 'Y_x_G2', k_d: 'k_d_G2', Y_A: 'Y_A_G2',
+  },
+  {
+    key: 'X_G3', choice: 'guild_3', token: 'G3', initial: 'X_G3_0',
+    k_max: 'k_max_G3', K_s: 'K_s_G3', mu_max: 'mu_max_G3', Y_x: 'Y_x_G3', k_d: 'k_d_G3', Y_A: 'Y_A_G3',
+  },
+];
+
+export const LAG_MODELS = [
+  { value: 'none', label: 'Sin latencia', description: 'La biomasa está activa desde el inicio.' },
+  {
+    value: 'baranyi',
+    label: 'Baranyi (estado fisiológico)',
+    description: 'dα/dt = ν · α · (1 − α), α₀ = exp(−ν · λ); el consumo y el crecimiento se multiplican por α.',
+  },
+];
+
+export const PRODUCT_INHIBITION_MODELS = [
+  { value: 'none', label: 'Sin inhibición', description: 'El primer metabolito no afecta a la biomasa.' },
+  {
+    value: 'noncompetitive',
+    label: 'No competitiva',
+    description: 'El consumo y el crecimiento se multiplican por K_I,A/(K_I,A + C_A).',
+  },
+];
+
+export const CAPACITY_MODELS = [
+  { value: 'none', label: 'Sin límite', description: 'El crecimiento solo depende del sustrato.' },
+  {
+    value: 'logistic',
+    label: 'Logística',
+    description: 'El crecimiento se multiplica por (1 − X/X_cap), con X la biomasa de todos los gremios.',
+  },
+];
+
+/**
+ * @param {string} id
+ * @returns {Guild}
+ */
+export const getGuild = (id) => {
+  const guild = GUILDS.find(g => g.id === id);
+  if (!guild) throw new Error(`Gremio microbiano desconocido: ${id}`);
+  return guild;
+};
+
+/**
+ * Huecos ocupados por un gremio adicional, en el orden del vector de estado, junto con
+ * los datos del registro.
+ *
+ * @param {Partial<import('./params.js').ModelParams>} params
+ * @returns {(typeof GUILD_SLOTS[number] & { guild: Guild })[]}
+ */
+export const activeGuilds = (params) => GUILD_SLOTS
+  .filter(slot => (params[slot.choice] ?? NO_GUILD) !== NO_GUILD)
+  .map(slot => ({ ...slot, guild: getGuild(params[slot.choice]) }));
+
+/**
+ * Todos los gremios de una configuración: el principal y los adicionales.
+ *
+ * @param {import('./params.js').ModelParams} params
+ */
+export const guildsOf = (params) => [PRINCIPAL_GUILD, ...activeGuilds(params)];
+
+/** @param {Partial<import('./params.js').ModelParams>} params */
+export const lagEnabled = (params) => (params.lag_model ?? 'none') !== 'none';
+
+/**
+ * Estado fisiológico inicial α₀ = exp(−ν · λ): con él, α vale 1/2 hacia el final de la latencia.
+ *
+ * @param {import('./params.js').ModelParams} params
+ */
+export const initialPhysiologicalState = (params) => Math.exp(-params.nu_lag * params.lag_time);
+
+// Los gremios adicionales y el estado fisiológico siguen a las fracciones sorbidas en el
+// vector de estado; el oxígeno disuelto, si se modela, va detrás
+const guildOffset = (params) =>
+  3 + getContaminant(params.contaminant).metabolites.length + activeSubstrates(params).length + sorptionPools(params).length;
+
+/**
+ * Biomasa de los gremios adicionales en el vector de estado.
+ *
+ * @param {number[]} y
+ * @param {import('./params.js').ModelParams} params
+ * @returns {number[]}
+ */
+export const guildStates = (y, params) => {
+  const start = guildOffset(params);
+  return y.slice(start, start + activeGuilds(params).length);
+};
+
+/**
+ * Biomasa de cada gremio, empezando por el principal (mg/L).
+ *
+ * @param {number[]} y
+ * @param {import('./params.js').ModelParams} params
+ */
+export const guildBiomass = (y, params) => [y[3], ...guildStates(y, params)];
+
+/**
+ * Estado fisiológico α de la comunidad (1 sin fase de latencia).
+ *
+ * @param {number[]} y
+ * @param {import('./params.js').ModelParams} params
+ */
+export const physiologicalState = (y, params) =>
+  (lagEnabled(params) ? y[guildOffset(params) + activeGuilds(params).length] : 1);
+
+/**
+ * Factores que modulan la actividad y el crecimiento de todos los gremios: estado
+ * fisiológico α, inhibición por el primer metabolito f_A y límite logístico f_cap.
+ *
+ * @param {number[]} y
+ * @param {import('./params.js').ModelParams} params
+ * @returns {{ alpha: number, f_A: number, f_cap: number }}
+ */
+export const populationFactors = (y, params) => {
+  const alpha = Math.min(1, Math.max(0, physiologicalState(y, params)));
+  const f_A = params.product_inhibition === 'noncompetitive' ? params.K_I_A / (params.K_I_A + Math.max(0, y[2])) : 1;
+  const total = guildBiomass(y, params).reduce((sum, X) => sum + Math.max(0, X), 0);
+  const f_cap = params.capacity_model === 'logistic' ? Math.max(0, 1 - total / params.X_cap) : 1;
+  return { alpha, f_A, f_cap };
+};
+
+/**
+ * Sustituye {G2} y {G3} por el nombre del gremio de cada hueco.
+ *
+ * @param {string} text
+ * @param {Partial<import('./params.js').ModelParams>} params
+ */
+export const guildLabel = (text, params) => text.replace(/\{(G2|G3)\}/g, (token, slot) => {
+  const id = params[GUILD_SLOTS.find(s => s.token === slot).choice];
+  return id && id !== NO_GUILD ? getGuild(id).name : token;
+});
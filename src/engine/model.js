@@ -0,0 +1,598 @@
+// ============================================================================
+// MOTOR DE SIMULACIÓN - ECUACIONES DIFERENCIALES
+// ============================================================================
+import { DEFAULT_SOLVER, combineStats, integrateODE } from './solvers.js';
+import { resolveParams } from './params.js';
+import { detectSteadyState, operationSegments, removalPercent, substrateRemovalPercent, transportTerms } from './operation.js';
+import { METABOLITE_SLOTS, getContaminant, metaboliteStates } from './contaminants.js';
+import { activeSubstrates, saturationFactors, substrateStates } from './substrates.js';
+import {
+  accumulateFluxes,
+  checkMassBalance,
+  elementFluxes,
+  elementInventory,
+  emptyBalanceTotals,
+  mineralizationRate,
+} from './balance.js';
+import { activeEnvironment, environmentAt } from './environment.js';
+import { oxygenDemands, oxygenEnabled, oxygenFactor, transferCoefficient } from './oxygen.js';
+import { sorptionPools, sorptionRates, sorptionStates } from './sorption.js';
+import {
+  activeGuilds,
+  guildBiomass,
+  guildsOf,
+  initialPhysiologicalState,
+  lagEnabled,
+  populationFactors,
+} from './microbes.js';
+import {
+  EVENT_ACTIONS,
+  applyEventAction,
+  changesAeration,
+  conditionHolds,
+  describeEvent,
+  withoutAeration,
+} from './events.js';
+import {
+  addToSuspension,
+  averageState,
+  compartmentLayout,
+  compartmentStates,
+  exchangeTerms,
+  spatialEnabled,
+} from './spatial.js';
+
+/**
+ * @typedef {Object} SimulationPoint
+ * @property {number} time_h
+ * @property {number} time_days
+ * @property {number} C_G_aq - Contaminante acuoso (mg/L)
+ * @property {number} C_G_s - Contaminante sorbido en total, sumando todas las fracciones (mg/kg)
+ * @property {number} [C_G_s1] - Sorbido en el primer sitio, con dos sitios o fracción ligada (mg/kg)
+ * @property {number} [C_G_s2] - Sorbido en el sitio cinético, con dos sitios (mg/kg)
+ * @property {number} [C_G_irr] - Fracción ligada irreversible, no biodisponible (mg/kg)
+ * @property {number} C_A_aq - Primer metabolito acuoso (mg/L)
+ * @property {number} [C_B_aq] - Segundo metabolito, si la cadena lo incluye (mg/L)
+ * @property {number} [C_C_aq] - Tercer metabolito, si la cadena lo incluye (mg/L)
+ * @property {number} [C_S1_aq] - Primer co-sustrato, si está seleccionado (mg/L)
+ * @property {number} [C_S2_aq] - Segundo co-sustrato, si está seleccionado (mg/L)
+ * @property {number|null} [removal_S1] - Remoción del primer co-sustrato (%), null sin carga
+ * @property {number|null} [removal_S2] - Remoción del segundo co-sustrato (%), null sin carga
+ * @property {number} X - Biomasa total, sumando todos los gremios (mg/L)
+ * @property {number} [X_G1] - Biomasa del gremio principal, con gremios adicionales (mg/L)
+ * @property {number} [X_G2] - Biomasa del segundo gremio, si está seleccionado (mg/L)
+ * @property {number} [X_G3] - Biomasa del tercer gremio, si está seleccionado (mg/L)
+ * @property {number} [alpha] - Estado fisiológico de la comunidad, con fase de latencia (–)
+ * @property {number} [C_O2] - Oxígeno disuelto, con modelo de oxígeno (mg/L)
+ * @property {number} [OUR] - Velocidad de consumo de oxígeno (mg/L/h)
+ * @property {number} [OTR] - Velocidad de transferencia de oxígeno kLa · (O₂,sat − O₂) (mg/L/h)
+ * @property {number} [f_O2] - Factor de limitación por oxígeno O₂/(K_O₂ + O₂)
+ * @property {boolean} [aerated] - Aireación en marcha, si algún evento la detiene o la reanuda
+ * @property {number} [temperature] - Temperatura (°C), con corrección de temperatura
+ * @property {number} [pH] - pH, con corrección de pH
+ * @property {number} [salinity] - Salinidad (g/L), con corrección salina
+ * @property {number} [f_T] - Factor de temperatura
+ * @property {number} [f_pH] - Factor de pH
+ * @property {number} [f_sal] - Factor de salinidad
+ * @property {number} [f_env] - Producto de los factores ambientales
+ * @property {number} C_total - Contaminante total por litro de slurry (mg/L)
+ * @property {number} removal_percent - Remoción total (%)
+ * @property {number} mineralized_mass - Masa mineralizada acumulada en el reactor (mg)
+ * @property {number} mineralized_C - Carbono mineralizado acumulado (mg C); también
+ *   mineralized_N, mineralized_P y mineralized_Cl si el contaminante comprueba esos elementos
+ * @property {number} monod_factor - Factor de saturación del contaminante, C_G/(K_s + C_G) sin interacción
+ * @property {number} r_degradation - Velocidad de degradación (mg/L/h)
+ * @property {number} r_sorption - Velocidad neta de sorción, suma de los dos sitios (mg/L/h)
+ * @property {string} phase - Fase de operación (batch, continuous, fill, react, settle, decant)
+ * @property {number} V - Volumen en el reactor (L)
+ * @property {number} Q_in - Caudal de entrada (L/h)
+ * @property {number} Q_out - Caudal de salida (L/h)
+ * @property {number|null} C_G_eff - Contaminante acuoso en el efluente (mg/L), null sin descarga
+ * @property {number|null} C_A_eff - Primer metabolito en el efluente (mg/L), null sin descarga
+ * @property {number} [C_G_aq_Z1] - Con zonas, contaminante acuoso en cada compartimento
+ *   (C_G_aq_Z1 … C_G_aq_Zn desde la superficie y C_G_aq_bed en el lecho), y del mismo modo el
+ *   sorbido total (C_G_s_Z1…) y la biomasa total (X_Z1…); las demás columnas son medias del reactor
+ */
+
+/**
+ * @typedef {Object} SteadyState
+ * @property {boolean} reached
+ * @property {number|null} time_h - Inicio del estado estacionario
+ * @property {number|null} time_days
+ */
+
+/**
+ * Variables de estado del contaminante: [C_G_aq, C_G_s, C_A_aq, X] seguidas de los
+ * metabolitos posteriores de su cadena (C_B_aq, C_C_aq), de los co-sustratos
+ * seleccionados (C_S1_aq, C_S2_aq), de las fracciones sorbidas adicionales (C_G_s2,
+ * C_G_irr), de los gremios adicionales (X_G2, X_G3), del estado fisiológico con fase de
+ * latencia (alpha) y, con modelo de oxígeno, del oxígeno disuelto (C_O2). C_G_s es el
+ * primer sitio y X, la biomasa del gremio principal.
+ *
+ * @param {import('./params.js').ModelParams} params
+ * @returns {string[]}
+ */
+export const stateVariables = (params) => [
+  'C_G_aq', 'C_G_s', 'C_A_aq', 'X',
+  ...METABOLITE_SLOTS.slice(1, getContaminant(params.contaminant).metabolites.length).map(s => s.key),
+  ...activeSubstrates(params).map(s => s.key),
+  ...sorptionPools(params),
+  ...activeGuilds(params).map(g => g.key),
+  ...(lagEnabled(params) ? ['alpha'] : []),
+  ...(oxygenEnabled(params) ? ['C_O2'] : []),
+];
+
+// El crecimiento es independiente del consumo (μ_max) o proporcional a él (Y_x); los
+// co-sustratos aportan siempre biomasa con su rendimiento y, con co-metabolismo, el
+// contaminante no aporta ninguna. Cada metabolito se forma a partir del anterior de la
+// cadena (el primero, del contaminante). Los factores ambientales del instante t escalan
+// las constantes cinéticas y la mortalidad; con modelo de oxígeno, el consumo y el
+// crecimiento se limitan además por O₂ (doble Monod) y el oxígeno consumido es la demanda
+// de lo que se mineraliza. Solo el contaminante acuoso es biodisponible.
+// Cada gremio consume y crece con sus propias constantes y forma el primer metabolito con su
+// rendimiento; las velocidades de consumo y crecimiento son la suma de todos los gremios. El
+// estado fisiológico y la inhibición por el primer metabolito escalan la actividad de todos
+// los gremios y el límite logístico, solo su crecimiento (ver microbes.js).
+export const computeRates = (y, params, t = 0) => {
+  const [C_G_aq, C_G_s] = y;
+  const { K_i, growth_model, substrate_interaction } = params;
+  const { activity: environment, decay } = environmentAt(t, params);
+  const oxygen = oxygenEnabled(params);
+  const C_O2 = oxygen ? y[y.length - 1] : 0;
+  const f_O2 = oxygen ? oxygenFactor(C_O2, params.K_O2) : 1;
+  const activity = environment * f_O2;
+  const { alpha, f_A, f_cap } = populationFactors(y, params);
+  const uptakeActivity = activity * alpha * f_A;
+  const substrates = activeSubstrates(params);
+  const S = [C_G_aq, ...substrateStates(y, params)].map(C => Math.max(0, C));
+  const biomass = guildBiomass(y, params);
+
+  const guilds = guildsOf(params).map((g, j) => {
+    const X = biomass[j];
+    const [monod, ...uptake] = saturationFactors(
+      S,
+      [params[g.K_s], ...substrates.map(s => params[s.K_s])],
+      [K_i, ...substrates.map(s => params[s.K_i])],
+      substrate_interaction
+    );
+    const k_max = params[g.k_max] * uptakeActivity;
+    const mu_max = params[g.mu_max] * uptakeActivity;
+    const r_degradation = k_max * monod * X;
+    const r_substrate = uptake.map((f, i) => params[substrates[i].k_max] * uptakeActivity * f * X);
+    const r_substrate_growth = r_substrate.map((r, i) => params[substrates[i].yield] * r * f_cap);
+    const r_growth_contaminant = (substrate_interaction === 'cometabolic' ? 0
+      : growth_model === 'yield' ? params[g.Y_x] * r_degradation : mu_max * monod * X) * f_cap;
+    return {
+      monod,
+      r_degradation,
+      r_substrate,
+      r_substrate_growth,
+      r_growth_contaminant,
+      r_growth: r_substrate_growth.reduce((sum, r) => sum + r, r_growth_contaminant),
+      r_death: params[g.k_d] * decay * X,
+      r_metabolite: params[g.Y_A] * r_degradation,
+    };
+  });
+  const total = (key) => guilds.reduce((sum, g) => sum + g[key], 0);
+  const totalBySubstrate = (key) => substrates.map((_, i) => guilds.reduce((sum, g) => sum + g[key][i], 0));
+
+  const r_degradation = total('r_degradation');
+  const r_metabolite_degradation = metaboliteStates(y, params.contaminant).map((C, i) => params[METABOLITE_SLOTS[i].rate] * activity * C);
+  const { r_site1, r_site2, r_bound } = sorptionRates(C_G_aq, C_G_s, sorptionStates(y, params).C_G_s2, params);
+  const rates = {
+    monod: guilds[0].monod,
+    f_O2,
+    alpha,
+    f_A,
+    f_cap,
+    r_degradation,
+    r_sorption: r_site1 + r_site2,
+    r_sorption_sites: [r_site1, r_site2],
+    r_bound,
+    r_growth: total('r_growth'),
+    r_growth_contaminant: total('r_growth_contaminant'),
+    r_substrate: totalBySubstrate('r_substrate'),
+    r_substrate_growth: totalBySubstrate('r_substrate_growth'),
+    r_death: total('r_death'),
+    r_guild_net: guilds.map(g => g.r_growth - g.r_death),
+    r_adaptation: lagEnabled(params) ? params.nu_lag * alpha * (1 - alpha) : 0,
+    r_metabolite_formation: r_metabolite_degradation.map((_, i) =>
+      (i === 0 ? total('r_metabolite') : params[METABOLITE_SLOTS[i].yield] * r_metabolite_degradation[i - 1])),
+    r_metabolite_degradation,
+    r_oxygen_transfer: 0,
+    r_oxygen_uptake: 0,
+  };
+  if (oxygen) {
+    const demands = oxygenDemands(params.contaminant, substrates.map(s => s.substrate.id));
+    rates.r_oxygen_transfer = transferCoefficient(params) * (params.C_O2_sat - C_O2);
+    rates.r_oxygen_uptake = Math.max(0, mineralizationRate(demands, rates));
+  }
+  return rates;
+};
+
+export const modelDerivatives = (t, y, params) => {
+  const r = computeRates(y, params, t);
+  const oxygen = oxygenEnabled(params);
+  const metabolites = r.r_metabolite_formation.map((f, i) => f - r.r_metabolite_degradation[i]);
+  const [r_site1, r_site2] = r.r_sorption_sites;
+  // La fracción ligada se forma desde el sitio cinético con dos sitios y desde el único sitio sin ellos
+  const twoSite = params.sorption_sites === 'two';
+  const pools = { C_G_s2: r_site2 / params.theta - r.r_bound, C_G_irr: r.r_bound };
+  return [
+    -r.r_degradation - r.r_sorption,
+    twoSite ? r_site1 / params.theta : r.r_sorption / params.theta - r.r_bound,
+    metabolites[0],
+    r.r_guild_net[0],
+    ...metabolites.slice(1),
+    ...r.r_substrate.map(v => -v),
+    ...sorptionPools(params).map(key => pools[key]),
+    ...r.r_guild_net.slice(1),
+    ...(lagEnabled(params) ? [r.r_adaptation] : []),
+    ...(oxygen ? [r.r_oxygen_transfer - r.r_oxygen_uptake] : []),
+  ];
+};
+
+// Parámetros de cada compartimento del reactor por zonas: su θ y, en el lecho, sin aireación.
+// Se guardan por objeto de parámetros para no copiarlos en cada evaluación de las derivadas
+const compartmentParamsCache = new WeakMap();
+const compartmentParams = (params, layout) => {
+  let zones = compartmentParamsCache.get(params);
+  if (!zones) {
+    zones = layout.compartments.map(c => (c.bed ? withoutAeration({ ...params, theta: c.theta }) : { ...params, theta: c.theta }));
+    compartmentParamsCache.set(params, zones);
+  }
+  return zones;
+};
+
+// Reactor por zonas: cada compartimento reacciona con sus propias concentraciones y su θ, y
+// los compartimentos vecinos intercambian líquido y sólidos (ver spatial.js)
+const spatialDerivatives = (t, Y, params, layout, variables) => {
+  const zones = compartmentParams(params, layout);
+  const exchange = exchangeTerms(Y, layout, variables);
+  return compartmentStates(Y, layout)
+    .flatMap((y, k) => modelDerivatives(t, y, zones[k]))
+    .map((v, j) => v + exchange[j]);
+};
+
+// Velocidades medias del reactor por zonas, ponderadas por el volumen de cada compartimento
+const spatialRates = (Y, params, layout, t) => {
+  const zones = compartmentParams(params, layout);
+  const rates = compartmentStates(Y, layout).map((y, k) => computeRates(y, zones[k], t));
+  const mean = (values) => values.reduce((sum, v, k) => sum + layout.compartments[k].volume * v, 0);
+  return Object.fromEntries(Object.keys(rates[0]).map(key => [key, Array.isArray(rates[0][key])
+    ? rates[0][key].map((_, i) => mean(rates.map(r => r[key][i])))
+    : mean(rates.map(r => r[key]))]));
+};
+
+// Flujos de elementos del reactor por zonas: la suma de los de cada compartimento. Solo se
+// modela en lote, así que no hay intercambio con el exterior
+const spatialFluxes = (Y, params, layout, t) => {
+  const zones = compartmentParams(params, layout);
+  const fluxes = compartmentStates(Y, layout).map((y, k) => elementFluxes(
+    y,
+    computeRates(y, zones[k], t),
+    { dy: y.map(() => 0), V: layout.compartments[k].volume * params.V_r, Q_in: 0, Q_out: 0 },
+    zones[k]
+  ));
+  const sum = (kind) => Object.fromEntries(Object.keys(fluxes[0][kind]).map(key => [key, fluxes.reduce((total, f) => total + f[kind][key], 0)]));
+  return { exchanged: sum('exchanged'), mineralized: sum('mineralized') };
+};
+
+// Contaminante acuoso y sorbido, biomasa y oxígeno de cada compartimento en un punto de la serie
+const compartmentRow = (Y, params, layout) => Object.fromEntries(compartmentStates(Y, layout).flatMap((y, k) => {
+  const { key } = layout.compartments[k];
+  const { C_G_s2, C_G_irr } = sorptionStates(y, params);
+  return [
+    [`C_G_aq_${key}`, Math.max(0, y[0])],
+    [`C_G_s_${key}`, Math.max(0, y[1] + C_G_s2 + C_G_irr)],
+    [`X_${key}`, guildBiomass(y, params).reduce((sum, X) => sum + Math.max(0, X), 0)],
+    ...(oxygenEnabled(params) ? [[`C_O2_${key}`, Math.max(0, y[y.length - 1])]] : []),
+  ];
+}));
+
+// Variables ambientales y factores en un punto de la serie
+const environmentRow = (t, params) => {
+  const { activity, values, factors } = environmentAt(t, params);
+  return { ...values, ...factors, f_env: activity };
+};
+
+export const buildTimeGrid = (t_final, dt) => {
+  const n = Math.floor(t_final / dt + 1e-9);
+  return Array.from({ length: n + 1 }, (_, i) => i * dt);
+};
+
+// Tolerancia para decidir si un punto de la malla coincide con el final de un tramo
+const GRID_EPS = 1e-9;
+
+/**
+ * Integra el modelo y devuelve la serie temporal en la malla regular de paso `dt`
+ * junto con las estadísticas del integrador. En los modos con alimentación se integra
+ * por tramos de fase constante y se informa del estado estacionario (null en lote).
+ * El balance de masa y de los elementos del contaminante se comprueba en cada punto de la malla.
+ * Los eventos de params.events detienen la integración en su instante, modifican el estado
+ * o la aireación y se devuelven en `events` en el orden en que se dispararon. Con el
+ * reactor por zonas se integra un vector de estado por compartimento y la serie muestra la
+ * media del reactor junto con las concentraciones de cada compartimento.
+ *
+ * @param {Partial<import('./params.js').ModelParams>} inputParams - Se completan con DEFAULT_PARAMS
+ * @param {import('./solvers.js').SolverOptions} [solver]
+ * @param {Object} [options]
+ * @param {(fraction: number) => void} [options.onProgress] - Fracción del horizonte integrada, en pasos del 1 %
+ * @returns {{
+ *   results: SimulationPoint[],
+ *   stats: import('./solvers.js').SolverStats,
+ *   steady_state: SteadyState|null,
+ *   mass_balance: import('./balance.js').MassBalance,
+ *   events: import('./events.js').FiredEvent[],
+ * }}
+ * @throws {import('./params.js').ParameterError} Si los parámetros no son válidos
+ */
+export const simulate = (inputParams, solver = DEFAULT_SOLVER, { onProgress } = {}) => {
+  const params = resolveParams(inputParams);
+  const { C_G_aq_0, C_G_s_0, C_A_aq_0, X_0, theta, t_final, dt } = params;
+  const pools = sorptionPools(params);
+
+  const tGrid = buildTimeGrid(t_final, dt);
+  const segments = operationSegments(params);
+  const variables = stateVariables(params);
+  const substrates = activeSubstrates(params);
+  const oxygen = oxygenEnabled(params);
+  const guilds = activeGuilds(params);
+  const lag = lagEnabled(params);
+  const layout = spatialEnabled(params) ? compartmentLayout(params) : null;
+  const initial = [
+    C_G_aq_0, C_G_s_0, C_A_aq_0, X_0,
+    ...getContaminant(params.contaminant).metabolites.slice(1).map(() => 0),
+    ...substrates.map(s => params[s.initial]),
+    ...pools.map(() => 0),
+    ...guilds.map(g => params[g.initial]),
+    ...(lag ? [initialPhysiologicalState(params)] : []),
+    ...(oxygen ? [params.C_O2_0] : []),
+  ];
+  // Con zonas, todos los compartimentos parten de la composición inicial
+  const states = [layout ? layout.compartments.flatMap(() => initial) : initial];
+  // Estado medio del reactor, el que ven los eventos, el balance y la serie
+  const reactorState = (y) => (layout ? averageState(y, layout, variables) : y);
+  const rowSegments = [segments[0]];
+  // Flujos de elementos acumulados en cada punto de la malla, para el balance de masa
+  const rowTotals = [emptyBalanceTotals(params)];
+  // Dosis acumuladas por variable de estado (mg/L) y aireación en vigor en cada punto
+  const rowDosed = [{}];
+  const rowAerated = [true];
+  const unaerated = withoutAeration(params);
+  let carried = rowTotals[0];
+  let dosed = rowDosed[0];
+  let aerated = true;
+  let y = states[0];
+  let stats = null;
+  let next = 1;
+  let reported = 0;
+
+  // Los eventos programados en t_final o después no llegan a dispararse
+  let pending = params.events
+    .map((event, index) => ({ event, index }))
+    .filter(({ event }) => event.trigger !== 'time' || event.time_h < t_final);
+  const fired = [];
+  const scheduledAt = (t) => pending.some(({ event }) => event.trigger === 'time' && Math.abs(event.time_h - t) <= GRID_EPS);
+
+  const watchedValue = (key, state) => {
+    const y = reactorState(state);
+    if (key === 'X') return guildBiomass(y, params).reduce((sum, X) => sum + X, 0);
+    if (key !== 'removal_percent') return y[variables.indexOf(key)];
+    const { C_G_s2, C_G_irr } = sorptionStates(y, params);
+    return removalPercent(y[0], y[1] + C_G_s2 + C_G_irr, params, dosed.C_G_aq ?? 0);
+  };
+  // Con zonas, las dosis llegan a las capas de suspensión
+  const applyAction = (event, y) => {
+    if (!layout) return applyEventAction(event, y, variables);
+    const { y: delta, aerated } = applyEventAction(event, variables.map(() => 0), variables);
+    return { y: addToSuspension(y, delta, layout), aerated };
+  };
+  const isDue = ({ event }, t) => (event.trigger === 'time'
+    ? Math.abs(event.time_h - t) <= GRID_EPS
+    : conditionHolds(event, watchedValue(event.variable, y)));
+
+  // Dispara en t los eventos debidos y los umbrales cruzados en `forced`. Una dosis puede
+  // hacer que se cumpla otro umbral, así que se repite hasta que no queda ninguno. Las
+  // dosis entran en el balance como intercambio, salvo en t = 0, donde forman parte del
+  // inventario inicial; si t es un punto de la malla, su fila pasa a ser el estado tras el evento.
+  const fireDue = (t, segment, forced = []) => {
+    for (;;) {
+      const due = pending.filter(p => forced.includes(p) || isDue(p, t));
+      if (due.length === 0) break;
+      const { V } = transportTerms(segment, t, y, params);
+      const before = elementInventory(reactorState(y), V, params);
+      for (const { event, index } of due) {
+        const action = applyAction(event, y);
+        y = action.y;
+        if (action.aerated !== undefined) aerated = action.aerated;
+        const state = EVENT_ACTIONS.find(a => a.value === event.action).state;
+        if (state) dosed = { ...dosed, [state]: (dosed[state] ?? 0) + event.amount };
+        fired.push({ index, time_h: t, time_days: t / 24, description: describeEvent(event, params) });
+      }
+      pending = pending.filter(p => !due.includes(p));
+      if (t > 0) {
+        const after = elementInventory(reactorState(y), V, params);
+        carried = {
+          exchanged: Object.fromEntries(Object.entries(carried.exchanged).map(([key, value]) => [key, value + after[key] - before[key]])),
+          mineralized: carried.mineralized,
+        };
+      }
+      const row = states.length - 1;
+      if (Math.abs(tGrid[row] - t) <= GRID_EPS) {
+        states[row] = y;
+        rowTotals[row] = carried;
+        rowDosed[row] = dosed;
+        rowAerated[row] = aerated;
+      }
+    }
+  };
+
+  // Integra desde el estado actual por los puntos de `grid` con los parámetros en vigor
+  const integrate = (segment, grid) => {
+    const operating = aerated ? params : unaerated;
+    const { states: spanStates, stats: spanStats } = integrateODE(
+      (t, y) => {
+        if (onProgress && t >= (reported + 0.01) * t_final) {
+          reported = Math.floor(100 * t / t_final) / 100;
+          onProgress(Math.min(reported, 0.99));
+        }
+        if (layout) return spatialDerivatives(t, y, operating, layout, variables);
+        const reaction = modelDerivatives(t, y, operating);
+        const { dy } = transportTerms(segment, t, y, operating);
+        return reaction.map((v, i) => v + dy[i]);
+      },
+      y,
+      grid,
+      solver
+    );
+    // Los flujos se integran dentro de cada tramo para no cruzar saltos de caudal
+    const totals = accumulateFluxes(
+      carried,
+      grid,
+      spanStates.map((s, j) => (layout
+        ? spatialFluxes(s, operating, layout, grid[j])
+        : elementFluxes(s, computeRates(s, operating, grid[j]), transportTerms(segment, grid[j], s, operating), operating)))
+    );
+    return { spanStates, spanStats, totals };
+  };
+
+  fireDue(0, segments[0]);
+
+  for (const segment of segments) {
+    const inner = [];
+    while (next < tGrid.length && tGrid[next] < segment.end - GRID_EPS) inner.push(tGrid[next++]);
+    const endsOnGrid = next < tGrid.length && tGrid[next] <= segment.end + GRID_EPS;
+
+    // Paradas del tramo: los puntos de la malla, que tienen fila en la serie, y los
+    // instantes de los eventos programados que caen entre ellos
+    const stops = [...inner.map(t => ({ t, row: true })), { t: segment.end, row: endsOnGrid }];
+    pending.forEach(({ event }) => {
+      if (event.trigger === 'time' && event.time_h > segment.start + GRID_EPS && event.time_h < segment.end - GRID_EPS
+        && !stops.some(s => Math.abs(s.t - event.time_h) <= GRID_EPS)) {
+        stops.push({ t: event.time_h, row: false });
+      }
+    });
+    stops.sort((a, b) => a.t - b.t);
+
+    let t = segment.start;
+    let k = 0;
+    while (k < stops.length) {
+      // Sin umbrales pendientes se integra de una vez hasta el siguiente evento programado;
+      // con umbrales, intervalo a intervalo para localizar el cruce
+      const watching = pending.some(({ event }) => event.trigger === 'condition');
+      let last = k;
+      if (!watching) while (last < stops.length - 1 && !scheduledAt(stops[last].t)) last++;
+      const grid = [t, ...stops.slice(k, last + 1).map(s => s.t)];
+      let span = integrate(segment, grid);
+
+      if (watching) {
+        // Instante del cruce por interpolación lineal de la variable en el intervalo
+        const end = span.spanStates[1];
+        const crossings = pending
+          .filter(({ event }) => event.trigger === 'condition' && conditionHolds(event, watchedValue(event.variable, end)))
+          .map(p => {
+            const v0 = watchedValue(p.event.variable, y);
+            const v1 = watchedValue(p.event.variable, end);
+            return { p, t: t + (grid[1] - t) * (p.event.value - v0) / (v1 - v0) };
+          });
+        const first = Math.min(...crossings.map(c => c.t));
+        if (first < grid[1] - GRID_EPS) {
+          if (first > t + GRID_EPS) {
+            span = integrate(segment, [t, first]);
+            stats = stats ? combineStats(stats, span.spanStats) : span.spanStats;
+            y = span.spanStates[1];
+            carried = span.totals[1];
+            t = first;
+          }
+          fireDue(t, segment, crossings.filter(c => c.t <= first + GRID_EPS).map(c => c.p));
+          continue;
+        }
+      }
+
+      stats = stats ? combineStats(stats, span.spanStats) : span.spanStats;
+      y = span.spanStates[span.spanStates.length - 1];
+      carried = span.totals[span.totals.length - 1];
+      stops.slice(k, last + 1).forEach((stop, j) => {
+        if (!stop.row) return;
+        states.push(span.spanStates[j + 1]);
+        rowSegments.push(segment);
+        rowTotals.push(span.totals[j + 1]);
+        rowDosed.push(dosed);
+        rowAerated.push(aerated);
+      });
+      t = stops[last].t;
+      k = last + 1;
+      fireDue(t, segment);
+    }
+    if (endsOnGrid) next++;
+  }
+
+  const environment = activeEnvironment(params).length > 0;
+  const aerationEvents = params.events.some(changesAeration);
+  const results = states.map((state, i) => {
+    const operating = rowAerated[i] ? params : unaerated;
+    const y = reactorState(state);
+    const [C_G_aq, C_G_s1, C_A_aq, X] = y;
+    const later = Object.fromEntries(variables.slice(4).map((key, j) => [key, Math.max(0, y[4 + j])]));
+    if (lag) later.alpha = Math.min(1, later.alpha);
+    const removals = Object.fromEntries(substrates.map(s => {
+      const removal = substrateRemovalPercent(later[s.key], s, params, rowDosed[i][s.key] ?? 0);
+      return [s.removal, removal === null ? null : Math.min(100, Math.max(0, removal))];
+    }));
+    const t = tGrid[i];
+    const { monod, f_O2, r_degradation, r_sorption, r_oxygen_transfer, r_oxygen_uptake } = layout
+      ? spatialRates(state, operating, layout, t)
+      : computeRates(y, operating, t);
+    const { V, Q_in, Q_out } = transportTerms(rowSegments[i], t, y, params);
+    const { C_G_s2, C_G_irr } = sorptionStates(y, params);
+    const C_G_s = C_G_s1 + C_G_s2 + C_G_irr;
+    const C_total = C_G_aq + theta * C_G_s;
+    const removal_percent = removalPercent(C_G_aq, C_G_s, params, rowDosed[i].C_G_aq ?? 0);
+
+    return {
+      time_h: t,
+      time_days: t / 24,
+      C_G_aq: Math.max(0, C_G_aq),
+      C_G_s: Math.max(0, C_G_s),
+      ...(pools.length > 0 ? { C_G_s1: Math.max(0, C_G_s1) } : {}),
+      C_A_aq: Math.max(0, C_A_aq),
+      ...later,
+      X: guildBiomass(y, params).reduce((sum, X) => sum + Math.max(0, X), 0),
+      ...(guilds.length > 0 ? { X_G1: Math.max(0, X) } : {}),
+      ...(environment ? environmentRow(t, params) : {}),
+      ...(oxygen ? { OUR: r_oxygen_uptake, OTR: r_oxygen_transfer, f_O2 } : {}),
+      ...(aerationEvents ? { aerated: rowAerated[i] } : {}),
+      C_total: Math.max(0, C_total),
+      removal_percent: Math.min(100, Math.max(0, removal_percent)),
+      ...removals,
+      ...Object.fromEntries(Object.entries(rowTotals[i].mineralized).map(([key, value]) => [`mineralized_${key}`, value])),
+      monod_factor: monod,
+      r_degradation,
+      r_sorption,
+      phase: rowSegments[i].phase,
+      V,
+      Q_in,
+      Q_out,
+      C_G_eff: Q_out > 0 ? Math.max(0, C_G_aq) : null,
+      C_A_eff: Q_out > 0 ? Math.max(0, C_A_aq) : null,
+      ...(layout ? compartmentRow(state, params, layout) : {}),
+    };
+  });
+
+  const mass_balance = checkMassBalance(states.map((y, i) => ({
+    time_h: tGrid[i],
+    inventory: elementInventory(reactorState(y), results[i].V, params),
+    totals: rowTotals[i],
+  })));
+
+  onProgress?.(1);
+  return { results, stats, steady_state: detectSteadyState(results, params), mass_balance, events: fired };
+};
+
+/**
+ * Igual que `simulate`, pero devuelve solo la serie temporal.
+ *
+ * @returns {SimulationPoint[]}
+ */
+export const runSimulation = (params, solver = DEFAULT_SOLVER) => simulate(params, solver).results;
@@ -0,0 +1,259 @@
+// ============================================================================
+// MODOS DE OPERACIÓN DEL REACTOR (LOTE, CSTR, SBR)
+// ============================================================================
+import { interpolateSeries } from './series.js';
+import { METABOLITE_SLOTS } from './contaminants.js';
+import { SUBSTRATE_SLOTS, activeSubstrates } from './substrates.js';
+import { oxygenEnabled } from './oxygen.js';
+import { sorptionPools } from './sorption.js';
+import { GUILD_SLOTS, activeGuilds, lagEnabled } from './microbes.js';
+
+export const SBR_PHASES = ['fill', 'react', 'settle', 'decant'];
+
+export const PHASE_LABELS = {
+  batch: 'Lote',
+  continuous: 'Continuo',
+  fill: 'Llenado',
+  react: 'Reacción',
+  settle: 'Sedimentación',
+  decant: 'Vaciado',
+};
+
+// Variables de estado que se comparan para decidir si se alcanzó el estado estacionario
+const STEADY_VARIABLES = ['C_G_aq', 'C_G_s', 'C_A_aq', 'X'];
+
+// Fracciones sorbidas y gremios que se añaden a la comparación cuando se modelan
+const SORBED_POOLS = ['C_G_s1', 'C_G_s2', 'C_G_irr'];
+const GUILD_KEYS = GUILD_SLOTS.map(s => s.key);
+
+// Cambio relativo admitido: 1 % por TRH (CSTR) o entre ciclos consecutivos (SBR)
+const STEADY_TOLERANCE = 0.01;
+
+/**
+ * @typedef {Object} OperationSegment
+ * @property {number} start - Inicio (h)
+ * @property {number} end - Fin (h)
+ * @property {'batch'|'continuous'|'fill'|'react'|'settle'|'decant'} phase
+ */
+
+/**
+ * @typedef {Object} TransportTerms
+ * @property {number[]} dy - Contribución de entradas y salidas a dy/dt, en el orden del vector de estado
+ * @property {number} V - Volumen en el reactor (L)
+ * @property {number} Q_in - Caudal de entrada (L/h)
+ * @property {number} Q_out - Caudal de salida (L/h)
+ */
+
+/** Tiempo de retención hidráulico del CSTR (h). */
+export const hydraulicRetentionTime = ({ V_r, Q_in }) => V_r / Q_in;
+
+export const sbrCycleLength = ({ t_fill, t_react, t_settle, t_decant }) => t_fill + t_react + t_settle + t_decant;
+
+/**
+ * Divide el horizonte en tramos de fase constante. El integrador recorre cada tramo por
+ * separado para que las discontinuidades de caudal coincidan con el inicio de un paso.
+ *
+ * @param {import('./params.js').ModelParams} params
+ * @returns {OperationSegment[]}
+ */
+export const operationSegments = (params) => {
+  const { mode, t_final } = params;
+  if (mode === 'batch') return [{ start: 0, end: t_final, phase: 'batch' }];
+  if (mode === 'cstr') return [{ start: 0, end: t_final, phase: 'continuous' }];
+
+  const durations = { fill: params.t_fill, react: params.t_react, settle: params.t_settle, decant: params.t_decant };
+  const cycle = sbrCycleLength(params);
+  const segments = [];
+  for (let n = 0; n * cycle < t_final; n++) {
+    let start = n * cycle;
+    for (const phase of SBR_PHASES) {
+      const end = Math.min(start + durations[phase], t_final);
+      if (end > start) segments.push({ start, end, phase });
+      start += durations[phase];
+      if (start >= t_final) break;
+    }
+  }
+  return segments;
+};
+
+/**
+ * Términos de entrada y salida del balance de cada variable de estado en una fase.
+ *
+ * Los metabolitos, los co-sustratos y el oxígeno están disueltos y siguen al líquido; el
+ * influente no contiene metabolitos y los co-sustratos y el oxígeno llegan con su
+ * concentración en el influente. Las fracciones sorbidas adicionales (sitio cinético y
+ * ligada) siguen a los sólidos y el influente las trae vacías: C_G_s_in carga el primer sitio.
+ * Los gremios adicionales se tratan como la biomasa, pero el influente solo trae el
+ * principal (X_in). El estado fisiológico es una propiedad de las células y no cambia con
+ * la alimentación ni con la descarga.
+ *
+ * - CSTR: el líquido se renueva con el TRH y los sólidos (contaminante sorbido y biomasa
+ *   adherida) con el SRT; los sólidos alimentados llegan con la misma relación θ.
+ * - SBR, llenado: entra slurry fresco con la misma relación θ a caudal constante.
+ * - SBR, vaciado: se extrae slurry con la composición del reactor salvo la biomasa,
+ *   de la que una fracción f_retention quedó sedimentada y permanece en el reactor.
+ *
+ * @param {OperationSegment} segment
+ * @param {number} t
+ * @param {number[]} y
+ * @param {import('./params.js').ModelParams} params
+ * @returns {TransportTerms}
+ */
+export const transportTerms = (segment, t, [C_G_aq, C_G_s, C_A_aq, X, ...later], params) => {
+  const { V_r, C_G_aq_in, C_G_s_in, X_in } = params;
+  // Concentración en el influente y tipo de las variables posteriores: metabolitos,
+  // co-sustratos, fracciones sorbidas, gremios, estado fisiológico y oxígeno
+  const tail = [
+    ...activeSubstrates(params).map(s => ({ feed: params[s.feed], kind: 'liquid' })),
+    ...sorptionPools(params).map(() => ({ feed: 0, kind: 'solid' })),
+    ...activeGuilds(params).map(() => ({ feed: 0, kind: 'biomass' })),
+    ...(lagEnabled(params) ? [{ feed: 0, kind: 'cell' }] : []),
+    ...(oxygenEnabled(params) ? [{ feed: params.C_O2_in, kind: 'liquid' }] : []),
+  ];
+  const variables = [...later.slice(0, later.length - tail.length).map(() => ({ feed: 0, kind: 'liquid' })), ...tail];
+  const laterIn = variables.map(v => v.feed);
+  const kind = (i) => variables[i].kind;
+
+  switch (segment.phase) {
+    case 'continuous': {
+      const D = params.Q_in / V_r;
+      const Ds = 1 / params.SRT;
+      return {
+        dy: [
+          D * (C_G_aq_in - C_G_aq), Ds * (C_G_s_in - C_G_s), -D * C_A_aq, D * X_in - Ds * X,
+          ...later.map((C, i) => (kind(i) === 'cell' ? 0 : (kind(i) === 'liquid' ? D : Ds) * (laterIn[i] - C))),
+        ],
+        V: V_r,
+        Q_in: params.Q_in,
+        Q_out: params.Q_in,
+      };
+    }
+    case 'fill': {
+      const Q = params.f_exchange * V_r / params.t_fill;
+      const V = (1 - params.f_exchange) * V_r + Q * (t - segment.start);
+      const D = Q / V;
+      return {
+        dy: [
+          D * (C_G_aq_in - C_G_aq), D * (C_G_s_in - C_G_s), -D * C_A_aq, D * (X_in - X),
+          ...later.map((C, i) => (kind(i) === 'cell' ? 0 : D * (laterIn[i] - C))),
+        ],
+        V,
+        Q_in: Q,
+        Q_out: 0,
+      };
+    }
+    case 'decant': {
+      const Q = params.f_exchange * V_r / params.t_decant;
+      const V = V_r - Q * (t - segment.start);
+      return {
+        dy: [0, 0, 0, (Q / V) * params.f_retention * X, ...later.map((C, i) => (kind(i) === 'biomass' ? (Q / V) * params.f_retention * C : 0))],
+        V,
+        Q_in: 0,
+        Q_out: Q,
+      };
+    }
+    default:
+      return { dy: [0, 0, 0, 0, ...later.map(() => 0)], V: V_r, Q_in: 0, Q_out: 0 };
+  }
+};
+
+/**
+ * Remoción del contaminante (%). En lote se refiere a la carga inicial; con alimentación,
+ * a la carga del influente: en el CSTR como balance de flujos (líquido con el TRH y
+ * sólidos con el SRT) y en el SBR comparando el slurry tratado con el alimentado. Las
+ * dosis añadidas por eventos se suman a la carga inicial.
+ *
+ * @param {number} C_G_aq
+ * @param {number} C_G_s
+ * @param {import('./params.js').ModelParams} params
+ * @param {number} [dosed] - Contaminante dosificado hasta ese instante (mg/L)
+ */
+export const removalPercent = (C_G_aq, C_G_s, params, dosed = 0) => {
+  const { mode, theta } = params;
+  let load = params.C_G_aq_0 + theta * params.C_G_s_0 + dosed;
+  let remaining = C_G_aq + theta * C_G_s;
+
+  if (mode === 'cstr') {
+    const solidsFlow = theta * params.V_r / params.SRT;
+    const feed = params.Q_in * params.C_G_aq_in + solidsFlow * params.C_G_s_in;
+    if (feed > 0) {
+      load = feed;
+      remaining = params.Q_in * C_G_aq + solidsFlow * C_G_s;
+    }
+  } else if (mode === 'sbr') {
+    const feed = params.C_G_aq_in + theta * params.C_G_s_in;
+    if (feed > 0) load = feed;
+  }
+  return 100 * (1 - remaining / load);
+};
+
+/**
+ * Remoción de un co-sustrato (%), con la misma referencia que removalPercent: la
+ * concentración inicial en lote y la del influente en los modos con alimentación.
+ * Devuelve null si no hay carga de referencia.
+ *
+ * @param {number} C - Concentración en el reactor (mg/L)
+ * @param {typeof SUBSTRATE_SLOTS[number]} slot
+ * @param {import('./params.js').ModelParams} params
+ * @param {number} [dosed] - Co-sustrato dosificado hasta ese instante (mg/L)
+ * @returns {number|null}
+ */
+export const substrateRemovalPercent = (C, slot, params, dosed = 0) => {
+  const feed = params[slot.feed];
+  const load = params.mode !== 'batch' && feed > 0 ? feed : params[slot.initial] + dosed;
+  return load > 0 ? 100 * (1 - C / load) : null;
+};
+
+/**
+ * Detecta el estado estacionario de una serie temporal. En el CSTR se exige que ninguna
+ * variable cambie más de un 1 % por TRH desde ese instante hasta el final; en el SBR,
+ * que los estados al inicio de ciclos consecutivos difieran menos de un 1 % (estado
+ * estacionario cíclico). En lote no aplica y devuelve null.
+ *
+ * @param {import('./model.js').SimulationPoint[]} results
+ * @param {import('./params.js').ModelParams} params
+ * @returns {{ reached: boolean, time_h: number|null, time_days: number|null }|null}
+ */
+export const detectSteadyState = (results, params) => {
+  if (params.mode === 'batch' || results.length < 2) return null;
+
+  // Se añaden los metabolitos posteriores de la cadena del contaminante, los co-sustratos, las
+  // fracciones sorbidas, los gremios y el oxígeno
+  const variables = [
+    ...STEADY_VARIABLES,
+    ...[...METABOLITE_SLOTS.slice(1), ...SUBSTRATE_SLOTS, { key: 'C_O2' }].map(s => s.key)
+      .concat(SORBED_POOLS, GUILD_KEYS).filter(key => key in results[0]),
+  ];
+
+  const scales = Object.fromEntries(variables.map(v => [
+    v, 1e-6 + 1e-3 * Math.max(...results.map(r => Math.abs(r[v]))),
+  ]));
+  const settled = (a, b, interval) => variables.every(v =>
+    Math.abs(b[v] - a[v]) * interval / (Math.abs(b[v]) + scales[v]) < STEADY_TOLERANCE);
+
+  let candidates;
+  if (params.mode === 'cstr') {
+    const hrt = hydraulicRetentionTime(params);
+    candidates = results.slice(1).map((r, i) => ({
+      time_h: results[i].time_h,
+      ok: settled(results[i], r, hrt / (r.time_h - results[i].time_h)),
+    }));
+  } else {
+    const cycle = sbrCycleLength(params);
+    const starts = [];
+    for (let t = 0; t <= params.t_final + 1e-9; t += cycle) {
+      starts.push(Object.fromEntries([
+        ['time_h', t],
+        ...variables.map(v => [v, interpolateSeries(results, v, t)]),
+      ]));
+    }
+    candidates = starts.slice(1).map((s, i) => ({ time_h: starts[i].time_h, ok: settled(starts[i], s, 1) }));
+  }
+
+  // Primer instante a partir del cual el criterio se cumple sin interrupción
+  let first = null;
+  for (let i = candidates.length - 1; i >= 0 && candidates[i].ok; i--) first = candidates[i].time_h;
+  return first === null
+    ? { reached: false, time_h: null, time_days: null }
+    : { reached: true, time_h: first, time_days: first / 24 };
+};
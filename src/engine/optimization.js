@@ -0,0 +1,233 @@
+// ============================================================================
+// OPTIMIZACIÓN DEL TRATAMIENTO (TIEMPO O COSTE HASTA CUMPLIR LOS OBJETIVOS)
+// ============================================================================
+import { DEFAULT_PARAMS, PARAMETER_GROUPS } from './params.js';
+import { DEFAULT_SOLVER } from './solvers.js';
+import { evaluateTargets, targetSeriesKey, validateTarget } from './compliance.js';
+import { aerationIntensity } from './oxygen.js';
+import { createRandom, shuffle } from './random.js';
+import { nelderMead } from './simplex.js';
+import { JobCancelledError, localRunner } from './jobs.js';
+
+export const OPTIMIZATION_OBJECTIVES = [
+  { value: 'time', label: 'Tiempo de tratamiento', unit: 'días' },
+  { value: 'cost', label: 'Coste por kg de suelo tratado', unit: '€/kg' },
+];
+
+// Costes de referencia; la aireación se escala con su intensidad relativa (ver aerationIntensity)
+export const DEFAULT_COSTS = {
+  operation: 40,      // Operación del reactor: agitación, control y mano de obra (€/día)
+  aeration: 15,       // Aireación a 0,5 vvm o kLa = 20 1/h (€/día)
+  inoculum: 0.05,     // Biomasa inoculada (€/g)
+};
+
+// Parámetros que el operador controla. La aireación se traduce en kLa o en el caudal de aire
+// según aeration_input y solo interviene con modelo de oxígeno.
+export const DECISION_VARIABLES = [
+  { key: 'theta', label: 'Relación sólido/líquido (θ)' },
+  { key: 'X_0', label: 'Bioaumentación (X₀)' },
+  { key: 'aeration', label: 'Aireación', oxygen: true },
+  { key: 't_final', label: 'Duración máxima' },
+];
+
+// Penalización de los puntos que no cumplen todos los objetivos: siempre peor que cualquier punto que sí cumple
+const INFEASIBLE = 1e6;
+
+/**
+ * Parámetro del modelo que corresponde a una variable de decisión.
+ *
+ * @param {string} key - Clave de DECISION_VARIABLES
+ * @param {import('./params.js').ModelParams} params
+ */
+export const decisionParameter = (key, params) => {
+  if (key !== 'aeration') return key;
+  return params.aeration_input === 'airflow' ? 'Q_air' : 'kLa';
+};
+
+/**
+ * Variables de decisión aplicables a unos parámetros, con los límites de los sliders del panel.
+ *
+ * @param {import('./params.js').ModelParams} params
+ * @returns {{ key: string, param: string, label: string, unit: string, min: number, max: number }[]}
+ */
+export const defaultDecisionVariables = (params) => {
+  const all = PARAMETER_GROUPS.flatMap(g => g.params);
+  return DECISION_VARIABLES
+    .filter(v => !v.oxygen || (params.oxygen_model ?? 'none') !== 'none')
+    .map(v => {
+      const param = decisionParameter(v.key, params);
+      const { unit, min, max } = all.find(p => p.key === param);
+      return { key: v.key, param, label: v.label, unit, min, max };
+    });
+};
+
+/**
+ * Coste del tratamiento por kg de suelo (€/kg): operación y aireación durante `days` más el
+ * inóculo, repartidos entre los sólidos del reactor (θ · V).
+ *
+ * @param {import('./params.js').ModelParams} params
+ * @param {number} days
+ * @param {typeof DEFAULT_COSTS} [costs]
+ */
+export const treatmentCost = (params, days, costs = DEFAULT_COSTS) => {
+  const daily = costs.operation + costs.aeration * aerationIntensity(params).aeration;
+  const inoculum = costs.inoculum * params.X_0 * params.V_r / 1000;
+  return (daily * days + inoculum) / (params.theta * params.V_r);
+};
+
+// Distancia a cumplir los objetivos incumplidos al final, relativa a cada límite
+const shortfall = (compliance) => compliance.targets
+  .filter(t => !t.met)
+  .reduce((sum, { target, final }) => sum + (target.kind === 'removal'
+    ? (target.value - final) / Math.max(target.value, 1e-12)
+    : final / Math.max(target.value, 1e-12) - 1), 0);
+
+/**
+ * @typedef {Object} OptimizationResult
+ * @property {'time'|'cost'} objective
+ * @property {boolean} feasible - La mejor combinación cumple todos los objetivos
+ * @property {number|null} value - Objetivo alcanzado (días o €/kg), null si no se cumple
+ * @property {number|null} days - Tiempo de cumplimiento (días)
+ * @property {number|null} cost - Coste por kg de suelo (€/kg)
+ * @property {{ key: string, param: string, value: number, at_bound: boolean }[]} decisions
+ * @property {import('./params.js').ModelParams} params - Parámetros completos; t_final es la duración recomendada
+ * @property {import('./compliance.js').ComplianceSummary} compliance
+ * @property {number} evaluations - Simulaciones ejecutadas
+ * @property {number} iterations
+ * @property {boolean} converged
+ */
+
+/**
+ * Busca la combinación de variables de decisión que cumple todos los objetivos en el menor
+ * tiempo o con el menor coste por kg de suelo. La duración no se explora a ciegas: cada
+ * combinación se simula hasta el límite superior de t_final y la duración es su tiempo de
+ * cumplimiento (nunca menor que el límite inferior). Primero se explora el espacio con un
+ * hipercubo latino y después se refina el mejor punto con Nelder-Mead. Las combinaciones
+ * que no cumplen se penalizan según lo lejos que quedan de los límites.
+ *
+ * @param {Object} options
+ * @param {import('./compliance.js').ComplianceTarget[]} options.targets
+ * @param {Partial<import('./params.js').ModelParams>} [options.baseParams]
+ * @param {{ key: string, param: string, min: number, max: number }[]} [options.variables]
+ * @param {'time'|'cost'} [options.objective]
+ * @param {typeof DEFAULT_COSTS} [options.costs]
+ * @param {import('./solvers.js').SolverOptions} [options.solver]
+ * @param {number} [options.samples] - Puntos de la exploración inicial
+ * @param {number} [options.maxIterations] - Iteraciones de Nelder-Mead
+ * @param {number} [options.seed]
+ * @param {(info: { phase: 'screening'|'refining', evaluations: number, best: number }) => void} [options.onProgress]
+ * @param {import('./jobs.js').Runner} [options.runner] - Ejecutor de las simulaciones; la
+ *   exploración inicial se reparte entre sus hilos
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<OptimizationResult>}
+ */
+export const optimizeTreatment = async ({
+  targets,
+  baseParams = DEFAULT_PARAMS,
+  variables,
+  objective = 'time',
+  costs = DEFAULT_COSTS,
+  solver = DEFAULT_SOLVER,
+  samples = 12,
+  maxIterations = 40,
+  seed = 1,
+  onProgress,
+  runner = localRunner,
+  signal,
+}) => {
+  const base = { ...DEFAULT_PARAMS, ...baseParams };
+  const free = variables ?? defaultDecisionVariables(base);
+  if (!targets || targets.length === 0) throw new Error('Define al menos un objetivo de cumplimiento');
+  targets.forEach(t => {
+    const problem = validateTarget(t, base.contaminant);
+    if (problem) throw new Error(`Objetivo inválido: ${problem}`);
+  });
+  if (!OPTIMIZATION_OBJECTIVES.some(o => o.value === objective)) throw new Error(`Objetivo de optimización desconocido: ${objective}`);
+  free.forEach(v => {
+    if (!(v.max > v.min)) throw new Error(`Límites inválidos para ${v.param}`);
+  });
+
+  const duration = free.find(v => v.key === 't_final');
+  const searched = free.filter(v => v.key !== 't_final');
+  const horizon = duration ? duration.max : base.t_final;
+  const minDays = duration ? duration.min / 24 : 0;
+
+  const toParams = (u) => {
+    const params = { ...base, t_final: horizon };
+    searched.forEach((v, j) => { params[v.param] = v.min + u[j] * (v.max - v.min); });
+    return params;
+  };
+
+  const columns = [...new Set(targets.map(targetSeriesKey))];
+  let evaluations = 0;
+  let best = null;
+  const score = (u, params, compliance) => {
+    if (!compliance) return Infinity;
+    const days = compliance.met ? Math.max(compliance.time_days, minDays) : null;
+    const cost = days === null ? null : treatmentCost(params, days, costs);
+    const value = days === null ? INFEASIBLE * (1 + shortfall(compliance)) : objective === 'time' ? days : cost;
+    if (!best || value < best.value) best = { u, value, params, compliance, days, cost };
+    return value;
+  };
+
+  // Las simulaciones pueden terminar en cualquier orden, pero los puntos se puntúan en el
+  // orden en que se piden para que los empates se resuelvan siempre igual
+  let scored = Promise.resolve();
+  const evaluate = (u) => {
+    evaluations++;
+    const params = toParams(u);
+    const run = runner.run({ type: 'evaluate', params, solver, columns, metrics: false }, { signal })
+      .then(({ results }) => evaluateTargets(results, targets, base.contaminant), (err) => {
+        if (err instanceof JobCancelledError) throw err;
+        return null;
+      });
+    scored = Promise.all([scored, run]).then(([, compliance]) => score(u, params, compliance));
+    return scored;
+  };
+
+  // Exploración: punto de partida del panel más un hipercubo latino
+  const random = createRandom(seed);
+  const strata = searched.map(() => shuffle([...Array(samples).keys()], random));
+  const start = searched.map(v => Math.min(1, Math.max(0, (base[v.param] - v.min) / (v.max - v.min))));
+  const screening = searched.length > 0
+    ? Array.from({ length: samples }, (_, i) => strata.map(s => (s[i] + random()) / samples))
+    : [];
+  await Promise.all([start, ...screening].map((u, i) => evaluate(u).then(() => {
+    if (i > 0) onProgress?.({ phase: 'screening', evaluations: i + 1, best: best?.value ?? Infinity });
+  })));
+  if (!best) throw new Error('La simulación falla en todo el espacio de búsqueda');
+
+  let iterations = 0;
+  let converged = true;
+  if (searched.length > 0) {
+    ({ iterations, converged } = await nelderMead(evaluate, best.u, {
+      maxIterations,
+      step: 0.05,
+      onProgress: () => onProgress?.({ phase: 'refining', evaluations, best: best.value }),
+    }));
+  }
+
+  // Duración recomendada: el cumplimiento redondeado al paso de la malla
+  const feasible = best.days !== null;
+  const recommended = !duration ? base.t_final
+    : feasible ? Math.min(horizon, Math.max(duration.min, Math.ceil(best.days * 24 / base.dt) * base.dt))
+      : horizon;
+  return {
+    objective,
+    feasible,
+    value: feasible ? best.value : null,
+    days: best.days,
+    cost: best.cost,
+    decisions: searched.map((v, j) => ({
+      key: v.key,
+      param: v.param,
+      value: best.params[v.param],
+      at_bound: best.u[j] <= 1e-6 || best.u[j] >= 1 - 1e-6,
+    })),
+    params: { ...best.params, t_final: recommended },
+    compliance: best.compliance,
+    evaluations,
+    iterations,
+    converged,
+  };
+};
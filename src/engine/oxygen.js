@@ -0,0 +1,97 @@
+// ============================================================================
+// OXÍGENO DISUELTO Y AIREACIÓN
+// ============================================================================
+import { BIOMASS_FORMULA, getContaminant, molarMass } from './contaminants.js';
+import { getSubstrate } from './substrates.js';
+
+// Modelos de oxígeno disuelto
+export const OXYGEN_MODELS = [
+  { value: 'none', label: 'Sin limitación', description: 'El oxígeno no interviene: el slurry se supone bien aireado.' },
+  {
+    value: 'dual_monod',
+    label: 'Doble Monod (sustrato × O₂)',
+    description: 'dO₂/dt = kLa · (O₂,sat − O₂) − OUR; las tasas de consumo y crecimiento se multiplican por O₂/(K_O₂ + O₂).',
+  },
+];
+
+// Cómo se fija la transferencia de oxígeno
+export const AERATION_INPUTS = [
+  { value: 'kla', label: 'kLa directo', description: 'kLa fijo; la agitación solo cambia la vista 3D.' },
+  {
+    value: 'airflow',
+    label: 'Caudal de aire y agitación',
+    description: 'kLa = kLa_ref · (Q_aire/0,5 vvm)^0,5 · (N/200 rpm)^1,5',
+  },
+];
+
+// Correlación empírica de kLa (tipo van't Riet): referencia a 0,5 vvm y 200 rpm
+const KLA_REFERENCE = { kLa: 20, Q_air: 0.5, N_agit: 200, airflow_exponent: 0.5, agitation_exponent: 1.5 };
+
+/**
+ * Coeficiente volumétrico de transferencia de oxígeno (1/h).
+ *
+ * @param {import('./params.js').ModelParams} params
+ */
+export const transferCoefficient = (params) => {
+  if (params.aeration_input !== 'airflow') return params.kLa;
+  const { kLa, Q_air, N_agit, airflow_exponent, agitation_exponent } = KLA_REFERENCE;
+  return kLa * (params.Q_air / Q_air) ** airflow_exponent * (params.N_agit / N_agit) ** agitation_exponent;
+};
+
+/**
+ * Intensidad de la aireación y de la agitación respecto a la referencia (1 = 0,5 vvm o
+ * kLa de referencia, y 200 rpm), para la vista 3D.
+ *
+ * @param {import('./params.js').ModelParams} params
+ * @returns {{ aeration: number, agitation: number }}
+ */
+export const aerationIntensity = (params) => ({
+  aeration: params.aeration_input === 'airflow' ? params.Q_air / KLA_REFERENCE.Q_air : params.kLa / KLA_REFERENCE.kLa,
+  agitation: params.N_agit / KLA_REFERENCE.N_agit,
+});
+
+/**
+ * Demanda teórica de oxígeno (mg O₂/mg) de la oxidación completa de un compuesto a CO₂,
+ * H₂O, NH₃, HCl, H₃PO₄ y H₂SO₄.
+ *
+ * @param {Object<string, number>} formula
+ */
+export const oxygenDemand = (formula) => {
+  const { C = 0, H = 0, O = 0, N = 0, Cl = 0, P = 0, S = 0 } = formula;
+  const water = (H - 3 * N - Cl - 3 * P - 2 * S) / 2;
+  const o2 = (2 * C + 4 * P + 4 * S + water - O) / 2;
+  return (o2 * 32) / molarMass(formula);
+};
+
+const demandCache = new Map();
+
+/**
+ * Demanda de oxígeno por mg de contaminante (G), de cada metabolito (M), de cada
+ * co-sustrato (S) y de biomasa (X), con la misma forma que las fracciones de balance.js.
+ *
+ * @param {string} contaminant
+ * @param {string[]} [substrates] - Ids de los co-sustratos, en el orden del vector de estado
+ */
+export const oxygenDemands = (contaminant, substrates = []) => {
+  const cacheKey = [contaminant, ...substrates].join('|');
+  if (!demandCache.has(cacheKey)) {
+    const { formula, metabolites } = getContaminant(contaminant);
+    demandCache.set(cacheKey, {
+      G: oxygenDemand(formula),
+      M: metabolites.map(m => oxygenDemand(m.formula)),
+      S: substrates.map(id => oxygenDemand(getSubstrate(id).formula)),
+      X: oxygenDemand(BIOMASS_FORMULA),
+    });
+  }
+  return demandCache.get(cacheKey);
+};
+
+/**
+ * El oxígeno disuelto es una variable de estado (la última del vector) solo con un modelo activo.
+ *
+ * @param {import('./params.js').ModelParams} params
+ */
+export const oxygenEnabled = (params) => (params.oxygen_model ?? 'none') !== 'none';
+
+/** Factor de limitación por oxígeno O₂/(K_O₂ + O₂). */
+export const oxygenFactor = (C_O2, K_O2) => Math.max(0, C_O2) / (K_O2 + Math.max(0, C_O2) + 1e-10);
@@ -0,0 +1,867 @@
+// ============================================================================
+// PARÁMETROS DEL MODELO
+// ============================================================================
+import { CONTAMINANTS, DEFAULT_CONTAMINANT, contaminantLabel, getContaminant } from './contaminants.js';
+import {
+  INTERACTION_MODELS,
+  NO_SUBSTRATE,
+  SUBSTRATES,
+  SUBSTRATE_SLOTS,
+  activeSubstrates,
+  getSubstrate,
+  substrateLabel,
+} from './substrates.js';
+import { ENVIRONMENT_INPUTS, PROFILE_TYPES, validateProfile } from './environment.js';
+import { AERATION_INPUTS, OXYGEN_MODELS } from './oxygen.js';
+import { BOUND_RESIDUE_MODELS, SORPTION_ISOTHERMS, SORPTION_SITE_MODELS } from './sorption.js';
+import {
+  DEFAULT_CHECKPOINT_DAYS,
+  DEFAULT_REMOVAL_THRESHOLDS,
+  validateCheckpointDays,
+  validateRemovalThresholds,
+} from './metrics.js';
+import { eventConflicts, validateEvents } from './events.js';
+import { MAX_ZONES, SPATIAL_MODELS, spatialEnabled } from './spatial.js';
+import {
+  CAPACITY_MODELS,
+  GUILDS,
+  GUILD_SLOTS,
+  LAG_MODELS,
+  NO_GUILD,
+  PRODUCT_INHIBITION_MODELS,
+  activeGuilds,
+  getGuild,
+  guildLabel,
+} from './microbes.js';
+
+/**
+ * @typedef {Object} ModelParams
+ * @property {string} contaminant - Id del contaminante en CONTAMINANTS
+ * @property {number} C_G_aq_0 - Contaminante inicial en agua (mg/L)
+ * @property {number} C_G_s_0 - Contaminante inicial en sólido (mg/kg)
+ * @property {number} C_A_aq_0 - Primer metabolito inicial (mg/L)
+ * @property {number} X_0 - Biomasa inicial (mg/L)
+ * @property {number} k_max - Tasa máxima de degradación (1/h)
+ * @property {number} K_s - Constante de semisaturación (mg/L)
+ * @property {number} mu_max - Tasa máxima de crecimiento (1/h)
+ * @property {number} k_d - Tasa de muerte microbiana (1/h)
+ * @property {number} Y_x - Rendimiento biomasa/sustrato (mg/mg)
+ * @property {'decoupled'|'yield'} growth_model - Crecimiento independiente (μ_max) o acoplado al consumo (Y_x)
+ * @property {number} K_i - Constante de inhibición del contaminante (mg/L)
+ * @property {'none'|'baranyi'} lag_model - Fase de latencia
+ * @property {number} lag_time - Duración de la latencia λ (h)
+ * @property {number} nu_lag - Velocidad de adaptación fisiológica ν (1/h)
+ * @property {'none'|'noncompetitive'} product_inhibition - Inhibición del crecimiento por el primer metabolito
+ * @property {number} K_I_A - Constante de inhibición por el primer metabolito (mg/L)
+ * @property {'none'|'logistic'} capacity_model - Límite logístico del crecimiento
+ * @property {number} X_cap - Capacidad de carga de la biomasa total (mg/L)
+ * @property {string} guild_2 - Id del segundo gremio en GUILDS o 'none'
+ * @property {number} X_G2_0 - Biomasa inicial del segundo gremio (mg/L)
+ * @property {number} k_max_G2 - Tasa máxima de degradación del segundo gremio (1/h)
+ * @property {number} K_s_G2 - Constante de semisaturación del segundo gremio (mg/L)
+ * @property {number} mu_max_G2 - Tasa máxima de crecimiento del segundo gremio (1/h)
+ * @property {number} Y_x_G2 - Rendimiento biomasa/sustrato del segundo gremio (mg/mg)
+ * @property {number} k_d_G2 - Tasa de muerte del segundo gremio (1/h)
+ * @property {number} Y_A_G2 - Rendimiento del primer metabolito en el segundo gremio (mol/mol)
+ * @property {string} guild_3 - Id del tercer gremio en GUILDS o 'none'
+ * @property {number} X_G3_0
+ * @property {number} k_max_G3
+ * @property {number} K_s_G3
+ * @property {number} mu_max_G3
+ * @property {number} Y_x_G3
+ * @property {number} k_d_G3
+ * @property {number} Y_A_G3
+ * @property {'none'|'competitive'|'noncompetitive'|'haldane'|'cometabolic'} substrate_interaction - Interacción entre sustratos
+ * @property {string} cosubstrate_1 - Id del primer co-sustrato en SUBSTRATES o 'none'
+ * @property {number} C_S1_aq_0 - Primer co-sustrato inicial (mg/L)
+ * @property {number} k_max_S1 - Tasa máxima de consumo del primer co-sustrato (1/h)
+ * @property {number} K_s_S1 - Constante de semisaturación del primer co-sustrato (mg/L)
+ * @property {number} Y_S1 - Rendimiento biomasa/primer co-sustrato (mg/mg)
+ * @property {number} K_i_S1 - Constante de inhibición del primer co-sustrato (mg/L)
+ * @property {number} C_S1_aq_in - Primer co-sustrato en el influente (mg/L)
+ * @property {string} cosubstrate_2 - Id del segundo co-sustrato en SUBSTRATES o 'none'
+ * @property {number} C_S2_aq_0 - Segundo co-sustrato inicial (mg/L)
+ * @property {number} k_max_S2
+ * @property {number} K_s_S2
+ * @property {number} Y_S2
+ * @property {number} K_i_S2
+ * @property {number} C_S2_aq_in
+ * @property {'none'|'arrhenius'|'ctmi'} T_model - Corrección de temperatura
+ * @property {'constant'|'sinusoid'|'csv'} T_profile - Variación temporal de la temperatura
+ * @property {number} T_mean - Temperatura constante o media del ciclo diario (°C)
+ * @property {number} T_amplitude - Amplitud del ciclo diario de temperatura (°C)
+ * @property {number} T_peak_hour - Hora del máximo diario de temperatura (h)
+ * @property {[number, number][]} T_series - Perfil de temperatura [tiempo_h, °C]
+ * @property {number} T_ref - Temperatura de referencia de las constantes cinéticas (°C)
+ * @property {number} theta_T - Coeficiente de temperatura θ (–)
+ * @property {number} T_min - Temperatura mínima de crecimiento (°C)
+ * @property {number} T_opt - Temperatura óptima (°C)
+ * @property {number} T_max - Temperatura máxima de crecimiento (°C)
+ * @property {'none'|'cardinal'} pH_model - Corrección de pH
+ * @property {'constant'|'sinusoid'|'csv'} pH_profile
+ * @property {number} pH_mean
+ * @property {number} pH_amplitude
+ * @property {number} pH_peak_hour
+ * @property {[number, number][]} pH_series
+ * @property {number} pH_min - pH mínimo de actividad
+ * @property {number} pH_opt - pH óptimo
+ * @property {number} pH_max - pH máximo de actividad
+ * @property {'none'|'inhibition'} sal_model - Corrección por salinidad
+ * @property {'constant'|'sinusoid'|'csv'} sal_profile
+ * @property {number} sal_mean - Salinidad (g/L)
+ * @property {number} sal_amplitude
+ * @property {number} sal_peak_hour
+ * @property {[number, number][]} sal_series
+ * @property {number} K_sal - Salinidad que reduce la actividad a la mitad (g/L)
+ * @property {'none'|'dual_monod'} oxygen_model - Limitación por oxígeno disuelto
+ * @property {'kla'|'airflow'} aeration_input - kLa directo o calculado con el caudal de aire y la agitación
+ * @property {number} kLa - Coeficiente de transferencia de oxígeno (1/h)
+ * @property {number} Q_air - Caudal de aire (vvm: L de aire por L de líquido y minuto)
+ * @property {number} N_agit - Velocidad de agitación (rpm)
+ * @property {number} C_O2_sat - Oxígeno disuelto de saturación (mg/L)
+ * @property {number} C_O2_0 - Oxígeno disuelto inicial (mg/L)
+ * @property {number} K_O2 - Constante de semisaturación del oxígeno (mg/L)
+ * @property {number} C_O2_in - Oxígeno disuelto en el influente (mg/L)
+ * @property {'linear'|'freundlich'|'langmuir'} sorption_isotherm - Isoterma de equilibrio
+ * @property {number} K_d - Coeficiente de distribución de la isoterma lineal (L/kg)
+ * @property {number} K_f - Coeficiente de Freundlich ((mg/kg)/(mg/L)^(1/n))
+ * @property {number} n_f - Exponente de Freundlich (n)
+ * @property {number} q_max - Capacidad máxima de sorción de Langmuir (mg/kg)
+ * @property {number} K_L - Constante de afinidad de Langmuir (L/mg)
+ * @property {'one'|'two'} sorption_sites - Un sitio cinético o dos sitios (equilibrio + cinético)
+ * @property {number} k_sorp - Tasa de sorción; con dos sitios, la del sitio cinético (1/h)
+ * @property {number} f_eq - Fracción de la isoterma en el sitio de equilibrio
+ * @property {number} k_sorp_eq - Tasa de sorción del sitio de equilibrio (1/h)
+ * @property {'none'|'irreversible'} bound_residue - Formación de fracción ligada no biodisponible
+ * @property {number} k_irr - Tasa de paso del sorbido a la fracción ligada (1/h)
+ * @property {number} theta - Relación sólido/líquido (kg/L)
+ * @property {number} Y_A - Rendimiento del primer metabolito respecto al contaminante (mol/mol)
+ * @property {number} k_A - Tasa de degradación del primer metabolito (1/h)
+ * @property {number} Y_B - Rendimiento del segundo metabolito respecto al primero (mol/mol)
+ * @property {number} k_B - Tasa de degradación del segundo metabolito (1/h)
+ * @property {number} Y_C - Rendimiento del tercer metabolito respecto al segundo (mol/mol)
+ * @property {number} k_C - Tasa de degradación del tercer metabolito (1/h)
+ * @property {'batch'|'cstr'|'sbr'} mode - Modo de operación del reactor
+ * @property {number} V_r - Volumen útil del reactor (L)
+ * @property {number} Q_in - Caudal de alimentación del CSTR (L/h)
+ * @property {number} SRT - Tiempo de retención de sólidos del CSTR (h)
+ * @property {number} C_G_aq_in - Contaminante en el influente (mg/L)
+ * @property {number} C_G_s_in - Contaminante en los sólidos alimentados (mg/kg)
+ * @property {number} X_in - Biomasa en el influente (mg/L)
+ * @property {number} t_fill - Duración del llenado del ciclo SBR (h)
+ * @property {number} t_react - Duración de la reacción del ciclo SBR (h)
+ * @property {number} t_settle - Duración de la sedimentación del ciclo SBR (h)
+ * @property {number} t_decant - Duración del vaciado del ciclo SBR (h)
+ * @property {number} f_exchange - Fracción del volumen reemplazada en cada ciclo SBR
+ * @property {number} f_retention - Fracción de la biomasa retenida al vaciar
+ * @property {'mixed'|'zones'} spatial_model - Mezcla perfecta o capas de suspensión y lecho sedimentado (solo en lote)
+ * @property {number} n_zones - Capas de suspensión del reactor por zonas
+ * @property {number} H_r - Altura del slurry (m)
+ * @property {number} v_settle - Velocidad de sedimentación de las partículas (m/h)
+ * @property {number} N_js - Velocidad de agitación para la suspensión completa (rpm)
+ * @property {number} k_mix - Intercambio entre capas vecinas a 200 rpm (1/h)
+ * @property {number} k_pore - Intercambio del agua intersticial del lecho (1/h)
+ * @property {number} theta_bed - Sólidos en el lecho sedimentado (kg/L)
+ * @property {number} t_final - Tiempo final (h)
+ * @property {number} dt - Intervalo de la malla de salida (h)
+ * @property {number[]} metric_days - Días de control de las variables de respuesta
+ * @property {number[]} metric_thresholds - Remociones (%) cuyo tiempo se informa (T₅₀, T₉₀…)
+ * @property {import('./events.js').ScheduledEvent[]} events - Intervenciones programadas (dosis, aireación)
+ */
+
+/** @type {ModelParams} */
+export const DEFAULT_PARAMS = {
+  contaminant: DEFAULT_CONTAMINANT, // Contaminante y cadena de metabolitos (ver contaminants.js)
+
+  // Condiciones iniciales
+  C_G_aq_0: 100,      // Concentración inicial de glifosato en agua (mg/L)
+  C_G_s_0: 0,         // Concentración inicial de glifosato en sólido (mg/kg)
+  C_A_aq_0: 0,        // Concentración inicial de AMPA (mg/L)
+  X_0: 10,            // Biomasa inicial (mg/L)
+  
+  // Parámetros cinéticos
+  k_max: 0.08,        // Tasa máxima de degradación (1/h)
+  K_s: 20,            // Constante de semisaturación (mg/L)
+  mu_max: 0.05,       // Tasa máxima de crecimiento microbiano (1/h)
+  k_d: 0.005,         // Tasa de muerte microbiana (1/h)
+  Y_x: 0.3,           // Rendimiento biomasa/sustrato (mg biomasa/mg glifosato)
+  growth_model: 'decoupled', // 'decoupled': dX/dt = μ_max·f(S)·X − k_d·X; 'yield': dX/dt = Y_x·r_deg − k_d·X
+  K_i: 500,           // Constante de inhibición del glifosato (mg/L)
+
+  // Población microbiana (ver microbes.js); con los modelos en 'none' y sin gremios
+  // adicionales, X es una única población activa desde el inicio
+  lag_model: 'none',  // 'none' o 'baranyi'
+  lag_time: 24,       // Duración de la latencia λ (h)
+  nu_lag: 0.1,        // Velocidad de adaptación fisiológica ν (1/h)
+  product_inhibition: 'none', // 'none' o 'noncompetitive'
+  K_I_A: 50,          // Constante de inhibición por AMPA (mg/L)
+  capacity_model: 'none', // 'none' o 'logistic'
+  X_cap: 200,         // Capacidad de carga de la biomasa total (mg/L)
+  guild_2: 'none',    // Gremios adicionales: los huecos vacíos no añaden variables de estado
+  X_G2_0: 5,          // Biomasa inicial (mg/L)
+  k_max_G2: 0.05,     // Tasa máxima de degradación (1/h)
+  K_s_G2: 30,         // Constante de semisaturación (mg/L)
+  mu_max_G2: 0.03,    // Tasa máxima de crecimiento (1/h)
+  Y_x_G2: 0.35,       // Rendimiento biomasa/sustrato (mg/mg)
+  k_d_G2: 0.005,      // Tasa de muerte (1/h)
+  Y_A_G2: 0,          // Rendimiento de AMPA (mol/mol)
+  guild_3: 'none',
+  X_G3_0: 5,
+  k_max_G3: 0.05,
+  K_s_G3: 30,
+  mu_max_G3: 0.03,
+  Y_x_G3: 0.35,
+  k_d_G3: 0.005,
+  Y_A_G3: 0,
+
+  // Co-sustratos (ver substrates.js); los huecos vacíos no añaden variables de estado
+  substrate_interaction: 'none', // 'none', 'competitive', 'noncompetitive', 'haldane' o 'cometabolic'
+  cosubstrate_1: 'none',
+  C_S1_aq_0: 500,     // Co-sustrato 1 inicial (mg/L)
+  k_max_S1: 0.4,      // Tasa máxima de consumo (1/h)
+  K_s_S1: 50,         // Constante de semisaturación (mg/L)
+  Y_S1: 0.4,          // Rendimiento biomasa/co-sustrato (mg/mg)
+  K_i_S1: 5000,       // Constante de inhibición (mg/L)
+  C_S1_aq_in: 0,      // Co-sustrato 1 en el influente (mg/L)
+  cosubstrate_2: 'none',
+  C_S2_aq_0: 500,
+  k_max_S2: 0.4,
+  K_s_S2: 50,
+  Y_S2: 0.4,
+  K_i_S2: 5000,
+  C_S2_aq_in: 0,
+
+  // Factores ambientales (ver environment.js); con los modelos en 'none' no intervienen
+  T_model: 'none',    // 'none', 'arrhenius' o 'ctmi'
+  T_profile: 'constant', // 'constant', 'sinusoid' o 'csv'
+  T_mean: 20,         // Temperatura constante o media diaria (°C)
+  T_amplitude: 5,     // Amplitud del ciclo diario (°C)
+  T_peak_hour: 15,    // Hora del máximo diario (h)
+  T_series: [],       // Perfil [tiempo_h, °C] para 'csv'
+  T_ref: 20,          // Temperatura a la que se dan k_max, μ_max, k_d... (°C)
+  theta_T: 1.07,      // Coeficiente θ de Arrhenius simplificado
+  T_min: 5,           // Temperaturas cardinales (°C)
+  T_opt: 30,
+  T_max: 40,
+  pH_model: 'none',   // 'none' o 'cardinal'
+  pH_profile: 'constant',
+  pH_mean: 7,
+  pH_amplitude: 0.5,
+  pH_peak_hour: 15,
+  pH_series: [],
+  pH_min: 4,          // pH cardinales
+  pH_opt: 7,
+  pH_max: 10,
+  sal_model: 'none',  // 'none' o 'inhibition'
+  sal_profile: 'constant',
+  sal_mean: 5,        // Salinidad (g/L)
+  sal_amplitude: 1,
+  sal_peak_hour: 15,
+  sal_series: [],
+  K_sal: 20,          // Salinidad que reduce la actividad a la mitad (g/L)
+
+  // Oxígeno disuelto y aireación (ver oxygen.js); con 'none' el slurry se supone bien aireado
+  oxygen_model: 'none', // 'none' o 'dual_monod'
+  aeration_input: 'kla', // 'kla' o 'airflow'
+  kLa: 20,            // Coeficiente de transferencia de oxígeno (1/h)
+  Q_air: 0.5,         // Caudal de aire (vvm)
+  N_agit: 200,        // Velocidad de agitación (rpm)
+  C_O2_sat: 8,        // Saturación de oxígeno (mg/L)
+  C_O2_0: 8,          // Oxígeno disuelto inicial (mg/L)
+  K_O2: 0.5,          // Semisaturación del oxígeno (mg/L)
+  C_O2_in: 0,         // Oxígeno disuelto en el influente (mg/L)
+
+  // Parámetros de sorción (ver sorption.js)
+  sorption_isotherm: 'linear', // 'linear', 'freundlich' o 'langmuir'
+  K_d: 50,            // Coeficiente de distribución (L/kg)
+  K_f: 50,            // Coeficiente de Freundlich ((mg/kg)/(mg/L)^(1/n))
+  n_f: 1.2,           // Exponente de Freundlich
+  q_max: 3000,        // Capacidad máxima de Langmuir (mg/kg)
+  K_L: 0.02,          // Afinidad de Langmuir (L/mg)
+  sorption_sites: 'one', // 'one' o 'two'
+  k_sorp: 0.1,        // Tasa de sorción (1/h); con dos sitios, la del sitio cinético
+  f_eq: 0.5,          // Fracción de la isoterma en el sitio de equilibrio
+  k_sorp_eq: 2,       // Tasa de sorción del sitio de equilibrio (1/h)
+  bound_residue: 'none', // 'none' o 'irreversible'
+  k_irr: 0.002,       // Paso a la fracción ligada irreversible (1/h)
+  theta: 0.1,         // Relación sólido/líquido (kg/L)
+  
+  // Parámetros de los metabolitos (A = AMPA en el glifosato)
+  Y_A: 0.6,           // Rendimiento AMPA/glifosato (mol/mol)
+  k_A: 0.02,          // Tasa de degradación de AMPA (1/h)
+  Y_B: 0.5,           // Rendimiento del segundo metabolito (mol/mol)
+  k_B: 0.02,          // Tasa de degradación del segundo metabolito (1/h)
+  Y_C: 0.5,           // Rendimiento del tercer metabolito (mol/mol)
+  k_C: 0.02,          // Tasa de degradación del tercer metabolito (1/h)
+
+  // Operación del reactor
+  mode: 'batch',      // Modo de operación: 'batch', 'cstr' o 'sbr'
+  V_r: 100,           // Volumen útil del reactor (L)
+  Q_in: 2,            // Caudal de alimentación del CSTR (L/h) → TRH = 50 h
+  SRT: 200,           // Tiempo de retención de sólidos del CSTR (h)
+  C_G_aq_in: 100,     // Glifosato en el influente (mg/L)
+  C_G_s_in: 0,        // Glifosato en los sólidos alimentados (mg/kg)
+  X_in: 0,            // Biomasa en el influente (mg/L)
+  t_fill: 1,          // Llenado del ciclo SBR (h)
+  t_react: 20,        // Reacción del ciclo SBR (h)
+  t_settle: 2,        // Sedimentación del ciclo SBR (h)
+  t_decant: 1,        // Vaciado del ciclo SBR (h)
+  f_exchange: 0.5,    // Fracción del volumen reemplazada por ciclo
+  f_retention: 0.8,   // Fracción de biomasa retenida por sedimentación al vaciar
+
+  // Reactor por zonas (ver spatial.js); con 'mixed' el slurry está perfectamente mezclado
+  spatial_model: 'mixed', // 'mixed' o 'zones'
+  n_zones: 3,         // Capas de suspensión
+  H_r: 0.5,           // Altura del slurry (m)
+  v_settle: 0.2,      // Velocidad de sedimentación de las partículas (m/h)
+  N_js: 300,          // Agitación para la suspensión completa (rpm)
+  k_mix: 5,           // Intercambio entre capas a 200 rpm (1/h)
+  k_pore: 0.02,       // Intercambio del agua intersticial del lecho (1/h)
+  theta_bed: 1.3,     // Sólidos en el lecho sedimentado (kg/L)
+  
+  // Tiempo de simulación
+  t_final: 336,       // Tiempo final (horas) = 14 días
+  dt: 0.5,            // Paso de tiempo (horas)
+
+  // Variables de respuesta (ver metrics.js); no intervienen en la simulación
+  metric_days: DEFAULT_CHECKPOINT_DAYS,
+  metric_thresholds: DEFAULT_REMOVAL_THRESHOLDS,
+
+  // Intervenciones del operador durante el tratamiento (ver events.js)
+  events: [],
+};
+
+// Parámetros categóricos y sus valores admitidos. Los selectores con `when` solo se
+// muestran con esa selección (ver appliesTo)
+export const PARAMETER_CHOICES = [
+  {
+    key: 'contaminant',
+    label: 'Contaminante',
+    options: CONTAMINANTS.map(c => ({ value: c.id, label: c.name, description: c.family })),
+  },
+  {
+    key: 'mode',
+    label: 'Modo de operación',
+    options: [
+      { value: 'batch', label: 'Lote (batch)' },
+      { value: 'cstr', label: 'Continuo (CSTR)' },
+      { value: 'sbr', label: 'Secuencial por lotes (SBR)' },
+    ],
+  },
+  {
+    key: 'growth_model',
+    label: 'Crecimiento microbiano',
+    options: [
+      { value: 'decoupled', label: 'Desacoplado (μ_max)', description: 'dX/dt = μ_max · C_G/(K_s+C_G) · X − k_d · X; Y_x no interviene.' },
+      { value: 'yield', label: 'Acoplado al consumo (Y_x)', description: 'dX/dt = Y_x · r_deg − k_d · X; μ_max no interviene.' },
+    ],
+  },
+  { key: 'lag_model', label: 'Fase de latencia', options: LAG_MODELS },
+  { key: 'product_inhibition', label: 'Inhibición por el primer metabolito', options: PRODUCT_INHIBITION_MODELS },
+  { key: 'capacity_model', label: 'Capacidad de carga', options: CAPACITY_MODELS },
+  ...GUILD_SLOTS.map((slot, i) => ({
+    key: slot.choice,
+    label: `Gremio ${i + 2}`,
+    options: [
+      { value: NO_GUILD, label: 'Ninguno' },
+      ...GUILDS.map(g => ({ value: g.id, label: g.name, description: g.description })),
+    ],
+  })),
+  {
+    key: 'substrate_interaction',
+    label: 'Interacción entre sustratos',
+    options: INTERACTION_MODELS,
+  },
+  ...SUBSTRATE_SLOTS.map((slot, i) => ({
+    key: slot.choice,
+    label: `Co-sustrato ${i + 1}`,
+    options: [
+      { value: NO_SUBSTRATE, label: 'Ninguno' },
+      ...SUBSTRATES.map(s => ({ value: s.id, label: s.name, description: s.description })),
+    ],
+  })),
+  {
+    key: 'oxygen_model',
+    label: 'Oxígeno disuelto',
+    options: OXYGEN_MODELS,
+  },
+  {
+    key: 'aeration_input',
+    label: 'Transferencia de oxígeno',
+    when: { oxygen_model: ['dual_monod'] },
+    options: AERATION_INPUTS,
+  },
+  { key: 'spatial_model', label: 'Distribución espacial', when: { mode: ['batch'] }, options: SPATIAL_MODELS },
+  { key: 'sorption_isotherm', label: 'Isoterma de sorción', options: SORPTION_ISOTHERMS },
+  { key: 'sorption_sites', label: 'Sitios de sorción', options: SORPTION_SITE_MODELS },
+  { key: 'bound_residue', label: 'Fracción ligada', options: BOUND_RESIDUE_MODELS },
+  // Los modelos y perfiles ambientales tienen su propio bloque en el panel
+  ...ENVIRONMENT_INPUTS.flatMap(input => [
+    { key: input.model, label: `Corrección: ${input.label}`, section: 'environment', options: input.models },
+    { key: input.profile, label: `Perfil: ${input.label}`, section: 'environment', options: PROFILE_TYPES },
+  ]),
+];
+
+// Perfiles ambientales [tiempo_h, valor]: ni numéricos ni categóricos
+const PROFILE_SERIES = ENVIRONMENT_INPUTS.map(input => input.series);
+
+// Listas de configuración de las variables de respuesta y su comprobación
+const METRIC_LISTS = { metric_days: validateCheckpointDays, metric_thresholds: validateRemovalThresholds };
+
+// Lista de intervenciones programadas
+const EVENT_LIST = 'events';
+
+// Rango de cada variable ambiental: [mín, máx, paso, amplitud máxima]
+const ENVIRONMENT_RANGES = { T: [-5, 50, 0.5, 15], pH: [2, 12, 0.1, 3], sal: [0, 100, 0.5, 20] };
+
+// Valor medio y ciclo diario de una variable; con perfil CSV solo cuenta la serie
+const environmentProfileParams = ({ key, label, unit, profile, mean, amplitude, peak }) => {
+  const [min, max, step, maxAmplitude] = ENVIRONMENT_RANGES[key];
+  const periodic = { [profile]: ['sinusoid'] };
+  return [
+    { key: mean, label: `${label} (media)`, unit, min, max, step, when: { [profile]: ['constant', 'sinusoid'] } },
+    { key: amplitude, label: 'Amplitud diaria', unit, min: 0, max: maxAmplitude, step, when: periodic },
+    { key: peak, label: 'Hora del máximo', unit: 'h', min: 0, max: 23.5, step: 0.5, when: periodic },
+  ];
+};
+
+// Constantes de cada modelo de corrección
+const ENVIRONMENT_CONSTANTS = {
+  T: [
+    { key: 'T_ref', label: 'Temperatura de referencia (T_ref)', unit: '°C', min: 0, max: 40, step: 0.5 },
+    { key: 'theta_T', label: 'Coeficiente de temperatura (θ)', unit: '–', min: 1, max: 1.2, step: 0.005 },
+    { key: 'T_min', label: 'Temperatura mínima (T_min)', unit: '°C', min: -5, max: 20, step: 0.5, when: { T_model: ['ctmi'] } },
+    { key: 'T_opt', label: 'Temperatura óptima (T_opt)', unit: '°C', min: 10, max: 45, step: 0.5, when: { T_model: ['ctmi'] } },
+    { key: 'T_max', label: 'Temperatura máxima (T_max)', unit: '°C', min: 20, max: 60, step: 0.5, when: { T_model: ['ctmi'] } },
+  ],
+  pH: [
+    { key: 'pH_min', label: 'pH mínimo', unit: '–', min: 1, max: 7, step: 0.1 },
+    { key: 'pH_opt', label: 'pH óptimo', unit: '–', min: 4, max: 10, step: 0.1 },
+    { key: 'pH_max', label: 'pH máximo', unit: '–', min: 7, max: 13, step: 0.1 },
+  ],
+  sal: [
+    { key: 'K_sal', label: 'Const. inhibición salina (K_sal)', unit: 'g/L', min: 1, max: 200, step: 1 },
+  ],
+};
+
+// Grupos y rangos de los parámetros ajustables desde la interfaz.
+// Los grupos con `modes` solo intervienen en esos modos de operación, los grupos con
+// `metabolite` n, en los contaminantes con al menos n metabolitos, y los grupos y parámetros
+// con `substrate` n, cuando el hueco n tiene co-sustrato, y los grupos con `guild` n, cuando el
+// hueco del gremio n está ocupado. Los grupos y parámetros con `when`
+// { clave: [valores] } solo se muestran si cada parámetro categórico toma uno de esos
+// valores (así, los ambientales siguen al modelo y al perfil elegidos). En títulos y
+// etiquetas, {parent}, {A}, {B} y {C} se sustituyen por los nombres del contaminante
+// seleccionado, {S1} y {S2}, por los de los co-sustratos y {G2} y {G3}, por los de los gremios.
+export const PARAMETER_GROUPS = [
+  {
+    title: '🧪 Condiciones Iniciales',
+    params: [
+      { key: 'C_G_aq_0', label: '{parent} inicial (C_G,aq,0)', unit: 'mg/L', min: 1, max: 1000, step: 1 },
+      { key: 'X_0', label: 'Biomasa inicial (X₀)', unit: 'mg/L', min: 1, max: 100, step: 1 },
+    ]
+  },
+  {
+    title: '⚗️ Cinética de Biodegradación',
+    params: [
+      { key: 'k_max', label: 'Tasa máx. degradación (k_max)', unit: '1/h', min: 0.001, max: 1, step: 0.001 },
+      { key: 'K_s', label: 'Const. semisaturación (Ks)', unit: 'mg/L', min: 1, max: 100, step: 1 },
+      { key: 'mu_max', label: 'Tasa máx. crecimiento (μ_max)', unit: '1/h', min: 0.001, max: 0.5, step: 0.001 },
+      { key: 'k_d', label: 'Tasa muerte microbiana (k_d)', unit: '1/h', min: 0.0001, max: 0.1, step: 0.0001 },
+      { key: 'Y_x', label: 'Rendimiento biomasa (Y_x)', unit: 'mg/mg', min: 0.01, max: 1, step: 0.01 },
+      { key: 'K_i', label: 'Const. inhibición (K_i)', unit: 'mg/L', min: 10, max: 5000, step: 10 },
+      { key: 'lag_time', label: 'Duración de la latencia (λ)', unit: 'h', min: 0, max: 240, step: 1, when: { lag_model: ['baranyi'] } },
+      { key: 'nu_lag', label: 'Adaptación fisiológica (ν)', unit: '1/h', min: 0.01, max: 1, step: 0.01, when: { lag_model: ['baranyi'] } },
+      { key: 'X_cap', label: 'Capacidad de carga (X_cap)', unit: 'mg/L', min: 10, max: 5000, step: 10, when: { capacity_model: ['logistic'] } },
+    ]
+  },
+  ...GUILD_SLOTS.map((slot, i) => ({
+    title: `🧫 Gremio: {${slot.token}}`,
+    guild: i + 2,
+    params: [
+      { key: slot.initial, label: 'Biomasa inicial', unit: 'mg/L', min: 0, max: 100, step: 1 },
+      { key: slot.k_max, label: `Tasa máx. degradación (k_max,${slot.token})`, unit: '1/h', min: 0.001, max: 1, step: 0.001 },
+      { key: slot.K_s, label: `Const. semisaturación (Ks,${slot.token})`, unit: 'mg/L', min: 1, max: 100, step: 1 },
+      { key: slot.mu_max, label: `Tasa máx. crecimiento (μ_max,${slot.token})`, unit: '1/h', min: 0.001, max: 0.5, step: 0.001 },
+      { key: slot.Y_x, label: `Rendimiento biomasa (Y_x,${slot.token})`, unit: 'mg/mg', min: 0.01, max: 1, step: 0.01 },
+      { key: slot.k_d, label: `Tasa muerte (k_d,${slot.token})`, unit: '1/h', min: 0.0001, max: 0.1, step: 0.0001 },
+      { key: slot.Y_A, label: `Rendimiento {A} (Y_A,${slot.token})`, unit: 'mol/mol', min: 0, max: 1, step: 0.01 },
+    ]
+  })),
+  ...SUBSTRATE_SLOTS.map((slot, i) => ({
+    title: `🍯 Co-sustrato: {${slot.token}}`,
+    substrate: i + 1,
+    params: [
+      { key: slot.initial, label: `{${slot.token}} inicial`, unit: 'mg/L', min: 0, max: 5000, step: 10 },
+      { key: slot.k_max, label: `Tasa máx. consumo (k_max,${slot.token})`, unit: '1/h', min: 0.001, max: 1, step: 0.001 },
+      { key: slot.K_s, label: `Const. semisaturación (Ks,${slot.token})`, unit: 'mg/L', min: 1, max: 1000, step: 1 },
+      { key: slot.yield, label: `Rendimiento biomasa (Y_${slot.token})`, unit: 'mg/mg', min: 0.01, max: 1, step: 0.01 },
+      { key: slot.K_i, label: `Const. inhibición (K_i,${slot.token})`, unit: 'mg/L', min: 10, max: 10000, step: 10 },
+    ]
+  })),
+  ...ENVIRONMENT_INPUTS.map(input => ({
+    title: `🌡️ ${input.label}`,
+    when: { [input.model]: input.models.filter(m => m.value !== 'none').map(m => m.value) },
+    params: [
+      ...environmentProfileParams(input),
+      ...ENVIRONMENT_CONSTANTS[input.key],
+    ],
+  })),
+  {
+    title: '💨 Aireación y Oxígeno',
+    when: { oxygen_model: ['dual_monod'] },
+    params: [
+      { key: 'kLa', label: 'Transferencia de oxígeno (kLa)', unit: '1/h', min: 0, max: 200, step: 0.5, when: { aeration_input: ['kla'] } },
+      { key: 'Q_air', label: 'Caudal de aire', unit: 'vvm', min: 0, max: 2, step: 0.05, when: { aeration_input: ['airflow'] } },
+      { key: 'N_agit', label: 'Agitación', unit: 'rpm', min: 0, max: 600, step: 10 },
+      { key: 'C_O2_sat', label: 'Saturación de O₂ (C_O₂,sat)', unit: 'mg/L', min: 1, max: 15, step: 0.1 },
+      { key: 'C_O2_0', label: 'O₂ disuelto inicial', unit: 'mg/L', min: 0, max: 15, step: 0.1 },
+      { key: 'K_O2', label: 'Semisaturación del O₂ (K_O₂)', unit: 'mg/L', min: 0.05, max: 5, step: 0.05 },
+    ]
+  },
+  {
+    title: '🔄 Sorción',
+    params: [
+      { key: 'K_d', label: 'Coef. distribución (Kd)', unit: 'L/kg', min: 1, max: 500, step: 1, when: { sorption_isotherm: ['linear'] } },
+      { key: 'K_f', label: 'Coef. de Freundlich (K_f)', unit: '(mg/kg)/(mg/L)^(1/n)', min: 1, max: 500, step: 1, when: { sorption_isotherm: ['freundlich'] } },
+      { key: 'n_f', label: 'Exponente de Freundlich (n)', unit: '–', min: 0.5, max: 5, step: 0.05, when: { sorption_isotherm: ['freundlich'] } },
+      { key: 'q_max', label: 'Capacidad máxima (q_max)', unit: 'mg/kg', min: 10, max: 20000, step: 10, when: { sorption_isotherm: ['langmuir'] } },
+      { key: 'K_L', label: 'Afinidad de Langmuir (K_L)', unit: 'L/mg', min: 0.001, max: 1, step: 0.001, when: { sorption_isotherm: ['langmuir'] } },
+      { key: 'k_sorp', label: 'Tasa de sorción (k_sorp)', unit: '1/h', min: 0.001, max: 1, step: 0.001 },
+      { key: 'f_eq', label: 'Fracción en equilibrio (f_eq)', unit: '–', min: 0.05, max: 0.95, step: 0.05, when: { sorption_sites: ['two'] } },
+      { key: 'k_sorp_eq', label: 'Tasa del sitio de equilibrio (k_sorp,eq)', unit: '1/h', min: 0.1, max: 20, step: 0.1, when: { sorption_sites: ['two'] } },
+      { key: 'k_irr', label: 'Paso a fracción ligada (k_irr)', unit: '1/h', min: 0, max: 0.05, step: 0.0005, when: { bound_residue: ['irreversible'] } },
+      { key: 'theta', label: 'Relación sólido/líquido (θ)', unit: 'kg/L', min: 0.01, max: 0.5, step: 0.01 },
+    ]
+  },
+  {
+    title: '☠️ Metabolito {A}',
+    params: [
+      { key: 'Y_A', label: 'Rendimiento {A} (Y_A)', unit: 'mol/mol', min: 0.1, max: 1, step: 0.01 },
+      { key: 'k_A', label: 'Degradación {A} (k_A)', unit: '1/h', min: 0.001, max: 0.5, step: 0.001 },
+      { key: 'K_I_A', label: 'Const. inhibición por {A} (K_I,A)', unit: 'mg/L', min: 1, max: 1000, step: 1, when: { product_inhibition: ['noncompetitive'] } },
+    ]
+  },
+  {
+    title: '☠️ Metabolito {B}',
+    metabolite: 2,
+    params: [
+      { key: 'Y_B', label: 'Rendimiento {B} (Y_B)', unit: 'mol/mol', min: 0.1, max: 1, step: 0.01 },
+      { key: 'k_B', label: 'Degradación {B} (k_B)', unit: '1/h', min: 0.001, max: 0.5, step: 0.001 },
+    ]
+  },
+  {
+    title: '☠️ Metabolito {C}',
+    metabolite: 3,
+    params: [
+      { key: 'Y_C', label: 'Rendimiento {C} (Y_C)', unit: 'mol/mol', min: 0.1, max: 1, step: 0.01 },
+      { key: 'k_C', label: 'Degradación {C} (k_C)', unit: '1/h', min: 0.001, max: 0.5, step: 0.001 },
+    ]
+  },
+  {
+    title: '🚰 Alimentación',
+    modes: ['cstr', 'sbr'],
+    params: [
+      { key: 'V_r', label: 'Volumen del reactor (V)', unit: 'L', min: 1, max: 10000, step: 1 },
+      { key: 'C_G_aq_in', label: '{parent} en influente', unit: 'mg/L', min: 0, max: 1000, step: 1 },
+      { key: 'C_G_s_in', label: '{parent} en sólidos alimentados', unit: 'mg/kg', min: 0, max: 5000, step: 10 },
+      { key: 'X_in', label: 'Biomasa en influente', unit: 'mg/L', min: 0, max: 100, step: 1 },
+      ...SUBSTRATE_SLOTS.map((slot, i) => (
+        { key: slot.feed, label: `{${slot.token}} en influente`, unit: 'mg/L', min: 0, max: 5000, step: 10, substrate: i + 1 }
+      )),
+      { key: 'C_O2_in', label: 'O₂ disuelto en influente', unit: 'mg/L', min: 0, max: 15, step: 0.1, when: { oxygen_model: ['dual_monod'] } },
+    ]
+  },
+  {
+    title: '🌊 Operación Continua',
+    modes: ['cstr'],
+    params: [
+      { key: 'Q_in', label: 'Caudal de entrada (Q)', unit: 'L/h', min: 0.01, max: 100, step: 0.01 },
+      { key: 'SRT', label: 'Retención de sólidos (SRT)', unit: 'h', min: 1, max: 2000, step: 1 },
+    ]
+  },
+  {
+    title: '🔁 Ciclo SBR',
+    modes: ['sbr'],
+    params: [
+      { key: 't_fill', label: 'Llenado', unit: 'h', min: 0.1, max: 24, step: 0.1 },
+      { key: 't_react', label: 'Reacción', unit: 'h', min: 0, max: 168, step: 1 },
+      { key: 't_settle', label: 'Sedimentación', unit: 'h', min: 0, max: 24, step: 0.5 },
+      { key: 't_decant', label: 'Vaciado', unit: 'h', min: 0.1, max: 24, step: 0.1 },
+      { key: 'f_exchange', label: 'Fracción reemplazada', unit: '–', min: 0.05, max: 0.95, step: 0.05 },
+      { key: 'f_retention', label: 'Retención de biomasa', unit: '–', min: 0, max: 1, step: 0.05 },
+    ]
+  },
+  {
+    title: '🧱 Zonas y Lecho Sedimentado',
+    modes: ['batch'],
+    when: { spatial_model: ['zones'] },
+    params: [
+      { key: 'n_zones', label: 'Capas de suspensión', unit: '–', min: 1, max: MAX_ZONES, step: 1 },
+      { key: 'H_r', label: 'Altura del slurry', unit: 'm', min: 0.1, max: 5, step: 0.05 },
+      // Con el modelo de oxígeno, la agitación está en el grupo de aireación
+      { key: 'N_agit', label: 'Agitación', unit: 'rpm', min: 10, max: 600, step: 10, when: { oxygen_model: ['none'] } },
+      { key: 'N_js', label: 'Suspensión completa (N_js)', unit: 'rpm', min: 50, max: 1000, step: 10 },
+      { key: 'v_settle', label: 'Velocidad de sedimentación (v_s)', unit: 'm/h', min: 0, max: 5, step: 0.01 },
+      { key: 'k_mix', label: 'Intercambio entre capas a 200 rpm (k_mix)', unit: '1/h', min: 0.1, max: 100, step: 0.1 },
+      { key: 'k_pore', label: 'Intercambio con el lecho (k_pore)', unit: '1/h', min: 0, max: 1, step: 0.005 },
+      { key: 'theta_bed', label: 'Sólidos en el lecho (θ_bed)', unit: 'kg/L', min: 0.5, max: 2, step: 0.05 },
+    ]
+  },
+  {
+    title: '⏱️ Simulación',
+    params: [
+      { key: 't_final', label: 'Tiempo final', unit: 'horas', min: 24, max: 720, step: 24 },
+    ]
+  }
+];
+
+/**
+ * Sustituye en un título o etiqueta los marcadores de los compuestos ({parent}, {A}...,
+ * {S1}, {S2}) por los nombres del contaminante y los co-sustratos seleccionados.
+ *
+ * @param {string} text
+ * @param {Partial<ModelParams>} params
+ */
+export const parameterLabel = (text, params) =>
+  guildLabel(substrateLabel(contaminantLabel(text, params.contaminant ?? DEFAULT_CONTAMINANT), params), params);
+
+/**
+ * Comprueba una condición `when` { clave: [valores] } de un grupo, parámetro o selector
+ * frente a los parámetros categóricos elegidos (los ausentes toman su valor por defecto).
+ *
+ * @param {Object<string, string[]>|undefined} when
+ * @param {Partial<ModelParams>} selection
+ */
+export const appliesTo = (when, selection) =>
+  Object.entries(when ?? {}).every(([key, values]) => values.includes(selection[key] ?? DEFAULT_PARAMS[key]));
+
+/**
+ * Grupos del panel que intervienen en un modo de operación, un contaminante y una selección
+ * de co-sustratos y gremios, con los nombres de los compuestos ya sustituidos en títulos y etiquetas.
+ *
+ * @param {ModelParams['mode']} mode
+ * @param {string} [contaminant]
+ * @param {Partial<ModelParams>} [selection] - Parámetros categóricos elegidos (co-sustratos, gremios, modelos y perfiles ambientales)
+ */
+export const parameterGroupsFor = (mode, contaminant = DEFAULT_CONTAMINANT, selection = {}) => {
+  const chainLength = getContaminant(contaminant).metabolites.length;
+  const names = { ...selection, contaminant };
+  const slots = activeSubstrates(names).map(s => SUBSTRATE_SLOTS.findIndex(slot => slot.key === s.key) + 1);
+  const guilds = activeGuilds(names).map(g => GUILD_SLOTS.findIndex(slot => slot.key === g.key) + 2);
+  const included = (item) => (!item.substrate || slots.includes(item.substrate))
+    && (!item.guild || guilds.includes(item.guild)) && appliesTo(item.when, names);
+  return PARAMETER_GROUPS
+    .filter(g => (!g.modes || g.modes.includes(mode)) && (g.metabolite ?? 0) <= chainLength && included(g))
+    .map(g => ({
+      ...g,
+      title: parameterLabel(g.title, names),
+      params: g.params.filter(included).map(p => ({ ...p, label: parameterLabel(p.label, names) })),
+    }));
+};
+
+// Parámetros que cambian al seleccionar otro contaminante: condiciones iniciales y de
+// alimentación, cinética, sorción, metabolitos y horizonte. θ, X₀ y la operación se conservan.
+const CONTAMINANT_PARAMS = [
+  'C_G_aq_0', 'C_G_s_0', 'C_A_aq_0', 'k_max', 'K_s', 'mu_max', 'k_d', 'Y_x', 'K_i', 'K_d', 'k_sorp',
+  'Y_A', 'k_A', 'Y_B', 'k_B', 'Y_C', 'k_C', 'C_G_aq_in', 'C_G_s_in', 't_final',
+];
+
+/**
+ * Coloca un gremio en un hueco con las constantes de su registro, o lo vacía ('none').
+ *
+ * @param {ModelParams} params
+ * @param {number} index - Hueco en GUILD_SLOTS
+ * @param {string} id
+ * @returns {ModelParams}
+ */
+export const applyGuild = (params, index, id) => {
+  const slot = GUILD_SLOTS[index];
+  if (id === NO_GUILD) return { ...params, [slot.choice]: id };
+  const { X_0, k_max, K_s, mu_max, Y_x, k_d, Y_A } = getGuild(id).defaults;
+  return {
+    ...params,
+    [slot.choice]: id,
+    [slot.initial]: X_0,
+    [slot.k_max]: k_max,
+    [slot.K_s]: K_s,
+    [slot.mu_max]: mu_max,
+    [slot.Y_x]: Y_x,
+    [slot.k_d]: k_d,
+    [slot.Y_A]: Y_A,
+  };
+};
+
+/**
+ * Cambia el contaminante de un conjunto de parámetros: los parámetros propios del compuesto
+ * toman sus valores del registro (o de DEFAULT_PARAMS si el registro no los fija).
+ *
+ * @param {ModelParams} params
+ * @param {string} id
+ * @returns {ModelParams}
+ */
+export const applyContaminant = (params, id) => ({
+  ...params,
+  ...Object.fromEntries(CONTAMINANT_PARAMS.map(key => [key, DEFAULT_PARAMS[key]])),
+  ...getContaminant(id).defaults,
+  contaminant: id,
+});
+
+/**
+ * Coloca un co-sustrato en un hueco con las constantes de su registro, o lo vacía ('none').
+ * La concentración en el influente no cambia.
+ *
+ * @param {ModelParams} params
+ * @param {number} index - Hueco en SUBSTRATE_SLOTS
+ * @param {string} id
+ * @returns {ModelParams}
+ */
+export const applySubstrate = (params, index, id) => {
+  const slot = SUBSTRATE_SLOTS[index];
+  if (id === NO_SUBSTRATE) return { ...params, [slot.choice]: id };
+  const { C_0, k_max, K_s, Y, K_i } = getSubstrate(id).defaults;
+  return {
+    ...params,
+    [slot.choice]: id,
+    [slot.initial]: C_0,
+    [slot.k_max]: k_max,
+    [slot.K_s]: K_s,
+    [slot.yield]: Y,
+    [slot.K_i]: K_i,
+  };
+};
+
+// Parámetros que deben ser estrictamente positivos (aparecen en denominadores o definen la malla)
+const POSITIVE_PARAMS = [
+  'K_s', 'K_i', 'K_d', 'theta', 't_final', 'dt', 'V_r', 'Q_in', 'SRT', 't_fill', 't_decant', 'f_exchange',
+  'theta_T', 'K_sal', 'C_O2_sat', 'K_O2', 'K_f', 'n_f', 'q_max', 'K_L', 'K_I_A', 'X_cap',
+  'H_r', 'N_js', 'k_mix', 'theta_bed',
+  ...SUBSTRATE_SLOTS.flatMap(s => [s.K_s, s.K_i]),
+  ...GUILD_SLOTS.map(s => s.K_s),
+];
+
+// Pueden ser negativos (temperaturas en °C)
+const SIGNED_PARAMS = ['T_mean', 'T_ref', 'T_min', 'T_opt', 'T_max'];
+
+// Fracciones: no pueden superar la unidad
+const FRACTION_PARAMS = ['f_exchange', 'f_retention', 'f_eq'];
+
+/**
+ * Error lanzado cuando un conjunto de parámetros no es válido.
+ * `errors` contiene un objeto { key, message } por cada problema encontrado.
+ */
+export class ParameterError extends Error {
+  constructor(errors) {
+    super(`Parámetros inválidos: ${errors.map(e => `${e.key} (${e.message})`).join(', ')}`);
+    this.name = 'ParameterError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Comprueba que todos los parámetros del modelo existen y son utilizables: numéricos
+ * dentro de su dominio, o uno de los valores admitidos en los categóricos.
+ *
+ * @param {Partial<ModelParams>} params
+ * @returns {{ valid: boolean, errors: { key: string, message: string }[] }}
+ */
+export const validateParams = (params) => {
+  const errors = [];
+
+  for (const key of Object.keys(DEFAULT_PARAMS)) {
+    const value = params[key];
+    const choice = PARAMETER_CHOICES.find(c => c.key === key);
+    if (PROFILE_SERIES.includes(key)) {
+      const problem = validateProfile(value);
+      if (problem) errors.push({ key, message: problem });
+    } else if (key in METRIC_LISTS) {
+      const problem = METRIC_LISTS[key](value);
+      if (problem) errors.push({ key, message: problem });
+    } else if (key === EVENT_LIST) {
+      const problem = validateEvents(value);
+      if (problem) errors.push({ key, message: problem });
+    } else if (choice) {
+      if (!choice.options.some(o => o.value === value)) {
+        errors.push({ key, message: `debe ser uno de: ${choice.options.map(o => o.value).join(', ')}` });
+      }
+    } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+      errors.push({ key, message: 'debe ser un número finito' });
+    } else if (POSITIVE_PARAMS.includes(key) && value <= 0) {
+      errors.push({ key, message: 'debe ser mayor que cero' });
+    } else if (value < 0 && !SIGNED_PARAMS.includes(key)) {
+      errors.push({ key, message: 'no puede ser negativo' });
+    } else if (FRACTION_PARAMS.includes(key) && value > 1) {
+      errors.push({ key, message: 'no puede ser mayor que 1' });
+    }
+  }
+
+  if (errors.length === 0 && params.dt > params.t_final) {
+    errors.push({ key: 'dt', message: 'no puede superar t_final' });
+  }
+  // En los modos con alimentación el reactor puede arrancar limpio si el influente aporta contaminante
+  const initialLoad = params.C_G_aq_0 + params.theta * params.C_G_s_0;
+  const feedLoad = params.C_G_aq_in + params.theta * params.C_G_s_in;
+  if (errors.length === 0 && initialLoad <= 0 && (params.mode === 'batch' || feedLoad <= 0)) {
+    errors.push({ key: 'C_G_aq_0', message: 'la carga inicial de contaminante debe ser positiva' });
+  }
+  if (errors.length === 0 && params.mode === 'cstr' && params.SRT < params.V_r / params.Q_in) {
+    errors.push({ key: 'SRT', message: `no puede ser menor que el TRH (V/Q = ${(params.V_r / params.Q_in).toFixed(1)} h)` });
+  }
+  if (errors.length === 0 && params.substrate_interaction === 'cometabolic' && activeSubstrates(params).length === 0) {
+    errors.push({ key: 'substrate_interaction', message: 'el co-metabolismo necesita al menos un co-sustrato de crecimiento' });
+  }
+  for (const input of ENVIRONMENT_INPUTS) {
+    if (errors.length === 0 && params[input.model] !== 'none' && params[input.profile] === 'csv' && params[input.series].length === 0) {
+      errors.push({ key: input.series, message: `el perfil CSV de ${input.label.toLowerCase()} no tiene puntos` });
+    }
+  }
+  if (errors.length === 0 && params.T_model === 'ctmi' && !(params.T_min < params.T_opt && params.T_opt < params.T_max)) {
+    errors.push({ key: 'T_opt', message: 'las temperaturas cardinales deben cumplir T_min < T_opt < T_max' });
+  }
+  if (errors.length === 0 && params.pH_model === 'cardinal' && !(params.pH_min < params.pH_opt && params.pH_opt < params.pH_max)) {
+    errors.push({ key: 'pH_opt', message: 'los pH cardinales deben cumplir pH_min < pH_opt < pH_max' });
+  }
+  if (errors.length === 0 && params.sorption_sites === 'two' && (params.f_eq <= 0 || params.f_eq >= 1)) {
+    errors.push({ key: 'f_eq', message: 'con dos sitios debe estar entre 0 y 1 (sin incluirlos)' });
+  }
+  // La isoterma de Langmuir no admite cargas por encima de su capacidad; el sorbido inicial y
+  // el alimentado ocupan el primer sitio, que con dos sitios tiene la fracción f_eq
+  const capacity = params.q_max * (params.sorption_sites === 'two' ? params.f_eq : 1);
+  for (const key of ['C_G_s_0', 'C_G_s_in']) {
+    if (errors.length === 0 && params.sorption_isotherm === 'langmuir' && params[key] >= capacity) {
+      errors.push({ key, message: `debe ser menor que la capacidad de Langmuir del primer sitio (${capacity.toFixed(0)} mg/kg)` });
+    }
+  }
+  if (errors.length === 0 && params.mode === 'sbr' && params.f_exchange >= 1) {
+    errors.push({ key: 'f_exchange', message: 'debe ser menor que 1' });
+  }
+  // El reactor por zonas necesita sólidos en suspensión y un lecho más denso que el slurry
+  if (errors.length === 0 && spatialEnabled(params)) {
+    if (!(Number.isInteger(params.n_zones) && params.n_zones >= 1 && params.n_zones <= MAX_ZONES)) {
+      errors.push({ key: 'n_zones', message: `debe ser un entero entre 1 y ${MAX_ZONES}` });
+    } else if (params.N_agit <= 0) {
+      errors.push({ key: 'N_agit', message: 'sin agitación no hay sólidos en suspensión: usa mezcla perfecta o una agitación mayor que cero' });
+    } else if (params.theta_bed <= params.theta) {
+      errors.push({ key: 'theta_bed', message: `debe superar la relación sólido/líquido del slurry (θ = ${params.theta} kg/L)` });
+    }
+  }
+  const conflict = errors.length === 0 && eventConflicts(params.events, params);
+  if (conflict) {
+    errors.push({ key: EVENT_LIST, message: conflict });
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Completa un conjunto parcial con DEFAULT_PARAMS y lanza ParameterError si no es válido.
+ *
+ * @param {Partial<ModelParams>} params
+ * @returns {ModelParams}
+ */
+export const resolveParams = (params = {}) => {
+  const resolved = { ...DEFAULT_PARAMS, ...params };
+  const { valid, errors } = validateParams(resolved);
+  if (!valid) throw new ParameterError(errors);
+  return resolved;
+};
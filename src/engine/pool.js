@@ -0,0 +1,189 @@
+// ============================================================================
+// POOL DE HILOS DE TRABAJO (WEB WORKERS O WORKER THREADS DE NODE)
+// ============================================================================
+// El pool no conoce el entorno: recibe una función que crea un hilo y se comunica con él
+// por mensajes. Protocolo:
+//   hilo principal → hilo   { id, job }
+//   hilo → hilo principal   { id, type: 'progress', value } | { id, type: 'result', result }
+//                           | { id, type: 'error', name, message }
+// Un trabajo cancelado en curso no puede interrumpirse desde fuera: se termina su hilo y
+// se crea otro en su lugar.
+import { JobCancelledError } from './jobs.js';
+
+/**
+ * @typedef {Object} WorkerHandle
+ * @property {(message: Object) => void} post
+ * @property {() => void} terminate
+ */
+
+/**
+ * @callback SpawnWorker
+ * @param {(message: Object) => void} onMessage
+ * @param {(error: Error) => void} onError - Error no capturado o cierre inesperado del hilo
+ * @returns {WorkerHandle}
+ */
+
+const remoteError = ({ name, message }) => {
+  const error = new Error(message);
+  error.name = name ?? 'Error';
+  return error;
+};
+
+/**
+ * Crea un pool de `size` hilos que se lanzan a medida que hacen falta. Los trabajos se
+ * atienden en orden de llegada.
+ *
+ * @param {Object} options
+ * @param {number} options.size
+ * @param {SpawnWorker} options.spawn
+ * @returns {import('./jobs.js').Runner}
+ */
+export const createPool = ({ size, spawn }) => {
+  if (!(size >= 1)) throw new Error('El pool necesita al menos un hilo');
+  const workers = [];
+  const queue = [];
+  const listeners = new Set();
+  let nextId = 1;
+  let terminated = false;
+
+  const notify = () => {
+    const activity = { size, busy: workers.filter(w => w.task).length, queued: queue.length };
+    listeners.forEach(listener => listener(activity));
+  };
+
+  const settle = (task, error, result) => {
+    if (error) task.reject(error);
+    else task.resolve(result);
+  };
+
+  const launch = () => {
+    const worker = { task: null };
+    worker.handle = spawn(
+      (message) => {
+        const { task } = worker;
+        if (!task || message.id !== task.id) return;
+        if (message.type === 'progress') {
+          task.onProgress?.(message.value);
+          return;
+        }
+        worker.task = null;
+        settle(task, message.type === 'error' ? remoteError(message) : null, message.result);
+        dispatch();
+      },
+      (error) => {
+        const { task } = worker;
+        replace(worker);
+        if (task) settle(task, error);
+        dispatch();
+      },
+    );
+    return worker;
+  };
+
+  // Un hilo terminado (por cancelación o por error) se sustituye por uno nuevo al necesitarlo
+  const replace = (worker) => {
+    worker.task = null;
+    worker.handle.terminate();
+    const index = workers.indexOf(worker);
+    if (index >= 0) workers.splice(index, 1);
+  };
+
+  const dispatch = () => {
+    while (!terminated && queue.length > 0) {
+      let worker = workers.find(w => !w.task);
+      if (!worker && workers.length < size) {
+        worker = launch();
+        workers.push(worker);
+      }
+      if (!worker) break;
+      const task = queue.shift();
+      worker.task = task;
+      worker.handle.post({ id: task.id, job: task.job });
+    }
+    notify();
+  };
+
+  const cancel = (task) => {
+    const queued = queue.indexOf(task);
+    if (queued >= 0) {
+      queue.splice(queued, 1);
+    } else {
+      const worker = workers.find(w => w.task === task);
+      if (!worker) return;
+      replace(worker);
+    }
+    settle(task, new JobCancelledError());
+    dispatch();
+  };
+
+  const submit = (job, onProgress) => {
+    let task;
+    const promise = new Promise((resolve, reject) => {
+      task = { id: nextId++, job, onProgress, resolve, reject };
+    });
+    queue.push(task);
+    dispatch();
+    return { task, promise };
+  };
+
+  const checkOpen = (signal) => {
+    if (terminated) throw new Error('El pool de simulación está cerrado');
+    if (signal?.aborted) throw new JobCancelledError();
+  };
+
+  const run = async (job, { onProgress, signal } = {}) => {
+    checkOpen(signal);
+    const { task, promise } = submit(job, onProgress);
+    const abort = () => cancel(task);
+    signal?.addEventListener('abort', abort);
+    try {
+      return await promise;
+    } finally {
+      signal?.removeEventListener('abort', abort);
+    }
+  };
+
+  const map = async (jobs, { onProgress, signal } = {}) => {
+    checkOpen(signal);
+    const submitted = jobs.map(job => submit(job));
+    // Se cancelan primero los de la cola para que no ocupen los hilos que se liberan
+    const abort = () => [...submitted].reverse().forEach(({ task }) => cancel(task));
+    signal?.addEventListener('abort', abort);
+    let done = 0;
+    try {
+      return await Promise.all(submitted.map(({ promise }) => promise
+        .then(value => ({ value }), (err) => {
+          if (err instanceof JobCancelledError) throw err;
+          return { error: err.message };
+        })
+        .then(outcome => {
+          onProgress?.(++done / jobs.length);
+          return outcome;
+        })));
+    } catch (err) {
+      abort();
+      throw err;
+    } finally {
+      signal?.removeEventListener('abort', abort);
+    }
+  };
+
+  return {
+    size,
+    run,
+    map,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    terminate: () => {
+      terminated = true;
+      queue.splice(0).forEach(task => settle(task, new JobCancelledError('El pool de simulación se cerró')));
+      workers.splice(0).forEach(w => {
+        w.handle.terminate();
+        if (w.task) settle(w.task, new JobCancelledError('El pool de simulación se cerró'));
+      });
+      notify();
+    },
+  };
+};
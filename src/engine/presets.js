@@ -0,0 +1,78 @@
+// ============================================================================
+// CONFIGURACIONES PREDEFINIDAS
+// ============================================================================
+import { DEFAULT_PARAMS, applySubstrate } from './params.js';
+
+/**
+ * @typedef {Object} Preset
+ * @property {string} id
+ * @property {string} label
+ * @property {string} description
+ * @property {import('./params.js').ModelParams} params
+ */
+
+/** @type {Preset[]} */
+export const PRESETS = [
+  {
+    id: 'laboratorio',
+    label: 'Microcosmos de laboratorio',
+    description: 'Valores por defecto: 100 mg/L de glifosato, inóculo moderado y 14 días de tratamiento.',
+    params: DEFAULT_PARAMS,
+  },
+  {
+    id: 'suelo-arcilloso',
+    label: 'Suelo arcilloso',
+    description: 'Alta sorción sobre arcillas y óxidos: gran parte del glifosato queda retenida en el sólido.',
+    params: { ...DEFAULT_PARAMS, K_d: 300, k_sorp: 0.3, theta: 0.2 },
+  },
+  {
+    id: 'derrame',
+    label: 'Derrame concentrado',
+    description: 'Carga inicial elevada con una comunidad microbiana poco adaptada.',
+    params: { ...DEFAULT_PARAMS, C_G_aq_0: 800, X_0: 5, K_s: 60, t_final: 720 },
+  },
+  {
+    id: 'bioaumentado',
+    label: 'Reactor bioaumentado',
+    description: 'Inóculo de degradadores especializados con cinética rápida de glifosato y AMPA.',
+    params: { ...DEFAULT_PARAMS, X_0: 80, k_max: 0.15, mu_max: 0.08, k_A: 0.05 },
+  },
+  {
+    id: 'campo-frio',
+    label: 'Campo en clima frío',
+    description: 'Actividad microbiana reducida a baja temperatura; el AMPA persiste durante semanas.',
+    params: { ...DEFAULT_PARAMS, k_max: 0.03, mu_max: 0.02, k_d: 0.002, k_A: 0.008, t_final: 720 },
+  },
+  {
+    id: 'bioestimulado',
+    label: 'Bioestimulación con melaza',
+    description: 'Enmienda de melaza que multiplica la biomasa; al principio compite con el glifosato por los degradadores.',
+    params: { ...applySubstrate(DEFAULT_PARAMS, 0, 'molasses'), substrate_interaction: 'competitive', K_i: 100, K_i_S1: 400 },
+  },
+  {
+    id: 'sub-aireado',
+    label: 'Bioestimulación con poca aireación',
+    description: 'La melaza consume el oxígeno más rápido de lo que se transfiere (kLa = 0,5 1/h) y frena la degradación.',
+    params: {
+      ...applySubstrate(DEFAULT_PARAMS, 0, 'molasses'),
+      substrate_interaction: 'competitive',
+      K_i: 100,
+      K_i_S1: 400,
+      oxygen_model: 'dual_monod',
+      kLa: 0.5,
+      N_agit: 60,
+    },
+  },
+];
+
+export const DEFAULT_PRESET = 'laboratorio';
+
+/**
+ * @param {string} id
+ * @returns {Preset}
+ */
+export const getPreset = (id) => {
+  const preset = PRESETS.find(p => p.id === id);
+  if (!preset) throw new Error(`Configuración predefinida desconocida: ${id}`);
+  return preset;
+};
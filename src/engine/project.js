@@ -0,0 +1,394 @@
+// ============================================================================
+// ARCHIVOS DE PROYECTO Y ESTADO COMPARTIBLE
+// ============================================================================
+import { DEFAULT_PARAMS, validateParams } from './params.js';
+import { DEFAULT_SOLVER, SOLVER_METHODS } from './solvers.js';
+import { METRIC_DEFINITIONS, metricDefinitionsFor } from './metrics.js';
+import { DEFAULT_MONTE_CARLO, FIXED_PARAMS, validateDistribution } from './uncertainty.js';
+import { DEFAULT_PRESET, PRESETS, getPreset } from './presets.js';
+import { CONTAMINANTS } from './contaminants.js';
+import { validateTarget } from './compliance.js';
+import { validateDataset } from './datasets.js';
+
+export const PROJECT_FORMAT = 'bioslurry-project';
+
+// Versión actual del esquema; incrementarla exige añadir la migración correspondiente
+export const PROJECT_VERSION = 13;
+
+/**
+ * @typedef {Object} Project
+ * @property {typeof PROJECT_FORMAT} format
+ * @property {number} version
+ * @property {string} saved_at - Fecha ISO 8601
+ * @property {string|null} preset - Configuración predefinida de partida
+ * @property {import('./params.js').ModelParams} params
+ * @property {import('./solvers.js').SolverOptions} solver
+ * @property {Object} uncertainty - Configuración del modo Monte Carlo
+ * @property {Object[]} scenarios - Escenarios guardados con sus resultados
+ * @property {string|null} baseline - Id del escenario de referencia
+ * @property {import('./compliance.js').ComplianceTarget[]} targets - Objetivos de cumplimiento
+ * @property {import('./datasets.js').Dataset[]} datasets - Mediciones importadas
+ */
+
+/**
+ * Error lanzado cuando un proyecto o un estado compartido no es válido.
+ * `errors` contiene un objeto { path, message } por cada problema encontrado.
+ */
+export class ProjectError extends Error {
+  constructor(errors) {
+    super(`Proyecto inválido: ${errors.map(e => `${e.path} (${e.message})`).join(', ')}`);
+    this.name = 'ProjectError';
+    this.errors = errors;
+  }
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const defaultUncertainty = () => ({ enabled: false, distributions: {}, ...DEFAULT_MONTE_CARLO });
+
+/**
+ * Construye un documento de proyecto con la versión actual del esquema.
+ *
+ * @param {Partial<Omit<Project, 'format' | 'version' | 'saved_at'>>} [contents]
+ * @returns {Project}
+ */
+export const createProject = ({
+  preset = DEFAULT_PRESET,
+  params = DEFAULT_PARAMS,
+  solver = DEFAULT_SOLVER,
+  uncertainty = defaultUncertainty(),
+  scenarios = [],
+  baseline = null,
+  targets = [],
+  datasets = [],
+} = {}) => ({
+  format: PROJECT_FORMAT,
+  version: PROJECT_VERSION,
+  saved_at: new Date().toISOString(),
+  preset,
+  params: { ...DEFAULT_PARAMS, ...params },
+  solver: { ...DEFAULT_SOLVER, ...solver },
+  uncertainty,
+  scenarios,
+  baseline,
+  targets,
+  datasets,
+});
+
+// Los parámetros añadidos en una versión toman su valor por defecto, que reproduce el
+// comportamiento con el que se guardó el documento
+const fillDefaultParams = (doc, version) => ({
+  ...doc,
+  version,
+  params: { ...DEFAULT_PARAMS, ...doc.params },
+  scenarios: Array.isArray(doc.scenarios)
+    ? doc.scenarios.map(s => (isObject(s) ? { ...s, params: { ...DEFAULT_PARAMS, ...s.params } } : s))
+    : doc.scenarios,
+});
+
+// Migraciones: MIGRATIONS[n] convierte un documento de la versión n en uno de la versión n + 1
+const MIGRATIONS = {
+  // Versión 0: archivos anteriores al formato de proyecto. Pueden ser un objeto de
+  // parámetros suelto o un resultado de la CLI ({ name, params, solver, metrics, results }).
+  0: (doc) => {
+    const legacy = isObject(doc.params) ? doc : { params: doc };
+    const params = { ...DEFAULT_PARAMS, ...legacy.params };
+    const solver = { ...DEFAULT_SOLVER, ...legacy.solver };
+    const scenarios = Array.isArray(legacy.results)
+      ? [{
+        id: 'importado',
+        name: legacy.name ?? 'Importado',
+        color: '#f59e0b',
+        visible: true,
+        params,
+        solver,
+        results: legacy.results,
+        metrics: legacy.metrics ?? {},
+        stats: legacy.stats ?? null,
+      }]
+      : [];
+    return { ...createProject({ preset: null, params, solver, scenarios }), version: 1 };
+  },
+  // Versión 1 → 2: modo de operación y modelo de crecimiento
+  1: (doc) => fillDefaultParams(doc, 2),
+  // Versión 2 → 3: contaminante (glifosato) y parámetros de los metabolitos B y C
+  2: (doc) => fillDefaultParams(doc, 3),
+  // Versión 3 → 4: co-sustratos (ninguno) e interacción entre sustratos
+  3: (doc) => fillDefaultParams(doc, 4),
+  // Versión 4 → 5: temperatura, pH y salinidad (sin corrección)
+  4: (doc) => fillDefaultParams(doc, 5),
+  // Versión 5 → 6: oxígeno disuelto y aireación (sin limitación)
+  5: (doc) => fillDefaultParams(doc, 6),
+  // Versión 6 → 7: isotermas, dos sitios y fracción ligada (sorción lineal de un sitio)
+  6: (doc) => fillDefaultParams(doc, 7),
+  // Versión 7 → 8: objetivos de cumplimiento (ninguno)
+  7: (doc) => ({ ...fillDefaultParams(doc, 8), targets: [] }),
+  // Versión 8 → 9: días de control y umbrales de remoción configurables (3, 7 y 14; T₅₀, T₉₀ y T₉₉)
+  8: (doc) => fillDefaultParams(doc, 9),
+  // Versión 9 → 10: conjuntos de datos medidos (ninguno)
+  9: (doc) => ({ ...fillDefaultParams(doc, 10), datasets: [] }),
+  // Versión 10 → 11: intervenciones programadas (ninguna)
+  10: (doc) => fillDefaultParams(doc, 11),
+  // Versión 11 → 12: población microbiana (un solo gremio, sin latencia, inhibición ni capacidad de carga)
+  11: (doc) => fillDefaultParams(doc, 12),
+  // Versión 12 → 13: reactor por zonas (mezcla perfecta)
+  12: (doc) => fillDefaultParams(doc, 13),
+};
+
+/**
+ * Lleva un documento de cualquier versión anterior a PROJECT_VERSION.
+ *
+ * @param {Object} doc
+ * @returns {Object}
+ */
+export const migrateProject = (doc) => {
+  if (!isObject(doc)) throw new ProjectError([{ path: '(raíz)', message: 'debe ser un objeto JSON' }]);
+  if (doc.format !== undefined && doc.format !== PROJECT_FORMAT) {
+    throw new ProjectError([{ path: 'format', message: `se esperaba "${PROJECT_FORMAT}"` }]);
+  }
+
+  let version = doc.format === undefined ? 0 : doc.version;
+  if (!Number.isInteger(version) || version < 0) {
+    throw new ProjectError([{ path: 'version', message: 'debe ser un entero no negativo' }]);
+  }
+  if (version > PROJECT_VERSION) {
+    throw new ProjectError([{
+      path: 'version',
+      message: `el archivo usa la versión ${version} y esta aplicación solo admite hasta la ${PROJECT_VERSION}`,
+    }]);
+  }
+
+  let current = doc;
+  while (version < PROJECT_VERSION) {
+    current = MIGRATIONS[version](current);
+    version = current.version;
+  }
+  return current;
+};
+
+const validateSolverOptions = (solver, path) => {
+  if (!isObject(solver)) return [{ path, message: 'debe ser un objeto' }];
+  const errors = [];
+  if (!SOLVER_METHODS[solver.method]) errors.push({ path: `${path}.method`, message: `método desconocido: ${solver.method}` });
+  ['rtol', 'atol'].forEach(key => {
+    if (!(Number.isFinite(solver[key]) && solver[key] > 0)) errors.push({ path: `${path}.${key}`, message: 'debe ser un número positivo' });
+  });
+  if (!(Number.isInteger(solver.max_steps) && solver.max_steps > 0)) {
+    errors.push({ path: `${path}.max_steps`, message: 'debe ser un entero positivo' });
+  }
+  return errors;
+};
+
+const validateModelParams = (params, path) => {
+  if (!isObject(params)) return [{ path, message: 'debe ser un objeto' }];
+  const unknown = Object.keys(params)
+    .filter(key => !(key in DEFAULT_PARAMS))
+    .map(key => ({ path: `${path}.${key}`, message: 'parámetro desconocido' }));
+  const { errors } = validateParams(params);
+  return [...unknown, ...errors.map(e => ({ path: `${path}.${e.key}`, message: e.message }))];
+};
+
+const validateUncertainty = (uncertainty, params) => {
+  if (!isObject(uncertainty)) return [{ path: 'uncertainty', message: 'debe ser un objeto' }];
+  const errors = [];
+  if (typeof uncertainty.enabled !== 'boolean') errors.push({ path: 'uncertainty.enabled', message: 'debe ser verdadero o falso' });
+  if (!(Number.isInteger(uncertainty.realizations) && uncertainty.realizations > 0)) {
+    errors.push({ path: 'uncertainty.realizations', message: 'debe ser un entero positivo' });
+  }
+  if (!Number.isFinite(uncertainty.seed)) errors.push({ path: 'uncertainty.seed', message: 'debe ser un número' });
+
+  if (!isObject(uncertainty.distributions)) {
+    errors.push({ path: 'uncertainty.distributions', message: 'debe ser un objeto' });
+  } else {
+    Object.entries(uncertainty.distributions).forEach(([key, dist]) => {
+      const path = `uncertainty.distributions.${key}`;
+      if (!(key in DEFAULT_PARAMS) || FIXED_PARAMS.includes(key)) {
+        errors.push({ path, message: 'parámetro no admitido' });
+        return;
+      }
+      const problem = validateDistribution(dist);
+      if (problem) errors.push({ path, message: problem });
+    });
+  }
+
+  // El objetivo puede referirse a los días de control y umbrales configurados en los parámetros
+  const { target } = uncertainty;
+  const metrics = isObject(params) && validateParams({ ...DEFAULT_PARAMS, ...params }).valid
+    ? metricDefinitionsFor({ ...DEFAULT_PARAMS, ...params })
+    : METRIC_DEFINITIONS;
+  if (target !== null && target !== undefined) {
+    if (!isObject(target) || !metrics.some(m => m.key === target.metric)
+      || !['>=', '<='].includes(target.operator) || !Number.isFinite(target.value)) {
+      errors.push({ path: 'uncertainty.target', message: 'requiere metric, operator (>= o <=) y value' });
+    }
+  }
+  return errors;
+};
+
+const validateScenario = (scenario, index) => {
+  const path = `scenarios[${index}]`;
+  if (!isObject(scenario)) return [{ path, message: 'debe ser un objeto' }];
+  const errors = [];
+  if (typeof scenario.id !== 'string' || scenario.id === '') errors.push({ path: `${path}.id`, message: 'debe ser un texto no vacío' });
+  if (typeof scenario.name !== 'string') errors.push({ path: `${path}.name`, message: 'debe ser un texto' });
+  if (!Array.isArray(scenario.results) || scenario.results.some(r => !isObject(r) || !Number.isFinite(r.time_h))) {
+    errors.push({ path: `${path}.results`, message: 'debe ser una lista de puntos con time_h' });
+  }
+  if (!isObject(scenario.metrics)) errors.push({ path: `${path}.metrics`, message: 'debe ser un objeto' });
+  return [
+    ...errors,
+    ...validateModelParams(scenario.params, `${path}.params`),
+    ...validateSolverOptions(scenario.solver, `${path}.solver`),
+  ];
+};
+
+/**
+ * Comprueba que un documento en la versión actual cumple el esquema de proyecto.
+ *
+ * @param {Object} doc
+ * @returns {{ valid: boolean, errors: { path: string, message: string }[] }}
+ */
+export const validateProject = (doc) => {
+  if (!isObject(doc)) return { valid: false, errors: [{ path: '(raíz)', message: 'debe ser un objeto JSON' }] };
+  const errors = [];
+
+  if (doc.format !== PROJECT_FORMAT) errors.push({ path: 'format', message: `se esperaba "${PROJECT_FORMAT}"` });
+  if (doc.version !== PROJECT_VERSION) errors.push({ path: 'version', message: `se esperaba ${PROJECT_VERSION}` });
+  if (doc.preset !== null && !PRESETS.some(p => p.id === doc.preset)) {
+    errors.push({ path: 'preset', message: `configuración predefinida desconocida: ${doc.preset}` });
+  }
+  errors.push(...validateModelParams(doc.params, 'params'));
+  errors.push(...validateSolverOptions(doc.solver, 'solver'));
+  errors.push(...validateUncertainty(doc.uncertainty, doc.params));
+
+  if (!Array.isArray(doc.scenarios)) {
+    errors.push({ path: 'scenarios', message: 'debe ser una lista' });
+  } else {
+    doc.scenarios.forEach((s, i) => errors.push(...validateScenario(s, i)));
+    if (doc.baseline !== null && !doc.scenarios.some(s => s.id === doc.baseline)) {
+      errors.push({ path: 'baseline', message: 'no corresponde a ningún escenario' });
+    }
+  }
+
+  if (!Array.isArray(doc.targets)) {
+    errors.push({ path: 'targets', message: 'debe ser una lista' });
+  } else if (isObject(doc.params) && CONTAMINANTS.some(c => c.id === doc.params.contaminant)) {
+    doc.targets.forEach((t, i) => {
+      const problem = validateTarget(t, doc.params.contaminant);
+      if (problem) errors.push({ path: `targets[${i}]`, message: problem });
+    });
+  }
+
+  if (!Array.isArray(doc.datasets)) {
+    errors.push({ path: 'datasets', message: 'debe ser una lista' });
+  } else {
+    doc.datasets.forEach((d, i) => {
+      const problem = validateDataset(d);
+      if (problem) errors.push({ path: `datasets[${i}]`, message: problem });
+    });
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Lee un proyecto desde texto JSON (o un objeto ya interpretado), lo migra a la
+ * versión actual y valida el resultado.
+ *
+ * @param {string|Object} input
+ * @returns {Project}
+ * @throws {ProjectError}
+ */
+export const parseProject = (input) => {
+  let doc = input;
+  if (typeof input === 'string') {
+    try {
+      doc = JSON.parse(input);
+    } catch (err) {
+      throw new ProjectError([{ path: '(raíz)', message: `JSON inválido: ${err.message}` }]);
+    }
+  }
+
+  const project = migrateProject(doc);
+  const { valid, errors } = validateProject(project);
+  if (!valid) throw new ProjectError(errors);
+  return project;
+};
+
+// ----------------------------------------------------------------------------
+// Estado compartible por URL
+// ----------------------------------------------------------------------------
+
+const SHARE_VERSION = 1;
+
+// Los bytes se convierten por bloques: pasarlos todos como argumentos de fromCharCode
+// desborda la pila con perfiles largos
+const BINARY_CHUNK = 0x8000;
+
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += BINARY_CHUNK) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + BINARY_CHUNK));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (encoded) => {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+};
+
+// Solo se codifican los valores que difieren de la referencia, para que los enlaces sean
+// cortos; las listas (perfiles, días de control, eventos) se comparan por su contenido
+const sameValue = (a, b) => a === b || (typeof a === 'object' && JSON.stringify(a) === JSON.stringify(b));
+
+const differences = (values, reference) => Object.fromEntries(
+  Object.entries(values).filter(([key, value]) => !sameValue(value, reference[key]))
+);
+
+/**
+ * Codifica parámetros y opciones del integrador en un texto apto para la URL.
+ *
+ * @param {{ preset?: string|null, params: import('./params.js').ModelParams, solver: import('./solvers.js').SolverOptions }} state
+ * @returns {string}
+ */
+export const encodeShareState = ({ preset = null, params, solver }) => {
+  const reference = preset ? getPreset(preset).params : DEFAULT_PARAMS;
+  return toBase64Url(JSON.stringify({
+    v: SHARE_VERSION,
+    preset,
+    params: differences(params, reference),
+    solver: differences(solver, DEFAULT_SOLVER),
+  }));
+};
+
+/**
+ * Recupera el estado codificado con encodeShareState.
+ *
+ * @param {string} encoded
+ * @returns {{ preset: string|null, params: import('./params.js').ModelParams, solver: import('./solvers.js').SolverOptions }}
+ * @throws {ProjectError}
+ */
+export const decodeShareState = (encoded) => {
+  let state;
+  try {
+    state = JSON.parse(fromBase64Url(encoded));
+  } catch {
+    throw new ProjectError([{ path: 'url', message: 'el enlace está incompleto o dañado' }]);
+  }
+  if (!isObject(state) || state.v !== SHARE_VERSION) {
+    throw new ProjectError([{ path: 'url', message: 'versión de enlace no admitida' }]);
+  }
+
+  const preset = state.preset ?? null;
+  if (preset !== null && !PRESETS.some(p => p.id === preset)) {
+    throw new ProjectError([{ path: 'preset', message: `configuración predefinida desconocida: ${preset}` }]);
+  }
+  const params = { ...(preset ? getPreset(preset).params : DEFAULT_PARAMS), ...state.params };
+  const solver = { ...DEFAULT_SOLVER, ...state.solver };
+
+  const errors = [...validateModelParams(params, 'params'), ...validateSolverOptions(solver, 'solver')];
+  if (errors.length > 0) throw new ProjectError(errors);
+  return { preset, params, solver };
+};
@@ -0,0 +1,38 @@
+// ============================================================================
+// GENERADOR DE NÚMEROS ALEATORIOS CON SEMILLA
+// ============================================================================
+
+/**
+ * Generador pseudoaleatorio reproducible (mulberry32). Con la misma semilla
+ * produce la misma secuencia en el navegador y en Node.
+ *
+ * @param {number} [seed]
+ * @returns {() => number} Función que devuelve valores uniformes en [0, 1)
+ */
+export const createRandom = (seed = 1) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Permutación aleatoria de Fisher-Yates
+export const shuffle = (items, random) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// Normal estándar por el método de Box-Muller
+export const standardNormal = (random) => {
+  let u = 0;
+  while (u === 0) u = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
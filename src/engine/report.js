@@ -0,0 +1,296 @@
+// ============================================================================
+// INFORME DE LABORATORIO (HTML AUTOCONTENIDO, IMPRIMIBLE COMO PDF)
+// ============================================================================
+import { getContaminant, metaboliteChain } from './contaminants.js';
+import { activeEnvironment } from './environment.js';
+import { modelEquations } from './equations.js';
+import { eventTable, metricTable, parameterTable, runSummaryRows } from './export.js';
+import { oxygenEnabled } from './oxygen.js';
+import { PARAMETER_CHOICES } from './params.js';
+import { sorptionPools } from './sorption.js';
+import { activeSubstrates } from './substrates.js';
+import { PRINCIPAL_GUILD_COLOR, activeGuilds } from './microbes.js';
+import { compartmentLayout, spatialEnabled } from './spatial.js';
+
+const escapeHTML = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Puntos máximos por serie en las gráficas, para que el informe no pese varios MB
+const MAX_CHART_POINTS = 400;
+
+const CHART = { width: 680, height: 260, left: 56, right: 16, top: 44, bottom: 36 };
+
+// Paso "redondo" (1, 2 o 5 · 10ⁿ) para unas `count` divisiones de `range`
+const niceStep = (range, count) => {
+  const raw = range / count;
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const normalized = raw / magnitude;
+  return (normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10) * magnitude;
+};
+
+const tickLabel = (value) => Number(value.toPrecision(6)).toString();
+
+/**
+ * @typedef {Object} ChartSpec
+ * @property {string} title
+ * @property {string} unit - Unidad del eje y
+ * @property {{ key: string, name: string, color: string, dashed?: boolean }[]} series
+ * @property {{ value: number, label: string }[]} [lines] - Líneas horizontales de referencia
+ * @property {number} [yMax] - Máximo fijo del eje y (p. ej. 100 para la remoción)
+ * @property {{ days: number, label: string }[]} [markers] - Líneas verticales (intervenciones)
+ */
+
+/**
+ * Gráfica de líneas en SVG frente al tiempo en días, con fondo blanco para imprimir.
+ *
+ * @param {import('./model.js').SimulationPoint[]} results
+ * @param {ChartSpec} spec
+ * @returns {string}
+ */
+export const lineChartSVG = (results, { title, unit, series, lines = [], yMax, markers = [] }) => {
+  const { width, height, left, right, top, bottom } = CHART;
+  const plotWidth = width - left - right;
+  const plotHeight = height - top - bottom;
+  const stride = Math.max(1, Math.ceil(results.length / MAX_CHART_POINTS));
+  const points = results.filter((_, i) => i % stride === 0 || i === results.length - 1);
+
+  const xMax = Math.max(points[points.length - 1]?.time_days ?? 1, 1e-9);
+  const values = series.flatMap(s => points.map(p => p[s.key]).filter(Number.isFinite));
+  const peak = yMax ?? (Math.max(...values, ...lines.map(l => l.value), 0) * 1.05 || 1);
+  const yStep = niceStep(peak, 5);
+  const yTop = yMax ?? Math.ceil(peak / yStep) * yStep;
+  const xStep = niceStep(xMax, 8);
+
+  const x = (days) => left + (days / xMax) * plotWidth;
+  const y = (value) => top + plotHeight - (Math.min(Math.max(value, 0), yTop) / yTop) * plotHeight;
+
+  const yTicks = Array.from({ length: Math.floor(yTop / yStep + 1e-9) + 1 }, (_, i) => i * yStep);
+  const xTicks = Array.from({ length: Math.floor(xMax / xStep + 1e-9) + 1 }, (_, i) => i * xStep);
+
+  const grid = [
+    ...yTicks.map(v => `<line x1="${left}" x2="${left + plotWidth}" y1="${y(v).toFixed(1)}" y2="${y(v).toFixed(1)}" stroke="#e2e8f0"/>`
+      + `<text x="${left - 6}" y="${(y(v) + 4).toFixed(1)}" text-anchor="end">${tickLabel(v)}</text>`),
+    ...xTicks.map(v => `<text x="${x(v).toFixed(1)}" y="${top + plotHeight + 16}" text-anchor="middle">${tickLabel(v)}</text>`),
+  ].join('');
+  const references = lines.map(l => `<line x1="${left}" x2="${left + plotWidth}" y1="${y(l.value).toFixed(1)}" y2="${y(l.value).toFixed(1)}" stroke="#f59e0b" stroke-dasharray="6 4"/>`
+    + `<text x="${left + plotWidth - 4}" y="${(y(l.value) - 4).toFixed(1)}" text-anchor="end" fill="#b45309">${escapeHTML(l.label)}</text>`).join('');
+  const verticals = markers.filter(m => m.days <= xMax).map(m => `<line x1="${x(m.days).toFixed(1)}" x2="${x(m.days).toFixed(1)}" y1="${top}" y2="${top + plotHeight}" stroke="#8b5cf6" stroke-dasharray="3 3"/>`
+    + `<text x="${(x(m.days) + 3).toFixed(1)}" y="${top + 10}" fill="#6d28d9">${escapeHTML(m.label)}</text>`).join('');
+  const paths = series.map(s => {
+    const d = points
+      .filter(p => Number.isFinite(p[s.key]))
+      .map((p, i) => `${i === 0 ? 'M' : 'L'}${x(p.time_days).toFixed(1)},${y(p[s.key]).toFixed(1)}`)
+      .join('');
+    return d ? `<path d="${d}" fill="none" stroke="${s.color}" stroke-width="2"${s.dashed ? ' stroke-dasharray="5 4"' : ''}/>` : '';
+  }).join('');
+
+  // Leyenda en una fila bajo el título; el ancho de cada entrada se estima por caracteres
+  let legendX = left;
+  const legend = series.map(s => {
+    const entry = `<rect x="${legendX}" y="24" width="10" height="10" fill="${s.color}"/>`
+      + `<text x="${legendX + 14}" y="33">${escapeHTML(s.name)}</text>`;
+    legendX += 24 + s.name.length * 6.2;
+    return entry;
+  }).join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif" font-size="11" fill="#334155">`
+    + `<rect width="${width}" height="${height}" fill="#ffffff"/>`
+    + `<text x="${left}" y="14" font-size="13" font-weight="bold" fill="#0f172a">${escapeHTML(title)}</text>`
+    + legend
+    + grid
+    + `<line x1="${left}" x2="${left}" y1="${top}" y2="${top + plotHeight}" stroke="#94a3b8"/>`
+    + `<line x1="${left}" x2="${left + plotWidth}" y1="${top + plotHeight}" y2="${top + plotHeight}" stroke="#94a3b8"/>`
+    + references
+    + verticals
+    + paths
+    + `<text x="${left + plotWidth / 2}" y="${height - 4}" text-anchor="middle">Tiempo (días)</text>`
+    + `<text x="14" y="${top + plotHeight / 2}" text-anchor="middle" transform="rotate(-90 14 ${top + plotHeight / 2})">${escapeHTML(unit)}</text>`
+    + '</svg>';
+};
+
+// Biomasa total y, con gremios adicionales, la de cada uno en el color de su registro
+const biomassSeries = (params) => {
+  const guilds = activeGuilds(params);
+  if (guilds.length === 0) return [{ key: 'X', name: 'Biomasa', color: PRINCIPAL_GUILD_COLOR }];
+  return [
+    { key: 'X', name: 'Total', color: '#0f172a' },
+    { key: 'X_G1', name: 'Gremio principal', color: PRINCIPAL_GUILD_COLOR, dashed: true },
+    ...guilds.map(g => ({ key: g.key, name: g.guild.name, color: g.guild.color, dashed: true })),
+  ];
+};
+
+/**
+ * Gráficas del informe según la configuración: fase acuosa, fase sorbida, biomasa,
+ * remoción y, si se modelan, oxígeno, factores ambientales y perfil por zonas. Los objetivos de cumplimiento
+ * se dibujan como líneas de referencia en la gráfica de su variable y las intervenciones
+ * disparadas, como líneas verticales numeradas en todas.
+ *
+ * @param {import('./export.js').ExportRun} run
+ * @returns {ChartSpec[]}
+ */
+export const reportCharts = (run) => {
+  const { params, compliance } = run;
+  const contaminant = getContaminant(params.contaminant);
+  const pools = sorptionPools(params);
+  const substrates = activeSubstrates(params);
+  const limits = (keys) => (compliance?.targets ?? [])
+    .filter(t => t.target.kind === 'limit' && keys.includes(t.target.variable))
+    .map(t => ({ value: t.target.value, label: t.label }));
+  const aqueous = [
+    { key: 'C_G_aq', name: `${contaminant.name} (aq)`, color: contaminant.color },
+    ...metaboliteChain(params.contaminant).map(m => ({ key: m.key, name: m.name, color: m.color })),
+    ...substrates.map(s => ({ key: s.key, name: s.substrate.name, color: s.substrate.color })),
+  ];
+  const sorbed = [
+    { key: 'C_G_s', name: 'Sorbido total', color: contaminant.sorbedColor },
+    ...(pools.includes('C_G_s2') ? [{ key: 'C_G_s2', name: 'Sitio cinético', color: '#a16207', dashed: true }] : []),
+    ...(pools.includes('C_G_irr') ? [{ key: 'C_G_irr', name: 'Ligado', color: '#78716c', dashed: true }] : []),
+  ];
+  const environment = activeEnvironment(params);
+  const markers = (run.events ?? []).map(e => ({ days: e.time_days, label: String(e.index + 1) }));
+
+  const charts = [
+    { title: 'Concentraciones en fase acuosa', unit: 'mg/L', series: aqueous, lines: limits(aqueous.map(s => s.key)) },
+    { title: 'Fase sorbida', unit: 'mg/kg', series: sorbed, lines: limits(['C_G_s']) },
+    { title: 'Biomasa', unit: 'mg/L', series: biomassSeries(params) },
+    {
+      title: 'Remoción',
+      unit: '%',
+      yMax: 100,
+      series: [
+        { key: 'removal_percent', name: contaminant.name, color: '#06b6d4' },
+        ...substrates.map(s => ({ key: s.removal, name: s.substrate.name, color: s.substrate.color, dashed: true })),
+      ],
+      lines: (compliance?.targets ?? []).filter(t => t.target.kind === 'removal').map(t => ({ value: t.target.value, label: t.label })),
+    },
+    ...(oxygenEnabled(params) ? [{
+      title: 'Oxígeno disuelto',
+      unit: 'mg/L',
+      series: [{ key: 'C_O2', name: 'O₂ disuelto', color: '#38bdf8' }],
+      lines: [{ value: params.K_O2, label: 'K_O₂' }],
+    }] : []),
+    ...(environment.length > 0 ? [{
+      title: 'Factores ambientales',
+      unit: 'factor',
+      series: [
+        ...environment.map(e => ({ key: e.factor, name: e.factor, color: e.color })),
+        { key: 'f_env', name: 'f_total', color: '#0f172a' },
+      ],
+    }] : []),
+    ...(spatialEnabled(params) ? [{
+      title: `${contaminant.name} acuoso por zona`,
+      unit: 'mg/L',
+      series: compartmentLayout(params).compartments.map(c => ({ key: `C_G_aq_${c.key}`, name: c.label, color: c.color })),
+    }] : []),
+  ];
+  return charts.map(spec => ({ ...spec, markers }));
+};
+
+// Imagen SVG incrustada como data URI, para que el informe no dependa de archivos externos
+const chartImage = (results, spec) =>
+  `<img alt="${escapeHTML(spec.title)}" src="data:image/svg+xml;charset=utf-8,${encodeURIComponent(lineChartSVG(results, spec))}">`;
+
+const table = (headers, rows) => `<table><thead><tr>${headers.map(h => `<th>${escapeHTML(h)}</th>`).join('')}</tr></thead>`
+  + `<tbody>${rows.map(r => `<tr>${r.map(c => `<td>${c}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+
+const formatValue = (value) => (typeof value === 'number' ? Number(value.toPrecision(6)).toString() : escapeHTML(value));
+
+const STYLE = `
+body { font-family: Helvetica, Arial, sans-serif; color: #0f172a; max-width: 760px; margin: 24px auto; padding: 0 16px; font-size: 13px; }
+h1 { font-size: 22px; margin-bottom: 4px; }
+h2 { font-size: 16px; border-bottom: 2px solid #0891b2; padding-bottom: 4px; margin-top: 28px; }
+h3 { font-size: 13px; margin: 14px 0 4px; color: #334155; }
+.meta { color: #475569; margin: 0 0 4px; }
+table { border-collapse: collapse; width: 100%; margin: 8px 0; }
+th, td { border: 1px solid #cbd5e1; padding: 3px 6px; text-align: left; }
+th { background: #f1f5f9; }
+td .num { text-align: right; font-family: Menlo, Consolas, monospace; }
+.missing { color: #b45309; }
+.eq { font-family: Menlo, Consolas, monospace; margin: 2px 0; }
+.note { color: #475569; font-size: 11px; margin: 2px 0; }
+img { display: block; max-width: 100%; margin: 10px 0; break-inside: avoid; }
+.hint { background: #ecfeff; border: 1px solid #a5f3fc; padding: 6px 10px; }
+@media print { .hint { display: none; } h2 { break-after: avoid; } }
+@page { margin: 15mm; }
+`;
+
+/**
+ * Informe HTML autocontenido de una corrida: resumen, variables de respuesta, gráficas
+ * (como imágenes SVG incrustadas), cumplimiento, intervenciones programadas, ecuaciones
+ * del modelo, parámetros e integrador. Abierto en el navegador se imprime o se guarda como PDF; con `print` abre el
+ * diálogo de impresión al cargarse.
+ *
+ * @param {import('./export.js').ExportRun} run
+ * @param {import('./export.js').ExportOptions & { print?: boolean }} [options]
+ * @returns {string}
+ */
+export const buildReport = (run, options = {}) => {
+  const { params, results, metrics, compliance } = run;
+  const title = options.name || 'Simulación bioslurry';
+  const created = options.created ?? new Date().toISOString();
+  const contaminant = getContaminant(params.contaminant);
+  const choice = (key) => PARAMETER_CHOICES.find(c => c.key === key)?.options.find(o => o.value === params[key])?.label ?? params[key];
+  const last = results[results.length - 1];
+
+  const metricRows = metricTable(metrics, params).map(m => [
+    escapeHTML(m.label),
+    m.value === null ? `<span class="missing">${escapeHTML(m.text)}</span>` : `<span class="num">${escapeHTML(m.text)}</span>`,
+    escapeHTML(m.value === null ? '' : m.unit),
+  ]);
+  const parameterRows = parameterTable(params).map(p => [escapeHTML(p.section), escapeHTML(p.label), formatValue(p.value), escapeHTML(p.unit)]);
+  const equations = modelEquations(params).map(block => `<h3>${escapeHTML(block.title)}</h3>`
+    + block.equations.map(eq => `<p class="eq">${escapeHTML(eq)}</p>`).join('')
+    + block.notes.map(note => `<p class="note">${escapeHTML(note)}</p>`).join('')).join('');
+  const summaryRows = runSummaryRows(run).map(([label, value, unit]) => [escapeHTML(label), value === null ? '—' : formatValue(value), escapeHTML(unit)]);
+  const complianceSection = compliance ? `<h2>Objetivos de cumplimiento</h2>${table(
+    ['Objetivo', 'Referencia', 'Día de cumplimiento', 'Valor final'],
+    [
+      ...compliance.targets.map(t => [
+        escapeHTML(t.label),
+        escapeHTML(t.target.label ?? ''),
+        t.met ? formatValue(t.time_days) : '<span class="missing">no se cumple</span>',
+        formatValue(t.final),
+      ]),
+      ['<strong>Todos</strong>', '', compliance.met ? formatValue(compliance.time_days) : '<span class="missing">no se cumple</span>', ''],
+    ],
+  )}` : '';
+  const eventsSection = params.events?.length > 0 ? `<h2>Intervenciones programadas</h2>${table(
+    ['Evento', 'Descripción', 'Día en que se disparó'],
+    eventTable(params, run.events).map(e => [
+      String(e.index + 1),
+      escapeHTML(e.description),
+      e.time_days === null ? '<span class="missing">no se disparó</span>' : formatValue(e.time_days),
+    ]),
+  )}` : '';
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<p class="hint">Para obtener un PDF, imprime esta página y elige «Guardar como PDF».</p>
+<h1>${escapeHTML(title)}</h1>
+<p class="meta">Informe generado el ${escapeHTML(created.slice(0, 10))} · Bioslurry Simulator</p>
+<p class="meta">${escapeHTML(contaminant.name)} · ${escapeHTML(choice('mode'))} · ${formatValue(last?.time_days ?? 0)} días · integrador ${escapeHTML(run.solver.method)}</p>
+<h2>Variables de respuesta</h2>
+${table(['Variable', 'Valor', 'Unidad'], metricRows)}
+<h2>Gráficas</h2>
+${reportCharts(run).map(spec => chartImage(results, spec)).join('\n')}
+${complianceSection}
+${eventsSection}
+<h2>Modelo matemático</h2>
+${equations}
+<h2>Parámetros</h2>
+${table(['Sección', 'Parámetro', 'Valor', 'Unidad'], parameterRows)}
+<h2>Integrador y balance de masa</h2>
+${table(['Variable', 'Valor', 'Unidad'], summaryRows)}
+${options.print ? '<script>window.addEventListener(\'load\', () => window.print());</script>\n' : ''}</body>
+</html>
+`;
+};
@@ -0,0 +1,253 @@
+// ============================================================================
+// ANÁLISIS DE SENSIBILIDAD GLOBAL (MORRIS Y SOBOL)
+// ============================================================================
+import { DEFAULT_PARAMS, PARAMETER_GROUPS, parameterGroupsFor, parameterLabel } from './params.js';
+import { DEFAULT_SOLVER } from './solvers.js';
+import { metricDefinitionsFor } from './metrics.js';
+import { localRunner } from './jobs.js';
+import { createRandom, shuffle } from './random.js';
+import { mean, quantile, variance } from './statistics.js';
+
+// Parámetros del panel con sus rangos; son los factores candidatos del análisis.
+// Las etiquetas conservan los marcadores {parent}, {A}..., {S1} (ver parameterGroupsFor).
+export const SENSITIVITY_PARAMETERS = PARAMETER_GROUPS.flatMap(g => g.params);
+
+// Por defecto se excluye el horizonte de simulación, que no es un parámetro del proceso,
+// y los parámetros de alimentación y ciclo, que no intervienen en el reactor por lotes
+export const DEFAULT_SENSITIVITY_FACTORS = parameterGroupsFor('batch')
+  .flatMap(g => g.params)
+  .map(p => p.key)
+  .filter(key => key !== 't_final');
+
+/**
+ * @typedef {Object} SensitivityOptions
+ * @property {'morris'|'sobol'} [method]
+ * @property {string[]} [factors] - Claves de parámetros a variar dentro de sus rangos del panel
+ * @property {Partial<import('./params.js').ModelParams>} [baseParams] - Valores de los parámetros fijos
+ * @property {import('./solvers.js').SolverOptions} [solver]
+ * @property {number} [trajectories] - Morris: número de trayectorias r
+ * @property {number} [levels] - Morris: niveles de la malla p (par)
+ * @property {number} [samples] - Sobol: tamaño base N (se ejecutan N·(k+2) simulaciones)
+ * @property {number} [bootstrap] - Sobol: remuestreos para los intervalos de confianza
+ * @property {number} [seed]
+ * @property {(fraction: number) => void} [onProgress]
+ * @property {import('./jobs.js').Runner} [runner] - Ejecutor de las simulaciones (por defecto, el hilo actual)
+ * @property {AbortSignal} [signal]
+ */
+
+// Un tiempo de remoción no alcanzado se censura en el horizonte y el resto de valores
+// ausentes (un co-sustrato sin carga, un ajuste imposible) cuentan como cero, para que
+// todas las salidas sean numéricas
+const numericMetrics = (metrics, params) => {
+  const censored = new Set(metricDefinitionsFor(params).filter(m => m.censored).map(m => m.key));
+  return Object.fromEntries(Object.entries(metrics).map(([key, value]) => [
+    key,
+    value ?? (censored.has(key) ? params.t_final / 24 : 0),
+  ]));
+};
+
+/**
+ * Diseño de trayectorias de Morris en el hipercubo unitario. Cada trayectoria
+ * parte de un punto de la malla de p niveles y mueve un factor a la vez en ±Δ.
+ */
+export const morrisDesign = (k, { trajectories = 10, levels = 4, seed = 1 } = {}) => {
+  const random = createRandom(seed);
+  const delta = levels / (2 * (levels - 1));
+
+  const design = Array.from({ length: trajectories }, () => {
+    let x = Array.from({ length: k }, () => Math.floor(random() * levels) / (levels - 1));
+    const points = [x];
+    const order = shuffle([...Array(k).keys()], random);
+    const steps = order.map(j => {
+      const step = x[j] + delta <= 1 + 1e-12 ? delta : -delta;
+      x = [...x];
+      x[j] += step;
+      points.push(x);
+      return step;
+    });
+    return { points, order, steps };
+  });
+
+  return { delta, trajectories: design };
+};
+
+/**
+ * Efectos elementales de Morris: μ (media), μ* (media del valor absoluto) y σ.
+ *
+ * @param {ReturnType<typeof morrisDesign>} design
+ * @param {Object<string, number>[]} outputs - Métricas de cada punto, en el orden del diseño
+ * @param {string[]} factorKeys
+ */
+export const analyzeMorris = (design, outputs, factorKeys) => {
+  const k = factorKeys.length;
+  const outputKeys = Object.keys(outputs[0]);
+  const indices = {};
+
+  for (const output of outputKeys) {
+    const effects = factorKeys.map(() => []);
+    design.trajectories.forEach((trajectory, r) => {
+      const base = r * (k + 1);
+      trajectory.order.forEach((j, s) => {
+        const before = outputs[base + s][output];
+        const after = outputs[base + s + 1][output];
+        effects[j].push((after - before) / trajectory.steps[s]);
+      });
+    });
+
+    indices[output] = factorKeys.map((key, j) => ({
+      key,
+      mu: mean(effects[j]),
+      mu_star: mean(effects[j].map(Math.abs)),
+      sigma: effects[j].length > 1 ? Math.sqrt(variance(effects[j])) : 0,
+    }));
+  }
+
+  return indices;
+};
+
+/**
+ * Diseño de Saltelli: matrices A y B de N×k y, para cada factor i, la matriz A_B(i)
+ * (A con la columna i tomada de B).
+ */
+export const saltelliDesign = (k, { samples = 64, seed = 1 } = {}) => {
+  const random = createRandom(seed);
+  const matrix = () => Array.from({ length: samples }, () => Array.from({ length: k }, random));
+  const A = matrix();
+  const B = matrix();
+
+  const points = [...A, ...B];
+  for (let i = 0; i < k; i++) {
+    for (let n = 0; n < samples; n++) {
+      const row = [...A[n]];
+      row[i] = B[n][i];
+      points.push(row);
+    }
+  }
+  return { samples, points };
+};
+
+// Índices de primer orden (Saltelli, 2010) y totales (Jansen, 1999) para un subconjunto de filas
+const sobolEstimates = (fA, fB, fAB, rows) => {
+  const yA = rows.map(n => fA[n]);
+  const yB = rows.map(n => fB[n]);
+  const V = variance([...yA, ...yB]);
+  return fAB.map(fABi => {
+    if (!(V > 0)) return { S1: 0, ST: 0 };
+    const S1 = mean(rows.map(n => fB[n] * (fABi[n] - fA[n]))) / V;
+    const ST = 0.5 * mean(rows.map(n => (fA[n] - fABi[n]) ** 2)) / V;
+    return { S1, ST };
+  });
+};
+
+/**
+ * Índices de Sobol de primer orden (S1) y totales (ST) con intervalos de confianza
+ * del 95 % por remuestreo bootstrap (semiamplitud en S1_conf / ST_conf).
+ *
+ * @param {ReturnType<typeof saltelliDesign>} design
+ * @param {Object<string, number>[]} outputs - Métricas de cada punto, en el orden del diseño
+ * @param {string[]} factorKeys
+ */
+export const analyzeSobol = (design, outputs, factorKeys, { bootstrap = 100, seed = 1 } = {}) => {
+  const N = design.samples;
+  const k = factorKeys.length;
+  const random = createRandom(seed + 1);
+  const allRows = [...Array(N).keys()];
+  const resamples = Array.from({ length: bootstrap }, () =>
+    allRows.map(() => Math.floor(random() * N)));
+
+  const indices = {};
+  for (const output of Object.keys(outputs[0])) {
+    const values = outputs.map(o => o[output]);
+    const fA = values.slice(0, N);
+    const fB = values.slice(N, 2 * N);
+    const fAB = Array.from({ length: k }, (_, i) => values.slice((2 + i) * N, (3 + i) * N));
+
+    const estimates = sobolEstimates(fA, fB, fAB, allRows);
+    const boot = resamples.map(rows => sobolEstimates(fA, fB, fAB, rows));
+
+    indices[output] = factorKeys.map((key, i) => {
+      const halfWidth = (field) => {
+        const sorted = boot.map(b => b[i][field]).sort((a, b) => a - b);
+        return sorted.length ? (quantile(sorted, 0.975) - quantile(sorted, 0.025)) / 2 : 0;
+      };
+      return {
+        key,
+        S1: estimates[i].S1,
+        S1_conf: halfWidth('S1'),
+        ST: estimates[i].ST,
+        ST_conf: halfWidth('ST'),
+      };
+    });
+  }
+
+  return indices;
+};
+
+/**
+ * Ejecuta un análisis de sensibilidad global sobre las variables de respuesta de
+ * `calculateMetrics`. Las simulaciones del diseño se reparten entre los hilos de `runner`.
+ *
+ * @param {SensitivityOptions} [options]
+ * @returns {Promise<{ method: string, factors: Object[], runs: number, seed: number, indices: Object<string, Object[]> }>}
+ */
+export const runSensitivity = async ({
+  method = 'morris',
+  factors = DEFAULT_SENSITIVITY_FACTORS,
+  baseParams = DEFAULT_PARAMS,
+  solver = DEFAULT_SOLVER,
+  trajectories = 10,
+  levels = 4,
+  samples = 64,
+  bootstrap = 100,
+  seed = 1,
+  onProgress,
+  runner = localRunner,
+  signal,
+} = {}) => {
+  const names = { ...DEFAULT_PARAMS, ...baseParams };
+  const definitions = factors.map(key => {
+    const definition = SENSITIVITY_PARAMETERS.find(p => p.key === key);
+    if (!definition) throw new Error(`Parámetro sin rango definido para el análisis: ${key}`);
+    return { ...definition, label: parameterLabel(definition.label, names) };
+  });
+  if (definitions.length === 0) throw new Error('Selecciona al menos un parámetro');
+  if (method !== 'morris' && method !== 'sobol') throw new Error(`Método de sensibilidad desconocido: ${method}`);
+
+  const k = definitions.length;
+  const design = method === 'morris'
+    ? morrisDesign(k, { trajectories, levels, seed })
+    : saltelliDesign(k, { samples, seed });
+  const points = method === 'morris' ? design.trajectories.flatMap(t => t.points) : design.points;
+
+  const runs = points.map(point => {
+    const params = { ...DEFAULT_PARAMS, ...baseParams };
+    definitions.forEach((f, j) => {
+      params[f.key] = f.min + point[j] * (f.max - f.min);
+    });
+    return params;
+  });
+  const outcomes = await runner.map(runs.map(params => ({ type: 'evaluate', params, solver })), { onProgress, signal });
+
+  const outputs = outcomes.map((outcome, n) => {
+    if (outcome.error) throw new Error(`Falló la simulación ${n + 1} de ${points.length}: ${outcome.error}`);
+    return numericMetrics(outcome.value.metrics, runs[n]);
+  });
+
+  const indices = method === 'morris'
+    ? analyzeMorris(design, outputs, factors)
+    : analyzeSobol(design, outputs, factors, { bootstrap, seed });
+
+  return { method, factors: definitions, runs: points.length, seed, indices };
+};
+
+/**
+ * Aplana los índices a una fila por (salida, factor) para exportarlos como tabla.
+ */
+export const flattenSensitivity = ({ method, indices }) => {
+  const columns = method === 'morris'
+    ? ['output', 'factor', 'mu', 'mu_star', 'sigma']
+    : ['output', 'factor', 'S1', 'S1_conf', 'ST', 'ST_conf'];
+  const rows = Object.entries(indices).flatMap(([output, list]) =>
+    list.map(({ key, ...values }) => ({ output, factor: key, ...values })));
+  return { columns, rows };
+};
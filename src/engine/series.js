@@ -0,0 +1,49 @@
+// ============================================================================
+// UTILIDADES SOBRE SERIES TEMPORALES
+// ============================================================================
+
+/**
+ * Interpola linealmente una columna de la serie temporal en el instante `time_h`.
+ * Fuera del horizonte devuelve el valor del extremo más cercano.
+ *
+ * @param {import('./model.js').SimulationPoint[]} results
+ * @param {string} key
+ * @param {number} time_h
+ * @returns {number}
+ */
+export const interpolateSeries = (results, key, time_h) => {
+  if (time_h <= results[0].time_h) return results[0][key];
+  const last = results[results.length - 1];
+  if (time_h >= last.time_h) return last[key];
+
+  let lo = 0;
+  let hi = results.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (results[mid].time_h <= time_h) lo = mid;
+    else hi = mid;
+  }
+  const a = results[lo];
+  const b = results[hi];
+  const w = (time_h - a.time_h) / (b.time_h - a.time_h);
+  return a[key] + w * (b[key] - a[key]);
+};
+
+/**
+ * Primer instante (h) en que una columna alcanza o supera `value`, interpolado linealmente
+ * entre el punto anterior y el del cruce. Devuelve null si no lo alcanza dentro del horizonte.
+ *
+ * @param {import('./model.js').SimulationPoint[]} results
+ * @param {string} key
+ * @param {number} value
+ * @returns {number|null}
+ */
+export const crossingTime = (results, key, value) => {
+  const i = results.findIndex(r => r[key] >= value);
+  if (i < 0) return null;
+  if (i === 0) return results[0].time_h;
+  const a = results[i - 1];
+  const b = results[i];
+  if (!Number.isFinite(a[key])) return b.time_h;
+  return a.time_h + (value - a[key]) / (b[key] - a[key]) * (b.time_h - a.time_h);
+};
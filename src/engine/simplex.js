@@ -0,0 +1,73 @@
+// ============================================================================
+// MINIMIZACIÓN SIN DERIVADAS (NELDER-MEAD)
+// ============================================================================
+
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Las coordenadas normalizadas se mantienen en [0, 1]
+const clip = (u) => u.map(v => Math.min(1, Math.max(0, v)));
+
+/**
+ * Minimiza `cost` con el método símplex de Nelder-Mead sobre coordenadas normalizadas
+ * u ∈ [0, 1]ⁿ; los vértices se recortan a los límites. Cede el hilo cada cinco iteraciones
+ * para no bloquear la interfaz. El costo puede ser asíncrono; los vértices del símplex
+ * inicial y de cada reducción se evalúan a la vez.
+ *
+ * @param {(u: number[]) => number|Promise<number>} cost - Infinity si el punto no es evaluable
+ * @param {number[]} u0 - Punto inicial
+ * @param {Object} [options]
+ * @param {number} [options.maxIterations]
+ * @param {number} [options.step] - Tamaño del símplex inicial en cada coordenada
+ * @param {(info: { iteration: number, value: number }) => void} [options.onProgress]
+ * @returns {Promise<{ point: number[], value: number, iterations: number, converged: boolean }>}
+ */
+export const nelderMead = async (cost, u0, { maxIterations = 1000, step = 0.1, onProgress } = {}) => {
+  const n = u0.length;
+  const evaluate = async (point) => ({ point, value: await cost(point) });
+  let simplex = await Promise.all([u0, ...u0.map((_, j) => {
+    const v = [...u0];
+    v[j] = v[j] + step <= 1 ? v[j] + step : v[j] - step;
+    return v;
+  })].map(evaluate));
+  let iterations = 0;
+  let converged = false;
+
+  while (iterations < maxIterations) {
+    iterations++;
+    simplex.sort((a, b) => a.value - b.value);
+    const best = simplex[0];
+    const worst = simplex[n];
+    const spread = Math.abs(worst.value - best.value);
+    if (spread <= 1e-10 * (Math.abs(best.value) + 1e-30)
+      && simplex.every(s => s.point.every((v, j) => Math.abs(v - best.point[j]) < 1e-6))) {
+      converged = true;
+      break;
+    }
+
+    const centroid = best.point.map((_, j) => simplex.slice(0, n).reduce((acc, s) => acc + s.point[j], 0) / n);
+    const along = (factor) => clip(centroid.map((c, j) => c + factor * (worst.point[j] - c)));
+
+    const reflected = await evaluate(along(-1));
+    if (reflected.value < best.value) {
+      const expanded = await evaluate(along(-2));
+      simplex[n] = expanded.value < reflected.value ? expanded : reflected;
+    } else if (reflected.value < simplex[n - 1].value) {
+      simplex[n] = reflected;
+    } else {
+      const contracted = await evaluate(along(reflected.value < worst.value ? -0.5 : 0.5));
+      if (contracted.value < Math.min(worst.value, reflected.value)) {
+        simplex[n] = contracted;
+      } else {
+        simplex = await Promise.all(simplex.map((s, i) => i === 0 ? s : evaluate(
+          clip(s.point.map((v, j) => best.point[j] + 0.5 * (v - best.point[j]))))));
+      }
+    }
+
+    if (iterations % 5 === 0) {
+      onProgress?.({ iteration: iterations, value: simplex[0].value });
+      await yieldToEventLoop();
+    }
+  }
+  simplex.sort((a, b) => a.value - b.value);
+  return { point: simplex[0].point, value: simplex[0].value, iterations, converged };
+};
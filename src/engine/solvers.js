@@ -0,0 +1,278 @@
+// ============================================================================
+// INTEGRADORES NUMÉRICOS
+// ============================================================================
+import { luDecompose, luSolve } from './linalg.js';
+
+export const SOLVER_METHODS = {
+  euler: { label: 'Euler explícito (paso fijo)', order: 1, adaptive: false },
+  rk4: { label: 'Runge-Kutta 4 (paso fijo)', order: 4, adaptive: false },
+  rk45: { label: 'Dormand-Prince RK45 (adaptativo)', order: 5, adaptive: true },
+  rosenbrock: { label: 'Rosenbrock ROS3 (implícito, rígido)', order: 3, adaptive: true },
+};
+
+/**
+ * @typedef {Object} SolverOptions
+ * @property {'euler'|'rk4'|'rk45'|'rosenbrock'} method
+ * @property {number} rtol
+ * @property {number} atol
+ * @property {number} max_steps
+ */
+
+/**
+ * @typedef {Object} SolverStats
+ * @property {string} method
+ * @property {number} steps - Pasos aceptados
+ * @property {number} rejected_steps
+ * @property {number} evaluations - Evaluaciones de f(t, y)
+ * @property {number} max_local_error - Mayor error local estimado (unidades del estado)
+ * @property {number} h_min
+ * @property {number} h_max
+ * @property {number} clamp_events - Recortes a cero del Euler heredado
+ * @property {number} min_state - Valor mínimo alcanzado por cualquier variable de estado
+ */
+
+/** @type {SolverOptions} */
+export const DEFAULT_SOLVER = {
+  method: 'rk45',     // Método de integración (ver SOLVER_METHODS)
+  rtol: 1e-6,         // Tolerancia relativa (métodos adaptativos)
+  atol: 1e-8,         // Tolerancia absoluta (métodos adaptativos)
+  max_steps: 200000,  // Límite de pasos internos por simulación
+};
+
+const addScaled = (y, h, k) => y.map((v, i) => v + h * k[i]);
+
+// Norma RMS del error local escalada con las tolerancias
+const errorNorm = (err, y, yNew, rtol, atol) => {
+  let sum = 0;
+  for (let i = 0; i < err.length; i++) {
+    const scale = atol + rtol * Math.max(Math.abs(y[i]), Math.abs(yNew[i]));
+    sum += (err[i] / scale) ** 2;
+  }
+  return Math.sqrt(sum / err.length);
+};
+
+const maxAbs = (v) => v.reduce((m, x) => Math.max(m, Math.abs(x)), 0);
+
+const eulerStep = (f, t, y, h) => addScaled(y, h, f(t, y));
+
+const rk4Step = (f, t, y, h) => {
+  const k1 = f(t, y);
+  const k2 = f(t + h / 2, addScaled(y, h / 2, k1));
+  const k3 = f(t + h / 2, addScaled(y, h / 2, k2));
+  const k4 = f(t + h, addScaled(y, h, k3));
+  return y.map((v, i) => v + (h / 6) * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]));
+};
+
+// Tablero de Butcher de Dormand-Prince 5(4)
+const DP_C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+const DP_A = [
+  [],
+  [1 / 5],
+  [3 / 40, 9 / 40],
+  [44 / 45, -56 / 15, 32 / 9],
+  [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+  [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+  [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84],
+];
+const DP_B = [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0];
+const DP_E = [71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40];
+
+const dormandPrinceStep = (f, t, y, h) => {
+  const k = [];
+  for (let s = 0; s < 7; s++) {
+    const yStage = y.map((v, i) => v + h * DP_A[s].reduce((acc, a, j) => acc + a * k[j][i], 0));
+    k.push(f(t + DP_C[s] * h, yStage));
+  }
+  const yNew = y.map((v, i) => v + h * DP_B.reduce((acc, b, s) => acc + b * k[s][i], 0));
+  const err = y.map((_, i) => h * DP_E.reduce((acc, e, s) => acc + e * k[s][i], 0));
+  return { yNew, err, evaluations: 7 };
+};
+
+// Jacobiano por diferencias finitas hacia adelante
+const numericalJacobian = (f, t, y, f0) => {
+  const n = y.length;
+  const J = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let j = 0; j < n; j++) {
+    const delta = Math.sqrt(Number.EPSILON) * Math.max(Math.abs(y[j]), 1);
+    const yPert = [...y];
+    yPert[j] += delta;
+    const fPert = f(t, yPert);
+    for (let i = 0; i < n; i++) J[i][j] = (fPert[i] - f0[i]) / delta;
+  }
+  return J;
+};
+
+// Derivada temporal ∂f/∂t por diferencias finitas (nula en sistemas autónomos)
+const timeDerivative = (f, t, y, f0) => {
+  const delta = Math.sqrt(Number.EPSILON) * Math.max(Math.abs(t), 1);
+  const fPert = f(t + delta, y);
+  return fPert.map((v, i) => (v - f0[i]) / delta);
+};
+
+// Rosenbrock ROS3 (Sandu et al., 1997), L-estable de orden 3 con estimador embebido de orden 2
+const ROS3 = {
+  gamma: 0.43586652150845899941601945119356,
+  // Nodos temporales de las etapas y coeficientes del término ∂f/∂t (sistemas no autónomos)
+  alpha: [0, 0.43586652150845899941601945119356, 0.43586652150845899941601945119356],
+  gammas: [0.43586652150845899941601945119356, 0.24291996454816804366592249683314, 2.1851380027664058511513169485832],
+  c21: -1.0156171083877702091975600115545,
+  c31: 4.0759956452537699824805835358067,
+  c32: 9.2076794298330791242156818474003,
+  m: [1, 6.1697947043828245592553615689730, -0.42772256543218573326238373806514],
+  e: [0.5, -2.9079558716805469821718236208017, 0.22354069897811569627360909276199],
+};
+
+const rosenbrockStep = (f, t, y, h) => {
+  const { gamma, alpha, gammas, c21, c31, c32, m, e } = ROS3;
+  const f0 = f(t, y);
+  const J = numericalJacobian(f, t, y, f0);
+  const ft = timeDerivative(f, t, y, f0);
+  const M = J.map((row, i) => row.map((v, j) => (i === j ? 1 / (gamma * h) : 0) - v));
+  const lu = luDecompose(M);
+
+  const k1 = luSolve(lu, f0.map((v, i) => v + h * gammas[0] * ft[i]));
+  // Las etapas 2 y 3 evalúan f en el mismo punto (a21 = a31 = 1, a32 = 0)
+  const f1 = f(t + alpha[1] * h, addScaled(y, 1, k1));
+  const k2 = luSolve(lu, f1.map((v, i) => v + (c21 * k1[i]) / h + h * gammas[1] * ft[i]));
+  const k3 = luSolve(lu, f1.map((v, i) => v + (c31 * k1[i] + c32 * k2[i]) / h + h * gammas[2] * ft[i]));
+
+  const yNew = y.map((v, i) => v + m[0] * k1[i] + m[1] * k2[i] + m[2] * k3[i]);
+  const err = y.map((_, i) => e[0] * k1[i] + e[1] * k2[i] + e[2] * k3[i]);
+  return { yNew, err, evaluations: 3 + y.length };
+};
+
+const ADAPTIVE_STEPPERS = {
+  rk45: { step: dormandPrinceStep, errorOrder: 4 },
+  rosenbrock: { step: rosenbrockStep, errorOrder: 2 },
+};
+
+const FIXED_STEPPERS = {
+  euler: eulerStep,
+  rk4: rk4Step,
+};
+
+/**
+ * Combina las estadísticas de integraciones consecutivas (p. ej. las fases de un ciclo SBR).
+ *
+ * @param {SolverStats} a
+ * @param {SolverStats} b
+ * @returns {SolverStats}
+ */
+export const combineStats = (a, b) => ({
+  method: b.method,
+  steps: a.steps + b.steps,
+  rejected_steps: a.rejected_steps + b.rejected_steps,
+  evaluations: a.evaluations + b.evaluations,
+  max_local_error: Math.max(a.max_local_error, b.max_local_error),
+  h_min: Math.min(a.h_min, b.h_min),
+  h_max: Math.max(a.h_max, b.h_max),
+  clamp_events: a.clamp_events + b.clamp_events,
+  min_state: Math.min(a.min_state, b.min_state),
+});
+
+/**
+ * Integra dy/dt = f(t, y) y devuelve el estado en cada tiempo de la malla de salida.
+ * Los métodos de paso fijo avanzan con h = intervalo de salida; los adaptativos
+ * ajustan el paso internamente y siempre caen exactamente en los tiempos de salida.
+ *
+ * @param {(t: number, y: number[]) => number[]} f - Lado derecho del sistema
+ * @param {number[]} y0 - Estado inicial
+ * @param {number[]} tGrid - Malla de salida creciente (h)
+ * @param {SolverOptions} [solver]
+ * @returns {{ states: number[][], stats: SolverStats }}
+ */
+export const integrateODE = (f, y0, tGrid, solver = DEFAULT_SOLVER) => {
+  const { method, rtol, atol, max_steps } = { ...DEFAULT_SOLVER, ...solver };
+  if (!SOLVER_METHODS[method]) throw new Error(`Método de integración desconocido: ${method}`);
+
+  const stats = {
+    method,
+    steps: 0,
+    rejected_steps: 0,
+    evaluations: 0,
+    max_local_error: 0,
+    h_min: Infinity,
+    h_max: 0,
+    clamp_events: 0,
+    min_state: Math.min(...y0),
+  };
+
+  const countedF = (t, y) => {
+    stats.evaluations++;
+    return f(t, y);
+  };
+
+  const track = (h, y, localError) => {
+    stats.steps++;
+    stats.h_min = Math.min(stats.h_min, h);
+    stats.h_max = Math.max(stats.h_max, h);
+    stats.max_local_error = Math.max(stats.max_local_error, localError);
+    stats.min_state = Math.min(stats.min_state, ...y);
+  };
+
+  const states = [y0];
+  let y = [...y0];
+
+  if (!SOLVER_METHODS[method].adaptive) {
+    const step = FIXED_STEPPERS[method];
+    for (let n = 1; n < tGrid.length; n++) {
+      const t = tGrid[n - 1];
+      const h = tGrid[n] - t;
+      const yFull = step(countedF, t, y, h);
+      // Error local estimado por duplicación de paso (dos medios pasos vs. uno completo)
+      const yHalf = step(countedF, t + h / 2, step(countedF, t, y, h / 2), h / 2);
+      track(h, yFull, maxAbs(yFull.map((v, i) => v - yHalf[i])));
+
+      if (method === 'euler') {
+        // Recorte heredado del integrador original; se contabiliza para no ocultarlo
+        if (yFull.some(v => v < 0)) stats.clamp_events++;
+        y = yFull.map(v => Math.max(0, v));
+      } else {
+        y = yFull;
+      }
+      states.push(y);
+    }
+    return { states, stats };
+  }
+
+  const { step, errorOrder } = ADAPTIVE_STEPPERS[method];
+  const tSpan = tGrid[tGrid.length - 1] - tGrid[0];
+  const hMin = 1e-12 * Math.max(tSpan, 1);
+  let h = Math.min(tGrid.length > 1 ? tGrid[1] - tGrid[0] : tSpan, tSpan) * 0.1 || hMin;
+  let t = tGrid[0];
+
+  for (let n = 1; n < tGrid.length; n++) {
+    const tOut = tGrid[n];
+    while (t < tOut - hMin) {
+      if (stats.steps + stats.rejected_steps >= max_steps) {
+        throw new Error(`Se superó el máximo de ${max_steps} pasos del integrador en t = ${t.toFixed(3)} h`);
+      }
+      const hStep = Math.min(h, tOut - t);
+      const { yNew, err, evaluations } = step(f, t, y, hStep);
+      stats.evaluations += evaluations;
+      const norm = errorNorm(err, y, yNew, rtol, atol);
+      const accepted = norm <= 1 && yNew.every(Number.isFinite);
+
+      if (accepted) {
+        t += hStep;
+        y = yNew;
+        track(hStep, y, maxAbs(err));
+      } else {
+        stats.rejected_steps++;
+      }
+
+      const factor = Number.isFinite(norm)
+        ? Math.min(5, Math.max(0.2, 0.9 * Math.pow(norm || 1e-10, -1 / (errorOrder + 1))))
+        : 0.2;
+      // Un paso recortado para caer en la malla de salida no debe reducir el paso propuesto
+      h = accepted && hStep < h ? Math.max(h, hStep * factor) : hStep * factor;
+      if (h < hMin) {
+        throw new Error(`Paso de integración por debajo del mínimo en t = ${t.toFixed(3)} h; el sistema puede ser rígido`);
+      }
+    }
+    t = tOut;
+    states.push(y);
+  }
+
+  return { states, stats };
+};
@@ -0,0 +1,145 @@
+// ============================================================================
+// SORCIÓN: ISOTERMAS, DOS SITIOS Y FRACCIÓN LIGADA
+// ============================================================================
+import { getContaminant } from './contaminants.js';
+import { activeSubstrates } from './substrates.js';
+
+// Isotermas de equilibrio q(C) (mg/kg frente a mg/L)
+export const SORPTION_ISOTHERMS = [
+  { value: 'linear', label: 'Lineal', description: 'q = K_d · C' },
+  { value: 'freundlich', label: 'Freundlich', description: 'q = K_f · C^(1/n); n > 1 favorece la sorción a baja concentración' },
+  { value: 'langmuir', label: 'Langmuir', description: 'q = q_max · K_L · C/(1 + K_L · C); capacidad limitada de los óxidos de Fe y Al' },
+];
+
+export const SORPTION_SITE_MODELS = [
+  { value: 'one', label: 'Un sitio cinético', description: 'r_sorp = k_sorp · (C_aq − C_eq(q))' },
+  {
+    value: 'two',
+    label: 'Dos sitios (equilibrio + cinético)',
+    description: 'Una fracción f_eq de la isoterma se equilibra rápido (k_sorp,eq) y el resto lentamente (k_sorp).',
+  },
+];
+
+export const BOUND_RESIDUE_MODELS = [
+  { value: 'none', label: 'Sin fracción ligada' },
+  {
+    value: 'irreversible',
+    label: 'Fracción ligada irreversible',
+    description: 'El sorbido (el del sitio cinético con dos sitios) pasa con k_irr a una fracción que no se desorbe ni se degrada.',
+  },
+];
+
+// Variables de estado adicionales de la fase sólida, tras los co-sustratos
+const POOLS = [
+  { key: 'C_G_s2', applies: (params) => params.sorption_sites === 'two' },
+  { key: 'C_G_irr', applies: (params) => params.bound_residue === 'irreversible' },
+];
+
+/**
+ * Fracciones sorbidas que añaden una variable de estado: el sitio cinético del modelo de
+ * dos sitios (C_G_s2) y la fracción ligada irreversible (C_G_irr). C_G_s es siempre el
+ * primer sitio (el de equilibrio con dos sitios).
+ *
+ * @param {import('./params.js').ModelParams} params
+ * @returns {string[]}
+ */
+export const sorptionPools = (params) => POOLS.filter(p => p.applies(params)).map(p => p.key);
+
+/**
+ * Concentraciones de las fracciones adicionales en el vector de estado (0 si no se modelan).
+ *
+ * @param {number[]} y
+ * @param {import('./params.js').ModelParams} params
+ * @returns {{ C_G_s2: number, C_G_irr: number }}
+ */
+export const sorptionStates = (y, params) => {
+  let index = 3 + getContaminant(params.contaminant).metabolites.length + activeSubstrates(params).length;
+  const states = { C_G_s2: 0, C_G_irr: 0 };
+  for (const key of sorptionPools(params)) states[key] = y[index++];
+  return states;
+};
+
+/**
+ * Sorbido en equilibrio con una concentración acuosa según la isoterma (mg/kg).
+ *
+ * @param {number} C - mg/L
+ * @param {import('./params.js').ModelParams} params
+ */
+export const isothermLoading = (C, params) => {
+  const c = Math.max(0, C);
+  switch (params.sorption_isotherm) {
+    case 'freundlich':
+      return params.K_f * c ** (1 / params.n_f);
+    case 'langmuir':
+      return (params.q_max * params.K_L * c) / (1 + params.K_L * c);
+    default:
+      return params.K_d * c;
+  }
+};
+
+/**
+ * Pendiente de la isoterma, dq/dC, en una concentración acuosa (L/kg): el K_d equivalente
+ * de la isoterma linealizada.
+ *
+ * @param {number} C - mg/L
+ * @param {import('./params.js').ModelParams} params
+ */
+export const isothermSlope = (C, params) => {
+  const c = Math.max(0, C);
+  switch (params.sorption_isotherm) {
+    case 'freundlich':
+      return (params.K_f / params.n_f) * Math.max(c, 1e-6) ** (1 / params.n_f - 1);
+    case 'langmuir':
+      return (params.q_max * params.K_L) / (1 + params.K_L * c) ** 2;
+    default:
+      return params.K_d;
+  }
+};
+
+/**
+ * Concentración acuosa en equilibrio con un sorbido (inversa de la isoterma, mg/L). Con
+ * Langmuir crece sin límite al acercarse a q_max, lo que fuerza la desorción.
+ *
+ * @param {number} q - mg/kg
+ * @param {import('./params.js').ModelParams} params
+ */
+export const equilibriumConcentration = (q, params) => {
+  const s = Math.max(0, q);
+  switch (params.sorption_isotherm) {
+    case 'freundlich':
+      return (s / params.K_f) ** params.n_f;
+    case 'langmuir':
+      return s / (params.K_L * Math.max(params.q_max - s, params.q_max * 1e-9));
+    default:
+      return s / params.K_d;
+  }
+};
+
+/**
+ * Velocidades de sorción. `r_site1` y `r_site2` pasan del agua a cada sitio (mg/L/h, por
+ * litro de líquido); `r_bound` es la formación de fracción ligada (mg/kg/h). Cada sitio
+ * tiende al equilibrio con su parte de la isoterma: f_eq el primero y 1 − f_eq el segundo.
+ *
+ * @param {number} C_G_aq
+ * @param {number} C_G_s - Sorbido en el primer sitio (mg/kg)
+ * @param {number} C_G_s2 - Sorbido en el sitio cinético (mg/kg)
+ * @param {import('./params.js').ModelParams} params
+ * @returns {{ r_site1: number, r_site2: number, r_bound: number }}
+ */
+export const sorptionRates = (C_G_aq, C_G_s, C_G_s2, params) => {
+  const { k_sorp, f_eq } = params;
+  const bound = params.bound_residue === 'irreversible';
+
+  if (params.sorption_sites !== 'two') {
+    const r_site1 = (params.sorption_isotherm ?? 'linear') === 'linear'
+      ? k_sorp * (C_G_aq - C_G_s / params.K_d)
+      : k_sorp * (C_G_aq - equilibriumConcentration(C_G_s, params));
+    return { r_site1, r_site2: 0, r_bound: bound ? params.k_irr * Math.max(0, C_G_s) : 0 };
+  }
+
+  return {
+    r_site1: params.k_sorp_eq * (C_G_aq - equilibriumConcentration(C_G_s / f_eq, params)),
+    r_site2: k_sorp * (C_G_aq - equilibriumConcentration(C_G_s2 / (1 - f_eq), params)),
+    r_bound: bound ? params.k_irr * Math.max(0, C_G_s2) : 0,
+  };
+};
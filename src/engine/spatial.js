@@ -0,0 +1,195 @@
+// ============================================================================
+// REACTOR POR ZONAS: SUSPENSIÓN ESTRATIFICADA Y LECHO SEDIMENTADO
+// ============================================================================
+// Con mezcla perfecta todo el slurry tiene la misma composición. El modelo por zonas divide
+// la columna en n_zones capas de suspensión de igual volumen y, si la agitación no basta
+// para suspender todo el sólido, un lecho sedimentado en el fondo:
+// - La fracción de sólidos en suspensión es N/N_js (criterio de Zwietering): a la velocidad
+//   de suspensión completa o por encima no hay lecho. El lecho tiene θ_bed kg de sólido por L.
+// - Entre capas vecinas la agitación intercambia slurry a k_mix · N/200 (1/h) y los sólidos
+//   sedimentan a v_s/Δz; el perfil estacionario de sólidos decrece hacia la superficie con
+//   la razón k_mix/(k_mix + v_s/Δz) entre una capa y la de debajo.
+// - La capa inferior y el lecho intercambian sólidos por sedimentación y resuspensión, con
+//   el mismo flujo en los dos sentidos (v_s/Δz · θ · V de la capa), y agua intersticial con k_pore.
+// El reparto de sólidos se supone en equilibrio desde el inicio, así que solo se transportan
+// las concentraciones: las fracciones sorbidas siguen a los sólidos y el resto de variables
+// (especies disueltas, biomasa, estado fisiológico y oxígeno), al líquido. El lecho no se airea.
+// Solo se aplica en lote: en los modos con alimentación el reactor se trata como mezcla perfecta.
+
+export const SPATIAL_MODELS = [
+  { value: 'mixed', label: 'Mezcla perfecta', description: 'Todo el slurry tiene la misma composición.' },
+  {
+    value: 'zones',
+    label: 'Zonas verticales y lecho',
+    description: 'Capas de suspensión con un perfil de sólidos y un lecho sedimentado que intercambian por agitación y sedimentación (solo en lote).',
+  },
+];
+
+// Número máximo de capas de suspensión
+export const MAX_ZONES = 5;
+
+// Color de cada capa en las gráficas, desde la superficie, y del lecho
+const ZONE_COLORS = ['#38bdf8', '#0ea5e9', '#0284c7', '#0369a1', '#1e3a8a'];
+const BED_COLOR = '#92400e';
+
+// Agitación a la que se da k_mix (rpm)
+const MIXING_REFERENCE_RPM = 200;
+
+// Variables de estado que se refieren a la masa de sólido (mg/kg); las demás, al volumen de slurry
+const SOLID_STATES = ['C_G_s', 'C_G_s2', 'C_G_irr'];
+
+/**
+ * @typedef {Object} Compartment
+ * @property {string} key - Z1 … Zn desde la superficie, o bed
+ * @property {string} label
+ * @property {boolean} bed
+ * @property {string} color - Para las gráficas
+ * @property {number} volume - Fracción del volumen del reactor
+ * @property {number} theta - Sólidos (kg/L)
+ * @property {number} bottom - Altura de la base, como fracción de la columna
+ * @property {number} top - Altura del techo, como fracción de la columna
+ */
+
+/**
+ * @typedef {Object} CompartmentLink
+ * @property {number} upper - Índice del compartimento de arriba
+ * @property {number} lower - Índice del compartimento de abajo
+ * @property {number} liquid - Caudal de intercambio de slurry por litro de reactor (1/h)
+ * @property {number} solids - Flujo de intercambio de sólidos por litro de reactor (kg/L/h)
+ */
+
+/**
+ * @typedef {Object} CompartmentLayout
+ * @property {Compartment[]} compartments - Las capas desde la superficie y, si existe, el lecho
+ * @property {CompartmentLink[]} links
+ * @property {number} suspended - Fracción de los sólidos en suspensión
+ * @property {number} k_mix - Intercambio entre capas a la agitación elegida (1/h)
+ * @property {number} k_settle - Sedimentación a través de una capa, v_s/Δz (1/h)
+ */
+
+/** @param {Partial<import('./params.js').ModelParams>} params */
+export const spatialEnabled = (params) => (params.spatial_model ?? 'mixed') === 'zones' && params.mode === 'batch';
+
+/**
+ * Volumen, sólidos y altura de cada compartimento, e intercambios entre vecinos.
+ *
+ * @param {import('./params.js').ModelParams} params
+ * @returns {CompartmentLayout}
+ */
+export const compartmentLayout = (params) => {
+  const { n_zones, theta, theta_bed, N_agit } = params;
+  const suspended = Math.min(1, N_agit / params.N_js);
+  const bedVolume = (1 - suspended) * theta / theta_bed;
+  const zoneVolume = (1 - bedVolume) / n_zones;
+  const k_mix = params.k_mix * N_agit / MIXING_REFERENCE_RPM;
+  const k_settle = params.v_settle / (params.H_r * zoneVolume);
+  // Sólidos de cada capa relativos a la inferior, desde el fondo
+  const ratio = k_mix / (k_mix + k_settle);
+  const profile = Array.from({ length: n_zones }, (_, i) => ratio ** i);
+  const bottomTheta = suspended * theta / (zoneVolume * profile.reduce((sum, p) => sum + p, 0));
+
+  const zones = Array.from({ length: n_zones }, (_, j) => {
+    const fromBottom = n_zones - 1 - j;
+    return {
+      key: `Z${j + 1}`,
+      label: n_zones === 1 ? 'Suspensión' : `Zona ${j + 1}${j === 0 ? ' (superficie)' : j === n_zones - 1 ? ' (fondo)' : ''}`,
+      bed: false,
+      color: ZONE_COLORS[j],
+      volume: zoneVolume,
+      theta: bottomTheta * profile[fromBottom],
+      bottom: bedVolume + fromBottom * zoneVolume,
+      top: bedVolume + (fromBottom + 1) * zoneVolume,
+    };
+  });
+  const links = zones.slice(1).map((zone, j) => ({
+    upper: j,
+    lower: j + 1,
+    liquid: k_mix * zoneVolume,
+    solids: k_mix * zone.theta * zoneVolume,
+  }));
+  if (bedVolume <= 0) return { compartments: zones, links, suspended, k_mix, k_settle };
+
+  const bottom = zones[n_zones - 1];
+  return {
+    compartments: [...zones, { key: 'bed', label: 'Lecho sedimentado', bed: true, color: BED_COLOR, volume: bedVolume, theta: theta_bed, bottom: 0, top: bedVolume }],
+    links: [...links, { upper: n_zones - 1, lower: n_zones, liquid: params.k_pore * bedVolume, solids: k_settle * bottom.theta * zoneVolume }],
+    suspended,
+    k_mix,
+    k_settle,
+  };
+};
+
+/**
+ * Divide el vector de estado del reactor en el de cada compartimento.
+ *
+ * @param {number[]} Y
+ * @param {CompartmentLayout} layout
+ * @returns {number[][]}
+ */
+export const compartmentStates = (Y, { compartments }) => {
+  const n = Y.length / compartments.length;
+  return compartments.map((_, k) => Y.slice(k * n, (k + 1) * n));
+};
+
+/**
+ * Estado medio del reactor: las variables de la fase sólida se ponderan por la masa de
+ * sólido de cada compartimento y las demás, por su volumen. Con él, el inventario y la
+ * remoción coinciden con los de la suma de los compartimentos.
+ *
+ * @param {number[]} Y
+ * @param {CompartmentLayout} layout
+ * @param {string[]} variables - Variables de estado de un compartimento (stateVariables)
+ * @returns {number[]}
+ */
+export const averageState = (Y, layout, variables) => {
+  const states = compartmentStates(Y, layout);
+  const solids = layout.compartments.reduce((sum, c) => sum + c.theta * c.volume, 0);
+  return variables.map((key, i) => (SOLID_STATES.includes(key)
+    ? states.reduce((sum, y, k) => sum + layout.compartments[k].theta * layout.compartments[k].volume * y[i], 0) / solids
+    : states.reduce((sum, y, k) => sum + layout.compartments[k].volume * y[i], 0)));
+};
+
+/**
+ * Términos de intercambio entre compartimentos de dY/dt.
+ *
+ * @param {number[]} Y
+ * @param {CompartmentLayout} layout
+ * @param {string[]} variables
+ * @returns {number[]}
+ */
+export const exchangeTerms = (Y, layout, variables) => {
+  const { compartments, links } = layout;
+  const n = variables.length;
+  const solid = variables.map(key => SOLID_STATES.includes(key));
+  const dY = Y.map(() => 0);
+  for (const { upper, lower, liquid, solids } of links) {
+    const a = compartments[upper];
+    const b = compartments[lower];
+    for (let i = 0; i < n; i++) {
+      const difference = Y[lower * n + i] - Y[upper * n + i];
+      if (solid[i]) {
+        dY[upper * n + i] += solids * difference / (a.theta * a.volume);
+        dY[lower * n + i] -= solids * difference / (b.theta * b.volume);
+      } else {
+        dY[upper * n + i] += liquid * difference / a.volume;
+        dY[lower * n + i] -= liquid * difference / b.volume;
+      }
+    }
+  }
+  return dY;
+};
+
+/**
+ * Reparte una dosis (mg/L de reactor) entre las capas de suspensión: lo añadido llega al
+ * líquido agitado, no al lecho.
+ *
+ * @param {number[]} Y
+ * @param {number[]} delta - Dosis de cada variable de estado de un compartimento
+ * @param {CompartmentLayout} layout
+ * @returns {number[]}
+ */
+export const addToSuspension = (Y, delta, { compartments }) => {
+  const n = delta.length;
+  const suspension = compartments.filter(c => !c.bed).reduce((sum, c) => sum + c.volume, 0);
+  return Y.map((v, j) => (compartments[Math.floor(j / n)].bed ? v : v + delta[j % n] / suspension));
+};
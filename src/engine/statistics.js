@@ -0,0 +1,23 @@
+// ============================================================================
+// ESTADÍSTICA DESCRIPTIVA
+// ============================================================================
+
+export const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+// Varianza muestral (denominador n − 1)
+export const variance = (values) => {
+  const m = mean(values);
+  return values.reduce((acc, v) => acc + (v - m) ** 2, 0) / (values.length - 1);
+};
+
+/**
+ * Cuantil q ∈ [0, 1] de una lista ya ordenada, con interpolación lineal entre
+ * estadísticos de orden (definición 7 de Hyndman y Fan, la de R y NumPy).
+ */
+export const quantile = (sorted, q) => {
+  if (sorted.length === 0) return NaN;
+  const position = (sorted.length - 1) * q;
+  const lo = Math.floor(position);
+  const hi = Math.ceil(position);
+  return sorted[lo] + (position - lo) * (sorted[hi] - sorted[lo]);
+};
@@ -0,0 +1,173 @@
+// ============================================================================
+// CO-SUSTRATOS E INTERACCIÓN ENTRE SUSTRATOS
+// ============================================================================
+import { getContaminant } from './contaminants.js';
+
+/**
+ * @typedef {Object} Substrate
+ * @property {string} id
+ * @property {string} name
+ * @property {'amendment'|'contaminant'} kind - Enmienda de crecimiento o co-contaminante
+ * @property {string} description
+ * @property {Object<string, number>} formula
+ * @property {string} color
+ * @property {{ C_0: number, k_max: number, K_s: number, Y: number, K_i: number }} defaults -
+ *   Concentración inicial (mg/L), k_max (1/h), K_s y K_i (mg/L) y rendimiento en biomasa (mg/mg)
+ */
+
+/** @type {Substrate[]} */
+export const SUBSTRATES = [
+  {
+    id: 'glucose',
+    name: 'Glucosa',
+    kind: 'amendment',
+    description: 'Enmienda de carbono fácilmente asimilable',
+    formula: { C: 6, H: 12, O: 6 },
+    color: '#eab308',
+    defaults: { C_0: 500, k_max: 0.4, K_s: 50, Y: 0.4, K_i: 5000 },
+  },
+  {
+    id: 'molasses',
+    name: 'Melaza',
+    kind: 'amendment',
+    description: 'Enmienda de bajo coste; se modela como sacarosa',
+    formula: { C: 12, H: 22, O: 11 },
+    color: '#a16207',
+    defaults: { C_0: 1000, k_max: 0.2, K_s: 150, Y: 0.35, K_i: 8000 },
+  },
+  {
+    id: 'acetate',
+    name: 'Acetato',
+    kind: 'amendment',
+    description: 'Ácido orgánico de cadena corta',
+    formula: { C: 2, H: 4, O: 2 },
+    color: '#f472b6',
+    defaults: { C_0: 300, k_max: 0.3, K_s: 30, Y: 0.3, K_i: 3000 },
+  },
+  {
+    id: 'phenol',
+    name: 'Fenol',
+    kind: 'contaminant',
+    description: 'Co-contaminante aromático, inhibitorio a concentración alta',
+    formula: { C: 6, H: 6, O: 1 },
+    color: '#0ea5e9',
+    defaults: { C_0: 50, k_max: 0.15, K_s: 10, Y: 0.4, K_i: 150 },
+  },
+];
+
+// Valor de la selección de un hueco sin co-sustrato
+export const NO_SUBSTRATE = 'none';
+
+// Variable de estado y parámetros de cada hueco de co-sustrato
+export const SUBSTRATE_SLOTS = [
+  {
+    key: 'C_S1_aq', choice: 'cosubstrate_1', token: 'S1', initial: 'C_S1_aq_0', feed: 'C_S1_aq_in',
+    k_max: 'k_max_S1', K_s: 'K_s_S1', yield: 'Y_S1', K_i: 'K_i_S1', removal: 'removal_S1',
+  },
+  {
+    key: 'C_S2_aq', choice: 'cosubstrate_2', token: 'S2', initial: 'C_S2_aq_0', feed: 'C_S2_aq_in',
+    k_max: 'k_max_S2', K_s: 'K_s_S2', yield: 'Y_S2', K_i: 'K_i_S2', removal: 'removal_S2',
+  },
+];
+
+/**
+ * @param {string} id
+ * @returns {Substrate}
+ */
+export const getSubstrate = (id) => {
+  const substrate = SUBSTRATES.find(s => s.id === id);
+  if (!substrate) throw new Error(`Co-sustrato desconocido: ${id}`);
+  return substrate;
+};
+
+/**
+ * Huecos ocupados por un co-sustrato, en el orden en que aparecen en el vector de estado,
+ * junto con los datos del registro.
+ *
+ * @param {import('./params.js').ModelParams} params
+ * @returns {(typeof SUBSTRATE_SLOTS[number] & { substrate: Substrate })[]}
+ */
+export const activeSubstrates = (params) => SUBSTRATE_SLOTS
+  .filter(slot => (params[slot.choice] ?? NO_SUBSTRATE) !== NO_SUBSTRATE)
+  .map(slot => ({ ...slot, substrate: getSubstrate(params[slot.choice]) }));
+
+// Los co-sustratos siguen a los metabolitos de la cadena en el vector de estado; el
+// oxígeno disuelto, si se modela, va detrás
+export const substrateStates = (y, params) => {
+  const start = 3 + getContaminant(params.contaminant).metabolites.length;
+  return y.slice(start, start + activeSubstrates(params).length);
+};
+
+/**
+ * Sustituye {S1} y {S2} por el nombre del co-sustrato de cada hueco.
+ *
+ * @param {string} text
+ * @param {Partial<import('./params.js').ModelParams>} params
+ */
+export const substrateLabel = (text, params) => text.replace(/\{(S1|S2)\}/g, (token, slot) => {
+  const id = params[SUBSTRATE_SLOTS.find(s => s.token === slot).choice];
+  return id && id !== NO_SUBSTRATE ? getSubstrate(id).name : token;
+});
+
+// Modelos de interacción entre el contaminante y los co-sustratos. K_i es la constante de
+// inhibición de cada compuesto: frente a los demás (competitiva y no competitiva) o frente
+// a sí mismo (Haldane).
+export const INTERACTION_MODELS = [
+  {
+    value: 'none',
+    label: 'Independiente',
+    description: 'Cada sustrato sigue su propia cinética de Monod: r_i = k_max,i · S_i/(K_s,i + S_i) · X.',
+  },
+  {
+    value: 'competitive',
+    label: 'Inhibición competitiva',
+    description: 'Los sustratos compiten por el mismo sitio activo: r_i = k_max,i · S_i/(K_s,i · (1 + Σ S_j/K_i,j) + S_i) · X.',
+  },
+  {
+    value: 'noncompetitive',
+    label: 'Inhibición no competitiva',
+    description: 'Cada sustrato reduce la velocidad máxima de los demás: r_i = k_max,i · S_i/(K_s,i + S_i) · X / Π (1 + S_j/K_i,j).',
+  },
+  {
+    value: 'haldane',
+    label: 'Inhibición por sustrato (Haldane)',
+    description: 'Cada sustrato inhibe su propia degradación: r_i = k_max,i · S_i/(K_s,i + S_i + S_i²/K_i,i) · X.',
+  },
+  {
+    value: 'cometabolic',
+    label: 'Co-metabolismo',
+    description: 'El contaminante solo se degrada mientras hay co-sustrato de crecimiento y no aporta biomasa: r_G = k_max · S_G/(K_s + S_G) · S*/(1 + S*) · X, con S* = Σ S_j/K_s,j.',
+  },
+];
+
+/**
+ * Factores de saturación f_i de cada sustrato (r_i = k_max,i · f_i · X) según el modelo
+ * de interacción. El primer sustrato es el contaminante y los demás, los co-sustratos.
+ *
+ * @param {number[]} S - Concentraciones (mg/L), no negativas
+ * @param {number[]} K_s
+ * @param {number[]} K_i
+ * @param {string} interaction
+ * @returns {number[]}
+ */
+export const saturationFactors = (S, K_s, K_i, interaction) => {
+  const monod = S.map((s, i) => s / (K_s[i] + s + 1e-10));
+
+  switch (interaction) {
+    case 'competitive': {
+      const occupancy = S.map((s, i) => s / K_i[i]);
+      const total = occupancy.reduce((sum, o) => sum + o, 0);
+      return S.map((s, i) => s / (K_s[i] * (1 + total - occupancy[i]) + s + 1e-10));
+    }
+    case 'noncompetitive':
+      return monod.map((m, i) => S.reduce((f, s, j) => (j === i ? f : f / (1 + s / K_i[j])), m));
+    case 'haldane':
+      return S.map((s, i) => s / (K_s[i] + s + s * s / K_i[i] + 1e-10));
+    case 'cometabolic': {
+      const growth = S.slice(1).reduce((sum, s, j) => sum + s / K_s[j + 1], 0);
+      return [monod[0] * growth / (1 + growth), ...monod.slice(1)];
+    }
+    default:
+      return monod;
+  }
+};
@@ -0,0 +1,5 @@
+// Punto de entrada de cada hilo de createThreadPool
+import { parentPort } from 'node:worker_threads';
+import { serveJobs } from './worker.js';
+
+parentPort.on('message', serveJobs((message) => parentPort.postMessage(message)));
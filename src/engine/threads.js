@@ -0,0 +1,50 @@
+// ============================================================================
+// POOL CON WORKER THREADS DE NODE (USO SIN INTERFAZ)
+// ============================================================================
+// Depende de node:worker_threads, por eso no se exporta desde index.js.
+import { Worker } from 'node:worker_threads';
+import os from 'node:os';
+import { createPool } from './pool.js';
+
+const WORKER_URL = new URL('./thread-worker.js', import.meta.url);
+
+/** Hilos disponibles en la máquina. */
+export const availableThreads = () => (os.availableParallelism ? os.availableParallelism() : os.cpus().length);
+
+/**
+ * Pool de hilos de Node con la misma interfaz que el de la aplicación. Hay que llamar a
+ * `terminate()` al terminar para que el proceso pueda salir.
+ *
+ * @example
+ * const pool = createThreadPool();
+ * const outcomes = await pool.map(lista.map(params => ({ type: 'evaluate', params })));
+ * pool.terminate();
+ *
+ * @param {number} [size]
+ * @param {URL} [script] - Punto de entrada de los hilos (por defecto, thread-worker.js)
+ * @returns {import('./jobs.js').Runner}
+ */
+export const createThreadPool = (size = availableThreads(), script = WORKER_URL) => createPool({
+  size,
+  spawn: (onMessage, onError) => {
+    const worker = new Worker(script);
+    // Un hilo que se cierra sin excepción (process.exit, límite de memoria) solo emite
+    // 'exit'; los cierres por terminate() o tras un 'error' ya están atendidos
+    let closed = false;
+    worker.on('message', onMessage);
+    worker.on('error', (error) => {
+      closed = true;
+      onError(error);
+    });
+    worker.on('exit', (code) => {
+      if (!closed) onError(new Error(`El hilo de simulación terminó inesperadamente (código ${code})`));
+    });
+    return {
+      post: (message) => worker.postMessage(message),
+      terminate: () => {
+        closed = true;
+        worker.terminate();
+      },
+    };
+  },
+});
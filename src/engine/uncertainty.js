@@ -0,0 +1,251 @@
+// ============================================================================
+// PROPAGACIÓN DE INCERTIDUMBRE (MONTE CARLO)
+// ============================================================================
+import { DEFAULT_PARAMS } from './params.js';
+import { DEFAULT_SOLVER } from './solvers.js';
+import { localRunner } from './jobs.js';
+import { createRandom, standardNormal } from './random.js';
+import { mean, quantile } from './statistics.js';
+
+/**
+ * @typedef {{ type: 'uniform', min: number, max: number }
+ *   | { type: 'normal', mean: number, sd: number }
+ *   | { type: 'lognormal', median: number, gsd: number }
+ *   | { type: 'triangular', min: number, mode: number, max: number }} Distribution
+ */
+
+export const DISTRIBUTION_TYPES = {
+  uniform: { label: 'Uniforme', fields: [{ key: 'min', label: 'Mín' }, { key: 'max', label: 'Máx' }] },
+  normal: { label: 'Normal', fields: [{ key: 'mean', label: 'Media' }, { key: 'sd', label: 'Desv. est.' }] },
+  lognormal: { label: 'Lognormal', fields: [{ key: 'median', label: 'Mediana' }, { key: 'gsd', label: 'Desv. geom.' }] },
+  triangular: { label: 'Triangular', fields: [{ key: 'min', label: 'Mín' }, { key: 'mode', label: 'Moda' }, { key: 'max', label: 'Máx' }] },
+};
+
+// Parámetros que definen la malla temporal y no pueden ser inciertos
+export const FIXED_PARAMS = ['t_final', 'dt'];
+
+// Variables de la serie temporal para las que se calculan bandas de percentiles
+export const BAND_VARIABLES = ['C_G_aq', 'C_G_s', 'C_A_aq', 'X', 'removal_percent'];
+
+export const BAND_QUANTILES = { p5: 0.05, p50: 0.5, p95: 0.95 };
+
+// Configuración por defecto del modo incertidumbre
+export const DEFAULT_MONTE_CARLO = {
+  realizations: 200,
+  seed: 1,
+  target: { metric: 'removal_day14', operator: '>=', value: 90 },
+};
+
+/**
+ * Distribución inicial sugerida para un parámetro con valor nominal `value`.
+ *
+ * @param {keyof DISTRIBUTION_TYPES} type
+ * @param {number} value
+ * @returns {Distribution}
+ */
+export const defaultDistribution = (type, value) => {
+  switch (type) {
+    case 'uniform': return { type, min: 0.5 * value, max: 1.5 * value };
+    case 'normal': return { type, mean: value, sd: 0.2 * value };
+    case 'lognormal': return { type, median: value, gsd: 2 };
+    case 'triangular': return { type, min: 0.5 * value, mode: value, max: 1.5 * value };
+    default: throw new Error(`Distribución desconocida: ${type}`);
+  }
+};
+
+/**
+ * Devuelve un mensaje de error si la distribución no es válida, o null.
+ *
+ * @param {Distribution} dist
+ * @returns {string|null}
+ */
+export const validateDistribution = (dist) => {
+  const spec = DISTRIBUTION_TYPES[dist?.type];
+  if (!spec) return `distribución desconocida: ${dist?.type}`;
+  const missing = spec.fields.find(f => !Number.isFinite(dist[f.key]));
+  if (missing) return `${missing.label} debe ser un número`;
+
+  switch (dist.type) {
+    case 'uniform':
+      return dist.max > dist.min && dist.min >= 0 ? null : 'requiere 0 ≤ mín < máx';
+    case 'normal':
+      return dist.sd >= 0 ? null : 'la desviación estándar no puede ser negativa';
+    case 'lognormal':
+      return dist.median > 0 && dist.gsd >= 1 ? null : 'requiere mediana > 0 y desviación geométrica ≥ 1';
+    case 'triangular':
+      return dist.min >= 0 && dist.min <= dist.mode && dist.mode <= dist.max && dist.max > dist.min
+        ? null : 'requiere 0 ≤ mín ≤ moda ≤ máx';
+    default:
+      return null;
+  }
+};
+
+/**
+ * Extrae una muestra de la distribución. La normal se trunca en cero porque todos
+ * los parámetros del modelo son no negativos.
+ *
+ * @param {Distribution} dist
+ * @param {() => number} random
+ * @returns {number}
+ */
+export const sampleDistribution = (dist, random) => {
+  switch (dist.type) {
+    case 'uniform':
+      return dist.min + random() * (dist.max - dist.min);
+    case 'normal': {
+      for (let attempt = 0; attempt < 100; attempt++) {
+        const value = dist.mean + dist.sd * standardNormal(random);
+        if (value >= 0) return value;
+      }
+      return 0;
+    }
+    case 'lognormal':
+      return dist.median * Math.exp(Math.log(dist.gsd) * standardNormal(random));
+    case 'triangular': {
+      const { min, mode, max } = dist;
+      const u = random();
+      const split = (mode - min) / (max - min);
+      return u < split
+        ? min + Math.sqrt(u * (max - min) * (mode - min))
+        : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+    }
+    default:
+      throw new Error(`Distribución desconocida: ${dist.type}`);
+  }
+};
+
+/**
+ * @typedef {Object} UncertaintyTarget
+ * @property {string} metric - Clave de calculateMetrics
+ * @property {'>='|'<='} operator
+ * @property {number} value
+ */
+
+const meetsTarget = (metrics, { metric, operator, value }) => {
+  const observed = metrics[metric];
+  if (observed === null || observed === undefined) return false;
+  return operator === '<=' ? observed <= value : observed >= value;
+};
+
+// Resumen de la distribución de una métrica; los valores null (p. ej. T90 no alcanzado) se cuentan aparte
+const summarize = (values) => {
+  const finite = values.filter(Number.isFinite).sort((a, b) => a - b);
+  return {
+    n: finite.length,
+    missing: values.length - finite.length,
+    mean: finite.length ? mean(finite) : null,
+    p5: finite.length ? quantile(finite, 0.05) : null,
+    p50: finite.length ? quantile(finite, 0.5) : null,
+    p95: finite.length ? quantile(finite, 0.95) : null,
+    min: finite.length ? finite[0] : null,
+    max: finite.length ? finite[finite.length - 1] : null,
+  };
+};
+
+/**
+ * @typedef {Object} MonteCarloResult
+ * @property {number} realizations - Realizaciones completadas
+ * @property {number} failures - Realizaciones en las que falló el integrador
+ * @property {number} seed
+ * @property {Object<string, number|number[]>[]} bands - Por cada tiempo de la malla: time_days,
+ *   `<var>_p5`, `<var>_p50`, `<var>_p95` y `<var>_band` = [p5, p95]
+ * @property {Object<string, ReturnType<typeof summarize>>} metrics - Resumen por métrica
+ * @property {(UncertaintyTarget & { probability: number })|null} target
+ * @property {{ params: Object<string, number>, metrics: import('./metrics.js').Metrics }[]} samples
+ */
+
+/**
+ * Propaga la incertidumbre de los parámetros ejecutando N realizaciones del modelo.
+ * Con la misma semilla y la misma configuración el resultado es idéntico.
+ *
+ * @param {Object} options
+ * @param {Object<string, Distribution>} options.distributions - Parámetros inciertos
+ * @param {Partial<import('./params.js').ModelParams>} [options.baseParams] - Valores de los parámetros fijos
+ * @param {import('./solvers.js').SolverOptions} [options.solver]
+ * @param {number} [options.realizations]
+ * @param {number} [options.seed]
+ * @param {UncertaintyTarget} [options.target]
+ * @param {(fraction: number) => void} [options.onProgress]
+ * @param {import('./jobs.js').Runner} [options.runner] - Ejecutor de las realizaciones (por defecto, el hilo actual)
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<MonteCarloResult>}
+ */
+export const runMonteCarlo = async ({
+  distributions,
+  baseParams = DEFAULT_PARAMS,
+  solver = DEFAULT_SOLVER,
+  realizations = DEFAULT_MONTE_CARLO.realizations,
+  seed = DEFAULT_MONTE_CARLO.seed,
+  target = null,
+  onProgress,
+  runner = localRunner,
+  signal,
+}) => {
+  const entries = Object.entries(distributions || {});
+  if (entries.length === 0) throw new Error('Asigna una distribución al menos a un parámetro');
+  entries.forEach(([key, dist]) => {
+    if (FIXED_PARAMS.includes(key)) throw new Error(`${key} define la malla temporal y no puede ser incierto`);
+    if (!(key in DEFAULT_PARAMS)) throw new Error(`Parámetro desconocido: ${key}`);
+    const problem = validateDistribution(dist);
+    if (problem) throw new Error(`${key}: ${problem}`);
+  });
+
+  const random = createRandom(seed);
+  const base = { ...DEFAULT_PARAMS, ...baseParams };
+  // Todas las muestras se extraen antes de simular, así la secuencia no depende del orden
+  // en que terminen las realizaciones ni de las que fallen
+  const draws = Array.from({ length: realizations }, () =>
+    Object.fromEntries(entries.map(([key, dist]) => [key, sampleDistribution(dist, random)])));
+  const outcomes = await runner.map(
+    draws.map(sampled => ({ type: 'evaluate', params: { ...base, ...sampled }, solver, columns: BAND_VARIABLES })),
+    { onProgress, signal },
+  );
+
+  const series = Object.fromEntries(BAND_VARIABLES.map(v => [v, []]));
+  const samples = [];
+  let grid = null;
+  let failures = 0;
+  outcomes.forEach((outcome, n) => {
+    if (outcome.error) {
+      failures++;
+      return;
+    }
+    const { results, metrics } = outcome.value;
+    grid = grid || results.map(r => r.time_days);
+    BAND_VARIABLES.forEach(v => series[v].push(results.map(r => r[v])));
+    samples.push({ params: draws[n], metrics });
+  });
+
+  if (samples.length === 0) throw new Error('Todas las realizaciones fallaron');
+
+  const bands = grid.map((time_days, i) => {
+    const row = { time_days };
+    BAND_VARIABLES.forEach(v => {
+      const sorted = series[v].map(s => s[i]).sort((a, b) => a - b);
+      Object.entries(BAND_QUANTILES).forEach(([name, q]) => {
+        row[`${v}_${name}`] = quantile(sorted, q);
+      });
+      row[`${v}_band`] = [row[`${v}_p5`], row[`${v}_p95`]];
+    });
+    return row;
+  });
+
+  const metricKeys = Object.keys(samples[0].metrics);
+  const metrics = Object.fromEntries(metricKeys.map(key => [
+    key,
+    summarize(samples.map(s => s.metrics[key] ?? NaN)),
+  ]));
+
+  return {
+    realizations: samples.length,
+    failures,
+    seed,
+    bands,
+    metrics,
+    target: target && {
+      ...target,
+      probability: samples.filter(s => meetsTarget(s.metrics, target)).length / samples.length,
+    },
+    samples,
+  };
+};
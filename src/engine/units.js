@@ -0,0 +1,64 @@
+// ============================================================================
+// UNIDADES DE ENTRADA
+// ============================================================================
+// Los parámetros se guardan siempre en las unidades del motor (horas, mg/L...); la interfaz
+// permite escribirlos en unidades equivalentes. `factor` pasa de la unidad del motor a la
+// alternativa: valor en la alternativa = valor en el motor · factor.
+
+export const UNIT_ALTERNATIVES = {
+  '1/h': [{ unit: '1/h', factor: 1 }, { unit: '1/d', factor: 24 }],
+  'L/h': [{ unit: 'L/h', factor: 1 }, { unit: 'L/d', factor: 24 }],
+  h: [{ unit: 'h', factor: 1 }, { unit: 'd', factor: 1 / 24 }],
+  horas: [{ unit: 'horas', factor: 1 }, { unit: 'días', factor: 1 / 24 }],
+  'mg/L': [{ unit: 'mg/L', factor: 1 }, { unit: 'µg/L', factor: 1000 }],
+  'mg/kg': [{ unit: 'mg/kg', factor: 1 }, { unit: 'µg/kg', factor: 1000 }],
+};
+
+/**
+ * Unidades en las que puede escribirse un parámetro cuya unidad en el motor es `unit`; la
+ * primera es siempre la del motor.
+ *
+ * @param {string} unit
+ * @returns {{ unit: string, factor: number }[]}
+ */
+export const unitOptions = (unit) => UNIT_ALTERNATIVES[unit] ?? [{ unit, factor: 1 }];
+
+const unitFactor = (base, unit) => {
+  const option = unitOptions(base).find(o => o.unit === unit);
+  if (!option) throw new Error(`Unidad desconocida para ${base}: ${unit}`);
+  return option.factor;
+};
+
+// Doce cifras significativas bastan y evitan arrastrar restos como 0,049999999999999996
+const tidy = (value) => Number(value.toPrecision(12));
+
+/**
+ * Pasa un valor de la unidad del motor a otra equivalente.
+ *
+ * @param {number} value
+ * @param {string} base - Unidad del motor
+ * @param {string} unit
+ */
+export const toUnit = (value, base, unit) => tidy(value * unitFactor(base, unit));
+
+/**
+ * Pasa un valor de una unidad equivalente a la del motor.
+ *
+ * @param {number} value
+ * @param {string} base - Unidad del motor
+ * @param {string} unit
+ */
+export const fromUnit = (value, base, unit) => tidy(value / unitFactor(base, unit));
+
+/**
+ * Lee un número escrito a mano; admite coma decimal y notación científica. Devuelve NaN si
+ * el texto no es un número finito.
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+export const parseNumberInput = (text) => {
+  const trimmed = String(text).trim().replace(',', '.');
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(trimmed)) return NaN;
+  return Number(trimmed);
+};
@@ -0,0 +1,21 @@
+// ============================================================================
+// LADO DEL HILO DE TRABAJO
+// ============================================================================
+// Atiende los mensajes { id, job } del pool y responde con el progreso y el resultado.
+// Lo usan tanto el Web Worker de la aplicación como el hilo de Node (threads.js).
+import { runJob } from './jobs.js';
+
+/**
+ * Crea el manejador de mensajes de un hilo de trabajo.
+ *
+ * @param {(message: Object) => void} post - Envía un mensaje al hilo principal
+ * @returns {(message: { id: number, job: import('./jobs.js').Job }) => void}
+ */
+export const serveJobs = (post) => ({ id, job }) => {
+  try {
+    const result = runJob(job, { onProgress: (value) => post({ id, type: 'progress', value }) });
+    post({ id, type: 'result', result });
+  } catch (err) {
+    post({ id, type: 'error', name: err.name, message: err.message });
+  }
+};
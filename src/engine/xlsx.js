@@ -0,0 +1,291 @@
+// ============================================================================
+// LIBROS XLSX MÍNIMOS (SpreadsheetML EN UN ZIP)
+// ============================================================================
+// Suficiente para hojas de datos: números, texto, celdas vacías, encabezado en negrita
+// fijado y anchos de columna. La lectura solo recupera los valores de las celdas.
+// No depende de bibliotecas externas ni del DOM.
+
+const encoder = new TextEncoder();
+
+// Tabla del CRC-32 (polinomio 0xEDB88320) que exige el formato ZIP
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// Fecha y hora en formato MS-DOS; se fija a 1980-01-01 para que el archivo sea reproducible
+const DOS_TIME = 0;
+const DOS_DATE = (1 << 5) | 1;
+
+/**
+ * Empaqueta archivos en un ZIP con el método "store" (sin compresión).
+ *
+ * @param {{ name: string, content: string }[]} files
+ * @returns {Uint8Array}
+ */
+const zip = (files) => {
+  const entries = files.map(({ name, content }) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    return { nameBytes, data, crc: crc32(data) };
+  });
+  const localSize = entries.reduce((sum, e) => sum + 30 + e.nameBytes.length + e.data.length, 0);
+  const centralSize = entries.reduce((sum, e) => sum + 46 + e.nameBytes.length, 0);
+  const out = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(out.buffer);
+  let offset = 0;
+  const u16 = (value) => { view.setUint16(offset, value, true); offset += 2; };
+  const u32 = (value) => { view.setUint32(offset, value, true); offset += 4; };
+  const bytes = (value) => { out.set(value, offset); offset += value.length; };
+
+  const offsets = entries.map(e => {
+    const start = offset;
+    u32(0x04034B50); u16(20); u16(0x0800); u16(0); u16(DOS_TIME); u16(DOS_DATE);
+    u32(e.crc); u32(e.data.length); u32(e.data.length); u16(e.nameBytes.length); u16(0);
+    bytes(e.nameBytes);
+    bytes(e.data);
+    return start;
+  });
+  entries.forEach((e, i) => {
+    u32(0x02014B50); u16(20); u16(20); u16(0x0800); u16(0); u16(DOS_TIME); u16(DOS_DATE);
+    u32(e.crc); u32(e.data.length); u32(e.data.length); u16(e.nameBytes.length);
+    u16(0); u16(0); u16(0); u16(0); u32(0); u32(offsets[i]);
+    bytes(e.nameBytes);
+  });
+  u32(0x06054B50); u16(0); u16(0); u16(entries.length); u16(entries.length);
+  u32(centralSize); u32(localSize); u16(0);
+  return out;
+};
+
+const escapeXML = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  // Caracteres de control que XML 1.0 no admite
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+// Letra de columna de Excel para un índice desde 0: 0 → A, 25 → Z, 26 → AA
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+// Estilos: 0 normal, 1 negrita (encabezados)
+const HEADER_STYLE = 1;
+
+const cellXML = (value, ref, style) => {
+  const s = style ? ` s="${style}"` : '';
+  if (typeof value === 'number') return Number.isFinite(value) ? `<c r="${ref}"${s}><v>${value}</v></c>` : '';
+  if (typeof value === 'boolean') return `<c r="${ref}"${s} t="b"><v>${value ? 1 : 0}</v></c>`;
+  if (value === null || value === undefined || value === '') return '';
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${escapeXML(value)}</t></is></c>`;
+};
+
+const sheetXML = ({ rows, header = true, widths = [] }) => {
+  const views = header && rows.length > 1
+    ? '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    : '';
+  const cols = widths.length > 0
+    ? `<cols>${widths.map((w, i) => `<col min="${i + 1}" max="${i + 1}" width="${w}" customWidth="1"/>`).join('')}</cols>`
+    : '';
+  const data = rows.map((row, r) => `<row r="${r + 1}">${row
+    .map((value, c) => cellXML(value, `${columnName(c)}${r + 1}`, header && r === 0 ? HEADER_STYLE : 0))
+    .join('')}</row>`).join('');
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">${views}${cols}<sheetData>${data}</sheetData></worksheet>`;
+};
+
+const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+  + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+  + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+  + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+  + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+  + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+  + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+  + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+  + '</styleSheet>';
+
+// Excel limita los nombres de hoja a 31 caracteres y no admite : \ / ? * [ ]
+const sheetName = (name, index) => (String(name).replace(/[:\\/?*[\]]/g, ' ').trim().slice(0, 31) || `Hoja${index + 1}`);
+
+/**
+ * @typedef {Object} Sheet
+ * @property {string} name
+ * @property {(string|number|boolean|null)[][]} rows - La primera fila es el encabezado
+ * @property {boolean} [header=true] - Encabezado en negrita y fijado al desplazarse
+ * @property {number[]} [widths] - Ancho de cada columna en caracteres
+ */
+
+/**
+ * Crea un libro XLSX con una hoja por entrada.
+ *
+ * @param {Sheet[]} sheets
+ * @returns {Uint8Array}
+ */
+export const createWorkbook = (sheets) => {
+  const names = sheets.map((s, i) => sheetName(s.name, i));
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  return zip([
+    {
+      name: '[Content_Types].xml',
+      content: `${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+        + '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      content: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: `${xml}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>`
+        + names.map((name, i) => `<sheet name="${escapeXML(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+        + '</sheets></workbook>',
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+        + `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+        + '</Relationships>',
+    },
+    { name: 'xl/styles.xml', content: STYLES_XML },
+    ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, content: sheetXML(sheet) })),
+  ]);
+};
+
+// ----------------------------------------------------------------------------
+// Lectura
+// ----------------------------------------------------------------------------
+
+const decoder = new TextDecoder();
+
+// Los libros de Excel y LibreOffice comprimen sus partes con deflate
+const inflateRaw = async (data) => {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('Este entorno no puede descomprimir archivos XLSX; guarda los datos como CSV');
+  }
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Extrae los archivos de un ZIP a partir de su directorio central.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Map<string, string>>} Contenido de cada archivo como texto UTF-8
+ */
+const unzip = async (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  // El registro de fin de directorio está al final, seguido de un comentario opcional
+  let end = bytes.length - 22;
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054B50) end--;
+  if (end < 0) throw new Error('El archivo no es un libro XLSX válido');
+
+  const files = new Map();
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== 0x02014B50) throw new Error('Directorio del libro XLSX dañado');
+    const method = view.getUint16(offset + 10, true);
+    const size = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const next = offset + 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+    const local = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+    const data = bytes.subarray(start, start + size);
+    if (method === 0) files.set(name, decoder.decode(data));
+    else if (method === 8) files.set(name, decoder.decode(await inflateRaw(data)));
+    offset = next;
+  }
+  return files;
+};
+
+const unescapeXML = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const attributes = (tag) => Object.fromEntries([...tag.matchAll(/([\w:]+)="([^"]*)"/g)].map(([, k, v]) => [k, unescapeXML(v)]));
+
+// Texto de un elemento <si> o <is>: concatena los fragmentos <t>, sin la guía fonética <rPh>
+const richText = (xml) => unescapeXML(xml
+  .replace(/<rPh\b[\s\S]*?<\/rPh>/g, '')
+  .match(/<t\b[^>]*>[\s\S]*?<\/t>/g)?.map(t => t.replace(/<[^>]+>/g, '')).join('') ?? '');
+
+// Índice de columna desde 0 a partir de una referencia como "AB12"
+const columnIndex = (ref) => [...ref.replace(/\d+$/, '')].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+
+const cellValue = (attrs, body, shared) => {
+  const raw = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+  switch (attrs.t) {
+    case 's': return shared[Number(raw)] ?? null;
+    case 'inlineStr': return richText(body);
+    case 'str': return raw === undefined ? null : unescapeXML(raw);
+    case 'b': return raw === '1';
+    case 'e': return null;
+    default: return raw === undefined || raw === '' ? null : Number(raw);
+  }
+};
+
+const readSheet = (xml, shared) => {
+  const rows = [];
+  for (const [, rowTag, rowBody = ''] of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const r = attributes(rowTag).r;
+    const index = r ? Number(r) - 1 : rows.length;
+    const row = [];
+    for (const [, cellTag, cellBody = ''] of rowBody.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attrs = attributes(cellTag);
+      row[attrs.r ? columnIndex(attrs.r) : row.length] = cellValue(attrs, cellBody, shared);
+    }
+    rows[index] = Array.from(row, v => v ?? null);
+  }
+  return Array.from(rows, row => row ?? []);
+};
+
+/**
+ * Lee los valores de todas las hojas de un libro XLSX. Las fechas se devuelven como el
+ * número de serie de Excel y las fórmulas como su último valor calculado.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Promise<{ name: string, rows: (string|number|boolean|null)[][] }[]>}
+ */
+export const readWorkbook = async (bytes) => {
+  const files = await unzip(bytes);
+  const workbook = files.get('xl/workbook.xml');
+  if (!workbook) throw new Error('El archivo no contiene un libro de Excel');
+
+  const targets = new Map([...(files.get('xl/_rels/workbook.xml.rels') ?? '').matchAll(/<Relationship\b[^>]*>/g)]
+    .map(([tag]) => attributes(tag))
+    .map(a => [a.Id, a.Target.startsWith('/') ? a.Target.slice(1) : `xl/${a.Target}`]));
+  const shared = [...(files.get('xl/sharedStrings.xml') ?? '').matchAll(/<si>([\s\S]*?)<\/si>|<si\/>/g)]
+    .map(([, body = '']) => richText(body));
+
+  return [...workbook.matchAll(/<sheet\b[^>]*>/g)].map(([tag], i) => {
+    const a = attributes(tag);
+    const xml = files.get(targets.get(a['r:id'])) ?? files.get(`xl/worksheets/sheet${i + 1}.xml`) ?? '';
+    return { name: a.name, rows: readSheet(xml, shared) };
+  });
+};
@@ -0,0 +1,12 @@
+// Descarga un contenido generado en el navegador como archivo
+export const downloadFile = (content, filename, type = 'text/plain;charset=utf-8;') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const dateStamp = () => new Date().toISOString().slice(0, 10);
@@ -0,0 +1,21 @@
+// Persistencia en localStorage; las claves llevan un prefijo propio de la aplicación
+const PREFIX = 'bioslurry:';
+
+export const loadStored = (key, fallback) => {
+  try {
+    const raw = window.localStorage.getItem(PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+
+// Devuelve false si el navegador rechaza la escritura (modo privado o cuota agotada)
+export const saveStored = (key, value) => {
+  try {
+    window.localStorage.setItem(PREFIX + key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+};
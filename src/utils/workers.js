@@ -0,0 +1,39 @@
+// Pool de Web Workers para las simulaciones de la aplicación
+import { useCallback, useEffect, useRef } from 'react';
+import { createPool, localRunner } from '../engine/index.js';
+
+/**
+ * Crea un pool con un Web Worker por núcleo. Si el navegador no admite workers, devuelve
+ * el ejecutor del hilo principal, que tiene la misma interfaz.
+ */
+export const createBrowserPool = (size = navigator.hardwareConcurrency || 4) => {
+  if (typeof Worker === 'undefined') return localRunner;
+  return createPool({
+    size,
+    spawn: (onMessage, onError) => {
+      const worker = new Worker(new URL('../workers/simulation.worker.js', import.meta.url), { type: 'module' });
+      worker.onmessage = (event) => onMessage(event.data);
+      worker.onerror = (event) => {
+        event.preventDefault();
+        onError(new Error(event.message || 'Error en el hilo de simulación'));
+      };
+      return { post: (message) => worker.postMessage(message), terminate: () => worker.terminate() };
+    },
+  });
+};
+
+/**
+ * Señal de cancelación para las ejecuciones de un componente. `start()` cancela la anterior
+ * y devuelve una señal nueva; al desmontar el componente se cancela la que esté en curso.
+ */
+export const useAbortSignal = () => {
+  const controller = useRef(null);
+  useEffect(() => () => controller.current?.abort(), []);
+  const start = useCallback(() => {
+    controller.current?.abort();
+    controller.current = new AbortController();
+    return controller.current.signal;
+  }, []);
+  const cancel = useCallback(() => controller.current?.abort(), []);
+  return { start, cancel };
+};
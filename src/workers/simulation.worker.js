@@ -0,0 +1,5 @@
+// Punto de entrada de cada Web Worker del pool de simulación
+import { serveJobs } from '../engine/worker.js';
+
+const handle = serveJobs((message) => self.postMessage(message));
+self.onmessage = (event) => handle(event.data);
@@ -0,0 +1,90 @@
+// Casos con solución analítica conocida, integrados con el motor completo
+import { describe, it } from 'node:test';
+import {
+  DEFAULT_PARAMS,
+  DEFAULT_SOLVER,
+  buildTimeGrid,
+  integrateODE,
+  modelDerivatives,
+  simulate,
+} from '../src/engine/index.js';
+import { REFERENCE_SOLVER, assertClose, pointAt } from './helpers.js';
+
+const CHECK_TIMES = [12, 48, 120, 240];
+
+describe('Decaimiento de primer orden (K_s ≫ C)', () => {
+  // Con K_s ≫ C, biomasa constante y sin sorción: dC/dt = −(k_max·X/K_s)·C
+  const params = {
+    ...DEFAULT_PARAMS,
+    K_s: 1e7,
+    k_max: 0.05 * 1e7 / DEFAULT_PARAMS.X_0,   // constante de primer orden k = 0,05 1/h
+    mu_max: 0,
+    k_d: 0,
+    k_sorp: 0,
+    t_final: 240,
+  };
+  const k = 0.05;
+
+  it('sigue C₀·e^(−k·t)', () => {
+    const { results } = simulate(params, REFERENCE_SOLVER);
+    CHECK_TIMES.forEach(t => {
+      const point = pointAt(results, t);
+      // El error de la aproximación es del orden de C₀/K_s
+      assertClose(point.C_G_aq, params.C_G_aq_0 * Math.exp(-k * t), { rtol: 1e-4 }, `t = ${t} h`);
+    });
+  });
+
+  it('coincide con la solución implícita de Monod con biomasa constante', () => {
+    // K_s·ln(C₀/C) + (C₀ − C) = k_max·X·t, válida para cualquier K_s
+    const monod = { ...params, K_s: 20, k_max: 0.08 };
+    const { results } = simulate(monod, REFERENCE_SOLVER);
+    const C0 = monod.C_G_aq_0;
+    CHECK_TIMES.slice(0, 2).forEach(t => {
+      const C = pointAt(results, t).C_G_aq;
+      assertClose(monod.K_s * Math.log(C0 / C) + (C0 - C), monod.k_max * monod.X_0 * t, { rtol: 1e-7 }, `t = ${t} h`);
+    });
+  });
+});
+
+describe('Equilibrio de sorción lineal', () => {
+  // Sin biodegradación: C + θ·C_s se conserva y C tiende a M/(1 + θ·K_d) con tasa k_sorp·(1 + 1/(θ·K_d))
+  const params = { ...DEFAULT_PARAMS, k_max: 0, mu_max: 0, k_d: 0, C_G_s_0: 200, t_final: 240 };
+  const { C_G_aq_0: C0, C_G_s_0: S0, theta, K_d, k_sorp } = params;
+  const total = C0 + theta * S0;
+  const C_eq = total / (1 + theta * K_d);
+  const lambda = k_sorp * (1 + 1 / (theta * K_d));
+  const { results } = simulate(params, REFERENCE_SOLVER);
+
+  it('se aproxima exponencialmente al equilibrio', () => {
+    CHECK_TIMES.forEach(t => {
+      const point = pointAt(results, t);
+      assertClose(point.C_G_aq, C_eq + (C0 - C_eq) * Math.exp(-lambda * t), { rtol: 1e-7 }, `C_G_aq a t = ${t} h`);
+      assertClose(point.C_G_s, (total - point.C_G_aq) / theta, { rtol: 1e-7 }, `C_G_s a t = ${t} h`);
+    });
+  });
+
+  it('termina con C_s = K_d · C', () => {
+    const last = results[results.length - 1];
+    assertClose(last.C_G_s, K_d * last.C_G_aq, { rtol: 1e-6 });
+  });
+});
+
+describe('Decaimiento exponencial de la biomasa sin sustrato', () => {
+  // Sin contaminante (la validación exige carga positiva, por eso se integra directamente)
+  const params = { ...DEFAULT_PARAMS, C_G_aq_0: 0 };
+  const grid = buildTimeGrid(240, 1);
+  const y0 = [0, 0, 0, params.X_0];
+
+  it('sigue X₀·e^(−k_d·t) con el integrador adaptativo', () => {
+    const { states } = integrateODE((t, y) => modelDerivatives(t, y, params), y0, grid, REFERENCE_SOLVER);
+    CHECK_TIMES.forEach(t => {
+      assertClose(states[t][3], params.X_0 * Math.exp(-params.k_d * t), { rtol: 1e-8 }, `t = ${t} h`);
+    });
+  });
+
+  it('sigue X₀·e^(−k_d·t) con RK4 de paso fijo', () => {
+    const { states } = integrateODE((t, y) => modelDerivatives(t, y, params), y0, grid, { ...DEFAULT_SOLVER, method: 'rk4' });
+    // Error local de RK4 ~ (k_d·h)⁵/120 por paso
+    assertClose(states[240][3], params.X_0 * Math.exp(-params.k_d * 240), { rtol: 1e-10 });
+  });
+});
@@ -0,0 +1,122 @@
+// Comprobaciones previas a la simulación: avisos de estabilidad, de verosimilitud biológica
+// y de rango, y conversión de unidades de los campos numéricos
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_PARAMS,
+  PRESETS,
+  characteristicRates,
+  checkParameters,
+  fromUnit,
+  parseNumberInput,
+  simulate,
+  toUnit,
+} from '../src/engine/index.js';
+import { assertClose } from './helpers.js';
+
+const kinds = (warnings, key) => warnings.filter(w => w.key === key).map(w => w.kind);
+
+// Sorción rápida respecto a la capacidad del sólido: dt·k_sorp·(1 + 1/(θ·K_d)) = dt · 10,1
+const FAST_SORPTION = { ...DEFAULT_PARAMS, theta: 0.01, K_d: 1, k_sorp: 0.1 };
+
+describe('Configuraciones de referencia', () => {
+  PRESETS.forEach(preset => {
+    it(`no generan avisos: ${preset.id}`, () => {
+      assert.deepEqual(checkParameters(preset.params), { errors: [], warnings: [] });
+    });
+  });
+
+  it('los parámetros inválidos dan errores y ningún aviso', () => {
+    const { errors, warnings } = checkParameters({ ...DEFAULT_PARAMS, K_s: -1 });
+    assert.deepEqual(errors.map(e => e.key), ['K_s']);
+    assert.deepEqual(warnings, []);
+  });
+});
+
+describe('Estabilidad numérica', () => {
+  it('la constante de sorción es k_sorp·(1 + 1/(θ·K_d))', () => {
+    const sorption = characteristicRates(FAST_SORPTION).find(r => r.key === 'k_sorp');
+    assertClose(sorption.rate, 0.1 * (1 + 1 / (0.01 * 1)), { rtol: 1e-12 });
+  });
+
+  it('avisa con paso fijo cuando dt·λ > 1 y no por debajo', () => {
+    const unstable = checkParameters({ ...FAST_SORPTION, dt: 0.5 }, { method: 'euler' });
+    const stable = checkParameters({ ...FAST_SORPTION, dt: 0.05 }, { method: 'euler' });
+    assert.deepEqual(kinds(unstable.warnings, 'k_sorp'), ['stability']);
+    assert.deepEqual(kinds(stable.warnings, 'k_sorp'), []);
+  });
+
+  it('el aviso corresponde a una integración que realmente oscila', () => {
+    const run = (dt) => simulate({ ...FAST_SORPTION, dt, t_final: 48 }, { method: 'euler' }).stats;
+    assert.ok(run(0.5).clamp_events > 0);
+    assert.equal(run(0.05).clamp_events, 0);
+  });
+
+  it('con un método adaptativo el paso no es un problema de estabilidad', () => {
+    const { warnings } = checkParameters({ ...FAST_SORPTION, dt: 0.5 }, { method: 'rk45' });
+    assert.deepEqual(warnings.filter(w => w.kind === 'stability'), []);
+  });
+
+  it('señala la rigidez con RK45 y no con Rosenbrock', () => {
+    const stiff = { ...DEFAULT_PARAMS, theta: 0.01, K_d: 1, k_sorp: 1, t_final: 720 };
+    assert.deepEqual(kinds(checkParameters(stiff, { method: 'rk45', max_steps: 100000 }).warnings, 'k_sorp'), ['stiffness']);
+    assert.deepEqual(kinds(checkParameters(stiff, { method: 'rosenbrock' }).warnings, 'k_sorp'), []);
+  });
+
+  it('avisa de una malla que no llega a t_final', () => {
+    assert.deepEqual(kinds(checkParameters({ ...DEFAULT_PARAMS, dt: 5 }).warnings, 'dt'), ['grid']);
+  });
+});
+
+describe('Verosimilitud biológica', () => {
+  it('k_d ≥ μ_max impide el crecimiento', () => {
+    assert.deepEqual(kinds(checkParameters({ ...DEFAULT_PARAMS, k_d: 0.05 }).warnings, 'k_d'), ['biology']);
+  });
+
+  it('con crecimiento acoplado el límite es Y_x·k_max', () => {
+    const params = { ...DEFAULT_PARAMS, growth_model: 'yield', Y_x: 0.3, k_max: 0.08, k_d: 0.03 };
+    assert.deepEqual(kinds(checkParameters(params).warnings, 'k_d'), ['biology']);
+    assert.deepEqual(kinds(checkParameters({ ...params, k_d: 0.01 }).warnings, 'k_d'), []);
+  });
+
+  it('un co-sustrato de crecimiento puede sostener la biomasa', () => {
+    const params = { ...DEFAULT_PARAMS, k_d: 0.06, cosubstrate_1: 'glucose' };
+    assert.deepEqual(kinds(checkParameters(params).warnings, 'k_d'), []);
+  });
+
+  it('avisa del lavado de biomasa en el CSTR', () => {
+    const params = { ...DEFAULT_PARAMS, mode: 'cstr', Q_in: 1, V_r: 20, SRT: 20 };
+    assert.deepEqual(kinds(checkParameters(params).warnings, 'SRT'), ['biology']);
+  });
+
+  it('avisa de rendimientos inverosímiles', () => {
+    assert.deepEqual(kinds(checkParameters({ ...DEFAULT_PARAMS, growth_model: 'yield', Y_x: 0.95 }).warnings, 'Y_x'), ['biology']);
+  });
+
+  it('avisa de valores fuera del rango del panel', () => {
+    assert.deepEqual(kinds(checkParameters({ ...DEFAULT_PARAMS, K_s: 500 }).warnings, 'K_s'), ['range']);
+  });
+});
+
+describe('Unidades de entrada', () => {
+  it('convierte tasas por hora y por día', () => {
+    assert.equal(toUnit(0.05, '1/h', '1/d'), 1.2);
+    assert.equal(fromUnit(1.2, '1/h', '1/d'), 0.05);
+  });
+
+  it('convierte mg/L y µg/L', () => {
+    assert.equal(toUnit(0.25, 'mg/L', 'µg/L'), 250);
+    assert.equal(fromUnit(250, 'mg/L', 'µg/L'), 0.25);
+  });
+
+  it('rechaza unidades que no son equivalentes', () => {
+    assert.throws(() => toUnit(1, 'mg/L', '1/d'));
+  });
+
+  it('lee números con coma decimal y notación científica', () => {
+    assert.equal(parseNumberInput('0,05'), 0.05);
+    assert.equal(parseNumberInput(' 1e-3 '), 0.001);
+    assert.ok(Number.isNaN(parseNumberInput('')));
+    assert.ok(Number.isNaN(parseNumberInput('12abc')));
+  });
+});
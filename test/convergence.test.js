@@ -0,0 +1,47 @@
+// Orden de convergencia de los integradores al reducir el paso
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMS, SOLVER_METHODS, simulate } from '../src/engine/index.js';
+import { REFERENCE_SOLVER } from './helpers.js';
+
+const PARAMS = { ...DEFAULT_PARAMS, t_final: 48 };
+const STATES = ['C_G_aq', 'C_G_s', 'C_A_aq', 'X'];
+
+const reference = simulate({ ...PARAMS, dt: 4 }, REFERENCE_SOLVER).results.at(-1);
+
+// Mayor error absoluto de las variables de estado al final del horizonte
+const finalError = (params, solver) => {
+  const last = simulate(params, solver).results.at(-1);
+  return Math.max(...STATES.map(key => Math.abs(last[key] - reference[key])));
+};
+
+// Orden observado log₂(e(h)/e(h/2)) en una secuencia de pasos que se reducen a la mitad
+const observedOrders = (method, steps) => {
+  const errors = steps.map(dt => finalError({ ...PARAMS, dt }, { method }));
+  return errors.slice(1).map((e, i) => Math.log2(errors[i] / e));
+};
+
+describe('Paso fijo', () => {
+  [
+    { method: 'euler', steps: [2, 1, 0.5, 0.25] },
+    { method: 'rk4', steps: [1, 0.5, 0.25, 0.125] },
+  ].forEach(({ method, steps }) => {
+    const { order } = SOLVER_METHODS[method];
+    it(`${method} converge con orden ${order}`, () => {
+      const orders = observedOrders(method, steps);
+      orders.forEach(p => assert.ok(Math.abs(p - order) < 0.3, `orden observado ${orders.map(o => o.toFixed(2)).join(', ')}`));
+    });
+  });
+});
+
+describe('Paso adaptativo', () => {
+  ['rk45', 'rosenbrock'].forEach(method => {
+    it(`${method} reduce el error al ajustar las tolerancias`, () => {
+      // Con una malla de salida gruesa el paso lo limitan las tolerancias y no la malla
+      const errors = [1e-4, 1e-6, 1e-8].map(rtol => finalError({ ...PARAMS, dt: 24 }, { method, rtol, atol: rtol * 1e-2 }));
+      assert.ok(errors[1] < errors[0] && errors[2] < errors[1], `errores ${errors.map(e => e.toExponential(2)).join(', ')}`);
+      // El error global queda dentro de unas pocas veces la tolerancia relativa por la escala del estado
+      assert.ok(errors[2] < 1e-8 * 100 * PARAMS.C_G_aq_0, `error ${errors[2].toExponential(2)}`);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+// Intervenciones programadas: dosis en un instante, disparos por umbral, aireación y su
+// efecto en el balance de masa y en la remoción
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_PARAMS,
+  checkParameters,
+  crossingTime,
+  eventTable,
+  simulate,
+  validateParams,
+} from '../src/engine/index.js';
+import { assertClose, pointAt } from './helpers.js';
+
+// Crecimiento acoplado al consumo: el balance de masa cierra y las dosis deben respetarlo
+const BASE = { ...DEFAULT_PARAMS, growth_model: 'yield', t_final: 240 };
+
+const massError = (run) => run.mass_balance.elements.find(e => e.key === 'mass').max_error;
+
+describe('Eventos programados en un instante', () => {
+  const dose = { trigger: 'time', time_h: 72, action: 'dose_contaminant', amount: 50 };
+  const plain = simulate(BASE);
+  const dosed = simulate({ ...BASE, events: [dose] });
+
+  it('la fila del instante muestra el estado tras la dosis', () => {
+    assertClose(pointAt(dosed.results, 72).C_G_aq, pointAt(plain.results, 72).C_G_aq + 50, { rtol: 1e-6 });
+    assertClose(pointAt(dosed.results, 71.5).C_G_aq, pointAt(plain.results, 71.5).C_G_aq, { rtol: 1e-6 });
+  });
+
+  it('informa del evento disparado', () => {
+    assert.equal(dosed.events.length, 1);
+    assert.equal(dosed.events[0].index, 0);
+    assert.equal(dosed.events[0].time_h, 72);
+    assert.match(dosed.events[0].description, /Glifosato \+50 mg\/L/);
+  });
+
+  it('la dosis entra en el balance de masa', () => {
+    assert.ok(massError(dosed) < 0.5, `error de masa ${massError(dosed)} %`);
+  });
+
+  it('la remoción se refiere a la carga inicial más lo dosificado', () => {
+    const row = pointAt(dosed.results, 72);
+    assertClose(row.removal_percent, 100 * (1 - row.C_total / (DEFAULT_PARAMS.C_G_aq_0 + 50)), { rtol: 1e-9 });
+  });
+
+  it('un evento entre puntos de la malla detiene la integración en su instante', () => {
+    const run = simulate({ ...BASE, events: [{ trigger: 'time', time_h: 100.2, action: 'dose_biomass', amount: 20 }] });
+    const jump = pointAt(run.results, 100.5).X - pointAt(plain.results, 100.5).X;
+    assert.ok(jump > 19 && jump < 21, `salto de biomasa ${jump}`);
+    assert.ok(massError(run) < 0.5, `error de masa ${massError(run)} %`);
+  });
+
+  it('las dosis en t = 0 forman parte del inventario inicial', () => {
+    const run = simulate({ ...BASE, events: [{ trigger: 'time', time_h: 0, action: 'dose_biomass', amount: 20 }] });
+    assert.equal(run.results[0].X, DEFAULT_PARAMS.X_0 + 20);
+    assert.ok(massError(run) < 0.5, `error de masa ${massError(run)} %`);
+  });
+
+  it('un evento en t_final o después no se dispara ni altera la serie', () => {
+    const run = simulate({ ...BASE, events: [{ ...dose, time_h: 240 }] });
+    assert.deepEqual(run.events, []);
+    assert.deepEqual(run.results, plain.results);
+  });
+});
+
+describe('Eventos por umbral', () => {
+  it('se disparan en el instante del cruce', () => {
+    const params = { ...BASE, t_final: 168 };
+    const reference = crossingTime(simulate({ ...params, dt: 0.05 }).results, 'removal_percent', 50);
+    const run = simulate({
+      ...params,
+      events: [{ trigger: 'condition', variable: 'removal_percent', operator: '>', value: 50, action: 'dose_biomass', amount: 10 }],
+    });
+    assert.equal(run.events.length, 1);
+    assertClose(run.events[0].time_h, reference, { atol: 0.02 });
+  });
+
+  it('una condición que ya se cumple se dispara al inicio', () => {
+    const run = simulate({ ...BASE, events: [{ trigger: 'condition', variable: 'X', operator: '<', value: 50, action: 'dose_biomass', amount: 5 }] });
+    assert.equal(run.events[0].time_h, 0);
+  });
+
+  it('detener la aireación anula la transferencia de oxígeno hasta reanudarla', () => {
+    const run = simulate({
+      ...BASE,
+      oxygen_model: 'dual_monod',
+      events: [
+        { trigger: 'condition', variable: 'C_G_aq', operator: '<', value: 60, action: 'aeration_off' },
+        { trigger: 'time', time_h: 150, action: 'aeration_on' },
+      ],
+    });
+    const stopped = run.results.filter(r => r.time_h > run.events[0].time_h && r.time_h < 150);
+    assert.ok(stopped.length > 0 && stopped.every(r => r.aerated === false && r.OTR === 0));
+    assert.ok(pointAt(run.results, 149.5).C_O2 < pointAt(run.results, 0).C_O2);
+    assert.ok(pointAt(run.results, 200).aerated && pointAt(run.results, 200).OTR > 0);
+  });
+});
+
+describe('Validación y exportación de eventos', () => {
+  const errorFor = (events, params = DEFAULT_PARAMS) => validateParams({ ...params, events }).errors.find(e => e.key === 'events');
+
+  it('rechaza eventos mal formados', () => {
+    assert.match(errorFor({}).message, /lista/);
+    assert.match(errorFor([{ trigger: 'time', time_h: -1, action: 'dose_biomass', amount: 5 }]).message, /evento 1: el instante/);
+    assert.match(errorFor([{ trigger: 'time', time_h: 5, action: 'dose_biomass', amount: 0 }]).message, /cantidad/);
+    assert.match(errorFor([{ trigger: 'condition', variable: 'pH', operator: '<', value: 5, action: 'dose_biomass', amount: 5 }]).message, /variable/);
+    assert.match(errorFor([{ trigger: 'later', action: 'dose_biomass', amount: 5 }]).message, /disparo/);
+  });
+
+  it('exige el oxígeno para la aireación y el co-sustrato para su pulso', () => {
+    assert.match(errorFor([{ trigger: 'time', time_h: 5, action: 'aeration_off' }]).message, /oxígeno/);
+    assert.match(errorFor([{ trigger: 'time', time_h: 5, action: 'dose_S1', amount: 5 }]).message, /co-sustrato/);
+    assert.equal(errorFor([{ trigger: 'time', time_h: 5, action: 'dose_S1', amount: 5 }], { ...DEFAULT_PARAMS, cosubstrate_1: 'glucose' }), undefined);
+  });
+
+  it('avisa de los eventos programados después de t_final', () => {
+    const { warnings } = checkParameters({ ...DEFAULT_PARAMS, events: [{ trigger: 'time', time_h: 500, action: 'dose_biomass', amount: 5 }] });
+    assert.deepEqual(warnings.map(w => w.key), ['events']);
+  });
+
+  it('la tabla de eventos indica cuáles no se dispararon', () => {
+    const params = {
+      ...BASE,
+      events: [
+        { trigger: 'time', time_h: 24, action: 'dose_biomass', amount: 5 },
+        { trigger: 'condition', variable: 'C_G_aq', operator: '>', value: 1000, action: 'dose_biomass', amount: 5 },
+      ],
+    };
+    const rows = eventTable(params, simulate(params).events);
+    assert.deepEqual(rows.map(r => r.time_h), [24, null]);
+  });
+});
@@ -0,0 +1,4 @@
+// Hilo que se cierra sin lanzar ninguna excepción al recibir su primer trabajo
+import { parentPort } from 'node:worker_threads';
+
+parentPort.on('message', () => process.exit(3));
@@ -0,0 +1,67 @@
+// Regresión frente a resultados de referencia guardados en test/golden/. Tras un cambio
+// intencionado del modelo se regeneran con UPDATE_GOLDEN=1 npm test y se revisa el diff.
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync } from 'node:fs';
+import {
+  DEFAULT_PARAMS,
+  DEFAULT_SOLVER,
+  PRESETS,
+  calculateMetrics,
+  resampleResults,
+  simulate,
+  stateVariables,
+} from '../src/engine/index.js';
+import { assertClose } from './helpers.js';
+
+const UPDATE = Boolean(process.env.UPDATE_GOLDEN);
+
+// Las referencias se comparan con holgura para admitir diferencias de redondeo entre
+// plataformas, pero cualquier cambio del modelo o del integrador las supera
+const TOLERANCE = { rtol: 1e-6, atol: 1e-9 };
+
+// Un punto por día de la serie
+const STEP_H = 24;
+
+const SCENARIOS = [
+  ...PRESETS.map(p => ({ id: p.id, params: p.params })),
+  { id: 'cstr', params: { ...DEFAULT_PARAMS, mode: 'cstr', t_final: 720 } },
+  { id: 'sbr', params: { ...DEFAULT_PARAMS, mode: 'sbr', t_final: 480 } },
+];
+
+const snapshot = (params) => {
+  const { results, mass_balance } = simulate(params, DEFAULT_SOLVER);
+  const columns = ['time_h', ...stateVariables(params), 'C_total', 'removal_percent', 'mineralized_mass'];
+  return {
+    series: resampleResults(results, STEP_H).map(r => Object.fromEntries(columns.map(key => [key, r[key]]))),
+    metrics: calculateMetrics(results, params),
+    balance: Object.fromEntries(mass_balance.elements.map(e => [e.key, e.max_error])),
+  };
+};
+
+// Compara dos valores de la referencia; null (métrica no alcanzada) debe coincidir exactamente
+const compare = (actual, expected, path) => {
+  if (typeof expected === 'number') {
+    assert.equal(typeof actual, 'number', `${path}: ${actual} en lugar de ${expected}`);
+    assertClose(actual, expected, TOLERANCE, path);
+  } else if (expected && typeof expected === 'object') {
+    assert.deepEqual(Object.keys(actual ?? {}).sort(), Object.keys(expected).sort(), `${path}: claves distintas`);
+    Object.keys(expected).forEach(key => compare(actual[key], expected[key], `${path}.${key}`));
+  } else {
+    assert.deepEqual(actual, expected, path);
+  }
+};
+
+describe('Resultados de referencia', () => {
+  SCENARIOS.forEach(({ id, params }) => {
+    it(id, () => {
+      const file = new URL(`./golden/${id}.json`, import.meta.url);
+      const actual = snapshot(params);
+      if (UPDATE) {
+        writeFileSync(file, JSON.stringify(actual, null, 2) + '\n');
+        return;
+      }
+      compare(actual, JSON.parse(readFileSync(file, 'utf8')), id);
+    });
+  });
+});
@@ -0,0 +1,33 @@
+// ============================================================================
+// UTILIDADES COMUNES DE LAS PRUEBAS
+// ============================================================================
+import assert from 'node:assert/strict';
+
+/**
+ * Comprueba |actual − expected| ≤ atol + rtol·|expected|.
+ *
+ * @param {number} actual
+ * @param {number} expected
+ * @param {{ rtol?: number, atol?: number }} [tolerance]
+ * @param {string} [message]
+ */
+export const assertClose = (actual, expected, { rtol = 1e-9, atol = 0 } = {}, message = '') => {
+  const allowed = atol + rtol * Math.abs(expected);
+  assert.ok(
+    Number.isFinite(actual) && Math.abs(actual - expected) <= allowed,
+    `${message ? `${message}: ` : ''}${actual} ≠ ${expected} (tolerancia ${allowed.toExponential(2)})`,
+  );
+};
+
+/** Punto de la serie en el instante t (h); la malla de la simulación debe contenerlo. */
+export const pointAt = (results, time_h) => {
+  const point = results.find(r => Math.abs(r.time_h - time_h) < 1e-9);
+  assert.ok(point, `La serie no contiene t = ${time_h} h`);
+  return point;
+};
+
+/** Error máximo del balance de cada elemento (%), por clave: mass, C, P… */
+export const balanceErrors = (run) => Object.fromEntries(run.mass_balance.elements.map(e => [e.key, e.max_error]));
+
+// Integrador de referencia: tolerancias muy por debajo de cualquier error que se compruebe
+export const REFERENCE_SOLVER = { method: 'rk45', rtol: 1e-11, atol: 1e-13, max_steps: 1000000 };
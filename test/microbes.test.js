@@ -0,0 +1,109 @@
+// Población microbiana: fase de latencia de Baranyi, gremios con su propia cinética,
+// inhibición por el primer metabolito y capacidad de carga logística
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_PARAMS,
+  applyGuild,
+  computeRates,
+  initialPhysiologicalState,
+  simulate,
+  stateVariables,
+  validateParams,
+} from '../src/engine/index.js';
+import { REFERENCE_SOLVER, assertClose, balanceErrors, pointAt } from './helpers.js';
+
+// Crecimiento acoplado al consumo: el balance de masa cierra con varios gremios
+const BASE = { ...DEFAULT_PARAMS, growth_model: 'yield', t_final: 240 };
+
+describe('Fase de latencia (Baranyi)', () => {
+  const params = { ...BASE, lag_model: 'baranyi', lag_time: 24, nu_lag: 0.1 };
+  const run = simulate(params, REFERENCE_SOLVER);
+
+  it('α sigue la logística dα/dt = ν · α · (1 − α)', () => {
+    const alpha_0 = initialPhysiologicalState(params);
+    for (const t of [0, 12, 24, 48, 96]) {
+      const expected = 1 / (1 + (1 / alpha_0 - 1) * Math.exp(-params.nu_lag * t));
+      assertClose(pointAt(run.results, t).alpha, expected, { rtol: 1e-6 }, `t = ${t} h`);
+    }
+  });
+
+  it('retrasa la degradación frente a la biomasa activa desde el inicio', () => {
+    const plain = simulate(BASE, REFERENCE_SOLVER);
+    assert.ok(pointAt(run.results, 24).C_G_aq > pointAt(plain.results, 24).C_G_aq);
+  });
+
+  it('añade α al final del vector de estado, antes del oxígeno', () => {
+    const keys = stateVariables({ ...params, oxygen_model: 'dual_monod' });
+    assert.deepEqual(keys.slice(-2), ['alpha', 'C_O2']);
+  });
+});
+
+describe('Gremios microbianos', () => {
+  it('dos gremios idénticos que se reparten X₀ equivalen a uno solo', () => {
+    const half = BASE.X_0 / 2;
+    const split = {
+      ...BASE,
+      X_0: half,
+      guild_2: 'cp_lyase',
+      X_G2_0: half,
+      k_max_G2: BASE.k_max,
+      K_s_G2: BASE.K_s,
+      mu_max_G2: BASE.mu_max,
+      Y_x_G2: BASE.Y_x,
+      k_d_G2: BASE.k_d,
+      Y_A_G2: BASE.Y_A,
+    };
+    const single = simulate(BASE, REFERENCE_SOLVER).results;
+    const guilds = simulate(split, REFERENCE_SOLVER).results;
+    for (const t of [48, 120, 240]) {
+      const a = pointAt(single, t);
+      const b = pointAt(guilds, t);
+      assertClose(b.C_G_aq, a.C_G_aq, { rtol: 1e-6 }, `C_G_aq a t = ${t} h`);
+      assertClose(b.C_A_aq, a.C_A_aq, { rtol: 1e-6 }, `C_A_aq a t = ${t} h`);
+      assertClose(b.X, a.X, { rtol: 1e-6 }, `X a t = ${t} h`);
+      assertClose(b.X_G1, b.X_G2, { rtol: 1e-9 }, `gremios a t = ${t} h`);
+    }
+  });
+
+  it('la vía C-P liasa no forma el primer metabolito', () => {
+    const params = applyGuild({ ...BASE, k_max: 0 }, 0, 'cp_lyase');
+    const end = simulate(params).results.at(-1);
+    assert.ok(end.C_G_aq < BASE.C_G_aq_0 / 2);
+    assert.equal(end.C_A_aq, 0);
+  });
+
+  it('el balance de masa cierra con gremios, latencia, inhibición y capacidad de carga', () => {
+    const params = applyGuild(applyGuild({
+      ...BASE,
+      lag_model: 'baranyi',
+      product_inhibition: 'noncompetitive',
+      capacity_model: 'logistic',
+      X_cap: 60,
+    }, 0, 'gox'), 1, 'oligotroph');
+    const errors = balanceErrors(simulate(params));
+    for (const key of ['mass', 'C', 'P']) assert.ok(errors[key] < 0.5, `error de ${key}: ${errors[key]} %`);
+  });
+});
+
+describe('Inhibición y capacidad de carga', () => {
+  it('el primer metabolito multiplica la actividad por K_I,A/(K_I,A + C_A)', () => {
+    const state = [40, 300, 25, 25];
+    const plain = computeRates(state, DEFAULT_PARAMS);
+    const inhibited = computeRates(state, { ...DEFAULT_PARAMS, product_inhibition: 'noncompetitive', K_I_A: 50 });
+    assertClose(inhibited.f_A, 50 / 75, { rtol: 1e-12 });
+    assertClose(inhibited.r_degradation, plain.r_degradation * 50 / 75, { rtol: 1e-12 });
+  });
+
+  it('la biomasa total no supera X_cap', () => {
+    const params = applyGuild({ ...BASE, capacity_model: 'logistic', X_cap: 25, C_G_aq_0: 300 }, 0, 'gox');
+    const peak = (run) => Math.max(...run.results.map(r => r.X));
+    assert.ok(peak(simulate({ ...params, capacity_model: 'none' })) > 40);
+    assert.ok(peak(simulate(params)) < 25);
+  });
+
+  it('exige constantes positivas', () => {
+    const keys = validateParams({ ...DEFAULT_PARAMS, product_inhibition: 'noncompetitive', K_I_A: 0 }).errors.map(e => e.key);
+    assert.ok(keys.includes('K_I_A'));
+  });
+});
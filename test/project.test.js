@@ -0,0 +1,19 @@
+// Estado compartible por URL: codificación de perfiles largos y enlaces con solo lo que cambia
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMS, DEFAULT_SOLVER, decodeShareState, encodeShareState } from '../src/engine/index.js';
+
+describe('Estado compartible', () => {
+  it('codifica un perfil de miles de puntos y lo recupera igual', () => {
+    const T_series = Array.from({ length: 8000 }, (_, i) => [i * 0.5, 20 + 5 * Math.sin(i / 100)]);
+    const params = { ...DEFAULT_PARAMS, T_model: 'arrhenius', T_profile: 'csv', T_series, t_final: 3999 };
+    const decoded = decodeShareState(encodeShareState({ params, solver: DEFAULT_SOLVER }));
+    assert.deepEqual(decoded.params, params);
+  });
+
+  it('no codifica las listas que coinciden con la referencia', () => {
+    const plain = encodeShareState({ params: DEFAULT_PARAMS, solver: DEFAULT_SOLVER });
+    const cloned = encodeShareState({ params: structuredClone(DEFAULT_PARAMS), solver: structuredClone(DEFAULT_SOLVER) });
+    assert.equal(cloned, plain);
+  });
+});
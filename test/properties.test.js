@@ -0,0 +1,80 @@
+// Propiedades que deben cumplirse en cualquier configuración: conservación de la masa y de
+// los elementos y concentraciones no negativas
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BALANCE_TOLERANCE,
+  CONTAMINANTS,
+  DEFAULT_PARAMS,
+  SOLVER_METHODS,
+  applyContaminant,
+  simulate,
+  stateVariables,
+} from '../src/engine/index.js';
+import { assertClose } from './helpers.js';
+
+// Con crecimiento proporcional al consumo la biomasa se forma a partir de lo degradado y
+// los balances deben cerrar; el modelo desacoplado no conserva la masa por construcción
+const conservative = (params) => ({ ...params, growth_model: 'yield' });
+
+const CONTAMINANT_CONFIGURATIONS = CONTAMINANTS.map(c => ({
+  name: c.id,
+  params: conservative(applyContaminant(DEFAULT_PARAMS, c.id)),
+}));
+
+const CONFIGURATIONS = [
+  ...CONTAMINANT_CONFIGURATIONS,
+  { name: 'CSTR', params: conservative({ ...DEFAULT_PARAMS, mode: 'cstr' }) },
+  { name: 'SBR', params: conservative({ ...DEFAULT_PARAMS, mode: 'sbr' }) },
+  { name: 'dos sitios y fracción ligada', params: conservative({ ...DEFAULT_PARAMS, sorption_sites: 'two', bound_residue: 'irreversible' }) },
+  { name: 'Freundlich', params: conservative({ ...DEFAULT_PARAMS, sorption_isotherm: 'freundlich' }) },
+  { name: 'oxígeno', params: conservative({ ...DEFAULT_PARAMS, oxygen_model: 'dual_monod' }) },
+  { name: 'co-sustrato', params: conservative({ ...DEFAULT_PARAMS, cosubstrate_1: 'glucose', substrate_interaction: 'competitive' }) },
+];
+
+describe('Balance de masa y de elementos', () => {
+  CONFIGURATIONS.forEach(({ name, params }) => {
+    it(`conserva la masa total: ${name}`, () => {
+      const mass = simulate(params).mass_balance.elements.find(e => e.key === 'mass');
+      assert.ok(mass.max_error < 0.5, `error de masa ${mass.max_error} %`);
+    });
+  });
+
+  // Los balances de elementos dependen además de la composición de la biomasa formada; en
+  // lote con los valores de registro de cada contaminante deben cerrar todos
+  CONTAMINANT_CONFIGURATIONS.forEach(({ name, params }) => {
+    it(`cierra los balances de elementos en lote: ${name}`, () => {
+      const { mass_balance } = simulate(params);
+      const open = mass_balance.elements.filter(e => e.max_error > BALANCE_TOLERANCE);
+      assert.deepEqual(open.map(e => `${e.key} ${e.max_error.toFixed(2)} %`), []);
+    });
+  });
+
+  it('conserva exactamente el contaminante cuando solo hay sorción', () => {
+    const params = { ...DEFAULT_PARAMS, k_max: 0, mu_max: 0, C_G_s_0: 150 };
+    const { results } = simulate(params);
+    const initial = params.C_G_aq_0 + params.theta * params.C_G_s_0;
+    results.forEach(r => assertClose(r.C_G_aq + params.theta * r.C_G_s, initial, { rtol: 1e-6 }, `t = ${r.time_h} h`));
+  });
+});
+
+describe('Concentraciones no negativas', () => {
+  const methods = Object.keys(SOLVER_METHODS).filter(m => SOLVER_METHODS[m].adaptive);
+
+  CONFIGURATIONS.forEach(({ name, params }) => {
+    methods.forEach(method => {
+      it(`${name} con ${method}`, () => {
+        const { results } = simulate(params, { method, rtol: 1e-6, atol: 1e-8 });
+        const states = stateVariables(params);
+        results.forEach(r => states.forEach(key => {
+          assert.ok(r[key] >= -1e-6, `${key} = ${r[key]} a t = ${r.time_h} h`);
+        }));
+      });
+    });
+  });
+
+  it('mantiene la remoción entre 0 y 100 %', () => {
+    const { results } = simulate(DEFAULT_PARAMS);
+    results.forEach(r => assert.ok(r.removal_percent >= -1e-9 && r.removal_percent <= 100 + 1e-9, `${r.removal_percent} %`));
+  });
+});
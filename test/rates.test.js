@@ -0,0 +1,93 @@
+// Expresiones de velocidad del modelo (computeRates y modelDerivatives) frente a las
+// ecuaciones del README, evaluadas a mano en un estado fijo
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_PARAMS,
+  computeRates,
+  modelDerivatives,
+  saturationFactors,
+  stateVariables,
+} from '../src/engine/index.js';
+import { assertClose } from './helpers.js';
+
+// Estado del glifosato: [C_G_aq, C_G_s, C_A_aq, X]
+const STATE = [40, 300, 5, 25];
+
+describe('computeRates', () => {
+  const params = DEFAULT_PARAMS;
+  const rates = computeRates(STATE, params);
+  const [C, C_s, C_A, X] = STATE;
+  const monod = C / (params.K_s + C);
+
+  it('usa Monod para el contaminante', () => {
+    assertClose(rates.monod, monod, { rtol: 1e-9 });
+    assertClose(rates.r_degradation, params.k_max * monod * X, { rtol: 1e-9 });
+  });
+
+  it('crece con μ_max y muere con k_d en el modelo desacoplado', () => {
+    assertClose(rates.r_growth, params.mu_max * monod * X, { rtol: 1e-9 });
+    assertClose(rates.r_death, params.k_d * X, { rtol: 1e-12 });
+  });
+
+  it('crece en proporción al consumo con el modelo de rendimiento', () => {
+    const yieldRates = computeRates(STATE, { ...params, growth_model: 'yield' });
+    assertClose(yieldRates.r_growth, params.Y_x * yieldRates.r_degradation, { rtol: 1e-12 });
+  });
+
+  it('sorbe hacia el equilibrio lineal C_s = K_d · C', () => {
+    assertClose(rates.r_sorption, params.k_sorp * (C - C_s / params.K_d), { rtol: 1e-12 });
+    const atEquilibrium = computeRates([C, params.K_d * C, C_A, X], params);
+    assertClose(atEquilibrium.r_sorption, 0, { atol: 1e-12 });
+  });
+
+  it('forma el metabolito con Y_A y lo degrada con k_A', () => {
+    assertClose(rates.r_metabolite_formation[0], params.Y_A * rates.r_degradation, { rtol: 1e-12 });
+    assertClose(rates.r_metabolite_degradation[0], params.k_A * C_A, { rtol: 1e-12 });
+  });
+
+  it('no degrada sin contaminante disuelto ni con concentraciones negativas', () => {
+    assert.ok(computeRates([0, 0, 0, X], params).r_degradation < 1e-9);
+    assert.ok(computeRates([-1e-6, 0, 0, X], params).r_degradation < 1e-9);
+  });
+
+  it('aplica la inhibición de Haldane', () => {
+    const [f] = saturationFactors([C], [params.K_s], [params.K_i], 'haldane');
+    assertClose(f, C / (params.K_s + C + C * C / params.K_i), { rtol: 1e-9 });
+    const haldane = computeRates(STATE, { ...params, substrate_interaction: 'haldane' });
+    assert.ok(haldane.r_degradation < rates.r_degradation);
+  });
+});
+
+describe('modelDerivatives', () => {
+  it('combina las velocidades según las ecuaciones del modelo', () => {
+    const params = DEFAULT_PARAMS;
+    const r = computeRates(STATE, params);
+    const [dC, dCs, dA, dX] = modelDerivatives(0, STATE, params);
+    assertClose(dC, -r.r_degradation - r.r_sorption, { rtol: 1e-12 });
+    assertClose(dCs, r.r_sorption / params.theta, { rtol: 1e-12 });
+    assertClose(dA, r.r_metabolite_formation[0] - r.r_metabolite_degradation[0], { rtol: 1e-12 });
+    assertClose(dX, r.r_growth - r.r_death, { rtol: 1e-12 });
+  });
+
+  it('devuelve una derivada por variable de estado', () => {
+    const configurations = [
+      DEFAULT_PARAMS,
+      { ...DEFAULT_PARAMS, contaminant: 'atrazine' },
+      { ...DEFAULT_PARAMS, cosubstrate_1: 'glucose', substrate_interaction: 'competitive' },
+      { ...DEFAULT_PARAMS, sorption_sites: 'two', bound_residue: 'irreversible' },
+      { ...DEFAULT_PARAMS, oxygen_model: 'dual_monod' },
+    ];
+    configurations.forEach(params => {
+      const n = stateVariables(params).length;
+      const y = Array.from({ length: n }, (_, i) => 1 + i);
+      assert.equal(modelDerivatives(0, y, params).length, n);
+    });
+  });
+
+  it('conserva C_aq + θ·C_s en la sorción', () => {
+    const params = { ...DEFAULT_PARAMS, k_max: 0 };
+    const [dC, dCs] = modelDerivatives(0, STATE, params);
+    assertClose(dC + params.theta * dCs, 0, { atol: 1e-12 });
+  });
+});
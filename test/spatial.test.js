@@ -0,0 +1,84 @@
+// Reactor por zonas: capas de suspensión con perfil de sólidos y lecho sedimentado que
+// intercambian por agitación y sedimentación
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_PARAMS,
+  compartmentLayout,
+  simulate,
+  spatialEnabled,
+  validateParams,
+} from '../src/engine/index.js';
+import { REFERENCE_SOLVER, assertClose, balanceErrors, pointAt } from './helpers.js';
+
+// Crecimiento acoplado al consumo: el balance de masa cierra
+const BASE = { ...DEFAULT_PARAMS, growth_model: 'yield', t_final: 240 };
+const ZONES = { ...BASE, spatial_model: 'zones', N_agit: 100 };
+
+describe('Reparto entre compartimentos', () => {
+  const layout = compartmentLayout(ZONES);
+  const zones = layout.compartments.filter(c => !c.bed);
+
+  it('conserva el volumen y los sólidos del reactor', () => {
+    assertClose(layout.compartments.reduce((sum, c) => sum + c.volume, 0), 1, { rtol: 1e-12 });
+    assertClose(layout.compartments.reduce((sum, c) => sum + c.theta * c.volume, 0), ZONES.theta, { rtol: 1e-12 });
+  });
+
+  it('los sólidos en suspensión son N/N_js y decrecen hacia la superficie', () => {
+    assertClose(layout.suspended, ZONES.N_agit / ZONES.N_js, { rtol: 1e-12 });
+    assert.equal(zones.length, ZONES.n_zones);
+    for (let j = 1; j < zones.length; j++) assert.ok(zones[j - 1].theta < zones[j].theta, `capa ${j}`);
+  });
+
+  it('sin lecho a la velocidad de suspensión completa', () => {
+    const full = compartmentLayout({ ...ZONES, N_agit: ZONES.N_js });
+    assert.ok(full.compartments.every(c => !c.bed));
+  });
+
+  it('solo se aplica en lote', () => {
+    assert.ok(spatialEnabled(ZONES));
+    assert.ok(!spatialEnabled({ ...ZONES, mode: 'cstr' }));
+  });
+});
+
+describe('Simulación por zonas', () => {
+  it('una sola capa con todo el sólido en suspensión reproduce la mezcla perfecta', () => {
+    const mixed = simulate(BASE, REFERENCE_SOLVER).results;
+    const zoned = simulate({ ...BASE, spatial_model: 'zones', n_zones: 1, N_agit: BASE.N_js }, REFERENCE_SOLVER).results;
+    for (const t of [24, 120, 240]) {
+      for (const key of ['C_G_aq', 'C_G_s', 'C_A_aq', 'X']) {
+        assertClose(pointAt(zoned, t)[key], pointAt(mixed, t)[key], { rtol: 1e-9 }, `${key} a t = ${t} h`);
+      }
+    }
+  });
+
+  it('el balance de masa cierra con capas, lecho, oxígeno y una dosis como con mezcla perfecta', () => {
+    const params = {
+      ...ZONES,
+      oxygen_model: 'dual_monod',
+      events: [{ trigger: 'time', time_h: 48, action: 'dose_contaminant', amount: 20 }],
+    };
+    const errors = balanceErrors(simulate(params));
+    const mixed = balanceErrors(simulate({ ...params, spatial_model: 'mixed' }));
+    for (const key of ['mass', 'P']) assert.ok(errors[key] < 0.5, `error de ${key}: ${errors[key]} %`);
+    // El carbono de la biomasa no cierra del todo tampoco con mezcla perfecta
+    assert.ok(Math.abs(errors.C - mixed.C) < 0.5, `error de C: ${errors.C} % frente a ${mixed.C} %`);
+  });
+
+  it('la serie incluye cada compartimento y el lecho, que no se airea, tiene menos oxígeno', () => {
+    const end = simulate({ ...ZONES, oxygen_model: 'dual_monod' }).results.at(-1);
+    for (const key of ['Z1', 'Z2', 'Z3', 'bed']) assert.ok(Number.isFinite(end[`C_G_aq_${key}`]), key);
+    assert.ok(end.C_O2_bed < end.C_O2_Z1 / 2);
+  });
+});
+
+describe('Validación', () => {
+  const keys = (params) => validateParams({ ...ZONES, ...params }).errors.map(e => e.key);
+
+  it('exige un lecho más denso que el slurry, agitación y un número entero de capas', () => {
+    assert.ok(keys({ theta_bed: ZONES.theta }).includes('theta_bed'));
+    assert.ok(keys({ N_agit: 0 }).includes('N_agit'));
+    assert.ok(keys({ n_zones: 2.5 }).includes('n_zones'));
+    assert.deepEqual(keys({}), []);
+  });
+});
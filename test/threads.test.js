@@ -0,0 +1,28 @@
+// Pool de worker threads de Node: resultados y cierre inesperado de un hilo
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMS } from '../src/engine/index.js';
+import { createThreadPool } from '../src/engine/threads.js';
+
+describe('Pool de worker threads', () => {
+  it('un hilo que se cierra sin excepción rechaza su trabajo en lugar de dejarlo pendiente', async () => {
+    const pool = createThreadPool(1, new URL('./fixtures/exit-thread.js', import.meta.url));
+    try {
+      await assert.rejects(pool.run({ type: 'evaluate', params: DEFAULT_PARAMS }), /terminó inesperadamente \(código 3\)/);
+      const outcomes = await pool.map([{ type: 'evaluate', params: DEFAULT_PARAMS }]);
+      assert.match(outcomes[0].error, /terminó inesperadamente/);
+    } finally {
+      pool.terminate();
+    }
+  });
+
+  it('los hilos normales devuelven el resultado', async () => {
+    const pool = createThreadPool(1);
+    try {
+      const [outcome] = await pool.map([{ type: 'evaluate', params: { ...DEFAULT_PARAMS, t_final: 48 } }]);
+      assert.ok(outcome.value, outcome.error);
+    } finally {
+      pool.terminate();
+    }
+  });
+});